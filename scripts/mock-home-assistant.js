@@ -0,0 +1,444 @@
+/**
+ * Mock Home Assistant Server
+ * Just enough of the Home Assistant WebSocket and REST APIs to run the
+ * dashboard with CONFIG.dataSource / CONFIG.historySource = 'homeassistant'
+ *
+ * Usage:
+ *   node scripts/mock-home-assistant.js [port]     (default 8123)
+ * then set CONFIG.haUrl = 'http://localhost:8123' and CONFIG.haToken = 'mock-token'
+ * (or MOCK_HA_TOKEN).
+ *
+ * Serves a handful of Zigbee2MQTT-style devices (climate sensors, a CO2
+ * sensor, a thermostat, a light, motion and door sensors) with a week of
+ * generated history, drifts their readings every few seconds and applies
+ * climate / light / switch service calls.
+ */
+
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+import { haEntityId } from '../www/js/utils/zigbee.js';
+
+const PORT = Number(process.argv[2]) || 8123;
+const TOKEN = process.env.MOCK_HA_TOKEN || 'mock-token';
+const UPDATE_INTERVAL_MS = 5000;
+const HISTORY_DAYS = 7;
+const HISTORY_STEP_MS = 10 * 60 * 1000;
+
+// ========================================
+// DEVICES
+// ========================================
+
+const DEVICES = [
+  { name: '[Study] Temperature & Humidity', ieee: '0x00158d0001000001', model: 'WSDCGQ11LM', vendor: 'Aqara', climate: { temperature: 21, humidity: 48 } },
+  { name: '[Living] Temperature & Humidity', ieee: '0x00158d0001000002', model: 'WSDCGQ11LM', vendor: 'Aqara', climate: { temperature: 22, humidity: 52 } },
+  { name: '[Bed] Temperature & Humidity Sensor', ieee: '0x00158d0001000003', model: 'WSDCGQ11LM', vendor: 'Aqara', climate: { temperature: 19, humidity: 55 } },
+  { name: '[Living] CO2', ieee: '0x00158d0001000004', model: 'CO2 sensor', vendor: 'Tuya', climate: { temperature: 22.5, humidity: 50 }, co2: 650 },
+  { name: '[Study] Thermostat', ieee: '0x00158d0001000005', model: 'TRVZB', vendor: 'SONOFF', thermostat: { current: 20.5, target: 21 } },
+  { name: '[Study] IKEA Light', ieee: '0x00158d0001000006', model: 'LED2003G10', vendor: 'IKEA', light: true },
+  { name: '[Mailbox] Motion Sensor', ieee: '0x00158d0001000007', model: 'RTCGQ11LM', vendor: 'Aqara', binary: 'occupancy' },
+  { name: '[Hallway] Front Door', ieee: '0x00158d0001000008', model: 'MCCGQ11LM', vendor: 'Aqara', binary: 'contact' }
+];
+
+const states = new Map();    // entity_id → state
+const history = new Map();   // entity_id → [{ state, last_changed }] oldest first
+const entityDevice = new Map();  // entity_id → device
+
+function iso(time) {
+  return new Date(time).toISOString();
+}
+
+function setState(entityId, state, attributes = {}, time = Date.now()) {
+  const previous = states.get(entityId);
+  const changed = !previous || previous.state !== String(state);
+  const next = {
+    entity_id: entityId,
+    state: String(state),
+    attributes: { ...previous?.attributes, ...attributes },
+    last_changed: changed ? iso(time) : previous.last_changed,
+    last_updated: iso(time)
+  };
+  states.set(entityId, next);
+
+  if (changed) {
+    if (!history.has(entityId)) history.set(entityId, []);
+    history.get(entityId).push({ state: next.state, last_changed: next.last_changed });
+  }
+  return { old_state: previous || null, new_state: next };
+}
+
+function addEntity(device, entityId, state, attributes) {
+  entityDevice.set(entityId, device);
+  // Zigbee2MQTT discovery names entities '<device> <Property>', e.g. '[Study] Thermostat Child lock'
+  const base = haEntityId(device.name, entityId.split('.')[0]);
+  const property = entityId.slice(base.length + 1).replace(/_/g, ' ');
+  const friendlyName = property ? `${device.name} ${property.replace(/^\w/, c => c.toUpperCase())}` : device.name;
+  setState(entityId, state, { friendly_name: friendlyName, ...attributes }, Date.now() - HISTORY_DAYS * 86400000);
+}
+
+// Daily cycle around a base value, coldest/lowest at 5am
+function daily(base, amplitude, time) {
+  const hour = new Date(time).getHours() + new Date(time).getMinutes() / 60;
+  return base + amplitude * Math.sin(((hour - 11) / 24) * 2 * Math.PI) + (Math.random() - 0.5) * amplitude * 0.2;
+}
+
+function round(value, digits = 1) {
+  return Number(value.toFixed(digits));
+}
+
+function createEntities() {
+  DEVICES.forEach(device => {
+    const sensor = (property) => `${haEntityId(device.name, 'sensor')}_${property}`;
+
+    if (device.climate) {
+      addEntity(device, sensor('temperature'), device.climate.temperature, { unit_of_measurement: '°C', device_class: 'temperature' });
+      addEntity(device, sensor('humidity'), device.climate.humidity, { unit_of_measurement: '%', device_class: 'humidity' });
+    }
+    if (device.co2) {
+      addEntity(device, sensor('co2'), device.co2, { unit_of_measurement: 'ppm', device_class: 'carbon_dioxide' });
+    }
+    if (device.thermostat) {
+      addEntity(device, haEntityId(device.name, 'climate'), 'heat', {
+        current_temperature: device.thermostat.current,
+        temperature: device.thermostat.target,
+        hvac_action: 'heating',
+        hvac_modes: ['off', 'heat', 'auto'],
+        min_temp: 4,
+        max_temp: 35
+      });
+      addEntity(device, `${haEntityId(device.name, 'switch')}_child_lock`, 'off', {});
+    }
+    if (device.light) {
+      addEntity(device, haEntityId(device.name, 'light'), 'off', { brightness: null, color_temp_kelvin: null });
+    }
+    if (device.binary) {
+      const deviceClass = device.binary === 'contact' ? 'door' : 'occupancy';
+      addEntity(device, `${haEntityId(device.name, 'binary_sensor')}_${device.binary}`, 'off', { device_class: deviceClass });
+    }
+    if (!device.light) {
+      addEntity(device, sensor('battery'), 90, { unit_of_measurement: '%', device_class: 'battery' });
+    }
+    addEntity(device, sensor('linkquality'), 120, { unit_of_measurement: 'lqi' });
+  });
+}
+
+/**
+ * A week of readings so charts and the history cache have something to show
+ */
+function generateHistory() {
+  const now = Date.now();
+  for (let time = now - HISTORY_DAYS * 86400000; time < now; time += HISTORY_STEP_MS) {
+    DEVICES.forEach(device => {
+      const sensor = (property) => `${haEntityId(device.name, 'sensor')}_${property}`;
+      if (device.climate) {
+        setState(sensor('temperature'), round(daily(device.climate.temperature, 1.5, time)), {}, time);
+        setState(sensor('humidity'), round(daily(device.climate.humidity, -4, time), 0), {}, time);
+      }
+      if (device.co2) {
+        setState(sensor('co2'), Math.round(daily(device.co2, 250, time)), {}, time);
+      }
+      if (device.binary && Math.random() < 0.05) {
+        const entityId = `${haEntityId(device.name, 'binary_sensor')}_${device.binary}`;
+        setState(entityId, 'on', {}, time);
+        setState(entityId, 'off', {}, time + 90 * 1000);
+      }
+    });
+  }
+}
+
+// ========================================
+// LIVE UPDATES AND SERVICES
+// ========================================
+
+const subscribers = new Set();  // { socket, id }
+
+function broadcast(change) {
+  subscribers.forEach(({ socket, id }) => {
+    sendJson(socket, {
+      id,
+      type: 'event',
+      event: {
+        event_type: 'state_changed',
+        data: { entity_id: change.new_state.entity_id, ...change },
+        origin: 'LOCAL',
+        time_fired: change.new_state.last_updated
+      }
+    });
+  });
+}
+
+function update(entityId, state, attributes) {
+  broadcast(setState(entityId, state, attributes));
+}
+
+function tick() {
+  const now = Date.now();
+  DEVICES.forEach(device => {
+    const sensor = (property) => `${haEntityId(device.name, 'sensor')}_${property}`;
+    if (device.climate && Math.random() < 0.5) {
+      update(sensor('temperature'), round(daily(device.climate.temperature, 1.5, now)));
+      update(sensor('humidity'), round(daily(device.climate.humidity, -4, now), 0));
+    }
+    if (device.co2 && Math.random() < 0.5) {
+      update(sensor('co2'), Math.round(daily(device.co2, 250, now)));
+    }
+    if (device.thermostat) {
+      const entityId = haEntityId(device.name, 'climate');
+      const { attributes, state } = states.get(entityId);
+      const heating = state !== 'off' && attributes.current_temperature < attributes.temperature;
+      const current = round(attributes.current_temperature + (heating ? 0.1 : -0.05));
+      update(entityId, state, { current_temperature: current, hvac_action: state === 'off' ? 'off' : heating ? 'heating' : 'idle' });
+    }
+    if (device.binary && Math.random() < 0.05) {
+      const entityId = `${haEntityId(device.name, 'binary_sensor')}_${device.binary}`;
+      update(entityId, states.get(entityId).state === 'on' ? 'off' : 'on');
+    }
+  });
+}
+
+/**
+ * Apply a call_service command
+ * @returns {string|null} Error message, null on success
+ */
+function callService({ domain, service, service_data: data = {}, target = {} }) {
+  const ids = [].concat(target.entity_id || data.entity_id || []);
+  if (ids.length === 0) return 'No target entity';
+
+  for (const entityId of ids) {
+    const current = states.get(entityId);
+    if (!current) return `Unknown entity ${entityId}`;
+
+    switch (`${domain}.${service}`) {
+      case 'climate.set_temperature':
+        update(entityId, current.state, { temperature: Number(data.temperature) });
+        break;
+      case 'climate.set_hvac_mode':
+        update(entityId, data.hvac_mode, { hvac_action: data.hvac_mode === 'off' ? 'off' : current.attributes.hvac_action });
+        break;
+      case 'light.turn_on':
+        update(entityId, 'on', {
+          brightness: data.brightness ?? current.attributes.brightness ?? 254,
+          color_temp_kelvin: data.color_temp_kelvin ?? current.attributes.color_temp_kelvin ?? 3000
+        });
+        break;
+      case 'light.turn_off':
+      case 'switch.turn_off':
+        update(entityId, 'off', domain === 'light' ? { brightness: null } : {});
+        break;
+      case 'switch.turn_on':
+        update(entityId, 'on', {});
+        break;
+      case 'light.toggle':
+      case 'switch.toggle':
+        update(entityId, current.state === 'on' ? 'off' : 'on', {});
+        break;
+      default:
+        return `Service ${domain}.${service} not supported by the mock`;
+    }
+  }
+  return null;
+}
+
+// ========================================
+// WEBSOCKET API
+// ========================================
+
+function sendJson(socket, message) {
+  const data = Buffer.from(JSON.stringify(message));
+  const header = data.length < 126
+    ? Buffer.from([0x81, data.length])
+    : data.length < 65536
+      ? Buffer.from([0x81, 126, data.length >> 8, data.length & 0xff])
+      : Buffer.concat([Buffer.from([0x81, 127]), (() => { const b = Buffer.alloc(8); b.writeBigUInt64BE(BigInt(data.length)); return b; })()]);
+  socket.write(Buffer.concat([header, data]));
+}
+
+/**
+ * Split client frames off the buffer (clients always mask)
+ * @returns {{ frames: Array<{ opcode: number, payload: Buffer }>, rest: Buffer }}
+ */
+function readFrames(buffer) {
+  const frames = [];
+  while (buffer.length >= 2) {
+    const opcode = buffer[0] & 0x0f;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+      if (buffer.length < 4) break;
+      length = buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (buffer.length < 10) break;
+      length = Number(buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+    if (buffer.length < offset + 4 + length) break;
+    const mask = buffer.subarray(offset, offset + 4);
+    const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    frames.push({ opcode, payload });
+    buffer = buffer.subarray(offset + 4 + length);
+  }
+  return { frames, rest: buffer };
+}
+
+function handleCommand(socket, session, msg) {
+  if (!session.authenticated) {
+    if (msg.type === 'auth' && msg.access_token === TOKEN) {
+      session.authenticated = true;
+      sendJson(socket, { type: 'auth_ok', ha_version: 'mock' });
+    } else {
+      sendJson(socket, { type: 'auth_invalid', message: 'Invalid access token or password' });
+      socket.end();
+    }
+    return;
+  }
+
+  const result = (value) => sendJson(socket, { id: msg.id, type: 'result', success: true, result: value });
+  const fail = (message) => sendJson(socket, { id: msg.id, type: 'result', success: false, error: { code: 'unknown_error', message } });
+
+  switch (msg.type) {
+    case 'subscribe_events': {
+      const subscription = { socket, id: msg.id };
+      subscribers.add(subscription);
+      socket.on('close', () => subscribers.delete(subscription));
+      result(null);
+      break;
+    }
+    case 'get_states':
+      result([...states.values()]);
+      break;
+    case 'config/device_registry/list':
+      result(DEVICES.map(device => ({
+        id: device.ieee,
+        name: device.name,
+        name_by_user: null,
+        manufacturer: device.vendor,
+        model: device.model,
+        identifiers: [['mqtt', `zigbee2mqtt_${device.ieee}`]]
+      })));
+      break;
+    case 'config/entity_registry/list':
+      result([...entityDevice.entries()].map(([entityId, device]) => ({
+        entity_id: entityId,
+        device_id: device.ieee,
+        disabled_by: null
+      })));
+      break;
+    case 'call_service': {
+      const error = callService(msg);
+      if (error) fail(error);
+      else result({ context: { id: `mock-${msg.id}` } });
+      break;
+    }
+    case 'ping':
+      sendJson(socket, { id: msg.id, type: 'pong' });
+      break;
+    default:
+      fail(`Unknown command ${msg.type}`);
+  }
+}
+
+function handleUpgrade(req, socket) {
+  if (req.url !== '/api/websocket') {
+    socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+    return;
+  }
+  const accept = createHash('sha1')
+    .update(req.headers['sec-websocket-key'] + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11')
+    .digest('base64');
+  socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+  const session = { authenticated: false };
+  let buffer = Buffer.alloc(0);
+  sendJson(socket, { type: 'auth_required', ha_version: 'mock' });
+
+  socket.on('data', (chunk) => {
+    const { frames, rest } = readFrames(Buffer.concat([buffer, chunk]));
+    buffer = rest;
+    frames.forEach(({ opcode, payload }) => {
+      if (opcode === 0x8) {
+        socket.end(Buffer.from([0x88, 0]));
+      } else if (opcode === 0x9) {
+        socket.write(Buffer.concat([Buffer.from([0x8a, payload.length]), payload]));
+      } else if (opcode === 0x1) {
+        try {
+          handleCommand(socket, session, JSON.parse(payload.toString()));
+        } catch (e) {
+          console.error('Bad message:', e.message);
+        }
+      }
+    });
+  });
+  socket.on('error', () => socket.destroy());
+}
+
+// ========================================
+// REST API
+// ========================================
+
+function sendRest(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * /api/history/period/<start>?filter_entity_id=a,b&end_time=...
+ * One list per entity: the state at start (stamped with start), then every change
+ */
+function historyPeriod(url) {
+  const start = Date.parse(decodeURIComponent(url.pathname.slice('/api/history/period/'.length)));
+  const end = url.searchParams.get('end_time') ? Date.parse(url.searchParams.get('end_time')) : Date.now();
+  const minimal = url.searchParams.has('minimal_response');
+  const ids = (url.searchParams.get('filter_entity_id') || '').split(',').filter(Boolean);
+
+  return ids.filter(id => history.has(id)).map(entityId => {
+    const changes = history.get(entityId);
+    const before = changes.filter(c => Date.parse(c.last_changed) <= start).pop();
+    const within = changes.filter(c => Date.parse(c.last_changed) > start && Date.parse(c.last_changed) < end);
+    const list = (before ? [{ ...before, last_changed: iso(start) }] : []).concat(within);
+    return list.map((item, i) => minimal && i > 0 ? item : { entity_id: entityId, ...item });
+  }).filter(list => list.length > 0);
+}
+
+function handleRequest(req, res) {
+  if (req.method === 'OPTIONS') {
+    sendRest(res, 204);
+    return;
+  }
+  if (req.headers.authorization !== `Bearer ${TOKEN}`) {
+    sendRest(res, 401, { message: 'Unauthorized' });
+    return;
+  }
+
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  if (url.pathname === '/api/states') {
+    sendRest(res, 200, [...states.values()]);
+  } else if (url.pathname.startsWith('/api/history/period/')) {
+    sendRest(res, 200, historyPeriod(url));
+  } else if (url.pathname === '/api/') {
+    sendRest(res, 200, { message: 'API running.' });
+  } else {
+    sendRest(res, 404, { message: 'Not found' });
+  }
+}
+
+// ========================================
+// START
+// ========================================
+
+createEntities();
+generateHistory();
+
+const server = createServer(handleRequest);
+server.on('upgrade', handleUpgrade);
+server.listen(PORT, () => {
+  console.log(`🏠 Mock Home Assistant on http://localhost:${PORT} (token "${TOKEN}")`);
+  console.log(`   ${DEVICES.length} devices, ${states.size} entities, ${HISTORY_DAYS} days of history`);
+});
+
+setInterval(tick, UPDATE_INTERVAL_MS);
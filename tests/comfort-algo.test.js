@@ -0,0 +1,126 @@
+/**
+ * Comfort Algorithm Tests
+ * Schedule windows, the targets getComfortProfile picks from them, and
+ * room / home scores with per-room profiles
+ */
+
+import './setup.js';
+import { describe, it, expect } from 'vitest';
+import { COMFORT_PROFILES, COMFORT_SCHEDULE, DEFAULT_COMFORT_PROFILE } from '../www/js/config.js';
+import {
+  isInTimeWindow, getSchedulePeriod, getComfortProfile, calculateRoomComfort, calculateHomeComfort
+} from '../www/js/utils/comfort-algo.js';
+
+// Local time, so the tests don't depend on the machine's time zone.
+// 6 May 2024 is a Monday.
+const at = (day, hours, minutes = 0) => new Date(2024, 4, day, hours, minutes).getTime();
+
+const AWAY_WEEKDAYS = { period: 'away', start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] };
+
+describe('isInTimeWindow', () => {
+  it('matches a same-day window with an exclusive end', () => {
+    const window = { start: '09:00', end: '17:00' };
+    expect(isInTimeWindow(window, at(6, 9))).toBe(true);
+    expect(isInTimeWindow(window, at(6, 16, 59))).toBe(true);
+    expect(isInTimeWindow(window, at(6, 17))).toBe(false);
+    expect(isInTimeWindow(window, at(6, 8, 59))).toBe(false);
+  });
+
+  it('wraps past midnight when end is before start', () => {
+    const window = { start: '22:00', end: '07:00' };
+    expect(isInTimeWindow(window, at(6, 23))).toBe(true);
+    expect(isInTimeWindow(window, at(7, 6, 30))).toBe(true);
+    expect(isInTimeWindow(window, at(7, 7))).toBe(false);
+  });
+
+  it('limits to weekdays, counting a wrapped window to the day it started', () => {
+    const fridayNights = { start: '22:00', end: '07:00', days: [5] };
+    expect(isInTimeWindow(fridayNights, at(10, 23))).toBe(true);    // Friday
+    expect(isInTimeWindow(fridayNights, at(11, 3))).toBe(true);     // Saturday morning
+    expect(isInTimeWindow(fridayNights, at(11, 23))).toBe(false);   // Saturday night
+    expect(isInTimeWindow(AWAY_WEEKDAYS, at(12, 10))).toBe(false);  // Sunday
+  });
+});
+
+describe('getSchedulePeriod', () => {
+  it('uses the first matching entry, day otherwise', () => {
+    const schedule = [{ period: 'sleep', start: '22:00', end: '07:00' }, AWAY_WEEKDAYS];
+    expect(getSchedulePeriod(schedule, at(6, 23))).toBe('sleep');
+    expect(getSchedulePeriod(schedule, at(6, 10))).toBe('away');
+    expect(getSchedulePeriod(schedule, at(6, 18))).toBe('day');
+    expect(getSchedulePeriod([], at(6, 23))).toBe('day');
+  });
+
+  it('ships without an away period', () => {
+    expect(COMFORT_SCHEDULE.some(entry => entry.period === 'away')).toBe(false);
+    expect(getSchedulePeriod(COMFORT_SCHEDULE, at(6, 10))).toBe('day');
+  });
+});
+
+describe('getComfortProfile', () => {
+  const comfort = { comfortProfiles: COMFORT_PROFILES, comfortSchedule: [{ period: 'sleep', start: '22:00', end: '07:00' }, AWAY_WEEKDAYS] };
+
+  it('picks the period targets of the room profile', () => {
+    expect(getComfortProfile(comfort, 'bedroom', at(6, 23)).temp).toEqual({ min: 18, max: 20, perfect: 19 });
+    expect(getComfortProfile(comfort, 'bedroom', at(6, 23)).period).toBe('sleep');
+    expect(getComfortProfile(comfort, 'bedroom', at(6, 18)).temp).toEqual(COMFORT_PROFILES.bedroom.temp);
+  });
+
+  it('falls back to the day targets when the profile has none for the period', () => {
+    expect(getComfortProfile(comfort, 'study', at(6, 23)).temp).toEqual(COMFORT_PROFILES.study.temp);
+  });
+
+  it('keeps day targets on weekdays with the default schedule', () => {
+    const profile = getComfortProfile({ comfortProfiles: COMFORT_PROFILES }, 'study', at(6, 11));
+    expect(profile.period).toBe('day');
+    expect(profile.temp).toEqual(COMFORT_PROFILES.study.temp);
+  });
+});
+
+describe('room profiles', () => {
+  // No schedule, so every reading is scored against the day targets
+  const comfort = { comfortProfiles: COMFORT_PROFILES, comfortSchedule: [] };
+  const room = (id, temperature, humidity, extra = {}) => ({ id, temperature, humidity, lastSeen: at(6, 12), sensors: [], ...extra });
+
+  it('uses the default profile for rooms without one', () => {
+    const profile = getComfortProfile(comfort, 'garage', at(6, 12));
+    expect(profile.temp).toEqual(DEFAULT_COMFORT_PROFILE.temp);
+    expect(profile.weight).toBe(1);
+    expect(profile.airQualityWeight).toBe(DEFAULT_COMFORT_PROFILE.airQualityWeight);
+  });
+
+  it('scores against the room targets', () => {
+    const kitchen = getComfortProfile(comfort, 'kitchen', at(6, 12));
+    const bathroom = getComfortProfile(comfort, 'bathroom', at(6, 12));
+    expect(calculateRoomComfort(22, 50, kitchen)).toBe(100);
+    // 72% is inside the bathroom's humidity range but not the kitchen's
+    expect(calculateRoomComfort(24, 72, bathroom)).toBeGreaterThan(calculateRoomComfort(24, 72, kitchen));
+  });
+
+  it('weights the home score by room weight', () => {
+    const perfect = room('living', 23, 50);
+    const poor = room('bathroom', 10, 90);
+    const score = (rooms) => calculateHomeComfort(rooms, comfort);
+    const expected = Math.round((calculateRoomComfort(23, 50, getComfortProfile(comfort, 'living', at(6, 12))) * 1.5 +
+      calculateRoomComfort(10, 90, getComfortProfile(comfort, 'bathroom', at(6, 12))) * 0.5) / 2);
+    expect(score([perfect, poor])).toBe(expected);
+  });
+
+  it('leaves out rooms without readings and rooms with a weight of 0', () => {
+    const ignored = { ...comfort, comfortProfiles: { ...COMFORT_PROFILES, attic: { ...DEFAULT_COMFORT_PROFILE, weight: 0 } } };
+    expect(calculateHomeComfort([room('living', 23, 50), room('study', null, null), room('attic', 35, 90)], ignored)).toBe(100);
+    expect(calculateHomeComfort([], ignored)).toBe(0);
+  });
+
+  it('leaves out the balcony through its profile weight, not isOutdoor', () => {
+    const rooms = [room('living', 23, 50), room('balcony', 5, 90, { isOutdoor: true })];
+    const balconyScore = calculateRoomComfort(5, 90);
+
+    // Without the balcony profile it counts at weight 1.0, as it always did
+    const withoutProfiles = { comfortProfiles: {}, comfortSchedule: [] };
+    expect(calculateHomeComfort(rooms, withoutProfiles)).toBe(Math.round((100 + balconyScore) / 2));
+    // The shipped profiles give it a weight of 0
+    expect(COMFORT_PROFILES.balcony.weight).toBe(0);
+    expect(calculateHomeComfort(rooms, comfort)).toBe(100);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Comfort History Tests
+ * Home series averaging, the daily report and bucket alignment of loaded
+ * history
+ */
+
+import './setup.js';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { DEFAULT_COMFORT_PROFILE } from '../www/js/config.js';
+import { loadComfortHistory, homeSeries, buildComfortReport, bandHours, dailyAverages } from '../www/js/utils/comfort-history.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_START = new Date(2024, 4, 6).getTime();
+
+// Points every `step` ms from DAY_START, one per value
+const series = (values, step = HOUR_MS) => values.map((value, i) => ({ time: DAY_START + i * step, value }));
+
+const comfort = {
+  comfortProfiles: {
+    living: { ...DEFAULT_COMFORT_PROFILE, weight: 3 },
+    bedroom: { ...DEFAULT_COMFORT_PROFILE, weight: 1 },
+    garage: { ...DEFAULT_COMFORT_PROFILE, weight: 0 }
+  },
+  comfortSchedule: []
+};
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+describe('homeSeries', () => {
+  it('averages rooms by weight at each bucket time', () => {
+    const home = homeSeries([
+      { id: 'living', series: series([90, 80]) },
+      { id: 'bedroom', series: series([40, 40]) }
+    ], comfort);
+    expect(home).toEqual([
+      { time: DAY_START, value: 78 },
+      { time: DAY_START + HOUR_MS, value: 70 }
+    ]);
+  });
+
+  it('leaves out rooms with a weight of 0', () => {
+    const home = homeSeries([
+      { id: 'living', series: series([90]) },
+      { id: 'garage', series: series([10]) }
+    ], comfort);
+    expect(home).toEqual([{ time: DAY_START, value: 90 }]);
+  });
+});
+
+describe('loadComfortHistory', () => {
+  // InfluxQL response with one bucketed point per minute of the query window
+  function stubInflux(valueFor) {
+    const fetchMock = vi.fn(async (url) => {
+      const q = new URL(url).searchParams.get('q');
+      const measurement = q.match(/FROM "([^"]+)"/)[1];
+      const values = [0, 1, 2].map(i => [DAY_START + i * MINUTE_MS, valueFor(measurement, q), null, null]);
+      return {
+        ok: true,
+        status: 200,
+        json: async () => ({ results: [{ series: [{ name: measurement, columns: ['time', 'value', 'min', 'max'], values }] }] })
+      };
+    });
+    vi.stubGlobal('fetch', fetchMock);
+    return fetchMock;
+  }
+
+  const rooms = [
+    { id: 'living', name: 'Living', entityId: 'living', sensors: [] },
+    { id: 'bedroom', name: 'Bedroom', entityId: 'bedroom', sensors: [] },
+    { id: 'outside', name: 'Outside', entityId: 'outside', isOutdoor: true, sensors: [] }
+  ];
+
+  it('buckets short windows too, so rooms share timestamps', async () => {
+    const fetchMock = stubInflux((measurement) => measurement === 'temperature' ? 23 : 50);
+    const history = await loadComfortHistory({ rooms, comfort, start: DAY_START, end: DAY_START + 10 * MINUTE_MS, points: 700 });
+
+    fetchMock.mock.calls.forEach(([url]) => {
+      expect(new URL(url).searchParams.get('q')).toContain('GROUP BY time(1m)');
+    });
+    expect(history.rooms.map(r => r.id)).toEqual(['living', 'bedroom']);
+    expect(history.home.map(p => p.time)).toEqual(history.rooms[0].series.map(p => p.time));
+  });
+
+  it('uses the bucket size asked for', async () => {
+    const fetchMock = stubInflux(() => 50);
+    await loadComfortHistory({ rooms, comfort, start: DAY_START, end: DAY_START + HOUR_MS, every: '5m' });
+    expect(new URL(fetchMock.mock.calls[0][0]).searchParams.get('q')).toContain('GROUP BY time(5m)');
+  });
+});
+
+describe('buildComfortReport', () => {
+  const history = {
+    rooms: [
+      { id: 'living', name: 'Living', series: series([95, 95, 95, 95]) },
+      { id: 'bedroom', name: 'Bedroom', series: series([50, 30, 50, 70]) },
+      { id: 'empty', name: 'Empty', series: [] }
+    ],
+    home: series([80, 40, 60, 90])
+  };
+
+  it('averages the home and each room with data', () => {
+    const report = buildComfortReport(history);
+    expect(report.average).toBe(67.5);
+    expect(report.rooms.map(r => [r.id, r.average])).toEqual([['living', 95], ['bedroom', 50]]);
+    expect(report.bestRoom.id).toBe('living');
+  });
+
+  it('finds the worst hour', () => {
+    expect(buildComfortReport(history).worstPeriod).toEqual({ start: DAY_START + HOUR_MS, end: DAY_START + 2 * HOUR_MS, average: 40 });
+  });
+
+  it('returns nulls for an empty day', () => {
+    const report = buildComfortReport({ rooms: [], home: [] });
+    expect(report).toEqual({ average: null, rooms: [], worstPeriod: null, bestRoom: null });
+  });
+});
+
+describe('bandHours', () => {
+  it('counts each point up to the next one', () => {
+    const hours = bandHours(series([95, 95, 50, 30]));
+    expect(Object.fromEntries(hours.map(b => [b.label, b.hours]))).toEqual({
+      Perfect: 2, Comfortable: 0, Okay: 0, Uncomfortable: 1, Poor: 1
+    });
+  });
+
+  it('counts a usual step across a gap (sensor offline)', () => {
+    const points = [...series([95, 95, 95]), { time: DAY_START + 10 * HOUR_MS, value: 30 }];
+    const total = bandHours(points).reduce((sum, b) => sum + b.hours, 0);
+    expect(total).toBe(4);
+  });
+});
+
+describe('dailyAverages', () => {
+  it('averages per local day', () => {
+    expect(dailyAverages(series([60, 80, 40, 40], 12 * HOUR_MS))).toEqual([
+      { date: DAY_START, average: 70 },
+      { date: new Date(2024, 4, 7).getTime(), average: 40 }
+    ]);
+  });
+});
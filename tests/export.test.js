@@ -0,0 +1,57 @@
+/**
+ * Data Export Tests
+ * Rows for series and events, and their CSV serialization
+ */
+
+import './setup.js';
+import { describe, it, expect } from 'vitest';
+import { seriesRows, eventRows, toCsv } from '../www/js/utils/export.js';
+
+const T0 = Date.UTC(2024, 4, 6, 8, 0);
+
+describe('export rows', () => {
+  it('keeps bucket min/max next to the mean value', () => {
+    const rows = seriesRows([{ time: T0, value: 21.5, min: 21, max: 22 }, { time: T0 + 60000, value: 22 }],
+      { room: 'Study', measurement: 'temperature' });
+    expect(rows).toEqual([
+      { timestamp: '2024-05-06T08:00:00.000Z', room: 'Study', measurement: 'temperature', value: 21.5, min: 21, max: 22 },
+      { timestamp: '2024-05-06T08:01:00.000Z', room: 'Study', measurement: 'temperature', value: 22 }
+    ]);
+  });
+
+  it('drops object fields from events', () => {
+    expect(eventRows([{ time: T0, device: 'Front Door', state: 'open', info: { icon: '🚪' } }]))
+      .toEqual([{ timestamp: '2024-05-06T08:00:00.000Z', device: 'Front Door', state: 'open' }]);
+  });
+});
+
+describe('toCsv', () => {
+  it('writes the union of columns and quotes fields that need it', () => {
+    const csv = toCsv([
+      { timestamp: 'a', device: 'Sensor, "left"' },
+      { timestamp: 'b', value: 1, note: 'two\nlines' }
+    ]);
+    expect(csv).toBe(
+      'timestamp,device,value,note\r\n' +
+      'a,"Sensor, ""left""",,\r\n' +
+      'b,,1,"two\nlines"\r\n'
+    );
+  });
+
+  it('stops text that starts like a formula from running in spreadsheets', () => {
+    const csv = toCsv([
+      { device: '=HYPERLINK("http://example.com","Study")', value: -3.5 },
+      { device: '+1 Sensor', value: 0 },
+      { device: '-Sensor', value: null },
+      { device: '@SUM(A1)', value: 2 }
+    ]);
+    expect(csv.split('\r\n')).toEqual([
+      'device,value',
+      '"\'=HYPERLINK(""http://example.com"",""Study"")",-3.5',
+      "'+1 Sensor,0",
+      "'-Sensor,",
+      "'@SUM(A1),2",
+      ''
+    ]);
+  });
+});
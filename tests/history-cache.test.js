@@ -0,0 +1,166 @@
+/**
+ * History Cache Tests
+ * IndexedDB series storage, eviction and topping up cached history
+ */
+
+import './setup.js';
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest';
+import {
+  readSeries, writeSeries, seriesKey, clearHistoryCache, topUpRange, mergeTopUp, appendNewer
+} from '../www/js/utils/history-cache.js';
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date(2024, 4, 6, 8, 0).getTime();
+
+const points = (...hours) => hours.map(h => ({ time: T0 + h * HOUR, value: 20 + h }));
+
+/**
+ * In-memory IndexedDB with the parts the cache uses: one object store,
+ * a savedAt index walked with a cursor, and transactions completing once
+ * their requests have run
+ */
+function createFakeIndexedDB(records) {
+  const db = {
+    createObjectStore: () => ({ createIndex() {} }),
+    transaction() {
+      const tx = { oncomplete: null, onerror: null, objectStore: () => store };
+      let pending = 0;
+      const schedule = (fn) => {
+        pending++;
+        queueMicrotask(() => {
+          fn();
+          if (--pending === 0) queueMicrotask(() => tx.oncomplete?.());
+        });
+      };
+      const request = (compute) => {
+        const req = { result: null, onsuccess: null };
+        schedule(() => {
+          req.result = compute();
+          req.onsuccess?.({ target: req });
+        });
+        return req;
+      };
+      const store = {
+        get: (key) => request(() => structuredClone(records.get(key))),
+        put: (record) => request(() => records.set(record.key, structuredClone(record))),
+        clear: () => request(() => records.clear()),
+        count: () => request(() => records.size),
+        index: () => ({
+          openCursor() {
+            const sorted = [...records.values()].sort((a, b) => a.savedAt - b.savedAt);
+            const req = { result: null, onsuccess: null };
+            let i = 0;
+            const step = () => schedule(() => {
+              const value = sorted[i];
+              req.result = value
+                ? { value, delete: () => records.delete(value.key), continue: () => { i++; step(); } }
+                : null;
+              req.onsuccess?.({ target: req });
+            });
+            step();
+            return req;
+          }
+        })
+      };
+      return tx;
+    }
+  };
+
+  return {
+    open() {
+      const req = { result: db, onupgradeneeded: null, onsuccess: null, onerror: null };
+      queueMicrotask(() => {
+        req.onupgradeneeded?.();
+        req.onsuccess?.();
+      });
+      return req;
+    }
+  };
+}
+
+describe('IndexedDB series cache', () => {
+  const records = new Map();
+  let now;
+
+  beforeAll(() => {
+    // The database is opened once per page, so the fake is shared by every test
+    globalThis.window.indexedDB = createFakeIndexedDB(records);
+    globalThis.indexedDB = globalThis.window.indexedDB;
+  });
+
+  beforeEach(async () => {
+    await clearHistoryCache();
+    now = T0;
+    vi.spyOn(Date, 'now').mockImplementation(() => now++);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('reads back what was written, null for unknown series', async () => {
+    const key = seriesKey('temperature', 'sensor.study_climate_temperature');
+    expect(key).toBe('temperature/sensor.study_climate_temperature');
+
+    await writeSeries(key, points(0, 1, 2));
+    expect(await readSeries(key)).toEqual(points(0, 1, 2));
+    expect(await readSeries('humidity/sensor.unknown')).toBeNull();
+  });
+
+  it('keeps the newest 5000 points of a series', async () => {
+    const long = Array.from({ length: 5200 }, (_, i) => ({ time: T0 + i * 60000, value: i }));
+    await writeSeries('temperature/long', long);
+    const cached = await readSeries('temperature/long');
+    expect(cached).toHaveLength(5000);
+    expect(cached[0]).toEqual(long[200]);
+  });
+
+  it('evicts the least recently saved series beyond 64', async () => {
+    for (let i = 0; i < 64; i++) await writeSeries(`temperature/sensor_${i}`, points(0));
+    // Saving again makes sensor_0 the most recent
+    await writeSeries('temperature/sensor_0', points(1));
+    await writeSeries('temperature/sensor_64', points(0));
+    await writeSeries('temperature/sensor_65', points(0));
+
+    expect(records.size).toBe(64);
+    expect(await readSeries('temperature/sensor_0')).toEqual(points(1));
+    expect(await readSeries('temperature/sensor_1')).toBeNull();
+    expect(await readSeries('temperature/sensor_2')).toBeNull();
+    expect(await readSeries('temperature/sensor_3')).toEqual(points(0));
+    expect(await readSeries('temperature/sensor_65')).toEqual(points(0));
+  });
+
+  it('clears every series', async () => {
+    await writeSeries('temperature/a', points(0));
+    await writeSeries('humidity/a', points(0));
+    await clearHistoryCache();
+    expect(records.size).toBe(0);
+    expect(await readSeries('temperature/a')).toBeNull();
+  });
+});
+
+describe('topping up cached history', () => {
+  it('re-queries from the last cached point inside the window', () => {
+    const { kept, start } = topUpRange(points(-8, -7, 0, 1, 2), T0 - 6 * HOUR);
+    expect(kept).toEqual(points(0, 1, 2));
+    expect(start).toBe(T0 + 2 * HOUR);
+  });
+
+  it('queries the whole window when nothing cached is recent enough', () => {
+    expect(topUpRange(points(-8, -7), T0 - 6 * HOUR)).toEqual({ kept: [], start: undefined });
+    expect(topUpRange([], T0)).toEqual({ kept: [], start: undefined });
+  });
+
+  it('replaces the possibly partial last bucket with the re-queried points', () => {
+    const kept = [...points(0, 1), { time: T0 + 2 * HOUR, value: 99 }];
+    const fresh = points(2, 3);
+    expect(mergeTopUp(kept, T0 + 2 * HOUR, fresh, 500)).toEqual(points(0, 1, 2, 3));
+    expect(mergeTopUp(kept, T0 + 2 * HOUR, fresh, 2)).toEqual(points(2, 3));
+    expect(mergeTopUp([], undefined, fresh, 500)).toEqual(fresh);
+  });
+
+  it('appends only live points newer than the loaded history', () => {
+    const live = points(1, 3, 4);
+    expect(appendNewer(points(0, 1, 2), live)).toEqual(points(0, 1, 2, 3, 4));
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Home Assistant Data Source Tests
+ * WebSocket frames ↔ Zigbee2MQTT messages, commands, and history series
+ */
+
+import './setup.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { CONFIG } from '../www/js/config.js';
+import {
+  createHomeAssistantClient, statePayload, dashboardEventType, queryHomeAssistantSeries
+} from '../www/js/utils/home-assistant.js';
+
+const BASE = 'zigbee2mqtt';
+const STUDY = '[Study] Climate';
+const THERMOSTAT = '[Study] Thermostat';
+
+const state = (entityId, value, attributes = {}) => ({
+  entity_id: entityId,
+  state: value,
+  attributes,
+  last_updated: '2024-05-06T02:00:00.000Z'
+});
+
+/**
+ * WebSocket stand-in answering Home Assistant commands from `results`
+ */
+class FakeSocket {
+  static last = null;
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeSocket.last = this;
+    setTimeout(() => this.receive({ type: 'auth_required' }));
+  }
+
+  receive(frame) {
+    this.onmessage({ data: JSON.stringify(frame) });
+  }
+
+  send(text) {
+    const frame = JSON.parse(text);
+    this.sent.push(frame);
+    if (frame.type === 'auth') {
+      setTimeout(() => this.receive(frame.access_token === 'good' ? { type: 'auth_ok' } : { type: 'auth_invalid', message: 'Invalid access token' }));
+      return;
+    }
+    const result = FakeSocket.results[frame.type];
+    const failed = result instanceof Error;
+    setTimeout(() => this.receive({
+      id: frame.id,
+      type: 'result',
+      success: !failed,
+      result: failed ? null : (typeof result === 'function' ? result(frame) : result ?? null),
+      error: failed ? { message: result.message } : undefined
+    }));
+  }
+
+  close() {
+    this.onclose?.();
+  }
+
+  sentOfType(type) {
+    return this.sent.filter(f => f.type === type);
+  }
+}
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+const settle = async () => { for (let i = 0; i < 10; i++) await flush(); };
+
+/**
+ * Connected client with every delivered message recorded
+ */
+async function connect(token = 'good') {
+  const client = createHomeAssistantClient({ haUrl: 'http://ha.local:8123', haToken: token, baseTopic: BASE });
+  const messages = [];
+  const errors = [];
+  client.on('message', (topic, text, { retain }) => messages.push({ topic, payload: text === '' ? '' : JSON.parse(text), retain }));
+  client.on('error', (err) => errors.push(err));
+  client.subscribe(`${BASE}/${STUDY}`);
+  client.subscribe(`${BASE}/${THERMOSTAT}`);
+  client.subscribe('dashboard/#');
+  await settle();
+  return { client, messages, errors, socket: FakeSocket.last };
+}
+
+beforeEach(() => {
+  vi.stubGlobal('WebSocket', FakeSocket);
+  vi.spyOn(console, 'warn').mockImplementation(() => {});
+  FakeSocket.results = {
+    'config/device_registry/list': [],
+    'config/entity_registry/list': [],
+    get_states: [
+      state('sensor.study_climate_temperature', '21.5'),
+      state('sensor.study_climate_humidity', '48'),
+      state('climate.study_thermostat', 'heat', { current_temperature: 20, temperature: 21, hvac_action: 'heating' })
+    ],
+    'frontend/get_user_data': { value: { 'dashboard/config/home': { version: 1, rooms: [] } } }
+  };
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('statePayload', () => {
+  it('maps whole-device and property entities', () => {
+    expect(statePayload('sensor', 'temperature', { state: '21.5' })).toEqual({ temperature: 21.5 });
+    expect(statePayload('binary_sensor', 'contact', { state: 'on' })).toEqual({ contact: false });
+    expect(statePayload('light', null, { state: 'on', attributes: { brightness: 128, color_temp_kelvin: 4000 } }))
+      .toEqual({ state: 'ON', brightness: 128, color_temp: 250 });
+    expect(statePayload('climate', null, { state: 'heat', attributes: { current_temperature: 20, temperature: 21, hvac_action: 'idle' } }))
+      .toEqual({ local_temperature: 20, occupied_heating_setpoint: 21, system_mode: 'heat', running_state: 'idle' });
+  });
+
+  it('names dashboard events after their topic', () => {
+    expect(dashboardEventType('dashboard/audit/thermostat')).toBe('dashboard_audit_thermostat');
+  });
+});
+
+describe('WebSocket client', () => {
+  it('authenticates, then delivers the current states as retained messages', async () => {
+    const { messages, socket } = await connect();
+
+    expect(socket.url).toBe('ws://ha.local:8123/api/websocket');
+    expect(socket.sent[0]).toEqual({ type: 'auth', access_token: 'good' });
+    expect(socket.sentOfType('subscribe_events')[0].event_type).toBe('state_changed');
+    expect(messages).toContainEqual({
+      topic: `${BASE}/${STUDY}`,
+      payload: { temperature: 21.5, humidity: 48, last_seen: '2024-05-06T02:00:00.000Z' },
+      retain: true
+    });
+    expect(messages).toContainEqual({ topic: `${BASE}/${STUDY}/availability`, payload: { state: 'online' }, retain: true });
+    expect(messages).toContainEqual({
+      topic: `${BASE}/${THERMOSTAT}`,
+      payload: { local_temperature: 20, occupied_heating_setpoint: 21, system_mode: 'heat', running_state: 'heat', last_seen: '2024-05-06T02:00:00.000Z' },
+      retain: true
+    });
+    expect(messages).toContainEqual({ topic: 'dashboard/config/home', payload: { version: 1, rooms: [] }, retain: true });
+  });
+
+  it('turns state_changed events into partial updates and availability changes', async () => {
+    const { messages, socket } = await connect();
+    messages.length = 0;
+
+    socket.receive({ type: 'event', event: { event_type: 'state_changed', data: {
+      entity_id: 'sensor.study_climate_temperature',
+      new_state: { ...state('sensor.study_climate_temperature', '22'), last_updated: '2024-05-06T02:05:00.000Z' }
+    } } });
+    expect(messages).toEqual([
+      { topic: `${BASE}/${STUDY}`, payload: { temperature: 22, last_seen: '2024-05-06T02:05:00.000Z' }, retain: false }
+    ]);
+
+    ['sensor.study_climate_temperature', 'sensor.study_climate_humidity'].forEach(entityId => {
+      socket.receive({ type: 'event', event: { event_type: 'state_changed', data: { entity_id: entityId, new_state: state(entityId, 'unavailable') } } });
+    });
+    expect(messages).toContainEqual({ topic: `${BASE}/${STUDY}/availability`, payload: { state: 'offline' }, retain: false });
+  });
+
+  it('reports a rejected token as an authentication error', async () => {
+    const { errors } = await connect('bad');
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ message: 'Invalid access token', code: 4 });
+  });
+
+  it('turns /set commands into service calls', async () => {
+    const { client, socket } = await connect();
+    const done = vi.fn();
+    client.publish(`${BASE}/${THERMOSTAT}/set`, JSON.stringify({ occupied_heating_setpoint: 22.5 }), { qos: 1 }, done);
+    await settle();
+
+    expect(socket.sentOfType('call_service')).toEqual([expect.objectContaining({
+      domain: 'climate',
+      service: 'set_temperature',
+      service_data: { temperature: 22.5 },
+      target: { entity_id: 'climate.study_thermostat' }
+    })]);
+    expect(done).toHaveBeenCalledWith();
+  });
+
+  it('saves retained dashboard topics to the frontend user data and echoes them', async () => {
+    const { client, messages, socket } = await connect();
+    messages.length = 0;
+    const done = vi.fn();
+    client.publish('dashboard/sensors/positions', JSON.stringify({ version: 2, positions: {} }), { retain: true, qos: 1 }, done);
+    await settle();
+
+    expect(socket.sentOfType('frontend/set_user_data')).toEqual([expect.objectContaining({
+      key: 'floor_plan_dashboard',
+      value: { 'dashboard/config/home': { version: 1, rooms: [] }, 'dashboard/sensors/positions': { version: 2, positions: {} } }
+    })]);
+    expect(messages).toEqual([{ topic: 'dashboard/sensors/positions', payload: { version: 2, positions: {} }, retain: false }]);
+    expect(done).toHaveBeenCalledWith();
+
+    // An empty retained message clears the topic
+    client.publish('dashboard/config/home', '', { retain: true, qos: 1 });
+    await settle();
+    expect(socket.sentOfType('frontend/set_user_data')[1].value).toEqual({ 'dashboard/sensors/positions': { version: 2, positions: {} } });
+  });
+
+  it('fires other dashboard messages as events', async () => {
+    const { client, socket } = await connect();
+    client.publish('dashboard/audit/thermostat', JSON.stringify({ device: THERMOSTAT, to: 22 }), { qos: 0 });
+    await settle();
+    expect(socket.sentOfType('fire_event')).toEqual([expect.objectContaining({
+      event_type: 'dashboard_audit_thermostat',
+      event_data: { device: THERMOSTAT, to: 22 }
+    })]);
+  });
+
+  it('fails bridge requests and failed commands through the callback', async () => {
+    FakeSocket.results.fire_event = new Error('Unauthorized');
+    const { client } = await connect();
+
+    const bridge = vi.fn();
+    client.publish(`${BASE}/bridge/request/permit_join`, JSON.stringify({ time: 254 }), { qos: 1 }, bridge);
+    const audit = vi.fn();
+    client.publish('dashboard/audit/thermostat', JSON.stringify({}), { qos: 0 }, audit);
+    await settle();
+
+    expect(bridge.mock.calls[0][0].message).toMatch(/No Home Assistant equivalent/);
+    expect(audit.mock.calls[0][0].message).toBe('Unauthorized');
+  });
+});
+
+describe('queryHomeAssistantSeries', () => {
+  const START = Date.parse('2024-05-06T00:00:00Z');
+  const END = START + 60 * 60 * 1000;
+
+  beforeEach(() => {
+    CONFIG.haUrl = 'http://ha.local:8123';
+    vi.stubGlobal('fetch', vi.fn(async () => ({
+      ok: true,
+      json: async () => [[
+        { entity_id: 'sensor.study_climate_temperature', state: '20', last_changed: '2024-05-05T23:50:00Z' },
+        { state: '21', last_changed: '2024-05-06T00:10:00Z' },
+        { state: 'unavailable', last_changed: '2024-05-06T00:20:00Z' },
+        { state: '23', last_changed: '2024-05-06T00:25:00Z' }
+      ]]
+    })));
+  });
+
+  it('maps state changes to points, the first one at the window start', async () => {
+    const points = await queryHomeAssistantSeries({ measurement: '°C', entityId: 'sensor.study_climate_temperature', start: START, end: END });
+    expect(points).toEqual([
+      { time: START, value: 20 },
+      { time: START + 10 * 60000, value: 21 },
+      { time: START + 25 * 60000, value: 23 }
+    ]);
+
+    const url = new URL(fetch.mock.calls[0][0]);
+    expect(url.pathname).toBe('/api/history/period/2024-05-06T00:00:00.000Z');
+    expect(url.searchParams.get('filter_entity_id')).toBe('sensor.study_climate_temperature');
+  });
+
+  it('downsamples into epoch-aligned buckets with min and max', async () => {
+    const points = await queryHomeAssistantSeries({
+      measurement: '°C', entityId: 'sensor.study_climate_temperature', start: START, end: END, bucketMs: 15 * 60000
+    });
+    expect(points).toEqual([
+      { time: START, value: 20.5, min: 20, max: 21 },
+      { time: START + 15 * 60000, value: 23, min: 23, max: 23 }
+    ]);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * InfluxDB Query Client Tests
+ * Escaping helpers, bucket sizes, and the queries querySeries builds for
+ * InfluxQL and Flux
+ */
+
+import './setup.js';
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { CONFIG } from '../www/js/config.js';
+import {
+  quoteString, quoteIdentifier, fluxString, regexLiteral, duration, durationMs, bucketFor, querySeries
+} from '../www/js/utils/influx.js';
+
+/**
+ * Stub fetch with a fixed response and return the mock
+ */
+function stubFetch(body, { text = false } = {}) {
+  const fetchMock = vi.fn(async () => ({
+    ok: true,
+    status: 200,
+    json: async () => body,
+    text: async () => (text ? body : JSON.stringify(body))
+  }));
+  vi.stubGlobal('fetch', fetchMock);
+  return fetchMock;
+}
+
+function influxQLFrom(fetchMock) {
+  return new URL(fetchMock.mock.calls[0][0]).searchParams.get('q');
+}
+
+function fluxFrom(fetchMock) {
+  return JSON.parse(fetchMock.mock.calls[0][1].body).query;
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  CONFIG.influxVersion = 1;
+});
+
+describe('escaping', () => {
+  it('quotes InfluxQL strings and identifiers', () => {
+    expect(quoteString("[Study] Bob's Climate")).toBe("'[Study] Bob\\'s Climate'");
+    expect(quoteString('a\\b')).toBe("'a\\\\b'");
+    expect(quoteIdentifier('say "hi"')).toBe('"say \\"hi\\""');
+  });
+
+  it('quotes Flux strings without interpolation', () => {
+    expect(fluxString('a "b" ${c}')).toBe('"a \\"b\\" \\${c}"');
+  });
+
+  it('escapes slashes in regex literals', () => {
+    expect(regexLiteral(/co2.*temperature/)).toBe('/co2.*temperature/');
+    expect(regexLiteral(/a\/b/)).toBe('/a\\/b/');
+    expect(regexLiteral(/[/]x/)).toBe('/[\\/]x/');
+    expect(regexLiteral('living/room')).toBe('/living\\/room/');
+  });
+
+  it('validates duration literals', () => {
+    expect(duration('15m')).toBe('15m');
+    expect(durationMs('2h')).toBe(7200000);
+    expect(() => duration('1h; DROP')).toThrow(/Invalid InfluxDB duration/);
+  });
+});
+
+describe('querySeries (InfluxQL)', () => {
+  it('keeps a slash in an entity pattern inside the regex literal', async () => {
+    const fetchMock = stubFetch({ results: [{}] });
+    await querySeries({ measurement: '°C', entityIdPattern: /[/]temp/, range: '1h' });
+    expect(influxQLFrom(fetchMock)).toContain('entity_id =~ /[\\/]temp/ AND');
+  });
+
+  it('returns raw points as { time, value }', async () => {
+    stubFetch({ results: [{ series: [{ name: '°C', columns: ['time', 'value'], values: [[1000, 21.5], [2000, null], [3000, 22]] }] }] });
+    const series = await querySeries({ measurement: '°C', entityId: 'sensor.study', range: '1h' });
+    expect(series).toEqual([{ time: 1000, value: 21.5 }, { time: 3000, value: 22 }]);
+  });
+
+  it('escapes the entity id', async () => {
+    const fetchMock = stubFetch({ results: [{}] });
+    await querySeries({ measurement: '°C', entityId: "it's", range: '1h' });
+    expect(influxQLFrom(fetchMock)).toContain("entity_id = 'it\\'s'");
+  });
+});
+
+describe('bucketFor', () => {
+  it('returns raw points when a bucket would be under a minute', () => {
+    expect(bucketFor('6h', 700)).toBeNull();
+    expect(bucketFor(10 * 60 * 60 * 1000, 700)).toBeNull();
+  });
+
+  it('picks the smallest bucket that fits the range', () => {
+    expect(bucketFor('24h', 700)).toBe('5m');
+    expect(bucketFor('7d', 700)).toBe('15m');
+    expect(bucketFor(24 * 60 * 60 * 1000, 24)).toBe('1h');
+  });
+
+  it('caps at one day', () => {
+    expect(bucketFor('365d', 10)).toBe('1d');
+  });
+});
+
+describe('querySeries (Flux)', () => {
+  const CSV = [
+    '#datatype,string,long,dateTime:RFC3339,double,double,double',
+    ',result,table,_time,value,min,max',
+    ',_result,0,2024-05-01T00:00:00Z,21.5,21,22',
+    ',_result,0,2024-05-01T00:05:00Z,22,"21.5",22.5',
+    ''
+  ].join('\r\n');
+
+  it('stamps buckets with their start and escapes the entity pattern', async () => {
+    CONFIG.influxVersion = 2;
+    const fetchMock = stubFetch('', { text: true });
+    await querySeries({ measurement: '°C', entityIdPattern: /[/]temp/, range: '24h', every: '5m' });
+
+    const flux = fluxFrom(fetchMock);
+    expect(flux).toContain('r.entity_id =~ /[\\/]temp/)');
+    expect(flux.match(/timeSrc: "_start"/g)).toHaveLength(3);
+  });
+
+  it('parses annotated CSV into the same shape as InfluxQL', async () => {
+    CONFIG.influxVersion = 2;
+    stubFetch(CSV, { text: true });
+    const series = await querySeries({ measurement: '°C', entityId: 'sensor.study', range: '24h', every: '5m' });
+
+    expect(series).toEqual([
+      { time: Date.parse('2024-05-01T00:00:00Z'), value: 21.5, min: 21, max: 22 },
+      { time: Date.parse('2024-05-01T00:05:00Z'), value: 22, min: 21.5, max: 22.5 }
+    ]);
+  });
+});
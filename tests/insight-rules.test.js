@@ -0,0 +1,172 @@
+/**
+ * Insight Rules Tests
+ * Evaluating user-defined rules against rooms, running them next to the
+ * InsightEngine built-ins, and validating them
+ */
+
+import './setup.js';
+import { describe, it, expect } from 'vitest';
+import { evaluateInsightRules, describeRule, fillTemplate } from '../www/js/utils/insight-rules.js';
+import { validateConfig } from '../www/js/utils/config-validator.js';
+import { InsightEngine } from '../www/js/utils/insights.js';
+import { BUILTIN_INSIGHTS } from '../www/js/config.js';
+
+const MINUTE_MS = 60 * 1000;
+const NOW = new Date(2024, 4, 6, 12, 0).getTime();   // Monday noon, local time
+
+// One point every 10 minutes, the last one at NOW
+const history = (values) => values.map((value, i) => ({ time: NOW - (values.length - 1 - i) * 10 * MINUTE_MS, value }));
+
+const rooms = [
+  {
+    id: 'bathroom',
+    name: 'Bathroom',
+    temperature: 22,
+    humidity: 78,
+    humidHistory: history([75, 76, 77, 78]),
+    tempHistory: history([20, 20.5, 21, 22]),
+    sensors: [{ name: '[Bathroom] Climate', label: 'Primary', type: 'climate', battery: 8 }]
+  },
+  {
+    id: 'living',
+    name: 'Living',
+    temperature: 21,
+    humidity: 50,
+    humidHistory: history([50, 50, 50, 50]),
+    tempHistory: history([21, 21, 21, 21]),
+    sensors: [{ name: '[Living] Climate', label: 'Primary', type: 'climate', battery: 90 }]
+  }
+];
+
+const rule = (overrides) => ({
+  id: 'rule',
+  enabled: true,
+  target: 'room',
+  roomId: '',
+  metric: 'humidity',
+  operator: 'above',
+  value: 70,
+  duration: 0,
+  severity: 'warning',
+  icon: '💧',
+  title: 'DAMP',
+  message: '{room} at {value}{unit}',
+  ...overrides
+});
+
+const evaluate = (rules) => evaluateInsightRules(rules, rooms, {}, NOW);
+
+describe('evaluateInsightRules', () => {
+  it('turns each matching room into an insight', () => {
+    expect(evaluate([rule({ duration: 30, message: '{room} at {value}{unit} for {duration} min' })])).toEqual([{
+      type: 'warning',
+      icon: '💧',
+      title: 'DAMP',
+      message: 'Bathroom at 78% for 30 min',
+      priority: 3,
+      relatedRooms: ['Bathroom'],
+      ruleId: 'rule'
+    }]);
+  });
+
+  it('needs history covering the whole duration', () => {
+    expect(evaluate([rule({ duration: 60 })])).toEqual([]);
+  });
+
+  it('needs the condition to hold at every point of the duration', () => {
+    expect(evaluate([rule({ value: 75.5, duration: 30 })])).toEqual([]);
+    expect(evaluate([rule({ value: 75.5, duration: 20 })])).toHaveLength(1);
+  });
+
+  it('measures rises over the duration', () => {
+    const warming = rule({ metric: 'temperature', operator: 'rises', value: 1.5, duration: 30, message: '{room} {change}{unit}' });
+    expect(evaluate([warming]).map(i => i.message)).toEqual(['Bathroom +2.0°C']);
+    expect(evaluate([{ ...warming, value: 2.5 }])).toEqual([]);
+  });
+
+  it('tests sensors when targeted at them', () => {
+    const battery = rule({ target: 'sensor', metric: 'battery', operator: 'below', value: 10, severity: 'alert', message: '{sensor} in {room} at {value}{unit}' });
+    expect(evaluate([battery])).toMatchObject([{ type: 'alert', priority: 4, message: 'Primary in Bathroom at 8%' }]);
+  });
+
+  it('skips disabled rules, other rooms and times outside the window', () => {
+    expect(evaluate([rule({ enabled: false })])).toEqual([]);
+    expect(evaluate([rule({ roomId: 'living' })])).toEqual([]);
+    expect(evaluate([rule({ window: { start: '22:00', end: '07:00' } })])).toEqual([]);
+    expect(evaluate([rule({ window: { start: '09:00', end: '17:00', days: [1] } })])).toHaveLength(1);
+  });
+});
+
+describe('InsightEngine', () => {
+  const allOff = BUILTIN_INSIGHTS.map(b => b.id);
+
+  it('adds rule insights to the built-ins', () => {
+    const insights = new InsightEngine(rooms, [], { insightRules: [rule({ title: 'DAMP RULE' })] }).generateAll();
+    expect(insights.some(i => i.ruleId === 'rule')).toBe(true);
+    expect(insights.some(i => !i.ruleId)).toBe(true);
+  });
+
+  it('skips switched off built-ins', () => {
+    const insights = new InsightEngine(rooms, [], { insightRules: [rule({})], disabledInsights: allOff }).generateAll();
+    expect(insights.map(i => i.ruleId)).toEqual(['rule']);
+    expect(new InsightEngine(rooms, [], { disabledInsights: allOff }).generateAll()).toEqual([]);
+  });
+});
+
+describe('describeRule / fillTemplate', () => {
+  it('summarises a rule', () => {
+    expect(describeRule(rule({ duration: 30, window: { start: '22:00', end: '07:00' } }), rooms))
+      .toBe('Humidity of each room is above 70% for 30 min (22:00–07:00)');
+    expect(describeRule(rule({ metric: 'temperature', operator: 'rises', value: 1.5, duration: 30, roomId: 'bathroom' }), rooms))
+      .toBe('Temperature of Bathroom rises by 1.5°C within 30 min');
+  });
+
+  it('leaves unknown placeholders as typed', () => {
+    expect(fillTemplate('{room} {nope}', { room: 'Study' })).toBe('Study {nope}');
+  });
+});
+
+describe('validateConfig (insight rules)', () => {
+  const validate = (insightRules, disabledInsights = []) => validateConfig({
+    config: {},
+    home: {
+      rooms: [{ id: 'bathroom', name: 'Bathroom', sensor: '[Bathroom] Climate', entityId: 'bathroom' }],
+      thermostats: [],
+      roomSensors: {},
+      comfortProfiles: {},
+      comfortSchedule: [],
+      insightRules,
+      disabledInsights
+    },
+    floorPlan: { rooms: [] }
+  }).filter(issue => issue.area === 'insights');
+
+  it('accepts a valid rule', () => {
+    expect(validate([rule({ duration: 30 })])).toEqual([]);
+  });
+
+  it('reports broken rules', () => {
+    const messages = validate([
+      rule({}),
+      rule({ value: 'x', severity: 'meh', message: '', roomId: 'attic', window: { start: '25:00', end: '' } }),
+      rule({ id: 'battery', metric: 'battery', operator: 'rises' })
+    ]).map(issue => `${issue.severity}: ${issue.message}`);
+
+    expect(messages).toEqual(expect.arrayContaining([
+      'error: Duplicate insight rule id "rule"',
+      'error: Insight rule #2: threshold must be a number',
+      'error: Insight rule #2: unknown severity "meh"',
+      'warning: Insight rule #2: unknown room "attic"',
+      'error: Insight rule #2: time window needs start and end times (HH:MM)',
+      'error: Insight rule #2: message is empty',
+      "error: Insight rule #3: battery can't be read per room",
+      'error: Insight rule #3: rises / falls needs a duration to measure the change over'
+    ]));
+  });
+
+  it('warns about unknown built-in insights', () => {
+    expect(validate([], ['ventilation', 'nope'])).toEqual([
+      { severity: 'warning', area: 'insights', message: 'Unknown built-in insight "nope" is disabled' }
+    ]);
+  });
+});
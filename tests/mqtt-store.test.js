@@ -0,0 +1,258 @@
+/**
+ * MQTT Store Tests
+ * Subscription pattern matching used by the topic router, the offline
+ * command queue and JSONL session recording / replay
+ */
+
+import './setup.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { CONFIG } from '../www/js/config.js';
+import { downloadFile } from '../www/js/utils/download.js';
+import { topicMatches, initMqttStore } from '../www/js/stores/mqtt-store.js';
+
+vi.mock('../www/js/utils/download.js', () => ({
+  downloadFile: vi.fn(),
+  fileTimestamp: () => '2024-05-06T08-00-00'
+}));
+
+const THERMOSTAT = 'zigbee2mqtt/[Study] Thermostat/set';
+const LIGHT = 'zigbee2mqtt/[Study] IKEA Light/set';
+
+/**
+ * MQTT store registered on a minimal Alpine stand-in
+ */
+function createStore() {
+  const stores = {};
+  const Alpine = { store: (name, value) => (value ? (stores[name] = value) : stores[name]) };
+  initMqttStore(Alpine, CONFIG);
+  return stores.mqtt;
+}
+
+/**
+ * Connect the store to a client that records what it publishes
+ */
+function connect(store) {
+  const published = [];
+  store.client = {
+    publish: vi.fn((topic, message, options, callback) => {
+      published.push({ topic, payload: JSON.parse(message) });
+      callback?.();
+    })
+  };
+  store.connected = true;
+  return published;
+}
+
+describe('topicMatches', () => {
+  it('matches exact topics, including device names with spaces and brackets', () => {
+    expect(topicMatches('zigbee2mqtt/[Study] Climate', 'zigbee2mqtt/[Study] Climate')).toBe(true);
+    expect(topicMatches('zigbee2mqtt/[Study] Climate', 'zigbee2mqtt/[Study] Climate/set')).toBe(false);
+  });
+
+  it('matches one level with +', () => {
+    expect(topicMatches('zigbee2mqtt/+/availability', 'zigbee2mqtt/[Study] Climate/availability')).toBe(true);
+    expect(topicMatches('zigbee2mqtt/+/availability', 'zigbee2mqtt/a/b/availability')).toBe(false);
+    expect(topicMatches('zigbee2mqtt/+', 'zigbee2mqtt')).toBe(false);
+  });
+
+  it('matches the remaining levels with #', () => {
+    expect(topicMatches('zigbee2mqtt/#', 'zigbee2mqtt/bridge/devices')).toBe(true);
+    expect(topicMatches('zigbee2mqtt/#', 'zigbee2mqtt')).toBe(true);   // # includes the parent level
+    expect(topicMatches('#', 'dashboard/config/home')).toBe(true);
+    expect(topicMatches('dashboard/#', 'zigbee2mqtt/bridge')).toBe(false);
+  });
+});
+
+describe('offline command queue', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new Map();
+    vi.stubGlobal('localStorage', {
+      getItem: (key) => storage.get(key) ?? null,
+      setItem: (key, value) => storage.set(key, value)
+    });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2024, 4, 6, 8, 0));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('collapses commands that set the same keys on the same topic', () => {
+    const store = createStore();
+    const audit = (to) => [{ topic: 'dashboard/audit/thermostat', payload: { to } }];
+    store.publishCommand(THERMOSTAT, { occupied_heating_setpoint: 20 }, { preface: audit(20) });
+    store.publishCommand(THERMOSTAT, { occupied_heating_setpoint: 21 }, { preface: audit(21) });
+    store.publishCommand(THERMOSTAT, { system_mode: 'heat' });
+
+    expect(store.pendingCommands.map(c => c.payload)).toEqual([{ occupied_heating_setpoint: 21 }, { system_mode: 'heat' }]);
+    expect(store.pendingCommands[0].preface).toEqual([...audit(20), ...audit(21)]);
+    expect(store.hasPendingCommand(THERMOSTAT)).toBe(true);
+    expect(store.hasPendingCommand(LIGHT)).toBe(false);
+  });
+
+  it('keeps a queued command that sets keys the newer one does not', () => {
+    const store = createStore();
+    store.publishCommand(LIGHT, { brightness: 150, color_temp: 400 });
+    store.publishCommand(LIGHT, { brightness: 30 });
+    store.publishCommand(THERMOSTAT, { brightness: 30, color_temp: 250 });
+
+    expect(store.pendingCommands.map(c => [c.topic, c.payload])).toEqual([
+      [LIGHT, { brightness: 150, color_temp: 400 }],
+      [LIGHT, { brightness: 30 }],
+      [THERMOSTAT, { brightness: 30, color_temp: 250 }]
+    ]);
+  });
+
+  it('drops commands once their time-to-live has passed', () => {
+    const store = createStore();
+    store.publishCommand(LIGHT, { state: 'ON' }, { ttl: 60000 });
+    store.publishCommand(THERMOSTAT, { system_mode: 'heat' });
+
+    vi.advanceTimersByTime(60000);
+    store.pruneExpiredCommands();
+    expect(store.pendingCommands.map(c => c.topic)).toEqual([THERMOSTAT]);
+    expect(JSON.parse(storage.get('dashboard-command-queue'))).toHaveLength(1);
+
+    vi.advanceTimersByTime(CONFIG.commandQueueTtl);
+    const published = connect(store);
+    store.flushCommandQueue();
+    expect(published).toEqual([]);
+    expect(store.pendingCommands).toEqual([]);
+  });
+
+  it('replays queued commands in order, each after its preface', () => {
+    const store = createStore();
+    store.publishCommand(THERMOSTAT, { occupied_heating_setpoint: 22 }, {
+      preface: [{ topic: 'dashboard/audit/thermostat', payload: { to: 22 } }]
+    });
+    store.publishCommand(LIGHT, { state: 'ON' });
+    store.publishCommand(LIGHT, { brightness: 80 });
+
+    // A reload restores the queue from storage
+    const restored = createStore();
+    const published = connect(restored);
+    restored.flushCommandQueue();
+
+    expect(published).toEqual([
+      { topic: 'dashboard/audit/thermostat', payload: { to: 22 } },
+      { topic: THERMOSTAT, payload: { occupied_heating_setpoint: 22 } },
+      { topic: LIGHT, payload: { state: 'ON' } },
+      { topic: LIGHT, payload: { brightness: 80 } }
+    ]);
+    expect(restored.pendingCommands).toEqual([]);
+    expect(JSON.parse(storage.get('dashboard-command-queue'))).toEqual([]);
+  });
+
+  it('sends straight away while connected', () => {
+    const store = createStore();
+    const published = connect(store);
+    expect(store.publishCommand(LIGHT, { state: 'OFF' })).toBe('sent');
+    expect(published).toEqual([{ topic: LIGHT, payload: { state: 'OFF' } }]);
+    expect(store.pendingCommands).toEqual([]);
+  });
+});
+
+describe('session recording and replay', () => {
+  const CLIMATE = 'zigbee2mqtt/[Study] Climate';
+  const DEVICES = 'zigbee2mqtt/bridge/devices';
+
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date(2024, 4, 6, 8, 0));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    downloadFile.mockClear();
+  });
+
+  /**
+   * Every message a store delivers to its handlers: [topic, payload, retain]
+   */
+  function listen(store) {
+    const delivered = [];
+    store.subscribe('#', (payload, topic, packet) => delivered.push([topic, payload, !!packet.retain]));
+    return delivered;
+  }
+
+  function record() {
+    const store = createStore();
+    store._handleMessage(DEVICES, '[{"friendly_name":"[Study] Climate"}]', { retain: true });
+    store.startRecording();
+    store._handleMessage(CLIMATE, '{"temperature":21.5}', { retain: false });
+    vi.advanceTimersByTime(2000);
+    store._handleMessage(`${CLIMATE}/availability`, 'online', { retain: true });
+    store.stopRecording();
+    store._handleMessage(CLIMATE, '{"temperature":30}', { retain: false });
+    store.downloadRecording();
+    return downloadFile.mock.calls[0];
+  }
+
+  it('writes the retained state first, then one JSON line per message', () => {
+    const [filename, jsonl, mimeType] = record();
+    expect(filename).toBe('mqtt-session-2024-05-06T08-00-00.jsonl');
+    expect(mimeType).toBe('application/x-ndjson');
+
+    const start = new Date(2024, 4, 6, 8, 0).getTime();
+    expect(jsonl.trim().split('\n').map(line => JSON.parse(line))).toEqual([
+      { time: start, topic: DEVICES, payload: '[{"friendly_name":"[Study] Climate"}]', retain: true },
+      { time: start, topic: CLIMATE, payload: '{"temperature":21.5}', retain: false },
+      { time: start + 2000, topic: `${CLIMATE}/availability`, payload: 'online', retain: true }
+    ]);
+  });
+
+  it('replays a recording through the router in recorded order', () => {
+    const [, jsonl] = record();
+    const store = createStore();
+    const delivered = listen(store);
+
+    expect(store.startReplay(jsonl, 'session.jsonl')).toBe(3);
+    vi.advanceTimersByTime(0);
+    expect(delivered).toEqual([
+      [DEVICES, [{ friendly_name: '[Study] Climate' }], true],
+      [CLIMATE, { temperature: 21.5 }, false]
+    ]);
+
+    vi.advanceTimersByTime(2000);
+    expect(delivered[2]).toEqual([`${CLIMATE}/availability`, 'online', true]);
+    expect(store.replayPosition).toBe(3);
+  });
+
+  it('does not record replayed messages again', () => {
+    const [, jsonl] = record();
+    const store = createStore();
+    store.startRecording();
+    store.startReplay(jsonl, 'session.jsonl');
+    vi.advanceTimersByTime(5000);
+
+    expect(store.replayPosition).toBe(3);
+    expect(store.recordedCount).toBe(0);
+  });
+
+  it('accepts hand-written recordings and skips malformed lines', () => {
+    const store = createStore();
+    const delivered = listen(store);
+    const jsonl = [
+      JSON.stringify({ time: 2000, topic: CLIMATE, payload: { temperature: 22 } }),
+      'not json',
+      '',
+      JSON.stringify({ time: 1000, topic: CLIMATE, payload: { temperature: 21 }, retain: true }),
+      JSON.stringify({ time: 1500, payload: {} })
+    ].join('\n');
+
+    expect(store.startReplay(jsonl)).toBe(2);
+    vi.advanceTimersByTime(5000);
+    expect(delivered).toEqual([
+      [CLIMATE, { temperature: 21 }, true],
+      [CLIMATE, { temperature: 22 }, false]
+    ]);
+  });
+});
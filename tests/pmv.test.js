@@ -0,0 +1,74 @@
+/**
+ * PMV / PPD Tests
+ * ISO 7730 thermal comfort against the standard's Annex D examples, and the
+ * score the PMV comfort model gives
+ */
+
+import './setup.js';
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_COMFORT_PROFILE } from '../www/js/config.js';
+import {
+  calculatePMV, calculatePPD, getThermalSensation, getSensationLabel, calculateComfortComponents, isInComfortZone
+} from '../www/js/utils/comfort-algo.js';
+
+// ISO 7730:2005 Annex D, Table D.1 (still air, 60% RH, 1.2 met, 0.5 clo)
+const ISO_CASES = [
+  { temp: 22, radiantTemp: 22, pmv: -0.75, ppd: 17 },
+  { temp: 27, radiantTemp: 27, pmv: 0.77, ppd: 17 },
+  { temp: 23.5, radiantTemp: 25.5, pmv: -0.01, ppd: 5 }
+];
+
+describe('calculatePMV / calculatePPD', () => {
+  ISO_CASES.forEach(({ temp, radiantTemp, pmv, ppd }) => {
+    it(`matches ISO 7730 at ${temp}°C air, ${radiantTemp}°C radiant`, () => {
+      const result = calculatePMV({ temp, humidity: 60, radiantTemp, airSpeed: 0.1, metabolicRate: 1.2, clothing: 0.5 });
+      expect(result).toBeCloseTo(pmv, 1);
+      expect(Math.round(calculatePPD(result))).toBe(ppd);
+    });
+  });
+
+  it('never drops below 5% dissatisfied', () => {
+    expect(calculatePPD(0)).toBeCloseTo(5, 5);
+    expect(calculatePPD(-1)).toBeCloseTo(calculatePPD(1), 5);
+  });
+});
+
+describe('getThermalSensation', () => {
+  const pmvProfile = (pmv) => ({ ...DEFAULT_COMFORT_PROFILE, model: 'pmv', pmv: { ...DEFAULT_COMFORT_PROFILE.pmv, ...pmv } });
+
+  it('uses the radiant offset of the profile', () => {
+    const even = getThermalSensation(22, 50, pmvProfile({ radiantOffset: 0 }));
+    const coldWindows = getThermalSensation(22, 50, pmvProfile({ radiantOffset: -2 }));
+    expect(coldWindows.pmv).toBeLessThan(even.pmv);
+  });
+
+  it('feels warmer with more clothing', () => {
+    const light = getThermalSensation(19, 50, pmvProfile({ clothing: 0.5 }));
+    const duvet = getThermalSensation(19, 50, pmvProfile({ clothing: 2.8, metabolicRate: 0.8 }));
+    expect(duvet.pmv).toBeGreaterThan(light.pmv);
+    expect(getSensationLabel(duvet.pmv)).toBe('Neutral');
+  });
+
+  it('returns null without a reading', () => {
+    expect(getThermalSensation(null, 50)).toBeNull();
+  });
+});
+
+describe('PMV comfort model', () => {
+  const profile = { ...DEFAULT_COMFORT_PROFILE, model: 'pmv' };
+
+  it('scores from PPD - 100 at neutral, lower as more people are dissatisfied', () => {
+    const neutral = calculateComfortComponents(24.5, 50, { ...profile, pmv: { clothing: 0.5, metabolicRate: 1.2, airSpeed: 0.1, radiantOffset: 0 } });
+    const cold = calculateComfortComponents(16, 50, profile);
+    expect(neutral.score).toBeGreaterThanOrEqual(99);
+    expect(cold.score).toBeLessThan(neutral.score);
+    expect(cold.components[0]).toMatchObject({ key: 'thermal', inRange: false });
+    expect(cold.components[0].penalty).toBeCloseTo(100 - cold.components[0].points, 5);
+  });
+
+  it('treats |PMV| up to 0.5 as the comfort zone', () => {
+    const pmv = getThermalSensation(22, 50, profile).pmv;
+    expect(isInComfortZone(22, 50, profile)).toBe(Math.abs(pmv) <= 0.5);
+    expect(isInComfortZone(14, 50, profile)).toBe(false);
+  });
+});
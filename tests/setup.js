@@ -0,0 +1,9 @@
+/**
+ * Browser globals for unit tests
+ * config/app.js derives broker and InfluxDB URLs from window.location, so
+ * unit tests import this before any www/js module to load them under Node.
+ */
+
+globalThis.window ??= {
+  location: { hostname: 'localhost', protocol: 'http:', host: 'localhost', port: '', origin: 'http://localhost', search: '' }
+};
@@ -0,0 +1,83 @@
+/**
+ * Zigbee Device Helper Tests
+ * Room matching from `[Room] Description` names and derived room sensors
+ */
+
+import './setup.js';
+import { describe, it, expect } from 'vitest';
+import { createRoomMatcher, deriveRoomSensors } from '../www/js/utils/zigbee.js';
+
+const ROOMS = [
+  { id: 'living', name: 'Living Room', sensor: '[Living] Temperature & Humidity 6' },
+  { id: 'bedroom', name: 'Bedroom', sensor: null },
+  { id: 'bedroom_guest', name: 'Guest Bedroom', sensor: null },
+  { id: 'bathroom', name: 'Bathroom', sensor: null },
+  { id: 'study', name: 'Study', sensor: null }
+];
+
+const climate = (name) => ({
+  friendly_name: name,
+  definition: { exposes: [{ name: 'temperature' }, { name: 'humidity' }, { name: 'battery' }] }
+});
+const co2 = (name) => ({
+  friendly_name: name,
+  definition: { exposes: [{ name: 'co2' }, { name: 'temperature' }] }
+});
+const light = (name) => ({
+  friendly_name: name,
+  definition: { exposes: [{ type: 'light', features: [{ name: 'state' }, { name: 'brightness' }] }] }
+});
+
+describe('createRoomMatcher', () => {
+  it('matches room ids, names and prefixes of linked sensors case-insensitively', () => {
+    const match = createRoomMatcher(ROOMS, { study: { co2: [{ name: '[Office] CO2' }] } });
+    expect(match('Living')).toBe('living');
+    expect(match('living room')).toBe('living');
+    expect(match('STUDY')).toBe('study');
+    expect(match('Office')).toBe('study');
+    expect(match('Guest Bedroom')).toBe('bedroom_guest');
+  });
+
+  it('matches an abbreviated prefix only when a single room fits', () => {
+    const match = createRoomMatcher(ROOMS);
+    expect(match('Bath')).toBe('bathroom');
+    expect(match('Bed')).toBeNull();     // bedroom and bedroom_guest
+    expect(match('Guest')).toBe('bedroom_guest');
+    expect(match('Kitchen')).toBeNull();
+    expect(match(null)).toBeNull();
+  });
+});
+
+describe('deriveRoomSensors', () => {
+  const config = {
+    rooms: ROOMS,
+    roomSensors: { living: { climate: [{ name: '[Living] Temperature & Humidity 6', label: 'T&H', isPrimary: true }] } },
+    excludedSensors: ['[Study] Broken Sensor']
+  };
+
+  it('adds unclaimed sensors to their room by type', () => {
+    const devices = [
+      climate('[Living] Temperature & Humidity 6'),
+      co2('[Living] CO2'),
+      climate('[Bath] Temperature & Humidity'),
+      climate('[Study] Broken Sensor'),
+      climate('[Study] Desk'),
+      light('[Study] IKEA Light'),
+      climate('Unnamed Sensor')
+    ];
+    const result = deriveRoomSensors(config, devices);
+
+    expect(result.living).toEqual({
+      climate: [{ name: '[Living] Temperature & Humidity 6', label: 'T&H', isPrimary: true }],
+      co2: [{ name: '[Living] CO2', label: 'CO2', auto: true }]
+    });
+    expect(result.bathroom).toEqual({ climate: [{ name: '[Bath] Temperature & Humidity', label: 'Temperature & Humidity', auto: true, isPrimary: true }] });
+    expect(result.study).toEqual({ climate: [{ name: '[Study] Desk', label: 'Desk', auto: true, isPrimary: true }] });
+    expect(config.roomSensors.living.co2).toBeUndefined();  // Config is not modified
+  });
+
+  it('leaves sensors with an ambiguous or unknown room prefix unassigned', () => {
+    const result = deriveRoomSensors(config, [climate('[Bed] Temperature'), climate('[Garage] Temperature')]);
+    expect(Object.keys(result)).toEqual(['living']);
+  });
+});
@@ -5,13 +5,20 @@
 
 import { CONFIG, FLOOR_PLAN_CONFIG, TEMP_COLORS, HUMIDITY_COLORS, SENSOR_VISUALS } from './config.js';
 import { initMqttStore } from './stores/mqtt-store.js';
+import { initHomeConfigStore } from './stores/home-config-store.js';
 import { initRoomsStore } from './stores/rooms-store.js';
 import { initLightsStore } from './stores/lights-store.js';
 import { initRoomDetailStore } from './stores/room-detail-store.js';
 import { initSensorsStore } from './stores/sensors-store.js';
 import { initEventsStore } from './stores/events-store.js';
 import { initThermostatStore } from './stores/thermostat-store.js';
+import { initBridgeStore } from './stores/bridge-store.js';
+import { initConfigValidationStore } from './stores/config-validation-store.js';
 import { OrbitControls } from './three/orbit-controls.js';
+import { commandQueueComponent, getCommandQueueHTML } from './components/command-queue.js';
+import { mqttLoginComponent, getMqttLoginHTML } from './components/mqtt-login.js';
+import { bridgeStatusComponent, getBridgeStatusHTML } from './components/bridge-status.js';
+import { configBannerComponent, getConfigBannerHTML } from './components/config-banner.js';
 
 // Import view components
 import { comfortScoreView } from './views/comfort-score.js';
@@ -28,25 +35,59 @@ import { isometricView } from './views/isometric.js';
 import { networkView } from './views/network.js';
 import { thermostatView } from './views/thermostat.js';
 import { mailboxView } from './views/mailbox.js';
+import { mqttDiagnosticsView, getMqttDiagnosticsHTML } from './views/mqtt-diagnostics.js';
+import { homeConfigView, getHomeConfigHTML } from './views/home-config.js';
 
 // Make OrbitControls available to Three.js
 if (typeof THREE !== 'undefined') {
   THREE.OrbitControls = OrbitControls;
 }
 
+// ========================================
+// COMPONENT TEMPLATES
+// ========================================
+// Each template fills the page's <div data-mount="..."> slot of the same name,
+// in order, so a template can hold slots for later ones. Overlays without a
+// slot are appended to the body so they always render.
+const TEMPLATES = [
+  { name: 'command-queue', html: getCommandQueueHTML, overlay: true },
+  { name: 'diagnostics', html: getMqttDiagnosticsHTML },
+  { name: 'mqtt-login', html: getMqttLoginHTML, overlay: true },
+  { name: 'bridge-status', html: getBridgeStatusHTML },  // Slot is inside the diagnostics view
+  { name: 'home-config', html: getHomeConfigHTML },
+  { name: 'config-banner', html: getConfigBannerHTML, overlay: true }
+];
+
+function mountTemplates() {
+  TEMPLATES.forEach(({ name, html, overlay }) => {
+    const slots = document.querySelectorAll(`[data-mount="${name}"]`);
+    if (slots.length) {
+      slots.forEach(slot => { slot.innerHTML = html(); });
+    } else if (overlay) {
+      document.body.insertAdjacentHTML('beforeend', html());
+    }
+  });
+}
+
 // ========================================
 // ALPINE INITIALIZATION
 // ========================================
 document.addEventListener('alpine:init', () => {
+  // Templates go in before Alpine walks the DOM
+  mountTemplates();
+
   // Register stores
   Alpine.store('config', CONFIG);
   initMqttStore(Alpine, CONFIG);
+  initHomeConfigStore(Alpine, CONFIG);  // Before rooms/thermostats - they build from it
   initRoomsStore(Alpine, CONFIG);
   initLightsStore(Alpine, CONFIG);
   initRoomDetailStore(Alpine, CONFIG);
   initSensorsStore(Alpine, CONFIG);
   initEventsStore(Alpine, CONFIG);
   initThermostatStore(Alpine, CONFIG);
+  initBridgeStore(Alpine, CONFIG);
+  initConfigValidationStore(Alpine, CONFIG);
 
   // Load historical events on startup
   setTimeout(() => {
@@ -90,12 +131,19 @@ window.app = function() {
         this.now = Date.now();
       }, 1000);
 
-      // Check stale
-      setInterval(() => Alpine.store('rooms').checkStale(), 10000);
+      // Check stale sensors and expire old queued commands
+      setInterval(() => {
+        Alpine.store('rooms').checkStale();
+        Alpine.store('mqtt').pruneExpiredCommands();
+      }, 10000);
 
-      // Load historical data and connect MQTT
+      // Load historical data and connect MQTT (or replay a recorded session)
       Alpine.store('rooms').loadHistorical();
-      Alpine.store('mqtt').connect();
+      if (CONFIG.mqttReplayUrl) {
+        Alpine.store('mqtt').startReplayFromUrl(CONFIG.mqttReplayUrl);
+      } else {
+        Alpine.store('mqtt').connect();
+      }
 
       // Keyboard shortcuts are now handled by navigation component (single source)
       // Listen for view changes from navigation component
@@ -104,11 +152,6 @@ window.app = function() {
           this.currentView = e.detail.view;
         }
       });
-
-      // Initialize sensors store after MQTT connects
-      setTimeout(() => {
-        Alpine.store('sensors')?.init();
-      }, 1000);
     },
 
     setView(view) {
@@ -163,4 +206,22 @@ window.thermostatView = thermostatView;
 // Mailbox view
 window.mailboxView = mailboxView;
 
+// MQTT diagnostics view
+window.mqttDiagnosticsView = mqttDiagnosticsView;
+
+// Home configuration editor
+window.homeConfigView = homeConfigView;
+
+// Pending MQTT command queue (header badge)
+window.commandQueue = commandQueueComponent;
+
+// MQTT broker login prompt
+window.mqttLogin = mqttLoginComponent;
+
+// Zigbee2MQTT bridge health + pairing
+window.bridgeStatus = bridgeStatusComponent;
+
+// Startup banner for configuration problems
+window.configBanner = configBannerComponent;
+
 console.log('🏠 Smart Home Dashboard loaded (modular)');
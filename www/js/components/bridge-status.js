@@ -0,0 +1,147 @@
+/**
+ * Bridge Status Component
+ * Zigbee2MQTT bridge health, coordinator info, bridge log and pairing
+ * (permit join) controls
+ */
+
+/**
+ * Bridge status Alpine.js component
+ */
+export function bridgeStatusComponent() {
+  return {
+    showLog: false,
+    logLevel: 'all',             // 'all' | 'warning' | 'error'
+
+    get bridge() {
+      return Alpine.store('bridge');
+    },
+
+    get statusClass() {
+      if (!Alpine.store('mqtt').connected) return 'status-critical';
+      if (!this.bridge.pairingAvailable) return 'status-healthy';
+      if (this.bridge.state === 'online') return 'status-healthy';
+      if (this.bridge.state === 'offline') return 'status-critical';
+      return 'status-warning';
+    },
+
+    get statusLabel() {
+      if (!Alpine.store('mqtt').connected) return 'MQTT disconnected';
+      if (!this.bridge.pairingAvailable) return 'Connected through Home Assistant';
+      if (this.bridge.state === 'online') return 'Bridge online';
+      if (this.bridge.state === 'offline') return 'Bridge offline';
+      return 'Waiting for bridge';
+    },
+
+    get filteredLogs() {
+      if (this.logLevel === 'all') return this.bridge.logs;
+      const levels = this.logLevel === 'error' ? ['error'] : ['warning', 'warn', 'error'];
+      return this.bridge.logs.filter(l => levels.includes(l.level));
+    },
+
+    togglePermitJoin() {
+      if (this.bridge.permitJoinActive) {
+        this.bridge.disablePermitJoin();
+      } else {
+        this.bridge.permitJoin();
+      }
+    },
+
+    formatCountdown(seconds) {
+      if (seconds === null) return 'Open';
+      const minutes = Math.floor(seconds / 60);
+      return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    },
+
+    formatTime(timestamp) {
+      return new Date(timestamp).toLocaleTimeString('en-AU', {
+        hour: 'numeric', minute: '2-digit', second: '2-digit'
+      });
+    },
+
+    getEventLabel(event) {
+      const labels = {
+        device_joined: 'Joined',
+        device_interview: `Interview ${event.status}`,
+        device_announce: 'Announced',
+        device_leave: 'Left'
+      };
+      return labels[event.type] || event.type;
+    }
+  };
+}
+
+/**
+ * Bridge status panel HTML template
+ */
+export function getBridgeStatusHTML() {
+  return `
+    <div class="bridge-status" x-data="bridgeStatus()">
+      <div class="bridge-status-header">
+        <span class="bridge-status-dot" :class="statusClass"></span>
+        <span class="bridge-status-label" x-text="statusLabel"></span>
+        <span class="bridge-status-version" x-show="bridge.version" x-text="'Zigbee2MQTT ' + bridge.version"></span>
+      </div>
+
+      <div class="bridge-status-details" x-show="bridge.info">
+        <div x-show="bridge.coordinator">
+          <span class="bridge-status-key">Coordinator</span>
+          <span x-text="bridge.coordinator?.type + (bridge.coordinator?.revision ? ' (' + bridge.coordinator.revision + ')' : '')"></span>
+        </div>
+        <div x-show="bridge.network">
+          <span class="bridge-status-key">Channel</span>
+          <span x-text="bridge.network?.channel"></span>
+          <span class="bridge-status-key">PAN ID</span>
+          <span x-text="bridge.network?.panId"></span>
+        </div>
+      </div>
+
+      <!-- Pairing -->
+      <div class="bridge-permit-join" x-show="!bridge.pairingAvailable">
+        <span class="bridge-permit-error">Pairing is not available through Home Assistant - use the Zigbee2MQTT frontend.</span>
+      </div>
+      <div class="bridge-permit-join" x-show="bridge.pairingAvailable">
+        <button class="btn" :class="bridge.permitJoinActive ? 'btn-primary' : 'btn-secondary'"
+                @click="togglePermitJoin()"
+                :disabled="!$store.mqtt.connected || bridge.permitJoinPending">
+          <span x-text="bridge.permitJoinActive ? 'Stop pairing' : 'Pair new device'"></span>
+        </button>
+        <span class="bridge-permit-countdown" x-show="bridge.permitJoinActive"
+              x-text="'Joining open · ' + formatCountdown(bridge.permitJoinRemaining)"></span>
+        <span class="bridge-permit-error" x-show="bridge.permitJoinError" x-text="bridge.permitJoinError"></span>
+      </div>
+
+      <!-- Devices that joined while pairing -->
+      <div class="bridge-events" x-show="bridge.events.length > 0">
+        <template x-for="event in bridge.events" :key="event.time + event.type + event.ieeeAddress">
+          <div class="bridge-event">
+            <span class="bridge-event-type" x-text="getEventLabel(event)"></span>
+            <span x-text="event.friendlyName || event.ieeeAddress"></span>
+            <span class="bridge-log-time" x-text="formatTime(event.time)"></span>
+          </div>
+        </template>
+      </div>
+
+      <!-- Bridge log -->
+      <div class="bridge-log-toggle">
+        <button class="btn btn-secondary" @click="showLog = !showLog"
+                x-text="(showLog ? 'Hide' : 'Show') + ' bridge log (' + bridge.logs.length + ')'"></button>
+        <select x-show="showLog" x-model="logLevel">
+          <option value="all">All</option>
+          <option value="warning">Warnings</option>
+          <option value="error">Errors</option>
+        </select>
+      </div>
+      <div class="bridge-log" x-show="showLog">
+        <template x-if="filteredLogs.length === 0">
+          <div class="bridge-log-empty">No log lines yet</div>
+        </template>
+        <template x-for="line in filteredLogs" :key="line.time + line.message">
+          <div class="bridge-log-line" :class="'level-' + line.level">
+            <span class="bridge-log-time" x-text="formatTime(line.time)"></span>
+            <span x-text="line.message"></span>
+          </div>
+        </template>
+      </div>
+    </div>
+  `;
+}
@@ -0,0 +1,77 @@
+/**
+ * Pending Commands Component
+ * Shows light/thermostat commands queued while MQTT is disconnected
+ */
+
+/**
+ * Pending commands Alpine.js component
+ */
+export function commandQueueComponent() {
+  return {
+    expanded: false,
+
+    get commands() {
+      return Alpine.store('mqtt').pendingCommands;
+    },
+
+    get count() {
+      return this.commands.length;
+    },
+
+    toggle() {
+      this.expanded = !this.expanded;
+    },
+
+    cancel(command) {
+      Alpine.store('mqtt').cancelCommand(command.id);
+    },
+
+    clearAll() {
+      Alpine.store('mqtt').clearCommandQueue();
+      this.expanded = false;
+    },
+
+    formatAge(queuedAt) {
+      const seconds = Math.floor((Date.now() - queuedAt) / 1000);
+      if (seconds < 60) return 'Just now';
+      if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+      return `${Math.floor(seconds / 3600)}h ago`;
+    },
+
+    formatExpiry(expiresAt) {
+      const minutes = Math.max(0, Math.ceil((expiresAt - Date.now()) / 60000));
+      return `expires in ${minutes}m`;
+    }
+  };
+}
+
+/**
+ * Pending commands badge + dropdown HTML template
+ */
+export function getCommandQueueHTML() {
+  return `
+    <div class="command-queue" x-data="commandQueue()" x-show="count > 0" x-cloak>
+      <button class="command-queue-badge" @click="toggle()"
+              :title="$store.mqtt.connected ? 'Sending queued commands' : 'Waiting for MQTT connection'">
+        <span>⏳</span>
+        <span x-text="count + (count === 1 ? ' pending command' : ' pending commands')"></span>
+      </button>
+      <div class="command-queue-panel" x-show="expanded" @click.outside="expanded = false">
+        <div class="command-queue-header">
+          <span>Queued while offline</span>
+          <button class="btn btn-secondary" @click="clearAll()">Discard all</button>
+        </div>
+        <template x-for="command in commands" :key="command.id">
+          <div class="command-queue-item">
+            <div class="command-queue-info">
+              <div class="command-queue-device" x-text="command.device"></div>
+              <div class="command-queue-label" x-text="command.label"></div>
+              <div class="command-queue-meta" x-text="formatAge(command.queuedAt) + ' · ' + formatExpiry(command.expiresAt)"></div>
+            </div>
+            <button class="modal-close" @click="cancel(command)" title="Discard">&times;</button>
+          </div>
+        </template>
+      </div>
+    </div>
+  `;
+}
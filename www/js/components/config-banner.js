@@ -0,0 +1,61 @@
+/**
+ * Configuration Problems Banner
+ * Shown at startup when the config validator finds errors
+ */
+
+const MAX_LISTED = 3;
+
+/**
+ * Config banner Alpine.js component
+ */
+export function configBannerComponent() {
+  return {
+    get validation() {
+      return Alpine.store('configValidation');
+    },
+
+    get visible() {
+      return this.validation.errors.length > 0 && !this.validation.dismissed;
+    },
+
+    get listed() {
+      return this.validation.errors.slice(0, MAX_LISTED);
+    },
+
+    get remaining() {
+      return Math.max(0, this.validation.errors.length - MAX_LISTED);
+    },
+
+    openConfig() {
+      localStorage.setItem('dashboard-view', 'home-config');
+      this.$dispatch('view-changed', { view: 'home-config' });
+    },
+
+    dismiss() {
+      this.validation.dismiss();
+    }
+  };
+}
+
+/**
+ * Config banner HTML template
+ */
+export function getConfigBannerHTML() {
+  return `
+    <div class="config-banner" x-data="configBanner()" x-show="visible" x-cloak>
+      <div class="config-banner-icon">⚠️</div>
+      <div class="config-banner-body">
+        <div class="config-banner-title"
+             x-text="validation.errors.length + (validation.errors.length === 1 ? ' configuration problem' : ' configuration problems')"></div>
+        <template x-for="issue in listed" :key="issue.area + issue.message">
+          <div class="config-banner-issue" x-text="issue.message"></div>
+        </template>
+        <div class="config-banner-issue" x-show="remaining > 0" x-text="'…and ' + remaining + ' more'"></div>
+      </div>
+      <div class="config-banner-actions">
+        <button class="btn btn-secondary" @click="openConfig()">Review</button>
+        <button class="modal-close" @click="dismiss()" title="Dismiss">&times;</button>
+      </div>
+    </div>
+  `;
+}
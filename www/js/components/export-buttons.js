@@ -0,0 +1,20 @@
+/**
+ * Export Buttons
+ * CSV / JSON download buttons for views with loaded history or events
+ */
+
+/**
+ * Export buttons HTML
+ * @param {string} action - Expression called with the format, e.g. 'exportHistory'
+ *   or '$store.roomDetail.exportData'
+ * @param {string} [disabled] - Expression that disables the buttons (nothing loaded yet)
+ */
+export function getExportButtonsHTML(action, disabled = 'false') {
+  return `
+    <div class="export-buttons">
+      <span class="export-buttons-label">Export</span>
+      <button class="btn btn-secondary" :disabled="${disabled}" @click="${action}('csv')" title="Download as CSV">CSV</button>
+      <button class="btn btn-secondary" :disabled="${disabled}" @click="${action}('json')" title="Download as JSON">JSON</button>
+    </div>
+  `;
+}
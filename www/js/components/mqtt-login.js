@@ -0,0 +1,59 @@
+/**
+ * MQTT Login Component
+ * Prompts for broker credentials when CONFIG.mqttAuth.promptForCredentials is set
+ */
+
+/**
+ * MQTT login prompt Alpine.js component
+ */
+export function mqttLoginComponent() {
+  return {
+    username: '',
+    password: '',
+
+    get visible() {
+      return Alpine.store('mqtt').needsCredentials;
+    },
+
+    get error() {
+      return Alpine.store('mqtt').authError;
+    },
+
+    submit() {
+      if (!this.username) return;
+      Alpine.store('mqtt').login(this.username, this.password);
+      this.password = '';
+    }
+  };
+}
+
+/**
+ * MQTT login modal HTML template
+ */
+export function getMqttLoginHTML() {
+  return `
+    <div class="modal-overlay" x-data="mqttLogin()" x-show="visible" x-cloak>
+      <div class="modal mqtt-login">
+        <div class="modal-header">
+          <div class="modal-title">
+            <span class="icon">🔐</span>
+            <h2>Connect to MQTT broker</h2>
+          </div>
+        </div>
+        <form class="modal-body mqtt-login-form" @submit.prevent="submit()">
+          <div class="mqtt-login-error" x-show="error" x-text="error"></div>
+          <label>
+            <span>Username</span>
+            <input type="text" autocomplete="username" x-model="username" required>
+          </label>
+          <label>
+            <span>Password</span>
+            <input type="password" autocomplete="current-password" x-model="password">
+          </label>
+          <button type="submit" class="btn btn-primary">Connect</button>
+        </form>
+        <div class="modal-footer">Credentials are kept for this browser session only</div>
+      </div>
+    </div>
+  `;
+}
@@ -3,6 +3,9 @@
  * Shared modal for viewing detailed room data across all views
  */
 
+import { querySeries, querySignal, cancelQueries, isAbortError } from '../utils/influx.js';
+import { getExportButtonsHTML } from './export-buttons.js';
+
 /**
  * Room detail Alpine.js component
  */
@@ -24,7 +27,9 @@ export function roomDetailComponent() {
     },
 
     close() {
+      cancelQueries('room-detail');
       this.selectedRoom = null;
+      this.loading = false;
     },
 
     async setTimeRange(range) {
@@ -38,40 +43,21 @@ export function roomDetailComponent() {
 
       try {
         const room = this.selectedRoom;
-        const config = Alpine.store('config');
+        const range = this.timeRange;
+        const signal = querySignal('room-detail');
+        // Long ranges come back as one min/mean/max bucket per pixel or so
+        const points = document.getElementById('modal-chart-temp')?.clientWidth || 700;
 
         // Load temperature for selected time range
-        const tempQuery = `SELECT value FROM temperature WHERE entity_id = '${room.entityId}_temperature' AND time > now() - ${this.timeRange} ORDER BY time ASC`;
-        const tempUrl = `${config.influxUrl}/query?db=${config.influxDb}&q=${encodeURIComponent(tempQuery)}`;
-        const tempRes = await fetch(tempUrl);
-        const tempData = await tempRes.json();
-
-        if (tempData.results?.[0]?.series?.[0]?.values) {
-          this.tempHistory = tempData.results[0].series[0].values.map(v => ({
-            time: new Date(v[0]).getTime(),
-            value: v[1]
-          }));
-        } else {
-          this.tempHistory = [];
-        }
+        this.tempHistory = await querySeries({ measurement: 'temperature', entityId: `${room.entityId}_temperature`, range, points, signal });
 
         // Load humidity for selected time range
-        const humidQuery = `SELECT value FROM humidity WHERE entity_id = '${room.entityId}_humidity' AND time > now() - ${this.timeRange} ORDER BY time ASC`;
-        const humidUrl = `${config.influxUrl}/query?db=${config.influxDb}&q=${encodeURIComponent(humidQuery)}`;
-        const humidRes = await fetch(humidUrl);
-        const humidData = await humidRes.json();
-
-        if (humidData.results?.[0]?.series?.[0]?.values) {
-          this.humidHistory = humidData.results[0].series[0].values.map(v => ({
-            time: new Date(v[0]).getTime(),
-            value: v[1]
-          }));
-        } else {
-          this.humidHistory = [];
-        }
+        this.humidHistory = await querySeries({ measurement: 'humidity', entityId: `${room.entityId}_humidity`, range, points, signal });
 
         console.log(`Loaded ${this.tempHistory.length} temp, ${this.humidHistory.length} humid points for ${this.timeRange}`);
       } catch (e) {
+        // A newer range or room took over - it owns the loading state
+        if (isAbortError(e)) return;
         console.error('Failed to load room data:', e);
       }
 
@@ -95,7 +81,7 @@ export function roomDetailComponent() {
       const chartWidth = width - padding.left - padding.right;
       const chartHeight = height - padding.top - padding.bottom;
 
-      const values = data.map(d => d.value);
+      const values = data.flatMap(d => [d.min ?? d.value, d.max ?? d.value]);
       const times = data.map(d => d.time);
       const minVal = Math.floor(Math.min(...values) - 1);
       const maxVal = Math.ceil(Math.max(...values) + 1);
@@ -137,8 +123,20 @@ export function roomDetailComponent() {
           return `${x},${y}`;
         }).join(' ');
 
-        const areaPoints = `${padding.left},${height - padding.bottom} ${points} ${width - padding.right},${height - padding.bottom}`;
-        svgContent += `<polygon fill="${color}" opacity="0.15" points="${areaPoints}"/>`;
+        if (data.some(d => d.min !== undefined)) {
+          // Downsampled: min–max band per bucket around the mean line
+          const toPoint = (time, value) => {
+            const x = padding.left + ((time - minTime) / timeRange) * chartWidth;
+            const y = padding.top + ((maxVal - value) / valueRange) * chartHeight;
+            return `${x},${y}`;
+          };
+          const upper = data.map(d => toPoint(d.time, d.max ?? d.value));
+          const lower = data.map(d => toPoint(d.time, d.min ?? d.value)).reverse();
+          svgContent += `<polygon class="chart-band" fill="${color}" opacity="0.2" points="${upper.concat(lower).join(' ')}"/>`;
+        } else {
+          const areaPoints = `${padding.left},${height - padding.bottom} ${points} ${width - padding.right},${height - padding.bottom}`;
+          svgContent += `<polygon fill="${color}" opacity="0.15" points="${areaPoints}"/>`;
+        }
         svgContent += `<polyline fill="none" stroke="${color}" stroke-width="2.5" points="${points}"/>`;
 
         // Current value dot
@@ -159,9 +157,8 @@ export function roomDetailComponent() {
 
     getMinMax() {
       if (!this.tempHistory.length) return '--';
-      const temps = this.tempHistory.map(d => d.value);
-      const min = Math.min(...temps).toFixed(1);
-      const max = Math.max(...temps).toFixed(1);
+      const min = Math.min(...this.tempHistory.map(d => d.min ?? d.value)).toFixed(1);
+      const max = Math.max(...this.tempHistory.map(d => d.max ?? d.value)).toFixed(1);
       return `${min}° / ${max}°`;
     },
 
@@ -178,6 +175,35 @@ export function roomDetailComponent() {
   };
 }
 
+/**
+ * Legend for the sensor and period overlays under a modal chart
+ * @param {string} primaryColor - Colour of the room's own series on this chart
+ * @param {boolean} showOffset - Show each sensor's average difference to the primary
+ */
+function sensorLegendHTML(primaryColor, showOffset) {
+  return `
+    <div class="modal-chart-legend" x-show="$store.roomDetail.sensorSeries.length > 0 || $store.roomDetail.comparison">
+      <span class="modal-legend-item">
+        <span class="modal-legend-swatch" style="background: ${primaryColor}"></span>
+        <span x-text="$store.roomDetail.primaryLabel"></span>
+      </span>
+      <template x-for="series in $store.roomDetail.sensorSeries" :key="series.name">
+        <span class="modal-legend-item" :title="series.name">
+          <span class="modal-legend-swatch" :style="{ background: series.color }"></span>
+          <span x-text="series.label"></span>
+          ${showOffset ? `<span class="modal-legend-offset"
+                x-show="series.tempOffset !== null"
+                x-text="(series.tempOffset >= 0 ? '+' : '') + series.tempOffset?.toFixed(1) + '°'"></span>` : ''}
+        </span>
+      </template>
+      <span class="modal-legend-item" x-show="$store.roomDetail.comparison">
+        <span class="modal-legend-swatch dashed"></span>
+        <span x-text="$store.roomDetail.comparison?.label"></span>
+      </span>
+    </div>
+  `;
+}
+
 /**
  * Room detail modal HTML template
  */
@@ -201,12 +227,51 @@ export function getRoomDetailHTML() {
               <template x-for="range in $store.roomDetail.timeRanges" :key="range">
                 <button
                   class="btn btn-secondary"
-                  :class="{ active: $store.roomDetail.timeRange === range }"
+                  :class="{ active: !$store.roomDetail.customRange && $store.roomDetail.timeRange === range }"
                   @click="$store.roomDetail.setTimeRange(range)"
                   x-text="range"
                 ></button>
               </template>
+              <button
+                class="btn btn-secondary"
+                :class="{ active: $store.roomDetail.customRange }"
+                @click="$store.roomDetail.editCustomRange()"
+              >Custom</button>
               <span x-show="$store.roomDetail.loading" class="loading-indicator"></span>
+              <label class="modal-compare" x-show="$store.roomDetail.overlaySensors.length > 0">
+                <input type="checkbox"
+                       :checked="$store.roomDetail.compareSensors"
+                       @change="$store.roomDetail.toggleCompare()">
+                Compare sensors
+              </label>
+              ${getExportButtonsHTML('$store.roomDetail.exportData', '$store.roomDetail.loading || $store.roomDetail.tempHistory.length === 0')}
+            </div>
+
+            <!-- Custom Range / Period Comparison -->
+            <div class="modal-range-controls">
+              <form class="modal-custom-range"
+                    x-show="$store.roomDetail.customRange"
+                    @submit.prevent="$store.roomDetail.applyCustomRange()">
+                <input type="datetime-local" x-model="$store.roomDetail.customStart" required>
+                <span>to</span>
+                <input type="datetime-local" x-model="$store.roomDetail.customEnd" required>
+                <button type="submit" class="btn btn-primary">Apply</button>
+                <span class="modal-range-error" x-show="$store.roomDetail.rangeError" x-text="$store.roomDetail.rangeError"></span>
+              </form>
+              <div class="modal-compare-period">
+                <span>Compare with</span>
+                <select :value="$store.roomDetail.compareWith"
+                        @change="$store.roomDetail.setCompareWith($event.target.value)">
+                  <template x-for="option in $store.roomDetail.compareOptions" :key="option.value">
+                    <option :value="option.value" x-text="option.label"
+                            :selected="option.value === $store.roomDetail.compareWith"></option>
+                  </template>
+                </select>
+                <input type="date"
+                       x-show="$store.roomDetail.compareWith === 'date'"
+                       x-model="$store.roomDetail.compareDate"
+                       @change="$store.roomDetail.loadData()">
+              </div>
             </div>
 
             <!-- Stats -->
@@ -233,26 +298,109 @@ export function getRoomDetailHTML() {
               </div>
             </div>
 
+            <!-- Comfort Score Breakdown -->
+            <template x-if="$store.roomDetail.comfort">
+              <div class="modal-comfort">
+                <div class="modal-comfort-summary">
+                  <span>Comfort score</span>
+                  <strong :style="{ color: $store.roomDetail.comfort.color }" x-text="$store.roomDetail.comfortSummary"></strong>
+                </div>
+                <table class="modal-comfort-table">
+                  <thead>
+                    <tr>
+                      <th></th>
+                      <th>Target</th>
+                      <th>Points</th>
+                      <th>Penalty</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <template x-for="component in $store.roomDetail.comfort.components" :key="component.key">
+                      <tr>
+                        <td>
+                          <div x-text="component.label"></div>
+                          <div class="modal-comfort-reason" :class="{ off: !component.inRange }" x-text="component.reason"></div>
+                        </td>
+                        <td x-text="component.targetLabel"></td>
+                        <td x-text="Math.round(component.points) + ' / ' + Math.round(component.max)"></td>
+                        <td :class="{ up: Math.round(component.penalty) > 0 }"
+                            x-text="Math.round(component.penalty) > 0 ? '-' + Math.round(component.penalty) : '–'"></td>
+                      </tr>
+                    </template>
+                  </tbody>
+                </table>
+              </div>
+            </template>
+
+            <!-- Derived Metrics (room and each other climate sensor) -->
+            <table class="modal-metrics" x-show="$store.roomDetail.selectedRoom.dewPoint !== null">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th x-text="$store.roomDetail.primaryLabel"></th>
+                  <template x-for="sensor in $store.roomDetail.overlaySensors" :key="sensor.name">
+                    <th x-text="sensor.label" :title="sensor.name"></th>
+                  </template>
+                </tr>
+              </thead>
+              <tbody>
+                <template x-for="metric in $store.roomDetail.metrics" :key="metric.key">
+                  <tr>
+                    <td x-text="metric.label"></td>
+                    <td x-text="$store.roomDetail.formatMetric($store.roomDetail.selectedRoom, metric.key)"></td>
+                    <template x-for="sensor in $store.roomDetail.overlaySensors" :key="sensor.name">
+                      <td x-text="$store.roomDetail.formatMetric(sensor, metric.key)"></td>
+                    </template>
+                  </tr>
+                </template>
+              </tbody>
+            </table>
+
+            <!-- Period Comparison Deltas -->
+            <table class="modal-deltas" x-show="$store.roomDetail.comparisonStats.length > 0">
+              <thead>
+                <tr>
+                  <th></th>
+                  <th>This period</th>
+                  <th x-text="$store.roomDetail.comparison?.label"></th>
+                  <th>Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                <template x-for="row in $store.roomDetail.comparisonStats" :key="row.label">
+                  <tr>
+                    <td x-text="row.label"></td>
+                    <td x-text="row.current !== null ? row.current.toFixed(1) + row.unit : '--'"></td>
+                    <td x-text="row.previous !== null ? row.previous.toFixed(1) + row.unit : '--'"></td>
+                    <td :class="{ up: row.delta > 0, down: row.delta < 0 }"
+                        x-text="row.delta !== null ? (row.delta >= 0 ? '+' : '') + row.delta.toFixed(1) + row.unit : '--'"></td>
+                  </tr>
+                </template>
+              </tbody>
+            </table>
+
             <!-- Temperature Chart -->
             <div class="modal-chart">
-              <div class="modal-chart-title" x-text="'Temperature History (last ' + $store.roomDetail.timeRange + ')'"></div>
+              <div class="modal-chart-title" x-text="'Temperature History (' + $store.roomDetail.rangeLabel + ')'"></div>
               <div class="chart-temp">
                 <template x-if="$store.roomDetail.tempHistory.length === 0 && !$store.roomDetail.loading">
                   <div class="no-data-message">No data in this time range</div>
                 </template>
                 <svg id="modal-chart-temp" x-show="$store.roomDetail.tempHistory.length > 0"></svg>
               </div>
+              ${sensorLegendHTML('var(--color-primary)', true)}
             </div>
 
             <!-- Humidity Chart -->
             <div class="modal-chart">
-              <div class="modal-chart-title" x-text="'Humidity History (last ' + $store.roomDetail.timeRange + ')'"></div>
+              <div class="modal-chart-title" x-text="'Humidity History (' + $store.roomDetail.rangeLabel + ')'"></div>
               <div class="chart-humid">
                 <template x-if="$store.roomDetail.humidHistory.length === 0 && !$store.roomDetail.loading">
                   <div class="no-data-message">No data in this time range</div>
                 </template>
                 <svg id="modal-chart-humid" x-show="$store.roomDetail.humidHistory.length > 0"></svg>
               </div>
+              ${sensorLegendHTML('var(--color-success)', false)}
             </div>
           </div>
           <div class="modal-footer">
@@ -3,23 +3,60 @@
  * MQTT, InfluxDB, rooms, and thermostats
  */
 
+// Broker WebSocket URL with scheme and port, e.g. 'wss://mqtt.example.com:8884/mqtt'
+// (remote or TLS broker). Leave empty to derive it from the page location.
+const MQTT_URL = '';
+
 export const CONFIG = {
   // Detect if running locally (localhost) vs on Pi
   // Local dev: connect directly to Pi services
   // Pi deployment: use nginx proxy
-  mqttUrl: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
+  mqttUrl: MQTT_URL || (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
     ? 'ws://pi:9001'  // Local dev → connect to Pi's MQTT WebSocket
-    : window.location.port === '8888'
-      ? 'ws://' + window.location.host + '/mqtt'  // Pi nginx proxy
-      : 'ws://' + window.location.hostname + ':9001',
+    : window.location.protocol === 'https:'
+      ? 'wss://' + window.location.host + '/mqtt'  // TLS proxy → secure WebSocket
+      : window.location.port === '8888'
+        ? 'ws://' + window.location.host + '/mqtt'  // Pi nginx proxy
+        : 'ws://' + window.location.hostname + ':9001'),
+  // MQTT broker authentication (for brokers with ACLs)
+  // Leave username empty for anonymous access. Set promptForCredentials to ask
+  // for them at startup instead - they are then kept in session storage only.
+  mqttAuth: {
+    username: '',
+    password: '',
+    clientIdPrefix: 'climate-',
+    promptForCredentials: false
+  },
   baseTopic: 'zigbee2mqtt',
+  // Where live data and device commands come from:
+  // 'mqtt' = the Zigbee2MQTT broker above, 'homeassistant' = the Home Assistant
+  // WebSocket API (no broker access needed; dashboard/* topics such as sensor
+  // positions are then kept in this browser only)
+  dataSource: 'mqtt',
+  // Where history comes from: 'influx' (below) or 'homeassistant' (recorder)
+  historySource: 'influx',
+  // Home Assistant connection for either source. The long-lived access token
+  // is readable by every visitor - use a dedicated, non-admin user if exposed
+  // (device names then come from the configured sensors only).
+  haUrl: 'http://homeassistant.local:8123',
+  haToken: '',
+  // Replay a recorded JSONL session instead of connecting to the broker
+  // (demo / offline development). Also settable with ?replay=<url>
+  mqttReplayUrl: new URLSearchParams(window.location.search).get('replay') || null,
   // InfluxDB connection
   influxUrl: window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1'
     ? 'http://pi:8086'  // Local dev → connect to Pi's InfluxDB
     : window.location.port === '8888'
       ? window.location.origin + '/api/influx'  // Pi nginx proxy
       : 'http://' + window.location.hostname + ':8086',
+  // 1 = InfluxDB 1.x (InfluxQL, influxDb), 2 = InfluxDB 2.x (Flux, org/bucket/token)
+  influxVersion: 1,
   influxDb: 'homeassistant',
+  // InfluxDB 2.x only. Leave the token empty when a proxy adds the
+  // Authorization header - a token here is readable by every visitor.
+  influxOrg: 'home',
+  influxBucket: 'homeassistant',
+  influxToken: '',
   // Room configuration - isOutdoor: true excludes from home-wide averages
   rooms: [
     { id: 'living', name: 'Living Room', icon: '🛋️', sensor: '[Living] Temperature & Humidity', entityId: 'sensor.living_temperature_humidity', isOutdoor: false },
@@ -29,7 +66,11 @@ export const CONFIG = {
     { id: 'bathroom', name: 'Bathroom', icon: '🚿', sensor: '[Bath] Temperature & Humidity', entityId: 'sensor.bath_temperature_humidity', isOutdoor: false },
     { id: 'balcony', name: 'Balcony', icon: '🌿', sensor: '[Balcony] Temperature & Humidity', entityId: 'sensor.balcony_temperature_humidity', isOutdoor: true }
   ],
+  // Add sensors named '[Room] Description' to the matching room automatically
+  // (manual links in ROOM_SENSORS / the Home config view take precedence)
+  autoRoomSensors: true,
   staleThreshold: 5 * 60 * 1000,  // 5 minutes
+  commandQueueTtl: 15 * 60 * 1000,  // Drop light/thermostat commands queued offline after 15 minutes
   maxHistoryPoints: 500,
   historyHours: 6,
 
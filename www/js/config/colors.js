@@ -22,3 +22,47 @@ export const HUMIDITY_COLORS = [
   { value: 70, color: 0x90CAF9 },  // Humid
   { value: 85, color: 0x5C6BC0 }   // Very humid
 ];
+
+// Color scales for the derived heat map modes (see PSYCHROMETRIC_METRICS)
+export const METRIC_COLORS = {
+  dewPoint: [
+    { value: 0, color: 0xFFCC80 },   // Very dry
+    { value: 8, color: 0xA5D6A7 },   // Dry
+    { value: 12, color: 0x81C784 },  // Comfortable
+    { value: 16, color: 0xFFE082 },  // Sticky
+    { value: 18, color: 0xFFAB91 },  // Muggy
+    { value: 21, color: 0xEF5350 }   // Oppressive
+  ],
+  absoluteHumidity: [
+    { value: 4, color: 0xFFCC80 },   // Dry
+    { value: 7, color: 0xA5D6A7 },   // Ideal low
+    { value: 9, color: 0x81C784 },   // Ideal
+    { value: 12, color: 0xA5D6A7 },  // Ideal high
+    { value: 15, color: 0x90CAF9 },  // Humid
+    { value: 19, color: 0x5C6BC0 }   // Very humid
+  ],
+  vaporPressure: [
+    { value: 6, color: 0xFFCC80 },   // Dry
+    { value: 10, color: 0xA5D6A7 },  // Ideal low
+    { value: 13, color: 0x81C784 },  // Ideal
+    { value: 17, color: 0xA5D6A7 },  // Ideal high
+    { value: 21, color: 0x90CAF9 },  // Humid
+    { value: 26, color: 0x5C6BC0 }   // Very humid
+  ],
+  humidex: [
+    { value: 18, color: 0x90CAF9 },  // Cool
+    { value: 24, color: 0x81C784 },  // Comfortable
+    { value: 30, color: 0xFFE082 },  // Some discomfort
+    { value: 35, color: 0xFFAB91 },  // Great discomfort
+    { value: 40, color: 0xEF5350 },  // Dangerous
+    { value: 45, color: 0xB71C1C }   // Heat stroke likely
+  ],
+  heatIndex: [
+    { value: 18, color: 0x90CAF9 },  // Cool
+    { value: 24, color: 0x81C784 },  // Comfortable
+    { value: 27, color: 0xFFE082 },  // Caution
+    { value: 32, color: 0xFFAB91 },  // Extreme caution
+    { value: 41, color: 0xEF5350 },  // Danger
+    { value: 54, color: 0xB71C1C }   // Extreme danger
+  ]
+};
@@ -0,0 +1,127 @@
+/**
+ * Comfort Profiles Configuration
+ * Ideal temperature/humidity ranges and home-score weight per room,
+ * with different targets per time-of-day period, plus the clothing /
+ * activity / air speed assumptions the PMV model scores with
+ *
+ * These are the code defaults - profiles and the schedule are edited in the
+ * Home config view and saved with the rest of the home configuration.
+ */
+
+// How room scores are calculated (selected in the Home config view):
+// 'range' scores distance from the profile's ideal ranges, 'pmv' uses the
+// ISO 7730 PMV/PPD thermal comfort model with the profile's pmv inputs
+export const COMFORT_MODELS = [
+  { id: 'range', label: 'Ideal ranges' },
+  { id: 'pmv', label: 'PMV / PPD (ISO 7730)' }
+];
+
+export const DEFAULT_COMFORT_MODEL = 'range';
+
+// Time-of-day periods. 'day' is in force whenever no schedule entry matches;
+// a profile's top-level temp/humidity are its day targets.
+export const COMFORT_PERIODS = [
+  { id: 'day', label: 'Day', icon: '☀️' },
+  { id: 'sleep', label: 'Sleep', icon: '🌙' },
+  { id: 'away', label: 'Away', icon: '🚪' }
+];
+
+// When each period applies (local time, first match wins). end before start
+// wraps past midnight; days limits an entry to weekdays (0 = Sunday).
+// Entries apply to every room, so 'away' is opt-in - add e.g.
+// { period: 'away', start: '09:00', end: '17:00', days: [1, 2, 3, 4, 5] }
+// in the Home config view when the house is empty during the working day.
+export const COMFORT_SCHEDULE = [
+  { period: 'sleep', start: '22:00', end: '07:00' }
+];
+
+// Wider band for empty rooms - nobody minds until they come back
+const AWAY_TARGETS = {
+  temp: { min: 16, max: 28, perfect: 20 },
+  humidity: { min: 30, max: 70, perfect: 50 }
+};
+
+// CO2 air quality bands (ppm) - upper bound of each level
+export const CO2_THRESHOLDS = {
+  excellent: 600,
+  good: 1000,
+  moderate: 1500,
+  poor: 2000
+};
+
+// Used for rooms without a profile of their own. airQualityWeight is the
+// share of the room score taken by air quality when it has a CO2 sensor.
+// pmv: clothing (clo), metabolicRate (met), airSpeed (m/s) and
+// radiantOffset - mean radiant temperature minus air temperature (°C),
+// e.g. -1 for a room with large cold windows.
+export const DEFAULT_COMFORT_PROFILE = {
+  temp: { min: 20, max: 26, perfect: 23 },
+  humidity: { min: 40, max: 60, perfect: 50 },
+  weight: 1.0,
+  airQualityWeight: 0.2,
+  pmv: { clothing: 1.0, metabolicRate: 1.2, airSpeed: 0.1, radiantOffset: 0 },
+  periods: {
+    away: AWAY_TARGETS
+  }
+};
+
+// Per-room profiles keyed by room id. weight sets the room's share of the
+// home comfort score (0 leaves the room out); periods overrides the day
+// targets for 'sleep' / 'away'. airQualityWeight defaults to the one above;
+// pmv inputs fall back key by key to the period's, the room's, then the default.
+export const COMFORT_PROFILES = {
+  living: {
+    temp: { min: 20, max: 26, perfect: 23 },
+    humidity: { min: 40, max: 60, perfect: 50 },
+    weight: 1.5,   // Most used
+    airQualityWeight: 0.25,   // Has the CO2 monitor
+    periods: {
+      away: AWAY_TARGETS
+    }
+  },
+  bedroom: {
+    temp: { min: 20, max: 25, perfect: 22 },
+    humidity: { min: 40, max: 60, perfect: 50 },
+    weight: 1.3,   // Sleep quality matters
+    periods: {
+      sleep: {
+        temp: { min: 18, max: 20, perfect: 19 },   // Cooler for sleep
+        humidity: { min: 40, max: 60, perfect: 50 },
+        pmv: { clothing: 2.8, metabolicRate: 0.8 }   // Asleep under a duvet (bedding counts as clothing)
+      },
+      away: AWAY_TARGETS
+    }
+  },
+  study: {
+    temp: { min: 20, max: 26, perfect: 23 },
+    humidity: { min: 40, max: 60, perfect: 50 },
+    weight: 1.0,
+    pmv: { metabolicRate: 1.1 },   // Seated, typing
+    periods: {
+      away: AWAY_TARGETS
+    }
+  },
+  kitchen: {
+    temp: { min: 19, max: 26, perfect: 22 },
+    humidity: { min: 40, max: 65, perfect: 50 },
+    weight: 0.8,   // Expect variation
+    pmv: { metabolicRate: 1.6 },   // Standing, cooking
+    periods: {
+      away: AWAY_TARGETS
+    }
+  },
+  bathroom: {
+    temp: { min: 21, max: 27, perfect: 24 },
+    humidity: { min: 40, max: 75, perfect: 55 },   // Tolerates shower spikes
+    weight: 0.5,
+    pmv: { clothing: 0.5 },   // Dressing / undressing
+    periods: {
+      away: AWAY_TARGETS
+    }
+  },
+  balcony: {
+    temp: { min: 20, max: 26, perfect: 23 },
+    humidity: { min: 40, max: 60, perfect: 50 },
+    weight: 0   // Outdoor - left out of the home score
+  }
+};
@@ -8,3 +8,5 @@ export * from './floor-plan.js';
 export * from './colors.js';
 export * from './views.js';
 export * from './sensors.js';
+export * from './comfort.js';
+export * from './insights.js';
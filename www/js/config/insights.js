@@ -0,0 +1,72 @@
+/**
+ * Insight Rules Configuration
+ * Built-in insights (which can be switched off) and the vocabulary for
+ * user-defined insight rules
+ *
+ * User rules are data, edited in the Home config view and saved with the
+ * rest of the home configuration; utils/insight-rules.js evaluates them.
+ */
+
+// InsightEngine's built-in insights, by id (homeConfig.disabledInsights lists the ones switched off)
+export const BUILTIN_INSIGHTS = [
+  { id: 'temperature-gap', label: 'Temperature gap', description: 'Rooms more than 2° apart' },
+  { id: 'humidity-alert', label: 'Humidity alerts', description: 'A room above 70% or below 30% humidity' },
+  { id: 'ventilation', label: 'Ventilation advice', description: 'Drying with outdoor air and condensation risk' },
+  { id: 'comfort-zone', label: 'Comfort zones', description: 'Rooms inside their comfort targets' },
+  { id: 'rapid-change', label: 'Rapid change', description: 'A room changing 2° or more within an hour' }
+];
+
+// Metrics a rule can test. history: the condition can be required to hold
+// for a duration, and rises / falls work (from the live history series).
+// targets: what the metric is read from - each room, or each sensor.
+export const INSIGHT_METRICS = [
+  { key: 'temperature', label: 'Temperature', unit: '°C', decimals: 1, history: true, targets: ['room', 'sensor'] },
+  { key: 'humidity', label: 'Humidity', unit: '%', decimals: 0, history: true, targets: ['room', 'sensor'] },
+  { key: 'co2', label: 'CO2', unit: 'ppm', decimals: 0, history: true, targets: ['room', 'sensor'] },
+  { key: 'dewPoint', label: 'Dew point', unit: '°C', decimals: 1, history: false, targets: ['room', 'sensor'] },
+  { key: 'absoluteHumidity', label: 'Absolute humidity', unit: 'g/m³', decimals: 1, history: false, targets: ['room', 'sensor'] },
+  { key: 'humidex', label: 'Humidex', unit: '°C', decimals: 1, history: false, targets: ['room', 'sensor'] },
+  { key: 'heatIndex', label: 'Heat index', unit: '°C', decimals: 1, history: false, targets: ['room', 'sensor'] },
+  { key: 'comfortScore', label: 'Comfort score', unit: '', decimals: 0, history: false, targets: ['room'] },
+  { key: 'battery', label: 'Battery', unit: '%', decimals: 0, history: false, targets: ['sensor'] }
+];
+
+// above / below compare the reading (held for `duration` minutes when set);
+// rises / falls compare the change over the last `duration` minutes
+export const INSIGHT_OPERATORS = [
+  { id: 'above', label: 'is above' },
+  { id: 'below', label: 'is below' },
+  { id: 'rises', label: 'rises by' },
+  { id: 'falls', label: 'falls by' }
+];
+
+// Severity sets the insight's colour (getInsightStyles) and priority
+export const INSIGHT_SEVERITIES = [
+  { id: 'alert', label: 'Alert', priority: 4 },
+  { id: 'warning', label: 'Warning', priority: 3 },
+  { id: 'info', label: 'Info', priority: 2 },
+  { id: 'success', label: 'Good news', priority: 1 }
+];
+
+// Placeholders a rule message / title can use
+export const INSIGHT_PLACEHOLDERS = ['{room}', '{sensor}', '{value}', '{threshold}', '{change}', '{unit}', '{duration}'];
+
+// Template for a new rule in the editor
+export const NEW_INSIGHT_RULE = {
+  name: 'New rule',
+  enabled: true,
+  target: 'room',
+  roomId: '',
+  metric: 'humidity',
+  operator: 'above',
+  value: 70,
+  duration: 0,
+  severity: 'warning',
+  icon: '💡',
+  title: 'CUSTOM ALERT',
+  message: '{room} at {value}{unit}'
+};
+
+// User-defined rules shipped with the code (rule shape: NEW_INSIGHT_RULE plus
+// an id and an optional window { start, end, days } in local time)
+export const INSIGHT_RULES = [];
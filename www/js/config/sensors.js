@@ -5,6 +5,9 @@
 
 // Room-to-sensors mapping for Classic view (multi-sensor support)
 // Each room can have multiple climate sensors + optional CO2/motion/contact sensors
+// Climate/CO2 history is read from the Home Assistant entity named after the
+// device (e.g. sensor.living_temperature_humidity_6) - set entityId on an
+// entry when Home Assistant uses a different one
 export const ROOM_SENSORS = {
   living: {
     climate: [
@@ -48,7 +48,9 @@ export const VIEW_CATEGORIES = [
     name: 'Settings',
     icon: '⚙️',
     views: [
-      { id: 'config', name: 'Config', icon: '⚙️', title: 'Sensor Config', key: '9' }
+      { id: 'config', name: 'Config', icon: '⚙️', title: 'Sensor Config', key: '9' },
+      { id: 'home-config', name: 'Home', icon: '🏠', title: 'Home Configuration', key: 'C' },
+      { id: 'diagnostics', name: 'MQTT', icon: '🩺', title: 'MQTT Diagnostics', key: 'D' }
     ]
   }
 ];
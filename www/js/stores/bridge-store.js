@@ -0,0 +1,232 @@
+/**
+ * Zigbee2MQTT Bridge Store
+ * Bridge health, coordinator info, bridge log and permit-join control
+ *
+ * Data sources:
+ * - zigbee2mqtt/bridge/state: Bridge online/offline (retained)
+ * - zigbee2mqtt/bridge/info: Version, coordinator, network, permit_join (retained)
+ * - zigbee2mqtt/bridge/logging: Bridge log lines
+ * - zigbee2mqtt/bridge/event: Device joined/interview events while pairing
+ * - zigbee2mqtt/bridge/response/permit_join: Result of permit-join requests
+ *
+ * With CONFIG.dataSource = 'homeassistant' there is no broker to send bridge
+ * requests to, so pairing is unavailable (use the Zigbee2MQTT frontend).
+ */
+
+const MAX_LOG_LINES = 100;
+const MAX_EVENTS = 20;
+const DEFAULT_PERMIT_JOIN_SECONDS = 254;  // Zigbee2MQTT maximum
+
+/**
+ * Initialize the bridge store
+ */
+export function initBridgeStore(Alpine, CONFIG) {
+  const bridgeTopic = `${CONFIG.baseTopic}/bridge`;
+
+  Alpine.store('bridge', {
+    // Bridge state
+    state: 'unknown',            // 'online' | 'offline' | 'unknown'
+    stateChangedAt: null,
+    info: null,                  // Raw bridge/info payload
+
+    // Recent activity (newest first)
+    logs: [],                    // [{ level, message, time }]
+    events: [],                  // [{ type, friendlyName, ieeeAddress, status, time }]
+
+    // Permit join
+    permitJoinEnd: null,         // Epoch ms when joining closes, null = closed
+    permitJoinPending: false,    // Request sent, waiting for bridge response
+    permitJoinError: null,
+    pairingAvailable: CONFIG.dataSource !== 'homeassistant',
+    now: Date.now(),             // Ticks while the countdown runs
+
+    _countdownInterval: null,
+
+    /**
+     * Initialize store - registers MQTT routes
+     */
+    init() {
+      const mqttStore = Alpine.store('mqtt');
+
+      mqttStore.subscribe(`${bridgeTopic}/state`, (data) => {
+        // Z2M 1.x publishes a plain string, later versions { state }
+        const state = typeof data === 'string' ? data : data?.state;
+        if (state) this.handleState(state);
+      }, { qos: 1 });
+
+      mqttStore.subscribe(`${bridgeTopic}/info`, (data) => {
+        if (typeof data === 'object' && data !== null) this.handleInfo(data);
+      }, { qos: 1 });
+
+      mqttStore.subscribe(`${bridgeTopic}/logging`, (data) => {
+        if (data?.message) this.addLog(data.level, data.message);
+      });
+
+      mqttStore.subscribe(`${bridgeTopic}/event`, (data) => {
+        if (data?.type) this.addEvent(data);
+      });
+
+      mqttStore.subscribe(`${bridgeTopic}/response/permit_join`, (data) => {
+        this.handlePermitJoinResponse(data);
+      });
+
+      console.log('[bridge-store] Subscribed to bridge topics');
+    },
+
+    // ========================================
+    // MESSAGE HANDLERS
+    // ========================================
+
+    handleState(state) {
+      if (state !== this.state) {
+        this.state = state;
+        this.stateChangedAt = Date.now();
+      }
+    },
+
+    handleInfo(info) {
+      this.info = info;
+
+      // Z2M 2.x reports an absolute end time, 1.x the seconds remaining
+      if (!info.permit_join) {
+        this.setPermitJoinEnd(null);
+      } else if (info.permit_join_end) {
+        this.setPermitJoinEnd(info.permit_join_end);
+      } else if (info.permit_join_timeout) {
+        this.setPermitJoinEnd(Date.now() + info.permit_join_timeout * 1000);
+      } else {
+        this.setPermitJoinEnd(Infinity);  // Enabled without timeout
+      }
+    },
+
+    handlePermitJoinResponse(response) {
+      this.permitJoinPending = false;
+      if (response?.status === 'error') {
+        this.permitJoinError = response.error || 'Permit join failed';
+        console.error('[bridge-store] Permit join failed:', response.error);
+      } else {
+        this.permitJoinError = null;
+      }
+    },
+
+    addLog(level, message) {
+      this.logs.unshift({ level: level || 'info', message, time: Date.now() });
+      if (this.logs.length > MAX_LOG_LINES) this.logs.pop();
+    },
+
+    addEvent(event) {
+      this.events.unshift({
+        type: event.type,
+        friendlyName: event.data?.friendly_name || '',
+        ieeeAddress: event.data?.ieee_address || '',
+        status: event.data?.status || '',
+        time: Date.now()
+      });
+      if (this.events.length > MAX_EVENTS) this.events.pop();
+    },
+
+    // ========================================
+    // GETTERS
+    // ========================================
+
+    get online() {
+      return this.state === 'online';
+    },
+
+    get version() {
+      return this.info?.version || null;
+    },
+
+    get coordinator() {
+      const coordinator = this.info?.coordinator;
+      if (!coordinator) return null;
+      return {
+        type: coordinator.type,
+        ieeeAddress: coordinator.ieee_address,
+        revision: coordinator.meta?.revision ?? null
+      };
+    },
+
+    get network() {
+      const network = this.info?.network;
+      if (!network) return null;
+      return { channel: network.channel, panId: network.pan_id };
+    },
+
+    get permitJoinActive() {
+      return this.permitJoinEnd !== null && this.permitJoinEnd > this.now;
+    },
+
+    /**
+     * Seconds until joining closes (null when closed or without timeout)
+     */
+    get permitJoinRemaining() {
+      if (!this.permitJoinActive || this.permitJoinEnd === Infinity) return null;
+      return Math.ceil((this.permitJoinEnd - this.now) / 1000);
+    },
+
+    // ========================================
+    // PERMIT JOIN
+    // ========================================
+
+    /**
+     * Allow new devices to join the network
+     * @param {number} seconds - How long joining stays open (max 254)
+     */
+    permitJoin(seconds = DEFAULT_PERMIT_JOIN_SECONDS) {
+      const time = Math.min(Math.max(0, Math.round(seconds)), DEFAULT_PERMIT_JOIN_SECONDS);
+      // `value` is required by Z2M 1.x and ignored by 2.x
+      if (this.sendRequest('permit_join', { value: time > 0, time })) {
+        // Optimistic countdown until bridge/info confirms
+        this.setPermitJoinEnd(time > 0 ? Date.now() + time * 1000 : null);
+      }
+    },
+
+    disablePermitJoin() {
+      this.permitJoin(0);
+    },
+
+    /**
+     * Publish a bridge request (not queued - stale pairing requests are useless)
+     * @returns {boolean} True when sent
+     */
+    sendRequest(name, payload) {
+      const mqttStore = Alpine.store('mqtt');
+      if (!this.pairingAvailable) {
+        this.permitJoinError = 'Pairing is not available through Home Assistant - use the Zigbee2MQTT frontend';
+        return false;
+      }
+      if (!mqttStore.client || !mqttStore.connected) {
+        this.permitJoinError = 'MQTT not connected';
+        return false;
+      }
+
+      this.permitJoinPending = true;
+      this.permitJoinError = null;
+      mqttStore.client.publish(`${bridgeTopic}/request/${name}`, JSON.stringify(payload), { qos: 1 });
+      console.log(`[bridge-store] Sent ${name} request:`, payload);
+      return true;
+    },
+
+    setPermitJoinEnd(end) {
+      this.permitJoinEnd = end;
+      this.now = Date.now();
+
+      if (this.permitJoinRemaining !== null && !this._countdownInterval) {
+        this._countdownInterval = setInterval(() => {
+          this.now = Date.now();
+          if (!this.permitJoinActive) this.stopCountdown();
+        }, 1000);
+      } else if (this.permitJoinRemaining === null) {
+        this.stopCountdown();
+      }
+    },
+
+    stopCountdown() {
+      if (this._countdownInterval) {
+        clearInterval(this._countdownInterval);
+        this._countdownInterval = null;
+      }
+    }
+  });
+}
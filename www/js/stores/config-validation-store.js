@@ -0,0 +1,72 @@
+/**
+ * Configuration Validation Store
+ * Runs the config validator at startup, whenever the home configuration
+ * changes and when Zigbee2MQTT publishes its device list
+ */
+
+import { FLOOR_PLAN_CONFIG } from '../config.js';
+import { ZIGBEE_DEVICES } from '../data/zigbee-devices.js';
+import { validateConfig } from '../utils/config-validator.js';
+
+const DISMISS_KEY = 'dashboard-config-banner-dismissed';
+
+export function initConfigValidationStore(Alpine, CONFIG) {
+  // Latest bridge device list (outside Alpine - large and read-only)
+  let bridgeDevices = null;
+
+  Alpine.store('configValidation', {
+    issues: [],                  // [{ severity, area, message }]
+    bridgeChecked: false,        // Device names checked against Zigbee2MQTT
+    dismissedErrorCount: Number(sessionStorage.getItem(DISMISS_KEY)) || 0,
+
+    init() {
+      this.validate();
+      this.issues
+        .filter(i => i.severity === 'error')
+        .forEach(i => console.warn(`[config] ${i.area}: ${i.message}`));
+
+      Alpine.store('mqtt').subscribe(`${CONFIG.baseTopic}/bridge/devices`, (data) => {
+        if (!Array.isArray(data)) return;
+        bridgeDevices = data;
+        this.validate();
+      }, { qos: 1 });
+    },
+
+    get errors() {
+      return this.issues.filter(i => i.severity === 'error');
+    },
+
+    get warnings() {
+      return this.issues.filter(i => i.severity === 'warning');
+    },
+
+    // Banner stays hidden for this session unless more errors appear
+    get dismissed() {
+      return this.errors.length <= this.dismissedErrorCount;
+    },
+
+    /**
+     * Validate a home configuration (the current one by default)
+     * @returns {Array} Issues found
+     */
+    check(home = Alpine.store('homeConfig')) {
+      return validateConfig({
+        config: CONFIG,
+        home,
+        floorPlan: FLOOR_PLAN_CONFIG,
+        zigbeeDevices: ZIGBEE_DEVICES,
+        bridgeDevices
+      });
+    },
+
+    validate() {
+      this.issues = this.check();
+      this.bridgeChecked = bridgeDevices !== null;
+    },
+
+    dismiss() {
+      this.dismissedErrorCount = this.errors.length;
+      sessionStorage.setItem(DISMISS_KEY, String(this.dismissedErrorCount));
+    }
+  });
+}
@@ -3,6 +3,8 @@
  * Manages Zigbee event history from InfluxDB and real-time MQTT
  */
 
+import { queryEvents } from '../utils/influx.js';
+
 export function initEventsStore(Alpine, CONFIG) {
   Alpine.store('events', {
     // All events (merged from InfluxDB + real-time MQTT)
@@ -179,46 +181,19 @@ export function initEventsStore(Alpine, CONFIG) {
       this.loading = true;
 
       try {
-        const query = `
-          SELECT * FROM zigbee_events
-          WHERE time > now() - ${hours}h
-          ORDER BY time DESC
-          LIMIT ${this.maxEvents}
-        `;
-
-        const url = `${CONFIG.influxUrl}/query?db=${CONFIG.influxDb}&q=${encodeURIComponent(query)}`;
-        const res = await fetch(url);
-        const data = await res.json();
-
-        if (data.results?.[0]?.series?.[0]) {
-          const series = data.results[0].series[0];
-          const columns = series.columns;
-          const values = series.values;
-
-          // Map column names to indices
-          const timeIdx = columns.indexOf('time');
-          const deviceNameIdx = columns.indexOf('device_name');
-          const deviceTypeIdx = columns.indexOf('device_type');
-          const roomIdx = columns.indexOf('room');
-          const eventTypeIdx = columns.indexOf('event_type');
-          const valueIdx = columns.indexOf('value');
-          const stateIdx = columns.indexOf('state');
-
-          this.list = values.map(row => ({
-            time: new Date(row[timeIdx]).getTime(),
-            deviceName: row[deviceNameIdx],
-            deviceType: row[deviceTypeIdx],
-            room: row[roomIdx],
-            eventType: row[eventTypeIdx],
-            value: row[valueIdx],
-            state: row[stateIdx]
-          }));
-
-          console.log(`Loaded ${this.list.length} historical events`);
-        } else {
-          console.log('No historical events found');
-          this.list = [];
-        }
+        const rows = await queryEvents({ range: `${hours}h`, limit: this.maxEvents });
+
+        this.list = rows.map(row => ({
+          time: row.time,
+          deviceName: row.device_name,
+          deviceType: row.device_type,
+          room: row.room,
+          eventType: row.event_type,
+          value: row.value,
+          state: row.state
+        }));
+
+        console.log(`Loaded ${this.list.length} historical events`);
 
         this.lastQuery = Date.now();
       } catch (err) {
@@ -0,0 +1,371 @@
+/**
+ * Home Configuration Store
+ * Rooms, thermostats and room sensor links, editable at runtime
+ *
+ * Data sources:
+ * - dashboard/config/home: Persisted home configuration (retained MQTT)
+ * - localStorage: Last received configuration, used until MQTT delivers
+ * - CONFIG.rooms / CONFIG.thermostats / ROOM_SENSORS / COMFORT_PROFILES /
+ *   COMFORT_SCHEDULE / DEFAULT_COMFORT_MODEL / INSIGHT_RULES: Fallback defaults
+ *
+ * roomSensors holds the manual sensor links; the rooms store adds sensors
+ * discovered from `[Room] Description` device names on top, except for
+ * names listed in excludedSensors. comfortProfiles holds the ideal ranges
+ * and home-score weight per room id; rooms without one use the default.
+ * comfortSchedule says when the sleep / away targets apply, comfortModel
+ * which comfort model scores the rooms ('range' or 'pmv'). insightRules are
+ * the user-defined insight rules and disabledInsights the ids of built-in
+ * insights switched off (see config/insights.js).
+ *
+ * Changes are pushed to the rooms and thermostats stores, which rebuild
+ * their lists while keeping live values for unchanged devices.
+ */
+
+import {
+  ROOM_SENSORS, COMFORT_PROFILES, COMFORT_PERIODS, COMFORT_SCHEDULE, COMFORT_MODELS, DEFAULT_COMFORT_MODEL,
+  INSIGHT_RULES, INSIGHT_METRICS, INSIGHT_OPERATORS, INSIGHT_SEVERITIES, BUILTIN_INSIGHTS
+} from '../config.js';
+
+const HOME_CONFIG_TOPIC = 'dashboard/config/home';
+const CACHE_KEY = 'dashboard-home-config';
+const CONFIG_VERSION = 1;
+
+export const SENSOR_ROLES = ['climate', 'co2', 'motion', 'contact'];
+
+/**
+ * Code defaults (deep copied so edits never touch the imported config)
+ */
+function defaultHomeConfig(CONFIG) {
+  return JSON.parse(JSON.stringify({
+    rooms: CONFIG.rooms,
+    thermostats: CONFIG.thermostats,
+    roomSensors: ROOM_SENSORS,
+    excludedSensors: [],
+    comfortProfiles: COMFORT_PROFILES,
+    comfortSchedule: COMFORT_SCHEDULE,
+    comfortModel: DEFAULT_COMFORT_MODEL,
+    insightRules: INSIGHT_RULES,
+    disabledInsights: []
+  }));
+}
+
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function normalizeRange(range) {
+  return range && ['min', 'max', 'perfect'].every(k => isNumber(range[k]))
+    ? { min: range.min, max: range.max, perfect: range.perfect }
+    : null;
+}
+
+// PMV inputs and the values they may take
+const PMV_INPUT_LIMITS = {
+  clothing: { min: 0, max: 4 },          // clo
+  metabolicRate: { min: 0.5, max: 4 },   // met
+  airSpeed: { min: 0, max: 2 },          // m/s
+  radiantOffset: { min: -15, max: 15 }   // °C
+};
+
+/**
+ * Keep the PMV inputs that are numbers within their limits
+ */
+function normalizePmvInputs(inputs) {
+  const normalized = {};
+  Object.entries(PMV_INPUT_LIMITS).forEach(([key, { min, max }]) => {
+    const value = inputs?.[key];
+    if (isNumber(value) && value >= min && value <= max) normalized[key] = value;
+  });
+  return normalized;
+}
+
+/**
+ * Check a comfort profile: numeric temp/humidity { min, max, perfect } and
+ * weight, plus optional per-period overrides in the same shape and an
+ * optional airQualityWeight (0-1). pmv inputs (profile and period) are
+ * kept where valid - missing ones fall back to the default profile's.
+ * @returns {Object|null} Clean copy, or null if unusable
+ */
+function normalizeComfortProfile(profile) {
+  const temp = normalizeRange(profile?.temp);
+  const humidity = normalizeRange(profile?.humidity);
+  if (!temp || !humidity) return null;
+  const weight = isNumber(profile.weight) && profile.weight >= 0 ? profile.weight : 1.0;
+
+  const periods = {};
+  COMFORT_PERIODS.forEach(({ id }) => {
+    const targets = profile.periods?.[id];
+    if (id === 'day' || !targets) return;
+    const periodTemp = normalizeRange(targets.temp);
+    const periodHumidity = normalizeRange(targets.humidity);
+    if (periodTemp && periodHumidity) {
+      periods[id] = { temp: periodTemp, humidity: periodHumidity, pmv: normalizePmvInputs(targets.pmv) };
+    }
+  });
+  const normalized = { temp, humidity, weight, pmv: normalizePmvInputs(profile.pmv), periods };
+  if (isNumber(profile.airQualityWeight) && profile.airQualityWeight >= 0 && profile.airQualityWeight <= 1) {
+    normalized.airQualityWeight = profile.airQualityWeight;
+  }
+  return normalized;
+}
+
+/**
+ * Keep schedule entries with a known period and HH:MM start/end
+ */
+function normalizeComfortSchedule(schedule) {
+  return schedule
+    .filter(entry => entry && COMFORT_PERIODS.some(p => p.id === entry.period) &&
+      CLOCK_PATTERN.test(entry.start) && CLOCK_PATTERN.test(entry.end))
+    .map(({ period, start, end, days }) => {
+      const validDays = Array.isArray(days) ? days.filter(d => Number.isInteger(d) && d >= 0 && d <= 6) : [];
+      return validDays.length > 0 ? { period, start, end, days: validDays } : { period, start, end };
+    });
+}
+
+/**
+ * Check an insight rule: known metric / operator / severity and a numeric
+ * value. Bad optional parts are dropped (duration → 0, window → none).
+ * @returns {Object|null} Clean copy, or null if unusable
+ */
+function normalizeInsightRule(rule) {
+  if (!rule || typeof rule.id !== 'string' || !rule.id) return null;
+  const metric = INSIGHT_METRICS.find(m => m.key === rule.metric);
+  if (!metric || !INSIGHT_OPERATORS.some(o => o.id === rule.operator) || !isNumber(rule.value)) return null;
+
+  const target = metric.targets.includes(rule.target) ? rule.target : metric.targets[0];
+  const normalized = {
+    id: rule.id,
+    name: typeof rule.name === 'string' ? rule.name : '',
+    enabled: rule.enabled !== false,
+    target,
+    roomId: typeof rule.roomId === 'string' ? rule.roomId : '',
+    metric: metric.key,
+    operator: rule.operator,
+    value: rule.value,
+    duration: isNumber(rule.duration) && rule.duration > 0 ? rule.duration : 0,
+    severity: INSIGHT_SEVERITIES.some(s => s.id === rule.severity) ? rule.severity : 'info',
+    icon: typeof rule.icon === 'string' ? rule.icon : '',
+    title: typeof rule.title === 'string' ? rule.title : '',
+    message: typeof rule.message === 'string' ? rule.message : ''
+  };
+  if (rule.window && CLOCK_PATTERN.test(rule.window.start) && CLOCK_PATTERN.test(rule.window.end)) {
+    const days = Array.isArray(rule.window.days) ? rule.window.days.filter(d => Number.isInteger(d) && d >= 0 && d <= 6) : [];
+    normalized.window = days.length > 0
+      ? { start: rule.window.start, end: rule.window.end, days }
+      : { start: rule.window.start, end: rule.window.end };
+  }
+  return normalized;
+}
+
+/**
+ * Check the shape of a received configuration
+ * Configurations saved before comfort profiles existed get the code defaults.
+ * @returns {Object|null} { rooms, thermostats, roomSensors, excludedSensors, comfortProfiles, comfortSchedule, comfortModel,
+ *   insightRules, disabledInsights }
+ *   or null if unusable
+ */
+function normalizeHomeConfig(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (!Array.isArray(data.rooms) || !Array.isArray(data.thermostats)) return null;
+
+  const rooms = data.rooms.filter(r => r && r.id && r.name);
+  const thermostats = data.thermostats.filter(t => t && t.id && t.sensor);
+  const roomSensors = {};
+  Object.entries(data.roomSensors || {}).forEach(([roomId, roles]) => {
+    roomSensors[roomId] = {};
+    SENSOR_ROLES.forEach(role => {
+      if (Array.isArray(roles?.[role])) {
+        roomSensors[roomId][role] = roles[role].filter(s => s && s.name);
+      }
+    });
+  });
+
+  const excludedSensors = Array.isArray(data.excludedSensors)
+    ? data.excludedSensors.filter(name => typeof name === 'string')
+    : [];
+
+  const comfortProfiles = {};
+  Object.entries(data.comfortProfiles || JSON.parse(JSON.stringify(COMFORT_PROFILES))).forEach(([roomId, profile]) => {
+    const normalized = normalizeComfortProfile(profile);
+    if (normalized) comfortProfiles[roomId] = normalized;
+  });
+
+  const comfortSchedule = normalizeComfortSchedule(
+    Array.isArray(data.comfortSchedule) ? data.comfortSchedule : COMFORT_SCHEDULE
+  );
+
+  const comfortModel = COMFORT_MODELS.some(m => m.id === data.comfortModel) ? data.comfortModel : DEFAULT_COMFORT_MODEL;
+
+  const insightRules = (Array.isArray(data.insightRules) ? data.insightRules : INSIGHT_RULES)
+    .map(normalizeInsightRule)
+    .filter(Boolean);
+  const disabledInsights = Array.isArray(data.disabledInsights)
+    ? data.disabledInsights.filter(id => BUILTIN_INSIGHTS.some(b => b.id === id))
+    : [];
+
+  return {
+    rooms, thermostats, roomSensors, excludedSensors, comfortProfiles, comfortSchedule, comfortModel,
+    insightRules, disabledInsights
+  };
+}
+
+function loadCachedConfig() {
+  try {
+    return normalizeHomeConfig(JSON.parse(localStorage.getItem(CACHE_KEY) || 'null'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Initialize the home configuration store
+ * Must be registered before the rooms and thermostats stores.
+ */
+export function initHomeConfigStore(Alpine, CONFIG) {
+  const cached = loadCachedConfig();
+  const initial = cached || defaultHomeConfig(CONFIG);
+
+  Alpine.store('homeConfig', {
+    rooms: initial.rooms,
+    thermostats: initial.thermostats,
+    roomSensors: initial.roomSensors,
+    excludedSensors: initial.excludedSensors,
+    comfortProfiles: initial.comfortProfiles,
+    comfortSchedule: initial.comfortSchedule,
+    comfortModel: initial.comfortModel,
+    insightRules: initial.insightRules,
+    disabledInsights: initial.disabledInsights,
+
+    source: cached ? 'cache' : 'default',   // 'default' | 'cache' | 'mqtt'
+    updatedAt: null,
+    updatedBy: null,
+    error: null,
+
+    // Browser ID for conflict debugging
+    browserId: 'browser-' + Math.random().toString(36).substr(2, 9),
+
+    init() {
+      Alpine.store('mqtt').subscribe(HOME_CONFIG_TOPIC, (data) => {
+        this.handleConfigMessage(data);
+      }, { qos: 1 });
+    },
+
+    /**
+     * Handle retained configuration from dashboard/config/home
+     * An empty payload (cleared retained message) means "use code defaults".
+     */
+    handleConfigMessage(data) {
+      if (data === '' || data === null) {
+        localStorage.removeItem(CACHE_KEY);
+        this.apply(defaultHomeConfig(CONFIG), 'default');
+        return;
+      }
+
+      const config = normalizeHomeConfig(data);
+      if (!config) {
+        this.error = 'Ignored malformed home configuration from MQTT';
+        console.warn('[home-config] Ignored malformed configuration:', data);
+        return;
+      }
+
+      this.updatedAt = data.updatedAt || null;
+      this.updatedBy = data.updatedBy || null;
+      this.error = null;
+      localStorage.setItem(CACHE_KEY, JSON.stringify(config));
+      this.apply(config, 'mqtt');
+    },
+
+    /**
+     * Make a configuration current and push it to dependent stores
+     */
+    apply(config, source) {
+      this.rooms = config.rooms;
+      this.thermostats = config.thermostats;
+      this.roomSensors = config.roomSensors;
+      this.excludedSensors = config.excludedSensors;
+      this.comfortProfiles = config.comfortProfiles;
+      this.comfortSchedule = config.comfortSchedule;
+      this.comfortModel = config.comfortModel;
+      this.insightRules = config.insightRules;
+      this.disabledInsights = config.disabledInsights;
+      this.source = source;
+
+      Alpine.store('rooms')?.applyConfig(this);
+      Alpine.store('thermostats')?.applyConfig(this.thermostats);
+      Alpine.store('configValidation')?.validate();
+      console.log(`[home-config] Applied ${source} configuration: ${this.rooms.length} rooms, ${this.thermostats.length} thermostats`);
+    },
+
+    /**
+     * Persist a configuration to MQTT (retained)
+     * @returns {boolean} True when published
+     */
+    save(config) {
+      const normalized = normalizeHomeConfig(config);
+      if (!normalized) {
+        this.error = 'Configuration is incomplete';
+        return false;
+      }
+
+      const mqttStore = Alpine.store('mqtt');
+      if (!mqttStore.client || !mqttStore.connected) {
+        this.error = 'MQTT not connected - configuration not saved';
+        return false;
+      }
+
+      const payload = {
+        version: CONFIG_VERSION,
+        ...normalized,
+        updatedAt: new Date().toISOString(),
+        updatedBy: this.browserId
+      };
+      mqttStore.client.publish(HOME_CONFIG_TOPIC, JSON.stringify(payload), { retain: true, qos: 1 }, (err) => {
+        if (err) this.error = `Configuration not saved: ${err.message}`;
+      });
+
+      // Optimistic update - the retained echo confirms it
+      this.handleConfigMessage(payload);
+      console.log('[home-config] Saved configuration');
+      return true;
+    },
+
+    /**
+     * Clear the retained configuration so every dashboard uses code defaults
+     * @returns {boolean} True when published
+     */
+    resetToDefaults() {
+      const mqttStore = Alpine.store('mqtt');
+      if (!mqttStore.client || !mqttStore.connected) {
+        this.error = 'MQTT not connected - configuration not reset';
+        return false;
+      }
+
+      mqttStore.client.publish(HOME_CONFIG_TOPIC, '', { retain: true, qos: 1 }, (err) => {
+        if (err) this.error = `Configuration not reset: ${err.message}`;
+      });
+      this.handleConfigMessage('');
+      console.log('[home-config] Reset to code defaults');
+      return true;
+    },
+
+    /**
+     * Editable deep copy of the current configuration
+     */
+    getDraft() {
+      return JSON.parse(JSON.stringify({
+        rooms: this.rooms,
+        thermostats: this.thermostats,
+        roomSensors: this.roomSensors,
+        excludedSensors: this.excludedSensors,
+        comfortProfiles: this.comfortProfiles,
+        comfortSchedule: this.comfortSchedule,
+        comfortModel: this.comfortModel,
+        insightRules: this.insightRules,
+        disabledInsights: this.disabledInsights
+      }));
+    },
+
+    getDefaults() {
+      return defaultHomeConfig(CONFIG);
+    }
+  });
+}
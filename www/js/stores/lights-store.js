@@ -44,6 +44,22 @@ export function initLightsStore(Alpine, CONFIG) {
       return this.list.filter(l => l.state === 'ON').length;
     },
 
+    // Register MQTT routes for light state and availability
+    init() {
+      const mqttStore = Alpine.store('mqtt');
+      this.list.forEach(light => {
+        mqttStore.subscribe(`${CONFIG.baseTopic}/${light.topic}`, (data) => {
+          if (typeof data === 'object' && data !== null) {
+            this.updateLight(light.topic, data);
+          }
+        });
+        mqttStore.subscribe(`${CONFIG.baseTopic}/${light.topic}/availability`, (data) => {
+          console.log('📡 Availability:', light.topic, '→', data?.state ?? data);
+          this.updateAvailability(light.topic, data);
+        });
+      });
+    },
+
     presets: {
       reading: { brightness: 254, colorTemp: 300 },
       relax: { brightness: 150, colorTemp: 400 },
@@ -75,25 +91,19 @@ export function initLightsStore(Alpine, CONFIG) {
     updateAvailability(topic, data) {
       const light = this.list.find(l => l.topic === topic);
       if (light) {
-        light.available = data.state === 'online';
+        // Zigbee2MQTT sends either {"state":"online"} or legacy plain 'online'
+        const state = typeof data === 'string' ? data : data?.state;
+        light.available = state === 'online';
       }
     },
 
     publishCommand(light, payload) {
-      const client = Alpine.store('mqtt').client;
-      if (!client || !Alpine.store('mqtt').connected) {
-        console.error('MQTT not connected');
-        return;
-      }
-
-      // Set syncing state
-      light.syncing = true;
-      this.syncing = true;
-
       const topic = `zigbee2mqtt/${light.topic}/set`;
-      client.publish(topic, JSON.stringify(payload), { qos: 0 }, (err) => {
+
+      const result = Alpine.store('mqtt').publishCommand(topic, payload, {
+        device: light.name
+      }, (err) => {
         if (err) {
-          console.error('Failed to publish:', err);
           light.syncing = false;
           this.syncing = this.anyLightSyncing;
         } else {
@@ -107,6 +117,17 @@ export function initLightsStore(Alpine, CONFIG) {
           }, 3000);
         }
       });
+
+      // Queued commands show as pending instead of syncing
+      if (result === 'sent') {
+        light.syncing = true;
+        this.syncing = true;
+      }
+    },
+
+    // Check if a command for this light is waiting for the broker
+    isPending(light) {
+      return Alpine.store('mqtt').hasPendingCommand(`zigbee2mqtt/${light.topic}/set`);
     },
 
     toggleLight(light) {
@@ -1,67 +1,830 @@
 /**
  * MQTT Connection Store
- * Manages WebSocket connection to MQTT broker
+ * Manages WebSocket connection to MQTT broker and routes incoming
+ * messages to registered topic handlers
+ *
+ * Stores and views register handlers with subscribe(pattern, handler)
+ * instead of attaching their own client.on('message') listeners. Each
+ * payload is parsed once and dispatched to every matching handler.
+ *
+ * Outgoing device commands go through publishCommand(), which holds them
+ * in a persistent queue while the broker is unreachable and replays them
+ * on reconnect.
+ *
+ * Connection history, per-topic message stats and parse/handler errors are
+ * tracked for the diagnostics view.
+ *
+ * With CONFIG.dataSource = 'homeassistant' the broker client is replaced by
+ * the Home Assistant client (utils/home-assistant.js), which delivers the
+ * same Zigbee2MQTT topics and turns /set commands into service calls.
+ *
+ * Sessions can be recorded to JSONL and replayed through the same message
+ * path instead of connecting to the broker - one message per line:
+ *   { "time": 1714550400000, "topic": "zigbee2mqtt/[Study] Climate", "payload": "{...}", "retain": false }
  */
 
+import { downloadFile, fileTimestamp } from '../utils/download.js';
+import { createHomeAssistantClient } from '../utils/home-assistant.js';
+
+const COMMAND_QUEUE_KEY = 'dashboard-command-queue';
+const CREDENTIALS_KEY = 'dashboard-mqtt-credentials';
+
+// CONNACK return codes for rejected credentials
+const AUTH_ERROR_CODES = [4, 5];  // Bad username or password, Not authorized
+
+// Diagnostics limits
+const MAX_CONNECTION_LOG = 50;
+const MAX_ERRORS = 50;
+const MAX_PAYLOAD_CHARS = 2000;
+const RATE_WINDOW_MS = 5 * 60 * 1000;  // Message rate averaged over 5 minutes
+
+// Recording / replay limits
+const MAX_RECORDED_MESSAGES = 100000;
+const MAX_REPLAY_GAP_MS = 10000;  // Quiet periods in a recording are shortened to this
+
+/**
+ * Check if an MQTT topic matches a subscription pattern
+ * Supports single-level (+) and multi-level (#) wildcards
+ * @param {string} pattern - Subscription pattern, e.g. 'zigbee2mqtt/+/availability'
+ * @param {string} topic - Concrete topic of a received message
+ * @returns {boolean}
+ */
+export function topicMatches(pattern, topic) {
+  if (pattern === topic) return true;
+
+  const patternLevels = pattern.split('/');
+  const topicLevels = topic.split('/');
+
+  for (let i = 0; i < patternLevels.length; i++) {
+    const level = patternLevels[i];
+    if (level === '#') return true;
+    if (i >= topicLevels.length) return false;
+    if (level !== '+' && level !== topicLevels[i]) return false;
+  }
+
+  return patternLevels.length === topicLevels.length;
+}
+
+/**
+ * Parse a raw MQTT payload - JSON when possible, plain string otherwise
+ * (e.g. legacy availability messages are just 'online' / 'offline')
+ * @returns {{ payload: any, error: string|null }} error is set when the
+ *   text looks like JSON but fails to parse
+ */
+function parsePayload(text) {
+  try {
+    return { payload: JSON.parse(text), error: null };
+  } catch (e) {
+    const looksLikeJson = /^\s*[{[]/.test(text);
+    return { payload: text, error: looksLikeJson ? e.message : null };
+  }
+}
+
+/**
+ * Check if a queued command is superseded by a newer one
+ * Same topic and every key of the old payload is set again by the new one
+ * (e.g. three setpoint changes to the same TRV collapse into the last).
+ * Only the command itself is dropped - publishCommand() carries its preface
+ * messages (audit events) over to the newer command.
+ */
+function isSuperseded(queued, topic, payload) {
+  if (queued.topic !== topic) return false;
+  return Object.keys(queued.payload).every(key => key in payload);
+}
+
+/**
+ * Default human-readable label for a command payload
+ */
+function describePayload(payload) {
+  return Object.entries(payload)
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ');
+}
+
+/**
+ * Load persisted command queue, dropping anything malformed
+ */
+function loadCommandQueue() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COMMAND_QUEUE_KEY) || '[]');
+    return Array.isArray(saved) ? saved.filter(c => c && c.topic && c.payload) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Parse a JSONL session recording, skipping blank and malformed lines
+ * Payloads may be raw text (as recorded) or JSON values (hand-written files).
+ * @returns {Array<{ time, topic, text, retain }>} sorted by time
+ */
+function parseRecording(jsonl) {
+  const messages = [];
+  jsonl.split('\n').forEach(line => {
+    if (!line.trim()) return;
+    try {
+      const entry = JSON.parse(line);
+      if (!entry.topic || entry.payload === undefined) return;
+      messages.push({
+        time: Number(entry.time) || 0,
+        topic: entry.topic,
+        text: typeof entry.payload === 'string' ? entry.payload : JSON.stringify(entry.payload),
+        retain: !!entry.retain
+      });
+    } catch (e) {
+      // Ignore malformed line
+    }
+  });
+  return messages.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Credentials entered at the login prompt (session storage only)
+ */
+function loadSessionCredentials() {
+  try {
+    return JSON.parse(sessionStorage.getItem(CREDENTIALS_KEY) || 'null');
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Build mqtt.connect() options from CONFIG.mqttAuth and prompted credentials
+ * Prompted credentials take precedence over configured ones.
+ */
+function buildConnectOptions(CONFIG, credentials) {
+  const auth = CONFIG.mqttAuth || {};
+  const options = {
+    clientId: (auth.clientIdPrefix ?? 'climate-') + Math.random().toString(16).substr(2, 8),
+    reconnectPeriod: 3000,
+    connectTimeout: 10000
+  };
+
+  const username = credentials?.username || auth.username;
+  if (username) {
+    options.username = username;
+    options.password = credentials?.username ? credentials.password : auth.password;
+  }
+
+  return options;
+}
+
 export function initMqttStore(Alpine, CONFIG) {
+  // Router state lives OUTSIDE Alpine to avoid proxying handler functions
+  // routes: { [id]: { pattern, handler } }
+  // topicRefs: { [pattern]: { count, qos } } - broker subscriptions in use
+  const routes = new Map();
+  const topicRefs = new Map();
+  let nextRouteId = 1;
+
+  // Per-topic message stats, also kept outside Alpine (updated on every message)
+  // topicStats: { [topic]: { count, firstSeen, lastSeen, recent: [times], lastPayload, retained } }
+  const topicStats = new Map();
+
+  // Latest full payload of every retained topic - seeds new recordings so a
+  // replay has bridge/devices, sensor positions etc. without waiting for them
+  const retainedPayloads = new Map();
+
+  // Session recording and replay buffers (large, so not reactive)
+  let recordedMessages = [];
+  let replayMessages = [];
+  let replayTimer = null;
+
   Alpine.store('mqtt', {
     connected: false,
     connecting: true,
     client: null,
 
+    // Commands waiting for the broker: [{ id, topic, payload, qos, preface, device, label, queuedAt, expiresAt }]
+    pendingCommands: loadCommandQueue(),
+
+    // Authentication
+    needsCredentials: false,     // Login prompt should be shown
+    authError: null,             // Last broker rejection message
+
+    // Diagnostics
+    connectedSince: null,
+    lastDisconnect: null,
+    reconnectCount: 0,
+    connectionLog: [],           // [{ type, time, detail }] newest first
+    errors: [],                  // [{ type: 'parse'|'handler', time, topic, message, payload }] newest first
+
+    // Session recording
+    recording: false,
+    recordingStartedAt: null,
+    recordedCount: 0,
+
+    // Session replay (broker disconnected while active)
+    replaying: false,
+    replayPaused: false,
+    replaySpeed: 1,
+    replayLoop: false,
+    replaySource: '',
+    replayPosition: 0,           // Index of next message
+    replayTotal: 0,
+    replayTime: null,            // Recorded timestamp of last delivered message
+
     connect() {
+      if (this.replaying) return;
+
+      const credentials = loadSessionCredentials();
+      const auth = CONFIG.mqttAuth || {};
+      const homeAssistant = CONFIG.dataSource === 'homeassistant';
+      const url = homeAssistant ? CONFIG.haUrl : CONFIG.mqttUrl;
+
+      // Wait for the login prompt when credentials are required but unknown
+      if (!homeAssistant && auth.promptForCredentials && !credentials && !auth.username) {
+        this.needsCredentials = true;
+        this.connecting = false;
+        return;
+      }
+
+      if (this.client) {
+        this.client.end(true);
+      }
+
+      this.needsCredentials = false;
+      this.authError = null;
       this.connecting = true;
+      this._logConnection('connecting', url);
 
-      this.client = mqtt.connect(CONFIG.mqttUrl, {
-        clientId: 'climate-' + Math.random().toString(16).substr(2, 8),
-        reconnectPeriod: 3000,
-        connectTimeout: 10000
-      });
+      const client = homeAssistant
+        ? createHomeAssistantClient(CONFIG)
+        : mqtt.connect(CONFIG.mqttUrl, buildConnectOptions(CONFIG, credentials));
+      this.client = client;
 
       this.client.on('connect', () => {
         this.connected = true;
         this.connecting = false;
+        this.connectedSince = Date.now();
+        this._logConnection('connected', url);
 
-        // Subscribe to ALL room sensors (primary + additional)
-        const sensorTopics = Alpine.store('rooms').getAllSensorTopics();
-        sensorTopics.forEach(sensorName => {
-          this.client.subscribe(`${CONFIG.baseTopic}/${sensorName}`, { qos: 0 });
+        // (Re)subscribe every pattern registered with the router
+        topicRefs.forEach((ref, pattern) => {
+          this.client.subscribe(pattern, { qos: ref.qos });
         });
-        console.log(`📡 Subscribed to ${sensorTopics.length} sensor topics`);
+        console.log(`📡 Subscribed to ${topicRefs.size} topic patterns`);
 
-        // Subscribe to light topics and their availability
-        Alpine.store('lights').list.forEach(light => {
-          this.client.subscribe(`${CONFIG.baseTopic}/${light.topic}`, { qos: 0 });
-          this.client.subscribe(`${CONFIG.baseTopic}/${light.topic}/availability`, { qos: 0 });
-        });
+        // Replay commands issued while offline
+        this.flushCommandQueue();
       });
 
-      this.client.on('message', (topic, message) => {
-        try {
-          const data = JSON.parse(message.toString());
-          const deviceName = topic.replace(`${CONFIG.baseTopic}/`, '');
-
-          // Check if it's an availability message
-          if (deviceName.endsWith('/availability')) {
-            const lightTopic = deviceName.replace('/availability', '');
-            console.log('📡 Availability:', lightTopic, '→', data.state);
-            Alpine.store('lights').updateAvailability(lightTopic, data);
-            return;
+      this.client.on('message', (topic, message, packet) => {
+        this._handleMessage(topic, message.toString(), packet);
+      });
+
+      this.client.on('error', (err) => {
+        console.error('MQTT Error:', err);
+        this._logConnection('error', err?.message || String(err));
+
+        // Rejected credentials - stop reconnecting and ask again
+        if (AUTH_ERROR_CODES.includes(err?.code)) {
+          this.authError = err.message;
+          this.client.end(true);
+          sessionStorage.removeItem(CREDENTIALS_KEY);
+          this.needsCredentials = !homeAssistant && !!CONFIG.mqttAuth?.promptForCredentials;
+          this.connecting = false;
+        }
+      });
+      this.client.on('close', () => {
+        if (client !== this.client) return;  // Superseded by login/logout
+        if (this.connected) {
+          this.lastDisconnect = Date.now();
+          this._logConnection('disconnected', '');
+        }
+        this.connected = false;
+        this.connecting = !this.authError;
+        this.connectedSince = null;
+      });
+      this.client.on('reconnect', () => {
+        this.connecting = true;
+        this.reconnectCount++;
+        this._logConnection('reconnecting', `attempt ${this.reconnectCount}`);
+      });
+    },
+
+    /**
+     * Connect with credentials from the login prompt
+     * Kept in session storage so they are forgotten when the tab closes.
+     */
+    login(username, password) {
+      sessionStorage.setItem(CREDENTIALS_KEY, JSON.stringify({ username, password }));
+      this.connect();
+    },
+
+    /**
+     * Forget prompted credentials and disconnect
+     */
+    logout() {
+      sessionStorage.removeItem(CREDENTIALS_KEY);
+      if (this.client) {
+        this.client.end(true);
+        this.client = null;
+      }
+      this.connected = false;
+      this.connecting = false;
+      this.needsCredentials = !!CONFIG.mqttAuth?.promptForCredentials;
+    },
+
+    /**
+     * Common path for live and replayed messages
+     * @param {'live'|'replay'} source - Replayed messages are never recorded
+     *   again, so a recording only holds what the broker sent
+     */
+    _handleMessage(topic, text, packet, source = 'live') {
+      if (packet?.retain) retainedPayloads.set(topic, text);
+      if (this.recording && source === 'live') this._captureMessage(topic, text, !!packet?.retain);
+
+      const { payload, error } = parsePayload(text);
+      this._recordMessage(topic, text, packet);
+      if (error) {
+        this._recordError('parse', topic, error, text);
+        return;
+      }
+      this.dispatch(topic, payload, packet);
+    },
+
+    // ========================================
+    // TOPIC ROUTER
+    // ========================================
+
+    /**
+     * Register a handler for a topic pattern
+     * The broker subscription is made now if connected, otherwise on connect.
+     * @param {string} pattern - Topic or wildcard pattern (+, #)
+     * @param {Function} handler - Called with (payload, topic, packet)
+     * @param {Object} options - { qos }
+     * @returns {number} Subscription id for unsubscribe()
+     */
+    subscribe(pattern, handler, options = {}) {
+      const qos = options.qos ?? 0;
+      const id = nextRouteId++;
+      routes.set(id, { pattern, handler });
+
+      const ref = topicRefs.get(pattern);
+      if (ref) {
+        ref.count++;
+        if (qos > ref.qos) {
+          ref.qos = qos;
+          if (this.client && this.connected) {
+            this.client.subscribe(pattern, { qos });
           }
+        }
+      } else {
+        topicRefs.set(pattern, { count: 1, qos });
+        if (this.client && this.connected) {
+          this.client.subscribe(pattern, { qos });
+        }
+      }
+
+      return id;
+    },
 
-          // Route to rooms store - handles both primary and additional sensors
-          Alpine.store('rooms').handleSensorMessage(deviceName, data);
+    /**
+     * Remove a handler registered with subscribe()
+     * Drops the broker subscription once no handler uses the pattern.
+     * @param {number} id - Subscription id returned by subscribe()
+     */
+    unsubscribe(id) {
+      const route = routes.get(id);
+      if (!route) return;
+      routes.delete(id);
 
-          // Also check if it's a light
-          Alpine.store('lights').updateLight(deviceName, data);
+      const ref = topicRefs.get(route.pattern);
+      if (!ref) return;
+      ref.count--;
+      if (ref.count <= 0) {
+        topicRefs.delete(route.pattern);
+        if (this.client && this.connected) {
+          this.client.unsubscribe(route.pattern);
+        }
+      }
+    },
+
+    /**
+     * Deliver a parsed message to every matching handler
+     */
+    dispatch(topic, payload, packet = {}) {
+      routes.forEach(route => {
+        if (!topicMatches(route.pattern, topic)) return;
+        try {
+          route.handler(payload, topic, packet);
         } catch (e) {
-          console.error('MQTT parse error:', e);
+          console.error(`MQTT handler error for ${topic}:`, e);
+          this._recordError('handler', topic, e.message, payload);
         }
       });
+    },
+
+    // ========================================
+    // DIAGNOSTICS
+    // ========================================
+
+    /**
+     * Snapshot of per-topic message stats
+     * @returns {Array<{ topic, count, firstSeen, lastSeen, ratePerMinute, lastPayload, retained }>}
+     */
+    getTopicStats() {
+      const now = Date.now();
+      return Array.from(topicStats.entries()).map(([topic, stats]) => {
+        const recent = stats.recent.filter(t => now - t <= RATE_WINDOW_MS);
+        const windowMs = Math.max(60000, Math.min(RATE_WINDOW_MS, now - stats.firstSeen));
+        return {
+          topic,
+          count: stats.count,
+          firstSeen: stats.firstSeen,
+          lastSeen: stats.lastSeen,
+          ratePerMinute: recent.length / (windowMs / 60000),
+          lastPayload: stats.lastPayload,
+          retained: stats.retained
+        };
+      });
+    },
+
+    /**
+     * Registered patterns with handler counts and last matching message
+     * A subscription with no message for a long time points at a silent device.
+     */
+    getSubscriptions() {
+      const handlerCounts = {};
+      routes.forEach(route => {
+        handlerCounts[route.pattern] = (handlerCounts[route.pattern] || 0) + 1;
+      });
+
+      return Array.from(topicRefs.entries()).map(([pattern, ref]) => {
+        let lastSeen = null;
+        let count = 0;
+        topicStats.forEach((stats, topic) => {
+          if (!topicMatches(pattern, topic)) return;
+          count += stats.count;
+          if (!lastSeen || stats.lastSeen > lastSeen) lastSeen = stats.lastSeen;
+        });
+        return { pattern, qos: ref.qos, handlers: handlerCounts[pattern] || 0, count, lastSeen };
+      });
+    },
+
+    get totalMessages() {
+      let total = 0;
+      topicStats.forEach(stats => { total += stats.count; });
+      return total;
+    },
+
+    clearDiagnostics() {
+      topicStats.clear();
+      this.errors = [];
+      this.connectionLog = [];
+      this.reconnectCount = 0;
+    },
+
+    _recordMessage(topic, text, packet) {
+      const now = Date.now();
+      let stats = topicStats.get(topic);
+      if (!stats) {
+        stats = { count: 0, firstSeen: now, lastSeen: now, recent: [], lastPayload: '', retained: false };
+        topicStats.set(topic, stats);
+      }
+      stats.count++;
+      stats.lastSeen = now;
+      stats.recent.push(now);
+      while (stats.recent.length && now - stats.recent[0] > RATE_WINDOW_MS) stats.recent.shift();
+      stats.lastPayload = text.length > MAX_PAYLOAD_CHARS ? text.slice(0, MAX_PAYLOAD_CHARS) + '…' : text;
+      stats.retained = !!packet?.retain;
+    },
+
+    _recordError(type, topic, message, payload) {
+      const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+      this.errors.unshift({
+        type,
+        time: Date.now(),
+        topic,
+        message,
+        payload: text && text.length > MAX_PAYLOAD_CHARS ? text.slice(0, MAX_PAYLOAD_CHARS) + '…' : text
+      });
+      if (this.errors.length > MAX_ERRORS) this.errors.pop();
+    },
+
+    _logConnection(type, detail) {
+      this.connectionLog.unshift({ type, time: Date.now(), detail });
+      if (this.connectionLog.length > MAX_CONNECTION_LOG) this.connectionLog.pop();
+    },
+
+    // ========================================
+    // OUTGOING COMMAND QUEUE
+    // ========================================
+
+    /**
+     * Publish a device command, queueing it while disconnected
+     * @param {string} topic - Command topic, e.g. 'zigbee2mqtt/[Study] Thermostat/set'
+     * @param {Object} payload - JSON payload
+     * @param {Object} options - { qos, device, label, preface: [{ topic, payload }], ttl }
+     *   preface messages are published immediately before the command (e.g. audit events)
+     * @param {Function} callback - Publish callback, only called when sent immediately
+     * @returns {string} 'sent', 'queued' or 'ignored' (while replaying a session)
+     */
+    publishCommand(topic, payload, options = {}, callback = null) {
+      // Never queue commands issued against a replay - they would reach the
+      // real devices once the live connection comes back
+      if (this.replaying) {
+        console.log(`📼 Replay active - ignored command for ${options.device || topic}`);
+        return 'ignored';
+      }
+
+      const command = {
+        topic,
+        payload,
+        qos: options.qos ?? 0,
+        preface: options.preface || [],
+        device: options.device || topic,
+        label: options.label || describePayload(payload)
+      };
+
+      if (this.client && this.connected) {
+        this._sendCommand(command, callback);
+        return 'sent';
+      }
+
+      const now = Date.now();
+      const ttl = options.ttl ?? CONFIG.commandQueueTtl;
+
+      // Drop superseded commands and anything already expired. Superseded
+      // prefaces are kept so every intermediate change is still audited.
+      const live = this.pendingCommands.filter(c => c.expiresAt > now);
+      const superseded = live.filter(c => isSuperseded(c, topic, payload));
+      this.pendingCommands = live.filter(c => !superseded.includes(c));
+      this.pendingCommands.push({
+        ...command,
+        preface: [...superseded.flatMap(c => c.preface || []), ...command.preface],
+        id: `${now}-${Math.random().toString(16).substr(2, 6)}`,
+        queuedAt: now,
+        expiresAt: now + ttl
+      });
+      this._saveCommandQueue();
+
+      console.log(`📡 MQTT offline - queued command for ${command.device}`);
+      return 'queued';
+    },
+
+    /**
+     * Replay queued commands in order (called on connect)
+     */
+    flushCommandQueue() {
+      this.pruneExpiredCommands();
+      if (!this.client || !this.connected || this.pendingCommands.length === 0) return;
+
+      const commands = this.pendingCommands;
+      this.pendingCommands = [];
+      this._saveCommandQueue();
+
+      commands.forEach(command => this._sendCommand(command));
+      console.log(`📡 Replayed ${commands.length} queued commands`);
+    },
+
+    /**
+     * Drop queued commands older than their time-to-live
+     */
+    pruneExpiredCommands() {
+      const now = Date.now();
+      const remaining = this.pendingCommands.filter(c => c.expiresAt > now);
+      if (remaining.length !== this.pendingCommands.length) {
+        console.log(`📡 Dropped ${this.pendingCommands.length - remaining.length} expired commands`);
+        this.pendingCommands = remaining;
+        this._saveCommandQueue();
+      }
+    },
+
+    /**
+     * Discard a queued command without sending it
+     */
+    cancelCommand(id) {
+      this.pendingCommands = this.pendingCommands.filter(c => c.id !== id);
+      this._saveCommandQueue();
+    },
+
+    clearCommandQueue() {
+      this.pendingCommands = [];
+      this._saveCommandQueue();
+    },
+
+    /**
+     * Check if a command is waiting for the given topic
+     */
+    hasPendingCommand(topic) {
+      return this.pendingCommands.some(c => c.topic === topic);
+    },
+
+    _sendCommand(command, callback = null) {
+      command.preface.forEach(msg => {
+        this.client.publish(msg.topic, JSON.stringify(msg.payload), { qos: command.qos });
+      });
+      this.client.publish(command.topic, JSON.stringify(command.payload), { qos: command.qos }, (err) => {
+        if (err) console.error('Failed to publish:', command.topic, err);
+        if (callback) callback(err);
+      });
+    },
+
+    _saveCommandQueue() {
+      try {
+        localStorage.setItem(COMMAND_QUEUE_KEY, JSON.stringify(this.pendingCommands));
+      } catch (e) {
+        console.warn('Failed to persist command queue:', e);
+      }
+    },
+
+    // ========================================
+    // SESSION RECORDING
+    // ========================================
+
+    /**
+     * Start capturing every received message
+     * Current retained payloads are written first so the recording replays
+     * into a fully populated dashboard.
+     */
+    startRecording() {
+      const now = Date.now();
+      recordedMessages = [];
+      retainedPayloads.forEach((text, topic) => {
+        recordedMessages.push({ time: now, topic, payload: text, retain: true });
+      });
+      this.recordedCount = recordedMessages.length;
+      this.recordingStartedAt = now;
+      this.recording = true;
+      console.log('📼 Recording MQTT session');
+    },
+
+    stopRecording() {
+      this.recording = false;
+      console.log(`📼 Recorded ${this.recordedCount} messages`);
+    },
+
+    /**
+     * Download the current recording as JSONL
+     */
+    downloadRecording() {
+      if (recordedMessages.length === 0) return;
+      const jsonl = recordedMessages.map(m => JSON.stringify(m)).join('\n') + '\n';
+      const started = new Date(this.recordingStartedAt || Date.now());
+      downloadFile(`mqtt-session-${fileTimestamp(started)}.jsonl`, jsonl, 'application/x-ndjson');
+    },
+
+    clearRecording() {
+      recordedMessages = [];
+      this.recordedCount = 0;
+      this.recordingStartedAt = this.recording ? Date.now() : null;
+    },
+
+    _captureMessage(topic, text, retain) {
+      if (recordedMessages.length >= MAX_RECORDED_MESSAGES) {
+        console.warn(`📼 Recording limit of ${MAX_RECORDED_MESSAGES} messages reached`);
+        this.stopRecording();
+        return;
+      }
+      recordedMessages.push({ time: Date.now(), topic, payload: text, retain });
+      this.recordedCount = recordedMessages.length;
+    },
+
+    // ========================================
+    // SESSION REPLAY
+    // ========================================
+
+    /**
+     * Replay a JSONL recording instead of the live broker
+     * @param {string} jsonl - Recording contents
+     * @param {string} source - File name or URL, shown in the UI
+     * @returns {number} Number of messages loaded
+     */
+    startReplay(jsonl, source = '') {
+      const messages = parseRecording(jsonl);
+      if (messages.length === 0) {
+        this._logConnection('error', `No messages in replay ${source}`);
+        return 0;
+      }
+
+      this.stopReplay(false);
+
+      // Detach from the broker so live and replayed data never mix
+      if (this.client) {
+        const client = this.client;
+        this.client = null;
+        client.end(true);
+      }
+      this.connected = false;
+      this.connecting = false;
+      this.connectedSince = null;
+
+      replayMessages = messages;
+      this.replaying = true;
+      this.replayPaused = false;
+      this.replaySource = source;
+      this.replayPosition = 0;
+      this.replayTotal = messages.length;
+      this.replayTime = null;
+      this._logConnection('replay', `${source} (${messages.length} messages)`);
+
+      this._scheduleReplay(0);
+      return messages.length;
+    },
+
+    /**
+     * Fetch a recording by URL and replay it (e.g. ?replay=recordings/demo.jsonl)
+     */
+    async startReplayFromUrl(url) {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return this.startReplay(await response.text(), url);
+      } catch (e) {
+        console.error('Failed to load replay:', url, e);
+        this._logConnection('error', `Failed to load replay ${url}: ${e.message}`);
+        return 0;
+      }
+    },
+
+    /**
+     * Stop replaying
+     * @param {boolean} reconnect - Resume the live broker connection
+     */
+    stopReplay(reconnect = true) {
+      clearTimeout(replayTimer);
+      replayTimer = null;
+      const wasReplaying = this.replaying;
+      replayMessages = [];
+      this.replaying = false;
+      this.replayPaused = false;
+      this.replayPosition = 0;
+      this.replayTotal = 0;
+
+      if (wasReplaying && reconnect) {
+        this._logConnection('replay', 'stopped');
+        this.connect();
+      }
+    },
+
+    pauseReplay() {
+      clearTimeout(replayTimer);
+      replayTimer = null;
+      this.replayPaused = true;
+    },
+
+    resumeReplay() {
+      if (!this.replaying || !this.replayPaused) return;
+      this.replayPaused = false;
+      this._scheduleReplay(0);
+    },
+
+    /**
+     * Change playback speed (1 = real time); applies from the next message
+     */
+    setReplaySpeed(speed) {
+      this.replaySpeed = speed > 0 ? speed : 1;
+      if (this.replaying && !this.replayPaused) {
+        clearTimeout(replayTimer);
+        this._scheduleReplay(0);
+      }
+    },
+
+    get replayProgress() {
+      return this.replayTotal ? this.replayPosition / this.replayTotal : 0;
+    },
+
+    _scheduleReplay(delay) {
+      replayTimer = setTimeout(() => this._replayNext(), delay);
+    },
+
+    /**
+     * Deliver every message due at the current position, then wait for the next
+     */
+    _replayNext() {
+      replayTimer = null;
+      if (!this.replaying || this.replayPaused) return;
+
+      if (this.replayPosition >= replayMessages.length) {
+        if (this.replayLoop) {
+          this.replayPosition = 0;
+          this._scheduleReplay(0);
+        } else {
+          this.replayPaused = true;
+          this._logConnection('replay', 'finished');
+        }
+        return;
+      }
+
+      const current = replayMessages[this.replayPosition];
+      let index = this.replayPosition;
+      while (index < replayMessages.length && replayMessages[index].time === current.time) {
+        const msg = replayMessages[index];
+        this._handleMessage(msg.topic, msg.text, { retain: msg.retain }, 'replay');
+        index++;
+      }
+      this.replayPosition = index;
+      this.replayTime = current.time;
 
-      this.client.on('error', (err) => console.error('MQTT Error:', err));
-      this.client.on('close', () => { this.connected = false; this.connecting = true; });
-      this.client.on('reconnect', () => { this.connecting = true; });
+      if (index < replayMessages.length) {
+        const gap = (replayMessages[index].time - current.time) / this.replaySpeed;
+        this._scheduleReplay(Math.min(gap, MAX_REPLAY_GAP_MS));
+      } else {
+        this._scheduleReplay(0);
+      }
     }
   });
 }
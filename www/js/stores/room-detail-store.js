@@ -1,8 +1,63 @@
 /**
  * Room Detail Modal Store
  * Manages room detail modal with historical charts
+ *
+ * The window is either relative (last 6h) or a custom start/end. "Compare
+ * with" loads the same window from another period (yesterday, last week or a
+ * chosen date), shifts it onto the current time axis and reports deltas.
+ *
+ * "Compare sensors" overlays every other climate sensor of the room on the
+ * charts, to reveal placement differences (window, radiator, sun).
+ *
+ * Derived metrics (dew point, absolute humidity...) are listed for the room
+ * and each of its other climate sensors.
+ *
+ * The current comfort score is broken down into its components, each with
+ * the target it was held to and the points it cost.
  */
 
+import { querySeries, querySignal, cancelQueries, isAbortError, durationMs } from '../utils/influx.js';
+import { sensorEntityId } from '../utils/zigbee.js';
+import { seriesRows, exportRows, fileSlug } from '../utils/export.js';
+import { calculateComfortSeries, explainRoomComfort, formatMetric, PSYCHROMETRIC_METRICS } from '../utils/comfort-algo.js';
+import { COMFORT_PERIODS } from '../config.js';
+
+// Line colours for overlaid sensors (the room's own series keeps the chart colour)
+const OVERLAY_COLORS = ['#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#64748b'];
+const COMPARISON_COLOR = 'var(--color-text-tertiary)';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Night hours for the night-time delta (local time, 22:00-06:00)
+const NIGHT_START_HOUR = 22;
+const NIGHT_END_HOUR = 6;
+
+function mean(points) {
+  return points.length > 0 ? points.reduce((sum, p) => sum + p.value, 0) / points.length : null;
+}
+
+function isNight(point) {
+  const hour = new Date(point.time).getHours();
+  return hour >= NIGHT_START_HOUR || hour < NIGHT_END_HOUR;
+}
+
+function startOfDay(time) {
+  return new Date(time).setHours(0, 0, 0, 0);
+}
+
+// Value for <input type="datetime-local">, e.g. '2024-06-03T22:00'
+function toInputValue(time) {
+  const d = new Date(time);
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 16);
+}
+
+function formatDateTime(time) {
+  return new Date(time).toLocaleString('en-AU', {
+    weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit'
+  });
+}
+
 export function initRoomDetailStore(Alpine, CONFIG) {
   Alpine.store('roomDetail', {
     selectedRoom: null,
@@ -10,20 +65,143 @@ export function initRoomDetailStore(Alpine, CONFIG) {
     loading: false,
     tempHistory: [],
     humidHistory: [],
+    compareSensors: false,
+    sensorSeries: [],   // [{ name, label, color, temp, humid, tempOffset }] while comparing
     timeRanges: ['15m', '30m', '1h', '3h', '6h', '12h', '24h', '3d', '7d'],
 
+    // Custom absolute window (datetime-local values)
+    customRange: false,
+    customStart: '',
+    customEnd: '',
+    rangeError: null,
+    bounds: null,       // { start, end } of the loaded window (epoch ms)
+
+    // Period comparison
+    compareWith: '',    // '' | 'yesterday' | 'lastWeek' | 'date'
+    compareDate: '',    // YYYY-MM-DD when compareWith is 'date'
+    comparison: null,   // { label, offset, temp, humid } shifted onto the current window
+    compareOptions: [
+      { value: '', label: 'No comparison' },
+      { value: 'yesterday', label: 'Yesterday' },
+      { value: 'lastWeek', label: 'Last week' },
+      { value: 'date', label: 'Chosen date' }
+    ],
+
+    // Derived metrics table
+    metrics: PSYCHROMETRIC_METRICS,
+
     open(room) {
       this.selectedRoom = room;
       this.timeRange = '6h';
+      this.customRange = false;
+      this.rangeError = null;
+      this.compareSensors = false;
+      this.sensorSeries = [];
+      this.compareWith = '';
+      this.comparison = null;
       this.loadData();
     },
 
     close() {
+      cancelQueries('room-detail');
       this.selectedRoom = null;
+      this.loading = false;
     },
 
     async setTimeRange(range) {
       this.timeRange = range;
+      this.customRange = false;
+      this.rangeError = null;
+      await this.loadData();
+    },
+
+    // Switch to a custom window, starting from the one on screen
+    editCustomRange() {
+      const { start, end } = this.bounds || this.getBounds();
+      this.customStart = toInputValue(start);
+      this.customEnd = toInputValue(end);
+      this.customRange = true;
+    },
+
+    async applyCustomRange() {
+      const start = new Date(this.customStart).getTime();
+      const end = new Date(this.customEnd).getTime();
+      if (!(start < end)) {
+        this.rangeError = 'Start must be before end';
+        return;
+      }
+      this.rangeError = null;
+      await this.loadData();
+    },
+
+    async setCompareWith(value) {
+      this.compareWith = value;
+      if (value === 'date' && !this.compareDate) {
+        const { start } = this.bounds || this.getBounds();
+        this.compareDate = toInputValue(start - 7 * DAY_MS).slice(0, 10);
+      }
+      await this.loadData();
+    },
+
+    // Window to load: custom start/end or the relative range ending now
+    getBounds() {
+      if (this.customRange) {
+        return { start: new Date(this.customStart).getTime(), end: new Date(this.customEnd).getTime() };
+      }
+      const end = Date.now();
+      return { start: end - durationMs(this.timeRange), end };
+    },
+
+    // How far back the comparison window lies, null when not comparing
+    getCompareOffset(bounds) {
+      switch (this.compareWith) {
+        case 'yesterday': return DAY_MS;
+        case 'lastWeek': return 7 * DAY_MS;
+        case 'date': {
+          // Same time of day on the chosen date
+          const chosen = new Date(`${this.compareDate}T00:00`).getTime();
+          const offset = startOfDay(bounds.start) - chosen;
+          return Number.isFinite(offset) && offset !== 0 ? offset : null;
+        }
+        default: return null;
+      }
+    },
+
+    get rangeLabel() {
+      if (this.customRange && this.bounds) {
+        return `${formatDateTime(this.bounds.start)} – ${formatDateTime(this.bounds.end)}`;
+      }
+      return `last ${this.timeRange}`;
+    },
+
+    // Climate sensors other than the primary one
+    get overlaySensors() {
+      return (this.selectedRoom?.sensors || []).filter(s => s.type === 'climate' && !s.isPrimary);
+    },
+
+    get primaryLabel() {
+      return this.selectedRoom?.sensors.find(s => s.isPrimary)?.label || 'Primary';
+    },
+
+    formatMetric(source, key) {
+      return formatMetric(source, key);
+    },
+
+    // Current comfort score with its components (null without a reading)
+    get comfort() {
+      return explainRoomComfort(this.selectedRoom, Alpine.store('homeConfig'));
+    },
+
+    // e.g. '83 · Comfortable (sleep targets)'
+    get comfortSummary() {
+      const comfort = this.comfort;
+      if (!comfort) return '';
+      const period = COMFORT_PERIODS.find(p => p.id === comfort.period)?.label.toLowerCase() || comfort.period;
+      return `${comfort.score} · ${comfort.label} (${period} targets)`;
+    },
+
+    async toggleCompare() {
+      this.compareSensors = !this.compareSensors;
       await this.loadData();
     },
 
@@ -33,36 +211,35 @@ export function initRoomDetailStore(Alpine, CONFIG) {
 
       try {
         const room = this.selectedRoom;
-        const config = Alpine.store('config');
-
-        const tempQuery = `SELECT value FROM temperature WHERE entity_id = '${room.entityId}_temperature' AND time > now() - ${this.timeRange} ORDER BY time ASC`;
-        const tempUrl = `${config.influxUrl}/query?db=${config.influxDb}&q=${encodeURIComponent(tempQuery)}`;
-        const tempRes = await fetch(tempUrl);
-        const tempData = await tempRes.json();
-
-        if (tempData.results?.[0]?.series?.[0]?.values) {
-          this.tempHistory = tempData.results[0].series[0].values.map(v => ({
-            time: new Date(v[0]).getTime(),
-            value: v[1]
-          }));
-        } else {
-          this.tempHistory = [];
-        }
+        const bounds = this.getBounds();
+        const signal = querySignal('room-detail');
+        // Long ranges come back as one min/mean/max bucket per pixel or so
+        const points = document.getElementById('modal-chart-temp')?.clientWidth || 700;
+        const query = { start: bounds.start, end: bounds.end, points, signal };
 
-        const humidQuery = `SELECT value FROM humidity WHERE entity_id = '${room.entityId}_humidity' AND time > now() - ${this.timeRange} ORDER BY time ASC`;
-        const humidUrl = `${config.influxUrl}/query?db=${config.influxDb}&q=${encodeURIComponent(humidQuery)}`;
-        const humidRes = await fetch(humidUrl);
-        const humidData = await humidRes.json();
+        // Rooms without a primary sensor have no series of their own
+        const [tempHistory, humidHistory] = room.entityId
+          ? await Promise.all([
+            querySeries({ measurement: 'temperature', entityId: `${room.entityId}_temperature`, ...query }),
+            querySeries({ measurement: 'humidity', entityId: `${room.entityId}_humidity`, ...query })
+          ])
+          : [[], []];
+        this.tempHistory = tempHistory;
+        this.humidHistory = humidHistory;
 
-        if (humidData.results?.[0]?.series?.[0]?.values) {
-          this.humidHistory = humidData.results[0].series[0].values.map(v => ({
-            time: new Date(v[0]).getTime(),
-            value: v[1]
-          }));
-        } else {
-          this.humidHistory = [];
-        }
+        this.sensorSeries = this.compareSensors
+          ? await this.loadSensorSeries(query)
+          : [];
+
+        const offset = this.getCompareOffset(bounds);
+        this.comparison = offset !== null && room.entityId
+          ? await this.loadComparison(query, offset)
+          : null;
+
+        this.bounds = bounds;
       } catch (e) {
+        // A newer range or room took over - it owns the loading state
+        if (isAbortError(e)) return;
         console.error('Failed to load modal data:', e);
       }
 
@@ -70,14 +247,124 @@ export function initRoomDetailStore(Alpine, CONFIG) {
       setTimeout(() => this.drawCharts(), 50);
     },
 
+    // Temperature and humidity of each overlaid sensor for the current window
+    async loadSensorSeries(query) {
+      const roomMean = mean(this.tempHistory);
+
+      return Promise.all(this.overlaySensors.map(async (sensor, i) => {
+        const entityId = sensorEntityId(sensor);
+        const [temp, humid] = await Promise.all([
+          querySeries({ measurement: 'temperature', entityId: `${entityId}_temperature`, ...query }),
+          querySeries({ measurement: 'humidity', entityId: `${entityId}_humidity`, ...query })
+        ]);
+        const sensorMean = mean(temp);
+        return {
+          name: sensor.name,
+          label: sensor.label || sensor.name,
+          entityId,
+          color: OVERLAY_COLORS[i % OVERLAY_COLORS.length],
+          temp,
+          humid,
+          // Average difference to the room's primary sensor over the range
+          tempOffset: sensorMean !== null && roomMean !== null ? sensorMean - roomMean : null
+        };
+      }));
+    },
+
+    // The room's series for the earlier window, moved forward by `offset`
+    // so both periods share the time axis
+    async loadComparison(query, offset) {
+      const room = this.selectedRoom;
+      const earlier = { ...query, start: query.start - offset, end: query.end - offset };
+      const [temp, humid] = await Promise.all([
+        querySeries({ measurement: 'temperature', entityId: `${room.entityId}_temperature`, ...earlier }),
+        querySeries({ measurement: 'humidity', entityId: `${room.entityId}_humidity`, ...earlier })
+      ]);
+      const shift = (points) => points.map(p => ({ ...p, time: p.time + offset }));
+
+      const option = this.compareOptions.find(o => o.value === this.compareWith);
+      const label = this.compareWith === 'date'
+        ? new Date(earlier.start).toLocaleDateString('en-AU', { weekday: 'short', day: 'numeric', month: 'short' })
+        : option.label;
+
+      return { label, offset, temp: shift(temp), humid: shift(humid) };
+    },
+
+    // Current vs comparison period: [{ label, unit, current, previous, delta }]
+    get comparisonStats() {
+      if (!this.comparison) return [];
+      const low = (points) => points.length ? Math.min(...points.map(p => p.min ?? p.value)) : null;
+      const high = (points) => points.length ? Math.max(...points.map(p => p.max ?? p.value)) : null;
+      const night = (points) => mean(points.filter(isNight));
+
+      // Scored at each point's own time, so the compared period uses the
+      // schedule it was recorded under (points are shifted onto this window)
+      const comfortNow = calculateComfortSeries(this.tempHistory, this.humidHistory,
+        Alpine.store('homeConfig'), this.selectedRoom.id);
+      const { offset, temp, humid } = this.comparison;
+      const unshift = (points) => points.map(p => ({ ...p, time: p.time - offset }));
+      const comfortThen = calculateComfortSeries(unshift(temp), unshift(humid),
+        Alpine.store('homeConfig'), this.selectedRoom.id);
+
+      return [
+        { label: 'Avg temperature', unit: '°', current: mean(this.tempHistory), previous: mean(temp) },
+        { label: 'Night avg (22–06)', unit: '°', current: night(this.tempHistory), previous: night(temp) },
+        { label: 'Min temperature', unit: '°', current: low(this.tempHistory), previous: low(temp) },
+        { label: 'Max temperature', unit: '°', current: high(this.tempHistory), previous: high(temp) },
+        { label: 'Avg humidity', unit: '%', current: mean(this.humidHistory), previous: mean(humid) },
+        { label: 'Avg comfort score', unit: '', current: mean(comfortNow), previous: mean(comfortThen) }
+      ].map(row => ({
+        ...row,
+        delta: row.current !== null && row.previous !== null ? row.current - row.previous : null
+      }));
+    },
+
+    /**
+     * Download the loaded series (room, compared sensors, comparison period)
+     * @param {'csv'|'json'} format
+     */
+    exportData(format) {
+      const room = this.selectedRoom;
+      if (!room || !this.bounds) return;
+
+      const series = (label, entityId, temp, humid, extra = {}) => [
+        ...seriesRows(temp, { room: room.name, device: label, entityId: `${entityId}_temperature`, measurement: 'temperature', unit: '°C', ...extra }),
+        ...seriesRows(humid, { room: room.name, device: label, entityId: `${entityId}_humidity`, measurement: 'humidity', unit: '%', ...extra })
+      ];
+
+      const rows = [
+        ...series(this.primaryLabel, room.entityId, this.tempHistory, this.humidHistory),
+        ...this.sensorSeries.flatMap(s => series(s.label, s.entityId, s.temp, s.humid))
+      ];
+      if (this.comparison) {
+        // Compared points are stored shifted onto this window - export their real times
+        const { label, offset, temp, humid } = this.comparison;
+        const unshift = (points) => points.map(p => ({ ...p, time: p.time - offset }));
+        rows.push(...series(this.primaryLabel, room.entityId, unshift(temp), unshift(humid), { period: label }));
+      }
+
+      exportRows(`${fileSlug(room.name)}-history`, format, rows, {
+        room: { id: room.id, name: room.name, entityId: room.entityId },
+        start: new Date(this.bounds.start).toISOString(),
+        end: new Date(this.bounds.end).toISOString(),
+        comparison: this.comparison ? this.comparison.label : null
+      });
+    },
+
     drawCharts() {
-      this.drawChart('modal-chart-temp', this.tempHistory, '°C', 'var(--color-primary)');
-      this.drawChart('modal-chart-humid', this.humidHistory, '%', 'var(--color-success)');
+      const comparison = (key) => this.comparison
+        ? [{ data: this.comparison[key], color: COMPARISON_COLOR, dashed: true }]
+        : [];
+      this.drawChart('modal-chart-temp', this.tempHistory, '°C', 'var(--color-primary)',
+        this.sensorSeries.map(s => ({ data: s.temp, color: s.color })).concat(comparison('temp')));
+      this.drawChart('modal-chart-humid', this.humidHistory, '%', 'var(--color-success)',
+        this.sensorSeries.map(s => ({ data: s.humid, color: s.color })).concat(comparison('humid')));
     },
 
-    drawChart(id, data, unit, color) {
+    drawChart(id, data, unit, color, overlays = []) {
       const svg = document.getElementById(id);
       if (!svg || data.length === 0) return;
+      const all = data.concat(...overlays.map(o => o.data));
 
       const width = svg.clientWidth || 700;
       const height = svg.clientHeight || 180;
@@ -85,12 +372,13 @@ export function initRoomDetailStore(Alpine, CONFIG) {
       const chartWidth = width - padding.left - padding.right;
       const chartHeight = height - padding.top - padding.bottom;
 
-      const values = data.map(d => d.value);
-      const times = data.map(d => d.time);
+      const values = all.flatMap(d => [d.min ?? d.value, d.max ?? d.value]);
+      const times = all.map(d => d.time);
       const minVal = Math.floor(Math.min(...values) - 1);
       const maxVal = Math.ceil(Math.max(...values) + 1);
-      const minTime = Math.min(...times);
-      const maxTime = Math.max(...times);
+      // Axis spans the requested window so compared periods line up
+      const minTime = this.bounds?.start ?? Math.min(...times);
+      const maxTime = this.bounds?.end ?? Math.max(...times);
       const valueRange = maxVal - minVal || 1;
       const timeRange = maxTime - minTime || 1;
 
@@ -108,7 +396,9 @@ export function initRoomDetailStore(Alpine, CONFIG) {
       for (let i = 0; i <= xSteps; i++) {
         const x = padding.left + (i / xSteps) * chartWidth;
         const time = new Date(minTime + (i / xSteps) * timeRange);
-        const label = time.toLocaleTimeString('en-AU', { hour: 'numeric', minute: '2-digit' });
+        const label = timeRange > DAY_MS
+          ? time.toLocaleDateString('en-AU', { weekday: 'short', day: 'numeric' })
+          : time.toLocaleTimeString('en-AU', { hour: 'numeric', minute: '2-digit' });
         svgContent += `<line x1="${x}" y1="${padding.top}" x2="${x}" y2="${height - padding.bottom}" stroke="#e0e0e0" stroke-dasharray="3,3"/>`;
         svgContent += `<text x="${x}" y="${height - 8}" text-anchor="middle" fill="var(--color-text-tertiary)" font-size="10">${label}</text>`;
       }
@@ -123,10 +413,32 @@ export function initRoomDetailStore(Alpine, CONFIG) {
           return `${x},${y}`;
         }).join(' ');
 
-        const areaPoints = `${padding.left},${height - padding.bottom} ${points} ${width - padding.right},${height - padding.bottom}`;
-        svgContent += `<polygon fill="${color}" opacity="0.15" points="${areaPoints}"/>`;
+        if (data.some(d => d.min !== undefined)) {
+          // Downsampled: min–max band per bucket around the mean line
+          const toPoint = (time, value) => {
+            const x = padding.left + ((time - minTime) / timeRange) * chartWidth;
+            const y = padding.top + ((maxVal - value) / valueRange) * chartHeight;
+            return `${x},${y}`;
+          };
+          const upper = data.map(d => toPoint(d.time, d.max ?? d.value));
+          const lower = data.map(d => toPoint(d.time, d.min ?? d.value)).reverse();
+          svgContent += `<polygon class="chart-band" fill="${color}" opacity="0.2" points="${upper.concat(lower).join(' ')}"/>`;
+        } else {
+          const areaPoints = `${padding.left},${height - padding.bottom} ${points} ${width - padding.right},${height - padding.bottom}`;
+          svgContent += `<polygon fill="${color}" opacity="0.15" points="${areaPoints}"/>`;
+        }
         svgContent += `<polyline fill="none" stroke="${color}" stroke-width="2.5" points="${points}"/>`;
 
+        overlays.filter(o => o.data.length >= 2).forEach(o => {
+          const overlayPoints = o.data.map(d => {
+            const x = padding.left + ((d.time - minTime) / timeRange) * chartWidth;
+            const y = padding.top + ((maxVal - d.value) / valueRange) * chartHeight;
+            return `${x},${y}`;
+          }).join(' ');
+          const dash = o.dashed ? ' stroke-dasharray="5,4"' : '';
+          svgContent += `<polyline class="chart-overlay" fill="none" stroke="${o.color}" stroke-width="1.5"${dash} points="${overlayPoints}"/>`;
+        });
+
         const lastPoint = data[data.length - 1];
         const lastX = padding.left + ((lastPoint.time - minTime) / timeRange) * chartWidth;
         const lastY = padding.top + ((maxVal - lastPoint.value) / valueRange) * chartHeight;
@@ -138,8 +450,9 @@ export function initRoomDetailStore(Alpine, CONFIG) {
 
     getMinMax() {
       if (!this.tempHistory.length) return '--';
-      const temps = this.tempHistory.map(d => d.value);
-      return `${Math.min(...temps).toFixed(1)}° / ${Math.max(...temps).toFixed(1)}°`;
+      const min = Math.min(...this.tempHistory.map(d => d.min ?? d.value));
+      const max = Math.max(...this.tempHistory.map(d => d.max ?? d.value));
+      return `${min.toFixed(1)}° / ${max.toFixed(1)}°`;
     },
 
     formatUpdate(lastSeen) {
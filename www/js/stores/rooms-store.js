@@ -1,51 +1,195 @@
 /**
  * Rooms Data Store
  * Manages room sensor data and history with multi-sensor support
+ *
+ * Rooms and their sensors come from the homeConfig store and are rebuilt
+ * whenever the home configuration changes. With CONFIG.autoRoomSensors,
+ * sensors named `[Room] Description` in zigbee2mqtt/bridge/devices are
+ * added to the matching room by type (climate/co2/motion/contact), so newly
+ * paired sensors appear without a reload. Manual links always win.
+ *
+ * History is loaded for the room (primary sensor) and for every climate and
+ * CO2 sensor in it. It is cached in IndexedDB (utils/history-cache.js) and
+ * shown before InfluxDB answers, then topped up with newer points only.
+ *
+ * Rooms and climate sensors also carry psychrometric metrics (dew point,
+ * absolute humidity...) derived from their latest temperature and humidity.
  */
 
-import { ROOM_SENSORS } from '../config.js';
+import { deriveRoomSensors, sensorEntityId } from '../utils/zigbee.js';
+import { querySeries } from '../utils/influx.js';
+import {
+  readSeries, writeSeries, seriesKey, clearHistoryCache, topUpRange, mergeTopUp, appendNewer
+} from '../utils/history-cache.js';
+import { getPsychrometrics, PSYCHROMETRIC_FIELDS } from '../utils/comfort-algo.js';
+
+// Live values carried over when the configuration is re-applied
+const ROOM_LIVE_FIELDS = ['temperature', 'humidity', ...PSYCHROMETRIC_FIELDS, 'lastSeen', 'stale', 'tempHistory', 'humidHistory'];
+const SENSOR_LIVE_FIELDS = ['temperature', 'humidity', ...PSYCHROMETRIC_FIELDS, 'co2', 'battery', 'lastSeen', 'stale', 'tempHistory', 'humidHistory', 'co2History'];
+
+// Per-sensor history by sensor type: InfluxDB measurement and entity_id suffix
+// for each history field, and the live value it backs
+const SENSOR_HISTORY = {
+  climate: [
+    { field: 'tempHistory', value: 'temperature', measurement: 'temperature', suffix: 'temperature' },
+    { field: 'humidHistory', value: 'humidity', measurement: 'humidity', suffix: 'humidity' }
+  ],
+  co2: [
+    { field: 'co2History', value: 'co2', measurement: 'ppm', suffix: 'co2' }
+  ]
+};
+
+/**
+ * Build a room with multi-sensor support from its configuration
+ * @param {Object} roomConfig - Room entry ({ id, name, icon, sensor, entityId, isOutdoor })
+ * @param {Object} roomSensorConfig - Sensors by role ({ climate: [], co2: [], ... })
+ */
+function createRoom(roomConfig, roomSensorConfig = { climate: [] }) {
+  const allSensors = [
+    ...(roomSensorConfig.climate || []).map(s => ({ ...s, type: 'climate' })),
+    ...(roomSensorConfig.co2 || []).map(s => ({ ...s, type: 'co2' })),
+    ...(roomSensorConfig.motion || []).map(s => ({ ...s, type: 'motion' })),
+    ...(roomSensorConfig.contact || []).map(s => ({ ...s, type: 'contact' }))
+  ];
+
+  return {
+    ...roomConfig,
+    // Primary sensor values (backward compatibility)
+    temperature: null,
+    humidity: null,
+    ...getPsychrometrics(null, null),
+    lastSeen: null,
+    stale: false,
+    tempHistory: [],
+    humidHistory: [],
+    // Multi-sensor support
+    sensors: allSensors.map(s => ({
+      ...s,
+      temperature: null,
+      humidity: null,
+      ...getPsychrometrics(null, null),
+      co2: null,
+      battery: null,
+      lastSeen: null,
+      stale: false,
+      tempHistory: [],
+      humidHistory: [],
+      co2History: []
+    })),
+    // Computed room averages
+    avgTemperature: null,
+    avgHumidity: null,
+    tempSpread: null
+  };
+}
+
+function copyFields(target, source, fields) {
+  fields.forEach(field => { target[field] = source[field]; });
+}
 
 export function initRoomsStore(Alpine, CONFIG) {
+  // Latest zigbee2mqtt/bridge/devices list (outside Alpine - large and read-only)
+  let discoveredDevices = [];
+
   Alpine.store('rooms', {
-    // Initialize rooms with multi-sensor support
-    list: CONFIG.rooms.map(r => {
-      // Get all sensors for this room from ROOM_SENSORS config
-      const roomSensorConfig = ROOM_SENSORS[r.id] || { climate: [] };
-      const allSensors = [
-        ...(roomSensorConfig.climate || []).map(s => ({ ...s, type: 'climate' })),
-        ...(roomSensorConfig.co2 || []).map(s => ({ ...s, type: 'co2' })),
-        ...(roomSensorConfig.motion || []).map(s => ({ ...s, type: 'motion' })),
-        ...(roomSensorConfig.contact || []).map(s => ({ ...s, type: 'contact' }))
-      ];
-
-      return {
-        ...r,
-        // Primary sensor values (backward compatibility)
-        temperature: null,
-        humidity: null,
-        lastSeen: null,
-        stale: false,
-        tempHistory: [],
-        humidHistory: [],
-        // Multi-sensor support
-        sensors: allSensors.map(s => ({
-          ...s,
-          temperature: null,
-          humidity: null,
-          co2: null,
-          battery: null,
-          lastSeen: null,
-          stale: false
-        })),
-        // Computed room averages
-        avgTemperature: null,
-        avgHumidity: null,
-        tempSpread: null
-      };
-    }),
+    list: [],
     lastUpdate: null,
     loading: false,
 
+    // MQTT subscription ids for room sensor topics
+    _sensorSubscriptions: [],
+    _sensorKey: '',              // Effective room sensors of the current list
+
+    // Build rooms from the home configuration and register sensor routes
+    init() {
+      const homeConfig = Alpine.store('homeConfig');
+      const roomSensors = this._resolveRoomSensors(homeConfig);
+      this.list = this._buildRooms(homeConfig, roomSensors);
+      this._sensorKey = JSON.stringify(roomSensors);
+      this._subscribeSensors();
+
+      if (CONFIG.autoRoomSensors) {
+        Alpine.store('mqtt').subscribe(`${CONFIG.baseTopic}/bridge/devices`, (data) => {
+          if (!Array.isArray(data)) return;
+          discoveredDevices = data;
+          this.applyConfig(Alpine.store('homeConfig'), { onlyIfChanged: true });
+        }, { qos: 1 });
+      }
+    },
+
+    /**
+     * Rebuild rooms after a home configuration or device list change
+     * Rooms keep their readings and history unless their primary sensor
+     * changed; new rooms get their history loaded.
+     * @param {Object} config - { rooms, roomSensors, excludedSensors }
+     * @param {Object} options - { onlyIfChanged } skip when the effective
+     *   room sensors are unchanged (bridge/devices is republished often)
+     */
+    applyConfig(config, options = {}) {
+      const roomSensors = this._resolveRoomSensors(config);
+      const sensorKey = JSON.stringify(roomSensors);
+      if (options.onlyIfChanged && sensorKey === this._sensorKey) return;
+
+      const rooms = this._buildRooms(config, roomSensors);
+
+      const previous = Object.fromEntries(this.list.map(r => [r.id, r]));
+      const addedIds = [];
+
+      this.list = rooms.map(room => {
+        const old = previous[room.id];
+
+        if (old && old.sensor === room.sensor) {
+          copyFields(room, old, ROOM_LIVE_FIELDS);
+        } else {
+          addedIds.push(room.id);
+        }
+
+        room.sensors.forEach(sensor => {
+          const oldSensor = old?.sensors.find(s => s.name === sensor.name);
+          if (oldSensor) copyFields(sensor, oldSensor, SENSOR_LIVE_FIELDS);
+        });
+        this._recalculateRoomAverages(room);
+        return room;
+      });
+
+      this._sensorKey = sensorKey;
+      this._subscribeSensors();
+      // Look up through this.list so history lands on the reactive rooms
+      if (addedIds.length > 0) {
+        this.loadHistorical(this.list.filter(r => addedIds.includes(r.id)));
+      }
+    },
+
+    // Manual sensor links plus discovered ones (when enabled)
+    _resolveRoomSensors(config) {
+      return CONFIG.autoRoomSensors
+        ? deriveRoomSensors(config, discoveredDevices)
+        : config.roomSensors;
+    },
+
+    // Create rooms, defaulting the primary sensor to a discovered one
+    _buildRooms(config, roomSensors) {
+      return config.rooms.map(r => {
+        const primary = (roomSensors[r.id]?.climate || []).find(s => s.isPrimary);
+        const roomConfig = r.sensor ? r : { ...r, sensor: primary?.name || '' };
+        return createRoom(roomConfig, roomSensors[r.id]);
+      });
+    },
+
+    // Register MQTT routes for every room sensor (primary + additional),
+    // replacing routes from a previous configuration
+    _subscribeSensors() {
+      const mqttStore = Alpine.store('mqtt');
+      this._sensorSubscriptions.forEach(id => mqttStore.unsubscribe(id));
+      this._sensorSubscriptions = this.getAllSensorTopics().map(sensorName =>
+        mqttStore.subscribe(`${CONFIG.baseTopic}/${sensorName}`, (data) => {
+          if (typeof data === 'object' && data !== null) {
+            this.handleSensorMessage(sensorName, data);
+          }
+        })
+      );
+    },
+
     // Computed: Total history points across all rooms
     get historyCount() {
       return this.list.reduce((sum, r) => sum + r.tempHistory.length + r.humidHistory.length, 0);
@@ -124,6 +268,7 @@ export function initRoomsStore(Alpine, CONFIG) {
         room.humidHistory.push({ time: sensorTime, value: data.humidity });
         if (room.humidHistory.length > CONFIG.maxHistoryPoints) room.humidHistory.shift();
       }
+      Object.assign(room, getPsychrometrics(room.temperature, room.humidity));
 
       room.lastSeen = sensorTime;
       room.stale = false;
@@ -165,6 +310,16 @@ export function initRoomsStore(Alpine, CONFIG) {
       if (data.humidity !== undefined) sensor.humidity = data.humidity;
       if (data.co2 !== undefined) sensor.co2 = data.co2;
       if (data.battery !== undefined) sensor.battery = data.battery;
+      if (sensor.type === 'climate') {
+        Object.assign(sensor, getPsychrometrics(sensor.temperature, sensor.humidity));
+      }
+
+      // Extend the sensor's own history
+      (SENSOR_HISTORY[sensor.type] || []).forEach(({ field, value }) => {
+        if (data[value] === undefined) return;
+        sensor[field].push({ time: sensorTime, value: data[value] });
+        if (sensor[field].length > CONFIG.maxHistoryPoints) sensor[field].shift();
+      });
 
       sensor.lastSeen = sensorTime;
       sensor.stale = false;
@@ -220,57 +375,136 @@ export function initRoomsStore(Alpine, CONFIG) {
       const topics = new Set();
       this.list.forEach(room => {
         // Primary sensor
-        topics.add(room.sensor);
+        if (room.sensor) topics.add(room.sensor);
         // Additional sensors
         room.sensors.forEach(s => topics.add(s.name));
       });
       return Array.from(topics);
     },
 
-    // Load historical data for primary sensors
-    async loadHistorical() {
+    // Load historical data for primary sensors (all rooms by default)
+    // Cached series render straight away; InfluxDB then only has to supply
+    // points newer than the cache. Rooms load in parallel.
+    async loadHistorical(rooms = this.list) {
       this.loading = true;
-      for (const room of this.list) {
-        try {
-          const tempQuery = `SELECT value FROM temperature WHERE entity_id = '${room.entityId}_temperature' AND time > now() - ${CONFIG.historyHours}h ORDER BY time ASC`;
-          const tempUrl = `${CONFIG.influxUrl}/query?db=${CONFIG.influxDb}&q=${encodeURIComponent(tempQuery)}`;
-          const tempRes = await fetch(tempUrl);
-          const tempData = await tempRes.json();
-
-          if (tempData.results?.[0]?.series?.[0]?.values) {
-            const values = tempData.results[0].series[0].values;
-            room.tempHistory = values.map(v => ({ time: new Date(v[0]).getTime(), value: v[1] }));
-            room.temperature = values[values.length - 1][1];
-            room.lastSeen = new Date(values[values.length - 1][0]).getTime();
-          }
+      await Promise.all(rooms.flatMap(room => [
+        room.entityId ? this._loadRoomHistory(room) : null,
+        // The primary sensor shares the room history
+        ...room.sensors
+          .filter(s => SENSOR_HISTORY[s.type] && !(s.isPrimary && room.entityId))
+          .map(sensor => this._loadSensorHistory(room, sensor))
+      ]));
+      this.lastUpdate = Date.now();
+      this.loading = false;
+    },
 
-          const humidQuery = `SELECT value FROM humidity WHERE entity_id = '${room.entityId}_humidity' AND time > now() - ${CONFIG.historyHours}h ORDER BY time ASC`;
-          const humidUrl = `${CONFIG.influxUrl}/query?db=${CONFIG.influxDb}&q=${encodeURIComponent(humidQuery)}`;
-          const humidRes = await fetch(humidUrl);
-          const humidData = await humidRes.json();
+    /**
+     * Drop the cached history and load the full window again
+     */
+    async clearHistoryCache() {
+      await clearHistoryCache();
+      await this.loadHistorical();
+    },
 
-          if (humidData.results?.[0]?.series?.[0]?.values) {
-            const values = humidData.results[0].series[0].values;
-            room.humidHistory = values.map(v => ({ time: new Date(v[0]).getTime(), value: v[1] }));
-            room.humidity = values[values.length - 1][1];
-          }
+    async _loadRoomHistory(room) {
+      const cached = {
+        temperature: await readSeries(seriesKey('temperature', `${room.entityId}_temperature`)) || [],
+        humidity: await readSeries(seriesKey('humidity', `${room.entityId}_humidity`)) || []
+      };
+      this._applyHistory(room, cached.temperature, cached.humidity);
+
+      try {
+        const [tempHistory, humidHistory] = await Promise.all([
+          this._topUpSeries('temperature', `${room.entityId}_temperature`, cached.temperature),
+          this._topUpSeries('humidity', `${room.entityId}_humidity`, cached.humidity)
+        ]);
+        this._applyHistory(room, tempHistory, humidHistory);
+      } catch (e) {
+        // Keep showing the cached history while InfluxDB is unreachable
+        console.error(`Failed to load history for ${room.name}:`, e);
+      }
+    },
 
-          // Initialize primary sensor in sensors array too
-          const primarySensor = room.sensors.find(s => s.isPrimary);
-          if (primarySensor) {
-            primarySensor.temperature = room.temperature;
-            primarySensor.humidity = room.humidity;
-            primarySensor.lastSeen = room.lastSeen;
-          }
+    // History of a secondary sensor, from its own entity
+    // (ROOM_SENSORS entries may set entityId when it isn't the slugified name)
+    async _loadSensorHistory(room, sensor) {
+      const baseId = sensorEntityId(sensor);
 
-          // Recalculate averages after loading
-          this._recalculateRoomAverages(room);
+      await Promise.all(SENSOR_HISTORY[sensor.type].map(async ({ field, measurement, suffix }) => {
+        const entityId = `${baseId}_${suffix}`;
+        const cached = await readSeries(seriesKey(measurement, entityId)) || [];
+        if (cached.length > 0) sensor[field] = appendNewer(cached, sensor[field]);
+
+        try {
+          const series = await this._topUpSeries(measurement, entityId, cached);
+          if (series.length > 0) sensor[field] = appendNewer(series, sensor[field]);
         } catch (e) {
-          console.error(`Failed to load history for ${room.name}:`, e);
+          console.error(`Failed to load history for ${sensor.name}:`, e);
         }
+      }));
+
+      // Latest stored values until MQTT reports
+      if (sensor.lastSeen === null) {
+        SENSOR_HISTORY[sensor.type].forEach(({ field, value }) => {
+          const latest = sensor[field][sensor[field].length - 1];
+          if (!latest) return;
+          sensor[value] = latest.value;
+          sensor.lastSeen = Math.max(sensor.lastSeen || 0, latest.time);
+        });
+        this._recalculateRoomAverages(room);
       }
-      this.lastUpdate = Date.now();
-      this.loading = false;
+    },
+
+    // Cached points still inside the history window plus newer ones from InfluxDB
+    async _topUpSeries(measurement, entityId, cached) {
+      const windowStart = Date.now() - CONFIG.historyHours * 60 * 60 * 1000;
+      const { kept, start } = topUpRange(cached, windowStart);
+      const fresh = await querySeries({
+        measurement,
+        entityId,
+        range: `${CONFIG.historyHours}h`,
+        start,
+        points: CONFIG.maxHistoryPoints
+      });
+
+      const series = mergeTopUp(kept, start, fresh, CONFIG.maxHistoryPoints);
+      writeSeries(seriesKey(measurement, entityId), series);
+      return series;
+    },
+
+    // Show loaded history, keeping live MQTT readings that arrived meanwhile
+    _applyHistory(room, tempHistory, humidHistory) {
+      const liveSince = room.lastSeen || 0;
+
+      if (tempHistory.length > 0) {
+        const latest = tempHistory[tempHistory.length - 1];
+        room.tempHistory = appendNewer(tempHistory, room.tempHistory);
+        if (latest.time >= liveSince) {
+          room.temperature = latest.value;
+          room.lastSeen = latest.time;
+        }
+      }
+
+      if (humidHistory.length > 0) {
+        const latest = humidHistory[humidHistory.length - 1];
+        room.humidHistory = appendNewer(humidHistory, room.humidHistory);
+        if (latest.time >= liveSince) room.humidity = latest.value;
+      }
+      Object.assign(room, getPsychrometrics(room.temperature, room.humidity));
+
+      // Initialize primary sensor in sensors array too
+      const primarySensor = room.sensors.find(s => s.isPrimary);
+      if (primarySensor) {
+        primarySensor.temperature = room.temperature;
+        primarySensor.humidity = room.humidity;
+        Object.assign(primarySensor, getPsychrometrics(room.temperature, room.humidity));
+        primarySensor.lastSeen = room.lastSeen;
+        primarySensor.tempHistory = room.tempHistory.slice();
+        primarySensor.humidHistory = room.humidHistory.slice();
+      }
+
+      // Recalculate averages after loading
+      this._recalculateRoomAverages(room);
     },
 
     // Check for stale sensors
@@ -8,38 +8,7 @@
  * - zigbee2mqtt/{device}: Live sensor data
  */
 
-// Sensor types we care about (exclude lights, remotes, plugs)
-const SENSOR_FEATURES = ['temperature', 'humidity', 'co2', 'occupancy', 'contact', 'illuminance'];
-
-/**
- * Determine sensor type from Zigbee2MQTT device definition
- */
-function getSensorType(device) {
-  const exposes = device.definition?.exposes || [];
-  const features = exposes.flatMap(e => e.features || [e]);
-  const featureNames = features.map(f => f.name);
-
-  // Priority order: most specific first
-  if (featureNames.includes('co2')) return 'co2';
-  if (featureNames.includes('occupancy')) return 'motion';
-  if (featureNames.includes('contact')) return 'contact';
-  if (featureNames.includes('temperature') || featureNames.includes('humidity')) return 'climate';
-
-  return null; // Not a sensor we handle
-}
-
-/**
- * Check if device is a sensor we should display
- */
-function isSensor(device) {
-  if (!device.definition) return false;
-
-  const exposes = device.definition.exposes || [];
-  const features = exposes.flatMap(e => e.features || [e]);
-  const featureNames = features.map(f => f.name);
-
-  return SENSOR_FEATURES.some(f => featureNames.includes(f));
-}
+import { getSensorType, isSensor } from '../utils/zigbee.js';
 
 /**
  * Initialize the sensors store
@@ -63,69 +32,32 @@ export function initSensorsStore(Alpine, CONFIG) {
     // Browser ID for conflict debugging
     browserId: 'browser-' + Math.random().toString(36).substr(2, 9),
 
+    // MQTT subscription ids for per-device live data topics
+    _deviceSubscriptions: [],
+    _initialized: false,
+
     /**
-     * Initialize store - call after MQTT connected
+     * Initialize store - registers MQTT routes (safe to call repeatedly)
      */
     init() {
-      const mqttStore = Alpine.store('mqtt');
-
-      // Wait for MQTT connection
-      if (!mqttStore.client) {
-        setTimeout(() => this.init(), 100);
-        return;
-      }
+      if (this._initialized) return;
+      this._initialized = true;
 
-      this.subscribeToTopics(mqttStore.client, CONFIG);
-    },
+      const mqttStore = Alpine.store('mqtt');
 
-    /**
-     * Subscribe to required MQTT topics
-     */
-    subscribeToTopics(client, CONFIG) {
       // Device discovery
-      client.subscribe('zigbee2mqtt/bridge/devices', { qos: 1 });
+      mqttStore.subscribe('zigbee2mqtt/bridge/devices', (data) => {
+        if (Array.isArray(data)) this.handleDeviceList(data);
+      }, { qos: 1 });
 
       // Position persistence
-      client.subscribe('dashboard/sensors/positions', { qos: 1 });
-
-      // Add message handler (alongside existing handlers)
-      client.on('message', (topic, message) => {
-        this.handleMessage(topic, message, CONFIG);
-      });
+      mqttStore.subscribe('dashboard/sensors/positions', (data) => {
+        if (typeof data === 'object' && data !== null) this.handlePositionUpdate(data);
+      }, { qos: 1 });
 
       console.log('[sensors-store] Subscribed to device discovery and positions');
     },
 
-    /**
-     * Handle incoming MQTT messages
-     */
-    handleMessage(topic, message, CONFIG) {
-      try {
-        const data = JSON.parse(message.toString());
-
-        // Device list from bridge
-        if (topic === 'zigbee2mqtt/bridge/devices') {
-          this.handleDeviceList(data);
-          return;
-        }
-
-        // Position updates
-        if (topic === 'dashboard/sensors/positions') {
-          this.handlePositionUpdate(data);
-          return;
-        }
-
-        // Live sensor data
-        const deviceName = topic.replace(`${CONFIG.baseTopic}/`, '');
-        const sensor = this.devices.find(d => d.friendly_name === deviceName);
-        if (sensor) {
-          this.updateLiveData(sensor.ieee_address, data);
-        }
-      } catch (e) {
-        // Ignore parse errors for non-JSON messages
-      }
-    },
-
     /**
      * Handle device list from zigbee2mqtt/bridge/devices
      */
@@ -144,13 +76,18 @@ export function initSensorsStore(Alpine, CONFIG) {
       this.loading = false;
       console.log(`[sensors-store] Discovered ${this.devices.length} sensors`);
 
-      // Subscribe to each sensor's topic for live data
+      // Subscribe to each sensor's topic for live data (replacing any
+      // routes from a previous device list)
       const mqttStore = Alpine.store('mqtt');
-      if (mqttStore.client) {
-        this.devices.forEach(sensor => {
-          mqttStore.client.subscribe(`zigbee2mqtt/${sensor.friendly_name}`, { qos: 0 });
+      this._deviceSubscriptions.forEach(id => mqttStore.unsubscribe(id));
+      this._deviceSubscriptions = this.devices.map(sensor => {
+        const ieeeAddress = sensor.ieee_address;
+        return mqttStore.subscribe(`${CONFIG.baseTopic}/${sensor.friendly_name}`, (data) => {
+          if (typeof data === 'object' && data !== null) {
+            this.updateLiveData(ieeeAddress, data);
+          }
         });
-      }
+      });
     },
 
     /**
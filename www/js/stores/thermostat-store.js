@@ -4,6 +4,32 @@
  */
 
 import { THERMOSTAT_EVENT_TYPES } from '../config.js';
+import { queryEvents } from '../utils/influx.js';
+
+/**
+ * Build a thermostat with its live state from its configuration
+ */
+function createThermostat(config) {
+  return {
+    ...config,
+    // Current state from MQTT
+    localTemp: null,          // Current temperature at valve
+    targetTemp: null,         // Setpoint (occupied_heating_setpoint)
+    runningState: 'idle',     // 'idle' or 'heat'
+    systemMode: 'heat',       // 'heat' or 'off'
+    battery: null,
+    linkquality: null,
+    lastSeen: null,
+    available: true,
+    syncing: false,
+    // Extra TRV features
+    childLock: 'UNLOCK',
+    openWindow: false,
+    localTempCalibration: 0,
+    // UI state
+    pendingTarget: null       // Optimistic update value
+  };
+}
 
 export function initThermostatStore(Alpine, CONFIG) {
   Alpine.store('thermostats', {
@@ -11,31 +37,17 @@ export function initThermostatStore(Alpine, CONFIG) {
     // STATE
     // ============================================
 
-    list: CONFIG.thermostats.map(t => ({
-      ...t,
-      // Current state from MQTT
-      localTemp: null,          // Current temperature at valve
-      targetTemp: null,         // Setpoint (occupied_heating_setpoint)
-      runningState: 'idle',     // 'idle' or 'heat'
-      systemMode: 'heat',       // 'heat' or 'off'
-      battery: null,
-      linkquality: null,
-      lastSeen: null,
-      available: true,
-      syncing: false,
-      // Extra TRV features
-      childLock: 'UNLOCK',
-      openWindow: false,
-      localTempCalibration: 0,
-      // UI state
-      pendingTarget: null       // Optimistic update value
-    })),
+    list: Alpine.store('homeConfig').thermostats.map(createThermostat),
 
     events: [],                  // Recent events for timeline
     maxEvents: 200,
     initializing: true,
     firstMessageReceived: {},    // Track which devices have recorded initial state
 
+    // MQTT subscription ids, registered once historical events are loaded
+    _subscriptions: [],
+    _routesReady: false,
+
     // ============================================
     // INITIALIZATION
     // ============================================
@@ -44,46 +56,52 @@ export function initThermostatStore(Alpine, CONFIG) {
       // Load historical events from InfluxDB first
       await this.loadHistoricalEvents(24);
 
-      const mqtt = Alpine.store('mqtt');
-      if (!mqtt?.client) {
-        console.log('[thermostat-store] MQTT not ready, retrying...');
-        setTimeout(() => this.init(), 1000);
-        return;
-      }
-
       console.log('[thermostat-store] Subscribing to thermostat topics...');
+      this._routesReady = true;
+      this._subscribeThermostats();
 
-      // Subscribe to each thermostat topic
-      CONFIG.thermostats.forEach(t => {
-        const topic = `${CONFIG.baseTopic}/${t.sensor}`;
-        mqtt.client.subscribe(topic, { qos: 0 });
-        console.log(`[thermostat-store] Subscribed to ${topic}`);
+      this.initializing = false;
+      console.log('[thermostat-store] Initialization complete');
+    },
+
+    /**
+     * Rebuild thermostats after a home configuration change
+     * Thermostats whose device is unchanged keep their live state.
+     */
+    applyConfig(thermostats) {
+      const previous = Object.fromEntries(this.list.map(t => [t.id, t]));
+      this.list = thermostats.map(config => {
+        const old = previous[config.id];
+        return old && old.sensor === config.sensor ? { ...old, ...config } : createThermostat(config);
       });
 
-      // Handle incoming messages
-      mqtt.client.on('message', (topic, message) => {
-        if (!topic.startsWith(CONFIG.baseTopic + '/')) return;
-
-        const deviceName = topic.replace(CONFIG.baseTopic + '/', '').replace('/availability', '');
-        const thermostat = CONFIG.thermostats.find(t => t.sensor === deviceName);
-        if (!thermostat) return;
-
-        try {
-          if (topic.endsWith('/availability')) {
-            const isOnline = message.toString() === 'online' ||
-              (JSON.parse(message.toString()).state === 'online');
-            this.updateAvailability(deviceName, isOnline);
-          } else {
-            const data = JSON.parse(message.toString());
-            this.updateThermostat(deviceName, data);
+      if (this._routesReady) this._subscribeThermostats();
+    },
+
+    // Register state and availability routes for each thermostat,
+    // replacing routes from a previous configuration
+    _subscribeThermostats() {
+      const mqttStore = Alpine.store('mqtt');
+      this._subscriptions.forEach(id => mqttStore.unsubscribe(id));
+      this._subscriptions = [];
+
+      this.list.forEach(t => {
+        const topic = `${CONFIG.baseTopic}/${t.sensor}`;
+
+        this._subscriptions.push(mqttStore.subscribe(topic, (data) => {
+          if (typeof data === 'object' && data !== null) {
+            this.updateThermostat(t.sensor, data);
           }
-        } catch (e) {
-          // Ignore parse errors
-        }
-      });
+        }));
 
-      this.initializing = false;
-      console.log('[thermostat-store] Initialization complete');
+        this._subscriptions.push(mqttStore.subscribe(`${topic}/availability`, (data) => {
+          // Zigbee2MQTT sends either {"state":"online"} or legacy plain 'online'
+          const state = typeof data === 'string' ? data : data?.state;
+          this.updateAvailability(t.sensor, state === 'online');
+        }));
+
+        console.log(`[thermostat-store] Subscribed to ${topic}`);
+      });
     },
 
     // ============================================
@@ -95,41 +113,22 @@ export function initThermostatStore(Alpine, CONFIG) {
         console.log(`[thermostat-store] Loading ${hours}h of historical events from InfluxDB...`);
 
         // Query InfluxDB for thermostat events
-        const query = `SELECT * FROM zigbee_events WHERE device_type = 'thermostat' AND time > now() - ${hours}h ORDER BY time DESC LIMIT 200`;
-        const url = `http://pi:8086/query?db=homeassistant&q=${encodeURIComponent(query)}`;
-
-        const response = await fetch(url);
-        if (!response.ok) {
-          console.warn('[thermostat-store] InfluxDB query failed:', response.status);
-          return;
-        }
-
-        const data = await response.json();
-
-        // Parse InfluxDB response
-        if (!data.results?.[0]?.series?.[0]) {
+        const rows = await queryEvents({ range: `${hours}h`, deviceType: 'thermostat', limit: 200 });
+        if (rows.length === 0) {
           console.log('[thermostat-store] No historical events found');
           return;
         }
 
-        const series = data.results[0].series[0];
-        const columns = series.columns;
-        const values = series.values;
-
-        // Map column indices
-        const colIdx = {};
-        columns.forEach((col, i) => colIdx[col] = i);
-
         // Convert to our event format
-        const historicalEvents = values.map(row => {
-          const deviceName = row[colIdx.device_name];
-          const eventType = row[colIdx.event_type];
-          const time = new Date(row[colIdx.time]).getTime();
-          const state = row[colIdx.state];
-          const room = row[colIdx.room];
+        const historicalEvents = rows.map(row => {
+          const deviceName = row.device_name;
+          const eventType = row.event_type;
+          const time = row.time;
+          const state = row.state;
+          const room = row.room;
 
           // Find matching thermostat config
-          const thermostat = CONFIG.thermostats.find(t => t.sensor === deviceName);
+          const thermostat = this.list.find(t => t.sensor === deviceName);
 
           // Normalize event type (mode_changed_heat -> mode_changed)
           let normalizedType = eventType;
@@ -443,13 +442,6 @@ export function initThermostatStore(Alpine, CONFIG) {
     },
 
     publishCommand(thermostat, payload) {
-      const client = Alpine.store('mqtt').client;
-      if (!client || !Alpine.store('mqtt').connected) {
-        console.error('[thermostat-store] MQTT not connected');
-        thermostat.syncing = false;
-        return;
-      }
-
       // Publish audit event BEFORE sending the actual command
       // This allows mqtt-influx-bridge to track the source of changes
       const auditPayload = {
@@ -461,11 +453,12 @@ export function initThermostatStore(Alpine, CONFIG) {
         payload: payload,
         timestamp: Date.now()
       };
-      client.publish('dashboard/audit/thermostat', JSON.stringify(auditPayload), { qos: 0 });
-      console.log('[thermostat-store] Audit published:', auditPayload);
 
       const topic = `zigbee2mqtt/${thermostat.sensor}/set`;
-      client.publish(topic, JSON.stringify(payload), { qos: 0 }, (err) => {
+      const result = Alpine.store('mqtt').publishCommand(topic, payload, {
+        device: thermostat.name,
+        preface: [{ topic: 'dashboard/audit/thermostat', payload: auditPayload }]
+      }, (err) => {
         if (err) {
           console.error('[thermostat-store] Publish failed:', err);
           thermostat.syncing = false;
@@ -480,6 +473,23 @@ export function initThermostatStore(Alpine, CONFIG) {
           }, 5000);
         }
       });
+
+      if (result === 'queued') {
+        // Keep the optimistic target visible until the queued command is replayed
+        console.log('[thermostat-store] MQTT not connected - command queued');
+        thermostat.syncing = false;
+      } else if (result === 'ignored') {
+        // Replaying a recorded session - nothing to wait for
+        thermostat.syncing = false;
+        thermostat.pendingTarget = null;
+      } else {
+        console.log('[thermostat-store] Audit published:', auditPayload);
+      }
+    },
+
+    // Check if a command for this thermostat is waiting for the broker
+    isPending(thermostat) {
+      return Alpine.store('mqtt').hasPendingCommand(`zigbee2mqtt/${thermostat.sensor}/set`);
     },
 
     getActionType(payload) {
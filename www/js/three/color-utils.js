@@ -3,6 +3,9 @@
  * Extracted from floor-plan-3d.js and isometric.js
  */
 
+import { METRIC_COLORS } from '../config.js';
+import { getProfileColorScale, PSYCHROMETRIC_METRICS } from '../utils/comfort-algo.js';
+
 /**
  * Interpolate between colors in a scale based on a value
  * @param {number} value - The value to interpolate
@@ -33,19 +36,35 @@ export function interpolateColor(value, scale) {
 }
 
 /**
- * Get room color based on temperature or humidity
- * @param {Object} room - Room object with temperature and humidity properties
- * @param {string} viewMode - 'temperature' or 'humidity'
+ * Get room color for a heat map mode
+ * @param {Object} room - Room object with temperature, humidity and derived metric properties
+ * @param {string} viewMode - 'temperature', 'humidity' or a PSYCHROMETRIC_METRICS key
  * @param {Array} tempColors - Temperature color scale
  * @param {Array} humidityColors - Humidity color scale
+ * @param {Object} [profile] - Comfort targets in force; the scale is moved onto them
  * @returns {number} - Color as hex
  */
-export function getRoomColor(room, viewMode, tempColors, humidityColors) {
+export function getRoomColor(room, viewMode, tempColors, humidityColors, profile = null) {
   if (!room) return 0xE0E0E0;
 
-  const value = viewMode === 'temperature' ? room.temperature : room.humidity;
-  if (value === null || value === undefined) return 0xE0E0E0;
+  const value = room[viewMode];
+  const scale = { temperature: tempColors, humidity: humidityColors }[viewMode] || METRIC_COLORS[viewMode];
+  if (value === null || value === undefined || !scale) return 0xE0E0E0;
+
+  return interpolateColor(value, getProfileColorScale(scale, viewMode, profile));
+}
 
-  const scale = viewMode === 'temperature' ? tempColors : humidityColors;
-  return interpolateColor(value, scale);
+/**
+ * Legend items for a derived metric heat map mode, one per scale stop
+ * @param {string} viewMode - PSYCHROMETRIC_METRICS key
+ * @returns {Array<{ label: string, color: string }>}
+ */
+export function getMetricLegendItems(viewMode) {
+  const metric = PSYCHROMETRIC_METRICS.find(m => m.key === viewMode);
+  const scale = METRIC_COLORS[viewMode];
+  if (!metric || !scale) return [];
+  return scale.map(stop => ({
+    label: `${stop.value} ${metric.unit}`,
+    color: '#' + stop.color.toString(16).padStart(6, '0')
+  }));
 }
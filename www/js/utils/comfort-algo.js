@@ -1,63 +1,468 @@
 /**
  * Comfort Score Algorithm
- * Calculates comfort scores based on temperature and humidity
+ * Calculates comfort scores based on temperature, humidity and - where a
+ * room has a CO2 sensor - air quality
+ *
+ * The single scoring implementation for every view. Ideal ranges and home
+ * weights come from per-room comfort profiles (config/comfort.js, editable
+ * in the Home config view) keyed by room id.
+ *
+ * Targets depend on the time-of-day period (day / sleep / away) in force
+ * at the reading's timestamp, so a history point is scored against the
+ * schedule of its own time rather than the current one.
+ *
+ * The thermal score comes from one of two models (homeConfig.comfortModel):
+ * - 'range': temperature and humidity make up 70/30 of the score, by
+ *   distance from the profile's ideal ranges
+ * - 'pmv': ISO 7730 PMV/PPD from air temperature, humidity and the
+ *   profile's clothing, activity, air speed and radiant temperature
+ *   assumptions; 100 at PMV 0 (5% dissatisfied), falling with PPD
+ * With a CO2 reading, air quality takes the profile's airQualityWeight
+ * share of the total and the thermal part is scaled down to make room.
+ *
+ * calculateComfortComponents / explainRoomComfort return the score with its
+ * components - points lost, the reading, the target it was held to and a
+ * short reason - so views can show why a room scores what it does.
  */
 
-// Ideal ranges (configurable)
-const IDEAL_TEMP = { min: 20, max: 26, perfect: 23 };
-const IDEAL_HUMIDITY = { min: 40, max: 60, perfect: 50 };
+import { DEFAULT_COMFORT_PROFILE, DEFAULT_COMFORT_MODEL, COMFORT_SCHEDULE, CO2_THRESHOLDS } from '../config.js';
 
-// Room weights for home average
-const ROOM_WEIGHTS = {
-  'Living Room': 1.5,    // Most used
-  'Bedroom': 1.3,        // Sleep quality matters
-  'Study': 1.0,          // Normal
-  'Kitchen': 0.8,        // Expect variation
-  'Bathroom': 0.5        // Expect humidity spikes
-};
+// Air quality score at each CO2 level boundary (ppm → 0-100), linear between
+const CO2_SCORE_POINTS = [
+  { ppm: CO2_THRESHOLDS.excellent, score: 100 },
+  { ppm: CO2_THRESHOLDS.good, score: 80 },
+  { ppm: CO2_THRESHOLDS.moderate, score: 50 },
+  { ppm: CO2_THRESHOLDS.poor, score: 20 },
+  { ppm: CO2_THRESHOLDS.poor + 500, score: 0 }
+];
 
 /**
- * Calculate comfort score for a single room
- * @param {number} temp - Temperature in Celsius
- * @param {number} humidity - Humidity percentage
- * @returns {number} Score from 0-100
+ * Minutes since midnight for 'HH:MM'
+ */
+function parseClock(value) {
+  const [hours, minutes] = String(value).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Whether a time falls in a daily 'HH:MM' window
+ * end before start wraps past midnight; days limits the window to weekdays
+ * (0 = Sunday) - a wrapping window belongs to the day it started on.
+ * @param {{ start: string, end: string, days?: number[] }} window
+ * @param {number} time - Timestamp (ms)
+ */
+export function isInTimeWindow({ start, end, days }, time) {
+  const date = new Date(time);
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const from = parseClock(start);
+  const to = parseClock(end);
+
+  const inWindow = from <= to ? minute >= from && minute < to : minute >= from || minute < to;
+  if (!inWindow) return false;
+  if (!days || days.length === 0) return true;
+  const day = from > to && minute < to ? (date.getDay() + 6) % 7 : date.getDay();
+  return days.includes(day);
+}
+
+/**
+ * Period in force at a time
+ * @param {Array<{ period: string, start: string, end: string, days?: number[] }>} schedule
+ * @param {number} time - Timestamp (ms)
+ * @returns {string} Period id, 'day' when no entry matches
+ */
+export function getSchedulePeriod(schedule, time) {
+  const entry = (schedule || []).find(window => isInTimeWindow(window, time));
+  return entry ? entry.period : 'day';
+}
+
+/**
+ * Comfort targets for a room at a time
+ * @param {{ comfortProfiles?: Object, comfortSchedule?: Array, comfortModel?: string }} comfort - Settings, usually $store.homeConfig
+ * @param {string} roomId
+ * @param {number} [time] - Reading timestamp (ms), defaults to now
+ * @returns {{ temp: Object, humidity: Object, weight: number, airQualityWeight: number, pmv: Object, model: string, period: string }}
+ */
+export function getComfortProfile(comfort, roomId, time = Date.now()) {
+  const profile = comfort?.comfortProfiles?.[roomId] || DEFAULT_COMFORT_PROFILE;
+  const period = getSchedulePeriod(comfort?.comfortSchedule ?? COMFORT_SCHEDULE, time);
+  const targets = profile.periods?.[period] || profile;
+  return {
+    temp: targets.temp,
+    humidity: targets.humidity,
+    weight: profile.weight ?? 1.0,
+    airQualityWeight: profile.airQualityWeight ?? DEFAULT_COMFORT_PROFILE.airQualityWeight,
+    // Each input falls back separately, so a sleep period can change clothing only
+    pmv: { ...DEFAULT_COMFORT_PROFILE.pmv, ...profile.pmv, ...profile.periods?.[period]?.pmv },
+    model: comfort?.comfortModel ?? DEFAULT_COMFORT_MODEL,
+    period
+  };
+}
+
+/**
+ * Predicted Mean Vote (ISO 7730 Annex D)
+ * Thermal sensation from -3 (cold) through 0 (neutral) to +3 (hot). The
+ * standard covers 10-30°C air, 0-2 clo, 0.8-4 met and air up to 1 m/s;
+ * outside that the result is an extrapolation.
+ * @param {Object} inputs
+ * @param {number} inputs.temp - Air temperature (°C)
+ * @param {number} inputs.humidity - Relative humidity (%)
+ * @param {number} inputs.radiantTemp - Mean radiant temperature (°C)
+ * @param {number} inputs.airSpeed - Relative air speed (m/s)
+ * @param {number} inputs.metabolicRate - Activity (met)
+ * @param {number} inputs.clothing - Clothing insulation (clo)
+ * @returns {number|null} PMV, null if the clothing temperature doesn't converge
+ */
+export function calculatePMV({ temp, humidity, radiantTemp, airSpeed, metabolicRate, clothing }) {
+  const pa = humidity * 10 * Math.exp(16.6536 - 4030.183 / (temp + 235));   // Water vapour pressure (Pa)
+  const icl = 0.155 * clothing;                                            // Clothing insulation (m²K/W)
+  const m = metabolicRate * 58.15;                                         // Metabolic rate (W/m²), no external work
+  const fcl = icl <= 0.078 ? 1 + 1.29 * icl : 1.05 + 0.645 * icl;           // Clothing area factor
+  const hcf = 12.1 * Math.sqrt(airSpeed);                                  // Forced convection coefficient
+  const taa = temp + 273;
+  const tra = radiantTemp + 273;
+
+  // Clothing surface temperature, by iteration
+  const p1 = icl * fcl;
+  const p2 = p1 * 3.96;
+  const p3 = p1 * 100;
+  const p4 = p1 * taa;
+  const p5 = 308.7 - 0.028 * m + p2 * Math.pow(tra / 100, 4);
+  let xn = (taa + (35.5 - temp) / (3.5 * icl + 0.1)) / 100;
+  let xf = xn * 2;
+  let hc = hcf;
+  for (let n = 0; Math.abs(xn - xf) > 0.00015; n++) {
+    if (n > 150) return null;
+    xf = (xf + xn) / 2;
+    hc = Math.max(hcf, 2.38 * Math.pow(Math.abs(100 * xf - taa), 0.25));
+    xn = (p5 + p4 * hc - p2 * Math.pow(xf, 4)) / (100 + p3 * hc);
+  }
+  const tcl = 100 * xn - 273;
+
+  // Heat losses
+  const skinDiffusion = 3.05 * 0.001 * (5733 - 6.99 * m - pa);
+  const sweating = m > 58.15 ? 0.42 * (m - 58.15) : 0;
+  const latentRespiration = 1.7 * 0.00001 * m * (5867 - pa);
+  const dryRespiration = 0.0014 * m * (34 - temp);
+  const radiation = 3.96 * fcl * (Math.pow(xn, 4) - Math.pow(tra / 100, 4));
+  const convection = fcl * hc * (tcl - temp);
+
+  const ts = 0.303 * Math.exp(-0.036 * m) + 0.028;
+  return ts * (m - skinDiffusion - sweating - latentRespiration - dryRespiration - radiation - convection);
+}
+
+/**
+ * Predicted Percentage Dissatisfied for a PMV (5% at best)
+ */
+export function calculatePPD(pmv) {
+  return 100 - 95 * Math.exp(-0.03353 * Math.pow(pmv, 4) - 0.2179 * Math.pow(pmv, 2));
+}
+
+/**
+ * PMV and PPD for a reading with a profile's pmv inputs
+ * @returns {{ pmv: number, ppd: number }|null}
+ */
+export function getThermalSensation(temp, humidity, profile = DEFAULT_COMFORT_PROFILE) {
+  if (temp === null || humidity === null) return null;
+  const inputs = { ...DEFAULT_COMFORT_PROFILE.pmv, ...profile.pmv };
+  const pmv = calculatePMV({
+    temp,
+    humidity,
+    radiantTemp: temp + inputs.radiantOffset,
+    airSpeed: inputs.airSpeed,
+    metabolicRate: inputs.metabolicRate,
+    clothing: inputs.clothing
+  });
+  return pmv === null ? null : { pmv, ppd: calculatePPD(pmv) };
+}
+
+/**
+ * Describe a PMV on the ASHRAE seven-point scale
+ */
+export function getSensationLabel(pmv) {
+  if (pmv <= -2.5) return 'Cold';
+  if (pmv <= -1.5) return 'Cool';
+  if (pmv <= -0.5) return 'Slightly cool';
+  if (pmv < 0.5) return 'Neutral';
+  if (pmv < 1.5) return 'Slightly warm';
+  if (pmv < 2.5) return 'Warm';
+  return 'Hot';
+}
+
+/**
+ * Air quality level for a CO2 reading (co2View bands)
+ * @param {number|null} co2 - ppm
+ * @returns {string} 'excellent' | 'good' | 'moderate' | 'poor' | 'bad' | 'unknown'
+ */
+export function getAirQualityLevel(co2) {
+  if (co2 === null || co2 === undefined) return 'unknown';
+  if (co2 < CO2_THRESHOLDS.excellent) return 'excellent';
+  if (co2 < CO2_THRESHOLDS.good) return 'good';
+  if (co2 < CO2_THRESHOLDS.moderate) return 'moderate';
+  if (co2 < CO2_THRESHOLDS.poor) return 'poor';
+  return 'bad';
+}
+
+/**
+ * Air quality score for a CO2 reading
+ * @param {number} co2 - ppm
+ * @returns {number} 0-100
+ */
+export function calculateAirQualityScore(co2) {
+  if (co2 <= CO2_SCORE_POINTS[0].ppm) return 100;
+  for (let i = 1; i < CO2_SCORE_POINTS.length; i++) {
+    const lower = CO2_SCORE_POINTS[i - 1];
+    const upper = CO2_SCORE_POINTS[i];
+    if (co2 <= upper.ppm) {
+      return lower.score + (co2 - lower.ppm) / (upper.ppm - lower.ppm) * (upper.score - lower.score);
+    }
+  }
+  return 0;
+}
+
+/**
+ * Current CO2 of a room - mean of its CO2 sensors with a reading
+ * @returns {number|null} ppm, null when the room has no CO2 reading
+ */
+export function getRoomCo2(room) {
+  const values = (room.sensors || [])
+    .filter(s => s.type === 'co2' && s.co2 !== null && s.co2 !== undefined)
+    .map(s => s.co2);
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+/**
+ * Timestamp a room's current values were read at
  */
-export function calculateRoomComfort(temp, humidity) {
-  if (temp === null || humidity === null) return 0;
+export function getReadingTime(room) {
+  return room.lastSeen || Date.now();
+}
+
+// Sensation band the PMV model scores full marks in (ISO 7730 category B)
+const PMV_TARGET = { min: -0.5, max: 0.5, perfect: 0 };
+
+const formatNumber = (value, decimals) => Number(value.toFixed(decimals)).toString();
+
+/**
+ * How a reading sits against a { min, max, perfect } target
+ * deviation is the distance outside the range (signed, 0 inside it).
+ */
+function explainRange(value, target, unit, decimals) {
+  const span = `${formatNumber(target.min, decimals)}–${formatNumber(target.max, decimals)}${unit}`;
+  const targetLabel = `${span} (ideal ${formatNumber(target.perfect, decimals)}${unit})`;
+  const deviation = value < target.min ? value - target.min : value > target.max ? value - target.max : 0;
+  const fromPerfect = Math.abs(value - target.perfect);
+
+  let reason;
+  if (deviation !== 0) {
+    reason = `${formatNumber(Math.abs(deviation), decimals)}${unit} ${deviation < 0 ? 'below' : 'above'} the ${span} range`;
+  } else if (fromPerfect < Math.pow(10, -decimals) / 2) {
+    reason = `At the ideal ${formatNumber(target.perfect, decimals)}${unit}`;
+  } else {
+    reason = `In range, ${formatNumber(fromPerfect, decimals)}${unit} from the ideal ${formatNumber(target.perfect, decimals)}${unit}`;
+  }
+  return { value, unit, target, targetLabel, deviation, inRange: deviation === 0, reason };
+}
+
+/**
+ * Thermal points by distance from the ideal ranges: temperature 70, humidity 30
+ */
+function rangeComponents(temp, humidity, profile) {
+  const idealTemp = profile.temp;
+  const idealHumidity = profile.humidity;
 
   // Temperature contributes 70% of score
   let tempScore = 70;
-  if (temp < IDEAL_TEMP.min) {
-    tempScore = Math.max(0, 70 - (IDEAL_TEMP.min - temp) * 10);
-  } else if (temp > IDEAL_TEMP.max) {
-    tempScore = Math.max(0, 70 - (temp - IDEAL_TEMP.max) * 10);
+  if (temp < idealTemp.min) {
+    tempScore = Math.max(0, 70 - (idealTemp.min - temp) * 10);
+  } else if (temp > idealTemp.max) {
+    tempScore = Math.max(0, 70 - (temp - idealTemp.max) * 10);
   } else {
     // Within range - full score with bonus for being near perfect
-    const distFromPerfect = Math.abs(temp - IDEAL_TEMP.perfect);
+    const distFromPerfect = Math.abs(temp - idealTemp.perfect);
     tempScore = 70 - distFromPerfect * 2;
   }
 
   // Humidity contributes 30% of score
   let humidityScore = 30;
-  if (humidity < IDEAL_HUMIDITY.min) {
-    humidityScore = Math.max(0, 30 - (IDEAL_HUMIDITY.min - humidity) * 1);
-  } else if (humidity > IDEAL_HUMIDITY.max) {
-    humidityScore = Math.max(0, 30 - (humidity - IDEAL_HUMIDITY.max) * 1.5);
+  if (humidity < idealHumidity.min) {
+    humidityScore = Math.max(0, 30 - (idealHumidity.min - humidity) * 1);
+  } else if (humidity > idealHumidity.max) {
+    humidityScore = Math.max(0, 30 - (humidity - idealHumidity.max) * 1.5);
   } else {
     // Within range
-    const distFromPerfect = Math.abs(humidity - IDEAL_HUMIDITY.perfect);
+    const distFromPerfect = Math.abs(humidity - idealHumidity.perfect);
     humidityScore = 30 - distFromPerfect * 0.3;
   }
 
-  return Math.round(Math.max(0, Math.min(100, tempScore + humidityScore)));
+  return [
+    { key: 'temperature', label: 'Temperature', points: tempScore, max: 70, ...explainRange(temp, idealTemp, '°C', 1) },
+    { key: 'humidity', label: 'Humidity', points: humidityScore, max: 30, ...explainRange(humidity, idealHumidity, '%', 0) }
+  ];
+}
+
+/**
+ * Thermal points from PMV/PPD: 100 at the 5% PPD floor, 0 when everyone
+ * is dissatisfied. The component carries pmv/ppd for display.
+ */
+function pmvComponents(temp, humidity, profile) {
+  const sensation = getThermalSensation(temp, humidity, profile);
+  const points = sensation ? Math.max(0, (100 - sensation.ppd) / 95 * 100) : 0;
+  const pmv = sensation?.pmv ?? null;
+  const explained = pmv === null
+    ? { value: null, unit: '', target: PMV_TARGET, targetLabel: '', deviation: null, inRange: false, reason: 'PMV could not be calculated' }
+    : {
+        ...explainRange(pmv, PMV_TARGET, '', 1),
+        targetLabel: 'PMV -0.5 to +0.5',
+        reason: `PMV ${pmv > 0 ? '+' : ''}${pmv.toFixed(1)} (${getSensationLabel(pmv)}), ${Math.round(sensation.ppd)}% dissatisfied`
+      };
+  return [
+    { key: 'thermal', label: 'Thermal comfort', points, max: 100, ...explained, pmv, ppd: sensation?.ppd ?? null, inputs: { ...DEFAULT_COMFORT_PROFILE.pmv, ...profile.pmv } }
+  ];
+}
+
+/**
+ * Air quality component for a CO2 reading - full points up to 'excellent'
+ */
+function airQualityComponent(co2, airWeight) {
+  const target = { max: CO2_THRESHOLDS.excellent };
+  const deviation = Math.max(0, co2 - target.max);
+  return {
+    key: 'airQuality',
+    label: 'Air quality',
+    points: calculateAirQualityScore(co2) * airWeight,
+    max: 100 * airWeight,
+    value: co2,
+    unit: 'ppm',
+    target,
+    targetLabel: `≤ ${target.max} ppm`,
+    deviation,
+    inRange: deviation === 0,
+    reason: deviation === 0
+      ? `${Math.round(co2)} ppm (${getAirQualityLevel(co2)})`
+      : `${Math.round(co2)} ppm (${getAirQualityLevel(co2)}), full points up to ${target.max} ppm`
+  };
+}
+
+/**
+ * @typedef {Object} ComfortComponent
+ * @property {string} key - 'temperature' | 'humidity' | 'thermal' (PMV model) | 'airQuality'
+ * @property {string} label
+ * @property {number} points - Points scored
+ * @property {number} max - Points available (after the air quality share)
+ * @property {number} penalty - Points lost: max - points
+ * @property {number|null} value - Reading scored (°C, %, PMV or ppm)
+ * @property {string} unit
+ * @property {{ min?: number, max: number, perfect?: number }} target - Range used
+ * @property {string} targetLabel - e.g. '20–26°C (ideal 23°C)'
+ * @property {number|null} deviation - Distance outside the target range, 0 inside it
+ * @property {boolean} inRange
+ * @property {string} reason - e.g. '1.5°C above the 20–26°C range'
+ * @property {number|null} [pmv] - PMV model only
+ * @property {number|null} [ppd]
+ * @property {Object} [inputs] - PMV inputs used (clothing, metabolicRate, airSpeed, radiantOffset)
+ */
+
+/**
+ * Comfort score of a room split into its components
+ * Each component's points out of its max add up to the total. The thermal
+ * components depend on profile.model (see getComfortProfile).
+ * @param {number} temp - Temperature in Celsius
+ * @param {number} humidity - Humidity percentage
+ * @param {Object} [profile] - Comfort profile with temp/humidity { min, max, perfect }
+ * @param {number|null} [co2] - CO2 in ppm, null when the room has no CO2 sensor
+ * @returns {{ score: number, components: ComfortComponent[] }}
+ */
+export function calculateComfortComponents(temp, humidity, profile = DEFAULT_COMFORT_PROFILE, co2 = null) {
+  if (temp === null || humidity === null) return { score: 0, components: [] };
+
+  const thermal = profile.model === 'pmv'
+    ? pmvComponents(temp, humidity, profile)
+    : rangeComponents(temp, humidity, profile);
+
+  // Air quality takes its share of the score; thermal points shrink to fit
+  const airWeight = co2 !== null && co2 !== undefined
+    ? profile.airQualityWeight ?? DEFAULT_COMFORT_PROFILE.airQualityWeight
+    : 0;
+  const thermalShare = 1 - airWeight;
+  const parts = thermal.map(c => ({ ...c, points: c.points * thermalShare, max: c.max * thermalShare }));
+  if (airWeight > 0) {
+    parts.push(airQualityComponent(co2, airWeight));
+  }
+  const components = parts.map(c => ({ ...c, penalty: c.max - c.points }));
+
+  const total = components.reduce((sum, c) => sum + c.points, 0);
+  return { score: Math.round(Math.max(0, Math.min(100, total))), components };
+}
+
+/**
+ * Explained comfort score of a room's current reading, scored against the
+ * targets in force when it was read
+ * @param {Object} room - Room with id/temperature/humidity/lastSeen/sensors
+ * @param {Object} comfort - Comfort settings ($store.homeConfig)
+ * @returns {{ score: number, label: string, color: string, period: string, model: string, co2: number|null, components: ComfortComponent[] }|null}
+ *   null when the room has no reading
+ */
+export function explainRoomComfort(room, comfort) {
+  if (!room || room.temperature === null || room.humidity === null) return null;
+
+  const profile = getComfortProfile(comfort, room.id, getReadingTime(room));
+  const co2 = getRoomCo2(room);
+  const { score, components } = calculateComfortComponents(room.temperature, room.humidity, profile, co2);
+  return {
+    score,
+    label: getComfortLabel(score),
+    color: getComfortColor(score),
+    period: profile.period,
+    model: profile.model,
+    co2,
+    components
+  };
+}
+
+/**
+ * Calculate comfort score for a single room
+ * @param {number} temp - Temperature in Celsius
+ * @param {number} humidity - Humidity percentage
+ * @param {Object} [profile] - Comfort profile with temp/humidity { min, max, perfect }
+ * @param {number|null} [co2] - CO2 in ppm; air quality counts only when given
+ * @returns {number} Score from 0-100
+ */
+export function calculateRoomComfort(temp, humidity, profile = DEFAULT_COMFORT_PROFILE, co2 = null) {
+  return calculateComfortComponents(temp, humidity, profile, co2).score;
+}
+
+// |PMV| up to this counts as comfortable (ISO 7730 category B, PPD < 10%)
+const PMV_COMFORT_LIMIT = 0.5;
+
+/**
+ * Whether temperature and humidity are both inside a profile's ideal ranges
+ * (with the PMV model: whether PMV is within ±0.5)
+ * @param {number} temp
+ * @param {number} humidity
+ * @param {Object} [profile]
+ * @returns {boolean}
+ */
+export function isInComfortZone(temp, humidity, profile = DEFAULT_COMFORT_PROFILE) {
+  if (temp === null || humidity === null) return false;
+  if (profile.model === 'pmv') {
+    // ISO 7730 category B
+    const sensation = getThermalSensation(temp, humidity, profile);
+    return sensation !== null && Math.abs(sensation.pmv) <= PMV_COMFORT_LIMIT;
+  }
+  return temp >= profile.temp.min && temp <= profile.temp.max &&
+    humidity >= profile.humidity.min && humidity <= profile.humidity.max;
 }
 
 /**
  * Calculate overall home comfort score
- * @param {Array} rooms - Array of room objects with temp/humidity
+ * Rooms with a weight of 0 are left out (the balcony's profile sets 0 to
+ * keep outdoor readings out). Each room is scored against the targets in
+ * force when it was last read.
+ * @param {Array} rooms - Array of room objects with id/temperature/humidity/lastSeen
+ * @param {Object} [comfort] - Comfort settings ($store.homeConfig)
  * @returns {number} Weighted average score
  */
-export function calculateHomeComfort(rooms) {
+export function calculateHomeComfort(rooms, comfort = {}) {
   if (!rooms || rooms.length === 0) return 0;
 
   const validRooms = rooms.filter(r => r.temperature !== null && r.humidity !== null);
@@ -67,13 +472,186 @@ export function calculateHomeComfort(rooms) {
   let weightedSum = 0;
 
   validRooms.forEach(room => {
-    const weight = ROOM_WEIGHTS[room.name] || 1.0;
-    const score = calculateRoomComfort(room.temperature, room.humidity);
-    weightedSum += score * weight;
-    totalWeight += weight;
+    const profile = getComfortProfile(comfort, room.id, getReadingTime(room));
+    const score = calculateRoomComfort(room.temperature, room.humidity, profile, getRoomCo2(room));
+    weightedSum += score * profile.weight;
+    totalWeight += profile.weight;
   });
 
-  return Math.round(weightedSum / totalWeight);
+  return totalWeight > 0 ? Math.round(weightedSum / totalWeight) : 0;
+}
+
+// CO2 points further than this from a temperature point don't count
+const CO2_MAX_GAP_MS = 30 * 60 * 1000;
+
+/**
+ * Walks a time-sorted series alongside ascending query times
+ * @returns {(time: number) => Object|null} Nearest point to each time
+ */
+function nearestPointCursor(points) {
+  let i = 0;
+  return (time) => {
+    if (points.length === 0) return null;
+    while (i < points.length - 1 &&
+           Math.abs(points[i + 1].time - time) <= Math.abs(points[i].time - time)) {
+      i++;
+    }
+    return points[i];
+  };
+}
+
+/**
+ * Comfort score history from temperature and humidity series
+ * Each temperature point is paired with the nearest humidity point (and CO2
+ * point within 30 minutes, if given) and scored against the targets in
+ * force at its own time.
+ * @param {Array<{ time: number, value: number }>} tempPoints - Sorted by time
+ * @param {Array<{ time: number, value: number }>} humidPoints - Sorted by time
+ * @param {Object} comfort - Comfort settings ($store.homeConfig)
+ * @param {string} roomId
+ * @param {Array<{ time: number, value: number }>} [co2Points] - Sorted by time
+ * @returns {Array<{ time: number, value: number, period: string }>}
+ */
+export function calculateComfortSeries(tempPoints, humidPoints, comfort, roomId, co2Points = []) {
+  if (humidPoints.length === 0) return [];
+
+  const nearestHumidity = nearestPointCursor(humidPoints);
+  const nearestCo2 = nearestPointCursor(co2Points);
+  return tempPoints.map(point => {
+    const co2 = nearestCo2(point.time);
+    const profile = getComfortProfile(comfort, roomId, point.time);
+    return {
+      time: point.time,
+      value: calculateRoomComfort(point.value, nearestHumidity(point.time).value, profile,
+        co2 && Math.abs(co2.time - point.time) <= CO2_MAX_GAP_MS ? co2.value : null),
+      period: profile.period
+    };
+  });
+}
+
+// Psychrometric metrics every room and climate sensor carries next to
+// temperature and humidity (also selectable heat map modes)
+export const PSYCHROMETRIC_METRICS = [
+  { key: 'dewPoint', label: 'Dew point', unit: '°C', decimals: 1 },
+  { key: 'absoluteHumidity', label: 'Absolute humidity', unit: 'g/m³', decimals: 1 },
+  { key: 'vaporPressure', label: 'Vapour pressure', unit: 'hPa', decimals: 1 },
+  { key: 'humidex', label: 'Humidex', unit: '°C', decimals: 1 },
+  { key: 'heatIndex', label: 'Heat index', unit: '°C', decimals: 1 }
+];
+
+export const PSYCHROMETRIC_FIELDS = PSYCHROMETRIC_METRICS.map(m => m.key);
+
+// Magnus coefficients over water (Sonntag 1990), valid -45..60°C
+const MAGNUS_A = 17.62;
+const MAGNUS_B = 243.12;
+
+/**
+ * Saturation vapour pressure in hPa
+ */
+function saturationVaporPressure(temp) {
+  return 6.112 * Math.exp((MAGNUS_A * temp) / (MAGNUS_B + temp));
+}
+
+/**
+ * Partial pressure of water vapour in hPa
+ * @param {number} temp - Temperature in Celsius
+ * @param {number} humidity - Relative humidity percentage
+ */
+export function vaporPressure(temp, humidity) {
+  return (humidity / 100) * saturationVaporPressure(temp);
+}
+
+/**
+ * Dew point in Celsius - surfaces colder than this collect condensation
+ */
+export function dewPoint(temp, humidity) {
+  const gamma = Math.log(humidity / 100) + (MAGNUS_A * temp) / (MAGNUS_B + temp);
+  return (MAGNUS_B * gamma) / (MAGNUS_A - gamma);
+}
+
+/**
+ * Absolute humidity in g/m³ - grams of water per cubic metre of air,
+ * comparable between rooms (and outdoors) at different temperatures
+ */
+export function absoluteHumidity(temp, humidity) {
+  return (216.7 * vaporPressure(temp, humidity)) / (273.15 + temp);
+}
+
+/**
+ * Humidex (Environment Canada) in Celsius
+ */
+export function humidex(temp, humidity) {
+  return temp + 0.5555 * (vaporPressure(temp, humidity) - 10);
+}
+
+/**
+ * Heat index (US National Weather Service) in Celsius
+ * Steadman's simple formula, with the Rothfusz regression from 80°F up.
+ */
+export function heatIndex(temp, humidity) {
+  const t = temp * 9 / 5 + 32;
+  const rh = humidity;
+  let hi = 0.5 * (t + 61 + (t - 68) * 1.2 + rh * 0.094);
+
+  if ((hi + t) / 2 >= 80) {
+    hi = -42.379 + 2.04901523 * t + 10.14333127 * rh - 0.22475541 * t * rh -
+      0.00683783 * t * t - 0.05481717 * rh * rh + 0.00122874 * t * t * rh +
+      0.00085282 * t * rh * rh - 0.00000199 * t * t * rh * rh;
+    if (rh < 13 && t >= 80 && t <= 112) {
+      hi -= ((13 - rh) / 4) * Math.sqrt((17 - Math.abs(t - 95)) / 17);
+    } else if (rh > 85 && t >= 80 && t <= 87) {
+      hi += ((rh - 85) / 10) * ((87 - t) / 5);
+    }
+  }
+  return (hi - 32) * 5 / 9;
+}
+
+/**
+ * All derived metrics for a reading
+ * @param {number|null} temp - Temperature in Celsius
+ * @param {number|null} humidity - Relative humidity percentage
+ * @returns {{ dewPoint, absoluteHumidity, vaporPressure, humidex, heatIndex }} Nulls without a usable reading
+ */
+export function getPsychrometrics(temp, humidity) {
+  if (temp === null || temp === undefined || !(humidity > 0)) {
+    return { dewPoint: null, absoluteHumidity: null, vaporPressure: null, humidex: null, heatIndex: null };
+  }
+  return {
+    dewPoint: dewPoint(temp, humidity),
+    absoluteHumidity: absoluteHumidity(temp, humidity),
+    vaporPressure: vaporPressure(temp, humidity),
+    humidex: humidex(temp, humidity),
+    heatIndex: heatIndex(temp, humidity)
+  };
+}
+
+/**
+ * Display text for a derived metric of a room or sensor, e.g. '12.3°C'
+ * @param {Object} source - Room or sensor
+ * @param {string} key - Metric key from PSYCHROMETRIC_METRICS
+ */
+export function formatMetric(source, key) {
+  const metric = PSYCHROMETRIC_METRICS.find(m => m.key === key);
+  const value = source?.[key];
+  if (!metric || value === null || value === undefined) return '--';
+  return value.toFixed(metric.decimals) + (metric.unit.startsWith('°') ? metric.unit : ' ' + metric.unit);
+}
+
+// Comfort score bands, best first - lower bound, label and color
+export const COMFORT_BANDS = [
+  { min: 90, label: 'Perfect', color: '#34C759' },       // Green
+  { min: 75, label: 'Comfortable', color: '#30D158' },   // Light green
+  { min: 60, label: 'Okay', color: '#FFD60A' },          // Yellow
+  { min: 40, label: 'Uncomfortable', color: '#FF9500' }, // Orange
+  { min: 0, label: 'Poor', color: '#FF3B30' }            // Red
+];
+
+/**
+ * Band a comfort score falls in
+ * @param {number} score - Comfort score 0-100
+ */
+export function getComfortBand(score) {
+  return COMFORT_BANDS.find(band => score >= band.min) || COMFORT_BANDS[COMFORT_BANDS.length - 1];
 }
 
 /**
@@ -82,11 +660,7 @@ export function calculateHomeComfort(rooms) {
  * @returns {string} Human-readable label
  */
 export function getComfortLabel(score) {
-  if (score >= 90) return 'Perfect';
-  if (score >= 75) return 'Comfortable';
-  if (score >= 60) return 'Okay';
-  if (score >= 40) return 'Uncomfortable';
-  return 'Poor';
+  return getComfortBand(score).label;
 }
 
 /**
@@ -95,11 +669,7 @@ export function getComfortLabel(score) {
  * @returns {string} CSS color value
  */
 export function getComfortColor(score) {
-  if (score >= 90) return '#34C759';  // Green
-  if (score >= 75) return '#30D158';  // Light green
-  if (score >= 60) return '#FFD60A';  // Yellow
-  if (score >= 40) return '#FF9500';  // Orange
-  return '#FF3B30';                    // Red
+  return getComfortBand(score).color;
 }
 
 /**
@@ -129,12 +699,39 @@ export function getComfortClass(temp) {
   return 'hot';
 }
 
+/**
+ * How far a profile's ideal sits from the default one
+ * Colour scales are drawn for the default profile and moved by this much,
+ * so "comfortable" green follows the targets in force.
+ * @param {Object|null} profile
+ * @param {'temp'|'humidity'} key
+ */
+function colorOffset(profile, key) {
+  return profile ? profile[key].perfect - DEFAULT_COMFORT_PROFILE[key].perfect : 0;
+}
+
+/**
+ * Colour scale ({ value, color } stops) moved onto a profile's targets
+ * @template {{ value: number }} T
+ * @param {T[]} scale - TEMP_COLORS / HUMIDITY_COLORS
+ * @param {string} type - 'temperature' or 'humidity' (other heat map modes are left as is)
+ * @param {Object} [profile] - Effective profile from getComfortProfile()
+ * @returns {T[]}
+ */
+export function getProfileColorScale(scale, type, profile) {
+  const key = { temperature: 'temp', humidity: 'humidity' }[type];
+  const offset = key ? colorOffset(profile, key) : 0;
+  return offset === 0 ? scale : scale.map(stop => ({ ...stop, value: stop.value + offset }));
+}
+
 /**
  * Get temperature color for heat maps
  * @param {number} temp - Temperature in Celsius
+ * @param {Object} [profile] - Effective profile the scale follows
  * @returns {string} CSS color value
  */
-export function getTempColor(temp) {
+export function getTempColor(temp, profile = null) {
+  temp -= colorOffset(profile, 'temp');
   if (temp < 20) return '#90CAF9';    // Cold - Light blue
   if (temp < 22) return '#A5D6A7';    // Cool - Light green
   if (temp < 24) return '#81C784';    // Comfortable - Green
@@ -146,9 +743,11 @@ export function getTempColor(temp) {
 /**
  * Get humidity color for heat maps
  * @param {number} humidity - Humidity percentage
+ * @param {Object} [profile] - Effective profile the scale follows
  * @returns {string} CSS color value
  */
-export function getHumidityColor(humidity) {
+export function getHumidityColor(humidity, profile = null) {
+  humidity -= colorOffset(profile, 'humidity');
   if (humidity < 30) return '#FFCC80';    // Dry - Orange
   if (humidity < 40) return '#A5D6A7';    // Ideal low
   if (humidity < 60) return '#81C784';    // Perfect
@@ -0,0 +1,195 @@
+/**
+ * Comfort History
+ * Comfort scores over time from the InfluxDB temperature, humidity and CO2
+ * series - per room, home-wide, and the daily report built from them
+ *
+ * Every point is scored against the profile and schedule period in force at
+ * its own time (see calculateComfortSeries), so a report for last Tuesday
+ * uses the sleep/away targets that applied on Tuesday.
+ */
+
+import { querySeries, bucketFor } from './influx.js';
+import { sensorEntityId } from './zigbee.js';
+import { calculateComfortSeries, getComfortProfile, getComfortBand, COMFORT_BANDS } from './comfort-algo.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Smallest bucket loaded - raw points of different sensors never share
+// timestamps, and homeSeries averages the rooms bucket by bucket
+const MIN_BUCKET = '1m';
+
+// Length of the window the report's worst period is picked from
+const WORST_PERIOD_MS = HOUR_MS;
+
+/**
+ * Load comfort score series for each indoor room and the home
+ * Rooms with a CO2 sensor get the air quality component, as in the live score.
+ * Series are always downsampled so every room has the same bucket times.
+ * @param {Object} options
+ * @param {Array} options.rooms - Room objects ($store.rooms.list)
+ * @param {Object} options.comfort - Comfort settings ($store.homeConfig)
+ * @param {number} options.start - Window start (epoch ms)
+ * @param {number} options.end - Window end (epoch ms)
+ * @param {string} [options.every] - Bucket size, e.g. '5m'
+ * @param {number} [options.points] - Or pick the bucket for about this many points (1 minute at least)
+ * @param {AbortSignal} [options.signal] - From querySignal()
+ * @returns {Promise<{ rooms: Array<{ id: string, name: string, series: Array<{ time: number, value: number, period: string }> }>, home: Array<{ time: number, value: number }> }>}
+ */
+export async function loadComfortHistory({ rooms, comfort, start, end, every, points, signal }) {
+  const query = { start, end, every: every || (points && bucketFor(end - start, points)) || MIN_BUCKET, signal };
+
+  const roomSeries = await Promise.all(rooms
+    .filter(room => !room.isOutdoor && room.entityId)
+    .map(async room => {
+      const co2Sensors = (room.sensors || []).filter(s => s.type === 'co2');
+      const [temp, humid, ...co2] = await Promise.all([
+        querySeries({ measurement: 'temperature', entityId: `${room.entityId}_temperature`, ...query }),
+        querySeries({ measurement: 'humidity', entityId: `${room.entityId}_humidity`, ...query }),
+        ...co2Sensors.map(s => querySeries({ measurement: 'ppm', entityId: `${sensorEntityId(s)}_co2`, ...query }))
+      ]);
+      return {
+        id: room.id,
+        name: room.name,
+        series: calculateComfortSeries(temp, humid, comfort, room.id, meanByTime(co2))
+      };
+    }));
+
+  return { rooms: roomSeries, home: homeSeries(roomSeries, comfort) };
+}
+
+/**
+ * Home comfort series - weighted average of the room scores at each time
+ * Room series must share bucket times (see loadComfortHistory) - rooms line
+ * up point for point; rooms with a weight of 0 are left out as in
+ * calculateHomeComfort.
+ */
+export function homeSeries(roomSeries, comfort) {
+  const buckets = new Map();
+
+  roomSeries.forEach(({ id, series }) => {
+    const weight = getComfortProfile(comfort, id).weight;
+    if (!(weight > 0)) return;
+    series.forEach(point => {
+      const bucket = buckets.get(point.time) || { sum: 0, weight: 0 };
+      bucket.sum += point.value * weight;
+      bucket.weight += weight;
+      buckets.set(point.time, bucket);
+    });
+  });
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([time, bucket]) => ({ time, value: Math.round(bucket.sum / bucket.weight) }));
+}
+
+/**
+ * Daily comfort summary from one day of loadComfortHistory()
+ * @param {{ rooms: Array, home: Array }} history
+ * @returns {{ average: number|null, rooms: Array<{ id: string, name: string, average: number|null, bands: Array<{ label: string, color: string, hours: number }> }>, worstPeriod: { start: number, end: number, average: number }|null, bestRoom: Object|null }}
+ */
+export function buildComfortReport(history) {
+  const rooms = history.rooms
+    .filter(room => room.series.length > 0)
+    .map(room => ({
+      id: room.id,
+      name: room.name,
+      average: meanValue(room.series),
+      bands: bandHours(room.series)
+    }));
+
+  const bestRoom = rooms.reduce((best, room) => !best || room.average > best.average ? room : best, null);
+
+  return {
+    average: meanValue(history.home),
+    rooms,
+    worstPeriod: worstPeriod(history.home),
+    bestRoom
+  };
+}
+
+/**
+ * Average home score per local day, e.g. for a trend over the last weeks
+ * @param {Array<{ time: number, value: number }>} series - Home series (hourly is plenty)
+ * @returns {Array<{ date: number, average: number }>} date is local midnight (epoch ms)
+ */
+export function dailyAverages(series) {
+  const days = new Map();
+  series.forEach(point => {
+    const date = new Date(point.time).setHours(0, 0, 0, 0);
+    if (!days.has(date)) days.set(date, []);
+    days.get(date).push(point);
+  });
+  return [...days.entries()].map(([date, points]) => ({ date, average: meanValue(points) }));
+}
+
+/**
+ * Hours spent in each comfort band, best band first
+ */
+export function bandHours(series) {
+  const hours = new Map(COMFORT_BANDS.map(band => [band.label, 0]));
+  pointDurations(series).forEach((duration, i) => {
+    const label = getComfortBand(series[i].value).label;
+    hours.set(label, hours.get(label) + duration / HOUR_MS);
+  });
+  return COMFORT_BANDS.map(band => ({ label: band.label, color: band.color, hours: hours.get(band.label) }));
+}
+
+// Time each point stands for: up to the next point, or one usual step when
+// the next one is further away (sensor offline) or there is none
+function pointDurations(series) {
+  const gaps = series.slice(1).map((p, i) => p.time - series[i].time).sort((a, b) => a - b);
+  const step = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 0;
+
+  return series.map((point, i) => {
+    const next = series[i + 1];
+    const gap = next ? next.time - point.time : Infinity;
+    return gap <= step * 2 ? gap : step;
+  });
+}
+
+// Lowest average over a WORST_PERIOD_MS window starting at one of the points.
+// Windows running past the last point only count when the series is shorter.
+function worstPeriod(series) {
+  if (series.length === 0) return null;
+
+  const lastTime = series[series.length - 1].time;
+  let worst = null;
+  let sum = 0;
+  let end = 0;
+
+  for (let start = 0; start < series.length; start++) {
+    const from = series[start].time;
+    if (worst && from + WORST_PERIOD_MS > lastTime) break;
+
+    while (end < series.length && series[end].time < from + WORST_PERIOD_MS) {
+      sum += series[end].value;
+      end++;
+    }
+    const average = sum / (end - start);
+    if (!worst || average < worst.average) {
+      worst = { start: from, end: from + WORST_PERIOD_MS, average };
+    }
+    sum -= series[start].value;
+  }
+
+  return { ...worst, average: Math.round(worst.average) };
+}
+
+// Average of several series point by point (e.g. two CO2 sensors in a room)
+function meanByTime(seriesList) {
+  if (seriesList.length <= 1) return seriesList[0] || [];
+
+  const buckets = new Map();
+  seriesList.flat().forEach(point => {
+    if (!buckets.has(point.time)) buckets.set(point.time, []);
+    buckets.get(point.time).push(point);
+  });
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([time, points]) => ({ time, value: meanValue(points) }));
+}
+
+function meanValue(points) {
+  if (points.length === 0) return null;
+  return points.reduce((sum, p) => sum + p.value, 0) / points.length;
+}
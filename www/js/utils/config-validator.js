@@ -0,0 +1,390 @@
+/**
+ * Configuration Validator
+ * Cross-checks rooms, thermostats, room sensors, the floor plan and the
+ * Zigbee device layout so a typo shows up as an error instead of a room
+ * that silently never updates
+ */
+
+import { COMFORT_MODELS, INSIGHT_METRICS, INSIGHT_OPERATORS, INSIGHT_SEVERITIES, BUILTIN_INSIGHTS } from '../config.js';
+
+// Rooms may share walls - only overlaps larger than this count (metres)
+const OVERLAP_TOLERANCE = 0.05;
+
+const DEVICE_TYPES = ['coordinator', 'router', 'end-device'];
+
+// Comfort schedule times, 'HH:MM'
+const CLOCK_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// PMV inputs the comfort profiles may set, and their allowed values
+const PMV_INPUTS = {
+  clothing: { label: 'clothing', unit: 'clo', min: 0, max: 4 },
+  metabolicRate: { label: 'activity', unit: 'met', min: 0.5, max: 4 },
+  airSpeed: { label: 'air speed', unit: 'm/s', min: 0, max: 2 },
+  radiantOffset: { label: 'radiant offset', unit: '°C', min: -15, max: 15 }
+};
+
+/**
+ * Validate the dashboard configuration
+ * @param {Object} input
+ * @param {Object} input.config - CONFIG (connection settings)
+ * @param {Object} input.home - Effective home config { rooms, thermostats, roomSensors, comfortProfiles, comfortSchedule, comfortModel,
+ *   insightRules, disabledInsights }
+ * @param {Object} input.floorPlan - FLOOR_PLAN_CONFIG
+ * @param {Array} input.zigbeeDevices - ZIGBEE_DEVICES
+ * @param {Array|null} input.bridgeDevices - zigbee2mqtt/bridge/devices list, null if not received yet
+ * @returns {Array<{ severity: 'error'|'warning', area: string, message: string }>}
+ */
+export function validateConfig({ config, home, floorPlan, zigbeeDevices = [], bridgeDevices = null }) {
+  const issues = [];
+  const error = (area, message) => issues.push({ severity: 'error', area, message });
+  const warning = (area, message) => issues.push({ severity: 'warning', area, message });
+
+  validateConnection(config, error);
+
+  const roomIds = new Set();
+  home.rooms.forEach((room, i) => {
+    if (!room.id) error('rooms', `Room #${i + 1} has no id`);
+    else if (roomIds.has(room.id)) error('rooms', `Duplicate room id "${room.id}"`);
+    roomIds.add(room.id);
+    if (!room.sensor) warning('rooms', `${room.name || room.id} has no primary sensor`);
+    if (!room.entityId) warning('rooms', `${room.name || room.id} has no history entity - charts will stay empty`);
+  });
+
+  // Floor plan rooms, plus the balcony which is modelled separately
+  const floorPlanIds = new Set(floorPlan.rooms.map(r => r.id));
+  if (floorPlan.balcony) floorPlanIds.add('balcony');
+
+  validateRoomSensors(home, roomIds, error, warning);
+  validateComfortProfiles(home, roomIds, error, warning);
+  validateInsightRules(home, roomIds, error, warning);
+  validateThermostats(home, roomIds, floorPlanIds, error, warning);
+  validateFloorPlan(floorPlan, home, error, warning);
+  validateZigbeeDevices(zigbeeDevices, floorPlanIds, error);
+
+  if (bridgeDevices) {
+    validateAgainstBridge(home, bridgeDevices, error);
+  }
+
+  return issues;
+}
+
+function validateConnection(config, error) {
+  const dataSource = config.dataSource ?? 'mqtt';
+  const historySource = config.historySource ?? 'influx';
+  if (!['mqtt', 'homeassistant'].includes(dataSource)) {
+    error('connection', `CONFIG.dataSource must be "mqtt" or "homeassistant" (got "${config.dataSource}")`);
+  }
+  if (!['influx', 'homeassistant'].includes(historySource)) {
+    error('connection', `CONFIG.historySource must be "influx" or "homeassistant" (got "${config.historySource}")`);
+  }
+  const usesHomeAssistant = dataSource === 'homeassistant' || historySource === 'homeassistant';
+
+  const influxKeys = Number(config.influxVersion) === 2 ? ['influxOrg', 'influxBucket'] : ['influxDb'];
+  [
+    'baseTopic',
+    ...(dataSource === 'mqtt' ? ['mqttUrl'] : []),
+    ...(historySource === 'influx' ? ['influxUrl', ...influxKeys] : []),
+    ...(usesHomeAssistant ? ['haUrl', 'haToken'] : [])
+  ].forEach(key => {
+    if (!config[key] || typeof config[key] !== 'string') {
+      error('connection', `CONFIG.${key} is missing`);
+    }
+  });
+  if (dataSource === 'mqtt' && config.mqttUrl && !/^wss?:\/\//.test(config.mqttUrl)) {
+    error('connection', `CONFIG.mqttUrl must start with ws:// or wss:// (got "${config.mqttUrl}")`);
+  }
+  if (usesHomeAssistant && config.haUrl && !/^https?:\/\//.test(config.haUrl)) {
+    error('connection', `CONFIG.haUrl must start with http:// or https:// (got "${config.haUrl}")`);
+  }
+  if (historySource === 'influx' && ![1, 2].includes(Number(config.influxVersion ?? 1))) {
+    error('connection', `CONFIG.influxVersion must be 1 or 2 (got "${config.influxVersion}")`);
+  }
+  if (!(config.staleThreshold > 0)) {
+    error('connection', 'CONFIG.staleThreshold must be a positive number of milliseconds');
+  }
+}
+
+function validateRoomSensors(home, roomIds, error, warning) {
+  const owners = {};  // sensor name → room id
+
+  Object.entries(home.roomSensors).forEach(([roomId, roles]) => {
+    if (!roomIds.has(roomId)) {
+      error('sensors', `Sensors are linked to unknown room "${roomId}"`);
+    }
+
+    Object.values(roles).forEach(sensors => {
+      (sensors || []).forEach(sensor => {
+        if (owners[sensor.name] && owners[sensor.name] !== roomId) {
+          error('sensors', `"${sensor.name}" is linked to both ${owners[sensor.name]} and ${roomId}`);
+        }
+        owners[sensor.name] = roomId;
+      });
+    });
+
+    const primaries = (roles.climate || []).filter(s => s.isPrimary);
+    if (primaries.length > 1) {
+      warning('sensors', `${roomId} has ${primaries.length} primary climate sensors`);
+    }
+  });
+
+  home.rooms.forEach(room => {
+    if (!room.sensor) return;
+    const climate = home.roomSensors[room.id]?.climate || [];
+    if (climate.length > 0 && !climate.some(s => s.name === room.sensor)) {
+      warning('sensors', `${room.name}: primary sensor "${room.sensor}" is not in its climate sensor list`);
+    }
+    if (owners[room.sensor] && owners[room.sensor] !== room.id) {
+      error('sensors', `${room.name}: primary sensor "${room.sensor}" is linked to ${owners[room.sensor]}`);
+    }
+  });
+}
+
+function validateComfortProfiles(home, roomIds, error, warning) {
+  const checkRange = (name, label, range) => {
+    range = range || {};
+    if (!['min', 'perfect', 'max'].every(k => typeof range[k] === 'number' && Number.isFinite(range[k]))) {
+      error('comfort', `${name}: ${label} range needs a min, ideal and max`);
+    } else if (!(range.min <= range.perfect && range.perfect <= range.max)) {
+      error('comfort', `${name}: ${label} range must be min ≤ ideal ≤ max`);
+    }
+  };
+  // Empty inputs fall back to the default profile
+  const checkPmv = (name, prefix, inputs) => {
+    Object.entries(PMV_INPUTS).forEach(([key, { label, unit, min, max }]) => {
+      const value = inputs?.[key];
+      if (value === undefined || value === '') return;
+      if (typeof value !== 'number' || !(value >= min && value <= max)) {
+        error('comfort', `${name}: ${prefix}${label} must be between ${min} and ${max} ${unit}`);
+      }
+    });
+  };
+
+  if (home.comfortModel !== undefined && !COMFORT_MODELS.some(m => m.id === home.comfortModel)) {
+    error('comfort', `Unknown comfort model "${home.comfortModel}"`);
+  }
+
+  Object.entries(home.comfortProfiles || {}).forEach(([roomId, profile]) => {
+    if (!roomIds.has(roomId)) {
+      warning('comfort', `Comfort profile for unknown room "${roomId}"`);
+    }
+    const name = home.rooms.find(r => r.id === roomId)?.name || roomId;
+
+    checkRange(name, 'temperature', profile?.temp);
+    checkRange(name, 'humidity', profile?.humidity);
+    checkPmv(name, '', profile?.pmv);
+    Object.entries(profile?.periods || {}).forEach(([period, targets]) => {
+      checkRange(name, `${period} temperature`, targets?.temp);
+      checkRange(name, `${period} humidity`, targets?.humidity);
+      checkPmv(name, `${period} `, targets?.pmv);
+    });
+
+    if (typeof profile?.weight !== 'number' || !(profile.weight >= 0)) {
+      error('comfort', `${name}: comfort weight must be 0 or more`);
+    }
+    if (profile?.airQualityWeight !== undefined && profile.airQualityWeight !== '' &&
+        (typeof profile.airQualityWeight !== 'number' || !(profile.airQualityWeight >= 0 && profile.airQualityWeight <= 1))) {
+      error('comfort', `${name}: air quality share must be between 0 and 1`);
+    }
+  });
+
+  (home.comfortSchedule || []).forEach((entry, i) => {
+    const label = `Schedule entry #${i + 1}`;
+    if (!CLOCK_PATTERN.test(entry.start) || !CLOCK_PATTERN.test(entry.end)) {
+      error('comfort', `${label} needs start and end times (HH:MM)`);
+    } else if (entry.start === entry.end) {
+      warning('comfort', `${label} (${entry.period}) starts and ends at ${entry.start} - it never applies`);
+    }
+    if (Array.isArray(entry.days) && entry.days.length === 0) {
+      warning('comfort', `${label} (${entry.period}) has no days selected - it applies every day`);
+    }
+  });
+}
+
+function validateInsightRules(home, roomIds, error, warning) {
+  const ids = new Set();
+
+  (home.insightRules || []).forEach((rule, i) => {
+    const name = rule.name || `Insight rule #${i + 1}`;
+    if (!rule.id) error('insights', `${name} has no id`);
+    else if (ids.has(rule.id)) error('insights', `Duplicate insight rule id "${rule.id}"`);
+    ids.add(rule.id);
+
+    const metric = INSIGHT_METRICS.find(m => m.key === rule.metric);
+    if (!metric) {
+      error('insights', `${name}: unknown metric "${rule.metric}"`);
+    } else if (!metric.targets.includes(rule.target)) {
+      error('insights', `${name}: ${metric.label.toLowerCase()} can't be read per ${rule.target}`);
+    }
+    if (!INSIGHT_OPERATORS.some(o => o.id === rule.operator)) {
+      error('insights', `${name}: unknown condition "${rule.operator}"`);
+    }
+    if (typeof rule.value !== 'number' || !Number.isFinite(rule.value)) {
+      error('insights', `${name}: threshold must be a number`);
+    }
+    if (!INSIGHT_SEVERITIES.some(s => s.id === rule.severity)) {
+      error('insights', `${name}: unknown severity "${rule.severity}"`);
+    }
+    if (rule.roomId && !roomIds.has(rule.roomId)) {
+      warning('insights', `${name}: unknown room "${rule.roomId}"`);
+    }
+
+    const duration = rule.duration === '' || rule.duration === undefined ? 0 : rule.duration;
+    const change = rule.operator === 'rises' || rule.operator === 'falls';
+    if (typeof duration !== 'number' || !(duration >= 0)) {
+      error('insights', `${name}: duration must be 0 or more minutes`);
+    } else if (change && !(duration > 0)) {
+      error('insights', `${name}: rises / falls needs a duration to measure the change over`);
+    } else if (metric && !metric.history && (change || duration > 0)) {
+      warning('insights', `${name}: ${metric.label.toLowerCase()} has no history - ${change ? 'the rule never fires' : 'the duration is ignored'}`);
+    }
+
+    if (rule.window && (!CLOCK_PATTERN.test(rule.window.start) || !CLOCK_PATTERN.test(rule.window.end))) {
+      error('insights', `${name}: time window needs start and end times (HH:MM)`);
+    }
+    if (!rule.message || !String(rule.message).trim()) {
+      error('insights', `${name}: message is empty`);
+    }
+  });
+
+  (home.disabledInsights || []).forEach(id => {
+    if (!BUILTIN_INSIGHTS.some(b => b.id === id)) {
+      warning('insights', `Unknown built-in insight "${id}" is disabled`);
+    }
+  });
+}
+
+function validateThermostats(home, roomIds, floorPlanIds, error, warning) {
+  const ids = new Set();
+  const devices = new Set();
+
+  home.thermostats.forEach(t => {
+    if (ids.has(t.id)) error('thermostats', `Duplicate thermostat id "${t.id}"`);
+    ids.add(t.id);
+    if (devices.has(t.sensor)) error('thermostats', `"${t.sensor}" is configured as more than one thermostat`);
+    devices.add(t.sensor);
+
+    if (!t.roomId) {
+      warning('thermostats', `${t.name} is not linked to a room`);
+      return;
+    }
+    if (!roomIds.has(t.roomId)) {
+      error('thermostats', `${t.name}: roomId "${t.roomId}" is not a configured room`);
+    }
+    if (!floorPlanIds.has(t.roomId)) {
+      error('thermostats', `${t.name}: roomId "${t.roomId}" does not exist in FLOOR_PLAN_CONFIG.rooms`);
+    }
+
+    const room = home.rooms.find(r => r.id === t.roomId);
+    if (room && t.roomSensor && t.roomSensor !== room.sensor) {
+      warning('thermostats', `${t.name}: roomSensor "${t.roomSensor}" differs from ${room.name}'s primary sensor`);
+    }
+  });
+}
+
+function validateFloorPlan(floorPlan, home, error, warning) {
+  const rooms = floorPlan.rooms;
+  const ids = new Set();
+
+  rooms.forEach(room => {
+    if (ids.has(room.id)) error('floor plan', `Duplicate floor plan room "${room.id}"`);
+    ids.add(room.id);
+
+    if (!(room.width > 0) || !(room.depth > 0)) {
+      error('floor plan', `${room.id} has no size`);
+      return;
+    }
+    const bounds = getBounds(room);
+    if (bounds.minX < -OVERLAP_TOLERANCE || bounds.minZ < -OVERLAP_TOLERANCE ||
+        bounds.maxX > floorPlan.apartmentWidth + OVERLAP_TOLERANCE ||
+        bounds.maxZ > floorPlan.apartmentDepth + OVERLAP_TOLERANCE) {
+      warning('floor plan', `${room.id} extends outside the apartment outline`);
+    }
+  });
+
+  // Overlapping room rectangles
+  for (let i = 0; i < rooms.length; i++) {
+    for (let j = i + 1; j < rooms.length; j++) {
+      const overlap = getOverlap(getBounds(rooms[i]), getBounds(rooms[j]));
+      if (overlap.x > OVERLAP_TOLERANCE && overlap.z > OVERLAP_TOLERANCE) {
+        error('floor plan', `${rooms[i].id} and ${rooms[j].id} overlap by ${overlap.x.toFixed(2)}m × ${overlap.z.toFixed(2)}m`);
+      }
+    }
+  }
+
+  (floorPlan.furniture || []).forEach(item => {
+    if (!ids.has(item.room)) error('floor plan', `Furniture "${item.type}" is in unknown room "${item.room}"`);
+  });
+
+  // Rooms that exist on only one side render nothing or never get data
+  home.rooms.forEach(room => {
+    if (!ids.has(room.id) && !(room.id === 'balcony' && floorPlan.balcony)) {
+      warning('floor plan', `${room.name} is not on the floor plan - it won't appear in 3D views`);
+    }
+  });
+  rooms.forEach(room => {
+    if (!home.rooms.some(r => r.id === room.id)) {
+      warning('floor plan', `Floor plan room "${room.id}" has no configured room - it will have no readings`);
+    }
+  });
+}
+
+function validateZigbeeDevices(devices, floorPlanIds, error) {
+  const ids = new Set();
+  devices.forEach(device => {
+    if (ids.has(device.id)) error('zigbee', `Duplicate Zigbee device id "${device.id}"`);
+    ids.add(device.id);
+    if (!floorPlanIds.has(device.room)) {
+      error('zigbee', `${device.id} is placed in unknown room "${device.room}"`);
+    }
+    if (!DEVICE_TYPES.includes(device.type)) {
+      error('zigbee', `${device.id} has unknown type "${device.type}"`);
+    }
+    if (!(device.x >= 0 && device.x <= 1 && device.z >= 0 && device.z <= 1)) {
+      error('zigbee', `${device.id} position must be within its room (x and z between 0 and 1)`);
+    }
+  });
+}
+
+/**
+ * Configured device names that Zigbee2MQTT doesn't know about
+ */
+function validateAgainstBridge(home, bridgeDevices, error) {
+  const known = new Set(bridgeDevices.map(d => d.friendly_name));
+  const names = new Set();
+  home.rooms.forEach(room => { if (room.sensor) names.add(room.sensor); });
+  Object.values(home.roomSensors).forEach(roles => {
+    Object.values(roles).forEach(sensors => (sensors || []).forEach(s => names.add(s.name)));
+  });
+  home.thermostats.forEach(t => { if (t.sensor) names.add(t.sensor); });
+
+  names.forEach(name => {
+    if (known.has(name)) return;
+    const suggestion = findSimilarName(name, known);
+    error('devices', `"${name}" is not a Zigbee2MQTT device${suggestion ? ` - did you mean "${suggestion}"?` : ''}`);
+  });
+}
+
+function findSimilarName(name, known) {
+  const normalize = (s) => s.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const target = normalize(name);
+  for (const candidate of known) {
+    if (normalize(candidate) === target) return candidate;
+  }
+  return null;
+}
+
+function getBounds(room) {
+  return {
+    minX: room.x - room.width / 2,
+    maxX: room.x + room.width / 2,
+    minZ: room.z - room.depth / 2,
+    maxZ: room.z + room.depth / 2
+  };
+}
+
+function getOverlap(a, b) {
+  return {
+    x: Math.min(a.maxX, b.maxX) - Math.max(a.minX, b.minX),
+    z: Math.min(a.maxZ, b.maxZ) - Math.max(a.minZ, b.minZ)
+  };
+}
@@ -0,0 +1,32 @@
+/**
+ * File Download Helper
+ * Triggers a browser download for content generated in the dashboard
+ */
+
+/**
+ * Download text content as a file
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - e.g. 'application/x-ndjson', 'text/csv'
+ */
+export function downloadFile(filename, content, mimeType = 'text/plain') {
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the browser a moment to start the download before revoking
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Filesystem-safe timestamp for download names, e.g. '2024-05-01T07-30-00'
+ */
+export function fileTimestamp(date = new Date()) {
+  return date.toISOString().slice(0, 19).replace(/:/g, '-');
+}
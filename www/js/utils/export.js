@@ -0,0 +1,91 @@
+/**
+ * Data Export
+ * CSV and JSON downloads of the history series and events a view has loaded
+ *
+ * Exports are built from flat rows with an ISO `timestamp` column. CSV
+ * columns are the union of the row keys in first-seen order; JSON wraps the
+ * rows with the export time and any metadata the view passes in.
+ */
+
+import { downloadFile, fileTimestamp } from './download.js';
+
+/**
+ * Rows for one history series, one per point
+ * Downsampled points keep their bucket min/max next to the mean value.
+ * @param {Array<{ time: number, value: number, min?: number, max?: number }>} points
+ * @param {Object} meta - Columns repeated on every row (room, device, entityId, measurement, unit...)
+ */
+export function seriesRows(points, meta) {
+  return points.map(p => ({
+    timestamp: new Date(p.time).toISOString(),
+    ...meta,
+    value: p.value,
+    ...(p.min !== undefined ? { min: p.min, max: p.max } : {})
+  }));
+}
+
+/**
+ * Rows for a list of events
+ * Keeps scalar fields only - display helpers like `info` are dropped.
+ * @param {Array<{ time: number }>} events
+ */
+export function eventRows(events) {
+  return events.map(({ time, ...fields }) => {
+    const row = { timestamp: new Date(time).toISOString() };
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value === null || typeof value !== 'object') row[key] = value;
+    });
+    return row;
+  });
+}
+
+/**
+ * Serialize rows as CSV (RFC 4180 quoting, CRLF line endings)
+ * Text starting with =, +, - or @ gets a leading ' so spreadsheets don't run
+ * it as a formula (device names are user-controlled). Numbers are left as is.
+ * @param {Object[]} rows
+ */
+export function toCsv(rows) {
+  const columns = [];
+  rows.forEach(row => Object.keys(row).forEach(key => {
+    if (!columns.includes(key)) columns.push(key);
+  }));
+
+  const lines = [columns.map(csvField).join(',')]
+    .concat(rows.map(row => columns.map(key => csvField(row[key])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * File-name friendly version of a label, e.g. 'Living Room' -> 'living-room'
+ */
+export function fileSlug(label) {
+  return String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export';
+}
+
+/**
+ * Download rows as CSV or JSON
+ * @param {string} name - File name prefix, e.g. 'living-room-history'
+ * @param {'csv'|'json'} format
+ * @param {Object[]} rows
+ * @param {Object} [meta] - Extra fields for the JSON envelope (range, device...)
+ * @returns {boolean} False when there was nothing to export
+ */
+export function exportRows(name, format, rows, meta = {}) {
+  if (rows.length === 0) return false;
+
+  const stamp = fileTimestamp();
+  if (format === 'json') {
+    const doc = { exportedAt: new Date().toISOString(), ...meta, count: rows.length, rows };
+    downloadFile(`${name}-${stamp}.json`, JSON.stringify(doc, null, 2), 'application/json');
+  } else {
+    downloadFile(`${name}-${stamp}.csv`, toCsv(rows), 'text/csv');
+  }
+  return true;
+}
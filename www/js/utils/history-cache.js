@@ -0,0 +1,145 @@
+/**
+ * History Cache
+ * Per-entity history series kept in IndexedDB so charts render before
+ * InfluxDB answers (or when it can't be reached at all)
+ *
+ * Each record is one series: { key, points: [{ time, value }], savedAt }.
+ * Series are capped at MAX_POINTS, and once more than MAX_SERIES are stored
+ * the least recently saved ones are evicted. Every call resolves even when
+ * IndexedDB is unavailable (private mode, old browsers) - reads then return
+ * null and writes do nothing.
+ */
+
+const DB_NAME = 'dashboard-history';
+const DB_VERSION = 1;
+const STORE = 'series';
+
+const MAX_SERIES = 64;
+const MAX_POINTS = 5000;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      if (!window.indexedDB) {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE, { keyPath: 'key' });
+        store.createIndex('savedAt', 'savedAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('[history-cache] IndexedDB unavailable:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run one transaction, resolving with the request result (or null on failure)
+ * @param {IDBTransactionMode} mode
+ * @param {(store: IDBObjectStore) => IDBRequest|void} work
+ */
+async function withStore(mode, work) {
+  const db = await openDb();
+  if (!db) return null;
+
+  return new Promise(resolve => {
+    try {
+      const tx = db.transaction(STORE, mode);
+      const request = work(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request ? request.result : null);
+      tx.onerror = () => {
+        console.warn('[history-cache] Transaction failed:', tx.error);
+        resolve(null);
+      };
+    } catch (e) {
+      console.warn('[history-cache] Transaction failed:', e);
+      resolve(null);
+    }
+  });
+}
+
+/**
+ * Cache key for a series, e.g. 'temperature/sensor.living_temperature_humidity_temperature'
+ */
+export function seriesKey(measurement, entityId) {
+  return `${measurement}/${entityId}`;
+}
+
+/**
+ * @returns {Promise<Array<{ time: number, value: number }>|null>} Cached points, null if none
+ */
+export async function readSeries(key) {
+  const record = await withStore('readonly', store => store.get(key));
+  return record?.points || null;
+}
+
+/**
+ * Store a series (newest MAX_POINTS points) and evict the oldest series
+ * beyond MAX_SERIES
+ */
+export async function writeSeries(key, points) {
+  await withStore('readwrite', store => {
+    store.put({ key, points: points.slice(-MAX_POINTS), savedAt: Date.now() });
+  });
+  await evictOldSeries();
+}
+
+/**
+ * Cached points still inside the history window, and where to re-query from
+ * (the last kept point - its downsampled bucket may have been partial)
+ * @returns {{ kept: Array, start: number|undefined }} start is undefined when nothing is kept
+ */
+export function topUpRange(cached, windowStart) {
+  const kept = cached.filter(p => p.time >= windowStart);
+  return { kept, start: kept.length > 0 ? kept[kept.length - 1].time : undefined };
+}
+
+/**
+ * Kept points before `start` followed by the re-queried ones, newest maxPoints
+ */
+export function mergeTopUp(kept, start, fresh, maxPoints) {
+  return kept.filter(p => p.time < start).concat(fresh).slice(-maxPoints);
+}
+
+/**
+ * History followed by any points in `current` newer than its last point
+ */
+export function appendNewer(history, current) {
+  const last = history[history.length - 1].time;
+  return history.concat(current.filter(p => p.time > last));
+}
+
+/**
+ * Remove every cached series (settings action - the next load re-reads
+ * the full window from InfluxDB)
+ */
+export async function clearHistoryCache() {
+  await withStore('readwrite', store => store.clear());
+}
+
+async function evictOldSeries() {
+  await withStore('readwrite', store => {
+    const countRequest = store.count();
+    countRequest.onsuccess = () => {
+      let excess = countRequest.result - MAX_SERIES;
+      if (excess <= 0) return;
+
+      // Oldest first
+      store.index('savedAt').openCursor().onsuccess = (e) => {
+        const cursor = /** @type {IDBRequest<IDBCursorWithValue>} */ (e.target).result;
+        if (!cursor || excess <= 0) return;
+        cursor.delete();
+        excess--;
+        cursor.continue();
+      };
+    };
+  });
+}
@@ -0,0 +1,718 @@
+/**
+ * Home Assistant Data Source
+ * Runs the dashboard against Home Assistant instead of the MQTT broker and
+ * InfluxDB, for homes without direct broker access
+ *
+ * CONFIG.dataSource = 'homeassistant': createHomeAssistantClient() stands in
+ * for the mqtt.js client in the MQTT store (on / subscribe / unsubscribe /
+ * publish / end). Entity states from the WebSocket API are translated into
+ * the Zigbee2MQTT messages the stores already route:
+ * - sensor.<device>_<property>, binary_sensor..., number... → zigbee2mqtt/<device> { property }
+ * - climate.<device> → { local_temperature, occupied_heating_setpoint, system_mode, running_state }
+ * - light.<device> / switch.<device> → { state, brightness, color_temp }
+ * - 'unavailable' entities → zigbee2mqtt/<device>/availability
+ * - the device registry → zigbee2mqtt/bridge/devices
+ * Device names come from the device registry, falling back to the names of
+ * subscribed device topics (entity ids are the slugified device name).
+ * Commands published to zigbee2mqtt/<device>/set become service calls.
+ * Retained dashboard/* messages (home configuration, sensor positions) are
+ * kept in Home Assistant's frontend user data and delivered as retained
+ * messages, so every dashboard using the same user shares them; other
+ * dashboard/* messages (audit events) are fired as Home Assistant events,
+ * e.g. dashboard/audit/thermostat → dashboard_audit_thermostat (needs an
+ * admin token). Bridge requests have no Home Assistant equivalent and fail.
+ *
+ * CONFIG.historySource = 'homeassistant': utils/influx.js reads series and
+ * motion/contact events from the recorder through the REST history API.
+ */
+
+import { CONFIG } from '../config.js';
+import { haEntityId, extractRoomPrefix } from './zigbee.js';
+import { topicMatches } from '../stores/mqtt-store.js';
+
+const RECONNECT_DELAY_MS = 5000;
+const AUTH_FAILED_CODE = 4;  // Same code as an MQTT bad username/password
+
+// Frontend user data key holding the retained dashboard/* topics: { [topic]: payload }
+const USER_DATA_KEY = 'floor_plan_dashboard';
+const DASHBOARD_PREFIX = 'dashboard/';
+
+// Whole-device entities - everything else is `<domain>.<device>_<property>`
+const DEVICE_DOMAINS = ['climate', 'light', 'switch'];
+
+// Binary sensors that become timeline events: property → device_type
+const EVENT_PROPERTIES = { occupancy: 'motion', contact: 'contact', vibration: 'vibration' };
+
+// ========================================
+// STATE TRANSLATION
+// ========================================
+
+function compact(payload) {
+  Object.keys(payload).forEach(key => {
+    if (payload[key] === undefined || payload[key] === null) delete payload[key];
+  });
+  return payload;
+}
+
+function parseState(state) {
+  const number = Number(state);
+  return state !== '' && Number.isFinite(number) ? number : state;
+}
+
+/**
+ * Zigbee2MQTT payload for one entity state
+ * @param {string} domain - Entity domain, e.g. 'sensor'
+ * @param {string|null} property - e.g. 'temperature', null for whole-device entities
+ * @param {{ state: string, attributes?: Object }} state
+ * @returns {Object|null}
+ */
+export function statePayload(domain, property, state) {
+  const on = state.state === 'on';
+  const attrs = state.attributes || {};
+
+  if (!property) {
+    switch (domain) {
+      case 'climate':
+        return compact({
+          local_temperature: attrs.current_temperature,
+          occupied_heating_setpoint: attrs.temperature,
+          system_mode: state.state,
+          running_state: attrs.hvac_action === undefined ? undefined
+            : attrs.hvac_action === 'heating' ? 'heat' : 'idle'
+        });
+      case 'light':
+        return compact({
+          state: on ? 'ON' : 'OFF',
+          brightness: attrs.brightness,
+          color_temp: attrs.color_temp ?? (attrs.color_temp_kelvin ? Math.round(1e6 / attrs.color_temp_kelvin) : undefined)
+        });
+      case 'switch':
+        return { state: on ? 'ON' : 'OFF' };
+      default:
+        return null;
+    }
+  }
+
+  switch (domain) {
+    case 'binary_sensor':
+      // Home Assistant door sensors are 'on' when open; Zigbee2MQTT contact is true when closed
+      return { [property]: property === 'contact' ? !on : on };
+    case 'switch':
+    case 'lock': {
+      const active = on || state.state === 'locked';
+      if (property === 'child_lock') return { child_lock: active ? 'LOCK' : 'UNLOCK' };
+      return { [property]: active ? 'ON' : 'OFF' };
+    }
+    default:
+      return { [property]: parseState(state.state) };
+  }
+}
+
+/**
+ * Property of a device's entity, e.g. ('sensor.study_climate_battery', '[Study] Climate') → 'battery'
+ * @returns {string|null|undefined} null for whole-device entities, undefined if not the device's
+ */
+function entityProperty(entityId, deviceName) {
+  const domain = entityId.split('.')[0];
+  const base = haEntityId(deviceName, domain);
+  if (entityId === base) return DEVICE_DOMAINS.includes(domain) ? null : undefined;
+  if (entityId.startsWith(`${base}_`)) return entityId.slice(base.length + 1);
+  return undefined;
+}
+
+/**
+ * Home Assistant event type for a dashboard topic, e.g.
+ * 'dashboard/audit/thermostat' → 'dashboard_audit_thermostat'
+ */
+export function dashboardEventType(topic) {
+  return topic.replace(/[^a-zA-Z0-9]+/g, '_').replace(/^_|_$/g, '').toLowerCase();
+}
+
+function websocketUrl(haUrl) {
+  return haUrl.replace(/\/$/, '').replace(/^http/, 'ws') + '/api/websocket';
+}
+
+// ========================================
+// LIVE CLIENT (WebSocket API)
+// ========================================
+
+/**
+ * Connect to Home Assistant with an mqtt.js-compatible client interface
+ * Emits 'connect', 'message' (topic, payload, { retain }), 'error', 'close'
+ * and 'reconnect' like mqtt.js, so the MQTT store can use either.
+ * @param {Object} CONFIG - haUrl, haToken, baseTopic
+ */
+export function createHomeAssistantClient(CONFIG) {
+  const baseTopic = CONFIG.baseTopic;
+  const listeners = new Map();
+
+  let socket = null;
+  let connected = false;
+  let ended = false;
+  let reconnectTimer = null;
+  let nextId = 1;
+  const pending = new Map();         // Command id → { resolve, reject }
+
+  const registryDevices = new Map(); // Device registry id → { name, ieeeAddress, model, vendor }
+  const registryEntities = new Map();// entity_id → device name
+  const subscribedNames = new Set(); // Device names from subscribed topics
+  const states = new Map();          // entity_id → latest state object
+  const resolved = new Map();        // entity_id → { device, property } | null
+  const retained = new Map();        // topic → payload (device state, availability, bridge/devices)
+  const dashboardData = new Map();   // Retained dashboard/* topic → payload (frontend user data)
+  let snapshotSent = false;          // Retained state delivered after connect
+  const warnedTopics = new Set();
+
+  function emit(event, ...args) {
+    (listeners.get(event) || []).forEach(fn => fn(...args));
+  }
+
+  function deliver(topic, payload, retain) {
+    emit('message', topic, JSON.stringify(payload), { retain });
+  }
+
+  // ----- Connection -----
+
+  function connect() {
+    socket = new WebSocket(websocketUrl(CONFIG.haUrl));
+    socket.onmessage = (e) => handleFrame(JSON.parse(e.data));
+    socket.onclose = () => {
+      pending.forEach(({ reject }) => reject(new Error('Home Assistant connection closed')));
+      pending.clear();
+      connected = false;
+      snapshotSent = false;
+      emit('close');
+      if (!ended) {
+        reconnectTimer = setTimeout(() => {
+          emit('reconnect');
+          connect();
+        }, RECONNECT_DELAY_MS);
+      }
+    };
+    socket.onerror = () => emit('error', new Error(`Home Assistant WebSocket error (${CONFIG.haUrl})`));
+  }
+
+  function handleFrame(msg) {
+    switch (msg.type) {
+      case 'auth_required':
+        socket.send(JSON.stringify({ type: 'auth', access_token: CONFIG.haToken }));
+        break;
+      case 'auth_ok':
+        start();
+        break;
+      case 'auth_invalid':
+        ended = true;
+        emit('error', Object.assign(new Error(msg.message || 'Invalid Home Assistant token'), { code: AUTH_FAILED_CODE }));
+        socket.close();
+        break;
+      case 'result': {
+        const request = pending.get(msg.id);
+        if (!request) return;
+        pending.delete(msg.id);
+        if (msg.success) request.resolve(msg.result);
+        else request.reject(new Error(msg.error?.message || 'Home Assistant command failed'));
+        break;
+      }
+      case 'event':
+        if (msg.event?.event_type === 'state_changed') {
+          handleStateChange(msg.event.data.entity_id, msg.event.data.new_state);
+        }
+        break;
+    }
+  }
+
+  function command(message) {
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      socket.send(JSON.stringify({ id, ...message }));
+    });
+  }
+
+  async function start() {
+    try {
+      await loadRegistry();
+      await command({ type: 'subscribe_events', event_type: 'state_changed' });
+      const snapshot = await command({ type: 'get_states' });
+      states.clear();
+      snapshot.forEach(state => states.set(state.entity_id, state));
+      await loadDashboardData();
+    } catch (e) {
+      emit('error', e);
+      socket.close();
+      return;
+    }
+
+    connected = true;
+    emit('connect');  // The store (re)subscribes its topics and flushes queued commands
+
+    buildRetained();
+    retained.forEach((payload, topic) => deliver(topic, payload, true));
+    snapshotSent = true;
+  }
+
+  /**
+   * Device names for entities (the registry lists need an admin token -
+   * without them only subscribed device topics are resolved)
+   */
+  async function loadRegistry() {
+    try {
+      const [devices, entities] = await Promise.all([
+        command({ type: 'config/device_registry/list' }),
+        command({ type: 'config/entity_registry/list' })
+      ]);
+      registryDevices.clear();
+      registryEntities.clear();
+      devices.forEach(device => {
+        // Zigbee2MQTT discovery identifiers look like ['mqtt', 'zigbee2mqtt_0x00158d0001a2b3c4']
+        const z2mId = (device.identifiers || []).map(([, id]) => String(id)).find(id => id.startsWith('zigbee2mqtt_0x'));
+        registryDevices.set(device.id, {
+          name: device.name_by_user || device.name,
+          ieeeAddress: z2mId ? z2mId.slice('zigbee2mqtt_'.length) : `ha_${device.id}`,
+          model: device.model,
+          vendor: device.manufacturer
+        });
+      });
+      entities.forEach(entity => {
+        const device = registryDevices.get(entity.device_id);
+        if (device && !entity.disabled_by) registryEntities.set(entity.entity_id, device.name);
+      });
+    } catch (e) {
+      console.warn('[home-assistant] Registry unavailable, resolving subscribed devices only:', e.message);
+    }
+    resolved.clear();
+  }
+
+  /**
+   * Retained dashboard/* topics saved by publishDashboard()
+   */
+  async function loadDashboardData() {
+    try {
+      const data = await command({ type: 'frontend/get_user_data', key: USER_DATA_KEY });
+      dashboardData.clear();
+      Object.entries(data?.value || {}).forEach(([topic, payload]) => dashboardData.set(topic, payload));
+    } catch (e) {
+      console.warn('[home-assistant] Dashboard data unavailable:', e.message);
+    }
+  }
+
+  // ----- State → messages -----
+
+  function resolveEntity(entityId) {
+    if (resolved.has(entityId)) return resolved.get(entityId);
+
+    let target = null;
+    const registered = registryEntities.get(entityId);
+    if (registered) {
+      const property = entityProperty(entityId, registered);
+      // Renamed entities keep their device but not the slug prefix
+      target = { device: registered, property: property === undefined ? entityId.split('.')[1] : property };
+    } else {
+      // Longest matching device name wins ('[Living] Thermostat Inner' over '[Living] Thermostat')
+      let bestLength = -1;
+      subscribedNames.forEach(name => {
+        const property = entityProperty(entityId, name);
+        if (property !== undefined && name.length > bestLength) {
+          bestLength = name.length;
+          target = { device: name, property };
+        }
+      });
+    }
+
+    resolved.set(entityId, target);
+    return target;
+  }
+
+  function deviceEntities(deviceName) {
+    const entities = [];
+    states.forEach((state, entityId) => {
+      const target = resolveEntity(entityId);
+      if (target?.device === deviceName) {
+        entities.push({ entityId, domain: entityId.split('.')[0], property: target.property, state });
+      }
+    });
+    return entities;
+  }
+
+  // Zigbee2MQTT payload for an entity state, null when there is nothing to report
+  function entityPayload(entityId, state) {
+    if (!state || state.state === 'unavailable' || state.state === 'unknown') return null;
+    return statePayload(entityId.split('.')[0], resolveEntity(entityId).property, state);
+  }
+
+  // A device is online while any of its entities is available
+  function deviceAvailability(deviceName) {
+    return deviceEntities(deviceName).some(e => e.state.state !== 'unavailable') ? 'online' : 'offline';
+  }
+
+  /**
+   * Current state of every resolved device, its availability and a
+   * synthesized bridge/devices list, as retained messages
+   */
+  function buildRetained() {
+    retained.clear();
+    dashboardData.forEach((payload, topic) => retained.set(topic, payload));
+    const devices = new Map();  // device → { payload, time }
+    states.forEach((state, entityId) => {
+      const target = resolveEntity(entityId);
+      if (!target) return;
+      const device = devices.get(target.device) || { payload: {}, time: '' };
+      Object.assign(device.payload, entityPayload(entityId, state));
+      if (state.last_updated > device.time) device.time = state.last_updated;
+      devices.set(target.device, device);
+    });
+
+    devices.forEach(({ payload, time }, name) => {
+      retained.set(`${baseTopic}/${name}/availability`, { state: deviceAvailability(name) });
+      if (Object.keys(payload).length > 0) {
+        retained.set(`${baseTopic}/${name}`, { ...payload, last_seen: time });
+      }
+    });
+
+    if (registryDevices.size > 0) {
+      retained.set(`${baseTopic}/bridge/devices`, [...registryDevices.values()]
+        .filter(device => devices.has(device.name))
+        .map(device => ({
+          friendly_name: device.name,
+          ieee_address: device.ieeeAddress,
+          type: 'EndDevice',
+          definition: {
+            model: device.model || 'Unknown',
+            vendor: device.vendor || 'Unknown',
+            exposes: Object.keys(devices.get(device.name).payload).map(name => ({ name }))
+          }
+        })));
+    }
+  }
+
+  function handleStateChange(entityId, state) {
+    if (state) states.set(entityId, state);
+    else states.delete(entityId);
+
+    const target = resolveEntity(entityId);
+    if (!target || !snapshotSent) return;
+
+    const availabilityTopic = `${baseTopic}/${target.device}/availability`;
+    const availability = deviceAvailability(target.device);
+    if (retained.get(availabilityTopic)?.state !== availability) {
+      retained.set(availabilityTopic, { state: availability });
+      deliver(availabilityTopic, { state: availability }, false);
+    }
+
+    const payload = entityPayload(entityId, state);
+    if (payload) {
+      // Partial update stamped with the entity's update time
+      const topic = `${baseTopic}/${target.device}`;
+      const update = { ...payload, last_seen: state.last_updated };
+      retained.set(topic, { ...retained.get(topic), ...update });
+      deliver(topic, update, false);
+    }
+  }
+
+  /**
+   * Note the device name of an exact device topic, then deliver matching
+   * retained state to the new subscription as a broker would
+   */
+  function noteSubscription(pattern) {
+    if (pattern.startsWith(`${baseTopic}/`) && !/[+#]/.test(pattern)) {
+      const name = pattern.slice(baseTopic.length + 1).replace(/\/availability$/, '');
+      if (!name.startsWith('bridge/') && !subscribedNames.has(name)) {
+        subscribedNames.add(name);
+        resolved.clear();
+        if (snapshotSent) buildRetained();
+      }
+    }
+    if (!snapshotSent) return;
+    retained.forEach((payload, topic) => {
+      if (topicMatches(pattern, topic)) deliver(topic, payload, true);
+    });
+  }
+
+  // ----- Commands → service calls -----
+
+  /**
+   * Service calls for a Zigbee2MQTT /set payload
+   * @returns {Array<{ domain: string, service: string, entityId: string, data: Object }>}
+   */
+  function serviceCalls(deviceName, payload) {
+    const entities = deviceEntities(deviceName);
+    const whole = (domain) => entities.find(e => e.domain === domain && e.property === null)?.entityId;
+    const calls = [];
+
+    const climate = whole('climate');
+    if (climate && payload.occupied_heating_setpoint !== undefined) {
+      calls.push({ domain: 'climate', service: 'set_temperature', entityId: climate, data: { temperature: payload.occupied_heating_setpoint } });
+    }
+    if (climate && payload.system_mode !== undefined) {
+      calls.push({ domain: 'climate', service: 'set_hvac_mode', entityId: climate, data: { hvac_mode: payload.system_mode } });
+    }
+
+    const childLock = entities.find(e => e.property === 'child_lock');
+    if (childLock && payload.child_lock !== undefined) {
+      const lock = payload.child_lock === 'LOCK';
+      const service = childLock.domain === 'lock' ? (lock ? 'lock' : 'unlock') : (lock ? 'turn_on' : 'turn_off');
+      calls.push({ domain: childLock.domain, service, entityId: childLock.entityId, data: {} });
+    }
+
+    const light = whole('light');
+    const target = light || whole('switch');
+    if (target && (payload.state !== undefined || payload.brightness !== undefined || payload.color_temp !== undefined)) {
+      const domain = light ? 'light' : 'switch';
+      const state = String(payload.state ?? 'ON').toUpperCase();
+      if (state === 'OFF') {
+        calls.push({ domain, service: 'turn_off', entityId: target, data: {} });
+      } else if (state === 'TOGGLE') {
+        calls.push({ domain, service: 'toggle', entityId: target, data: {} });
+      } else {
+        calls.push({
+          domain, service: 'turn_on', entityId: target,
+          data: light ? compact({
+            brightness: payload.brightness,
+            color_temp_kelvin: payload.color_temp ? Math.round(1e6 / payload.color_temp) : undefined
+          }) : {}
+        });
+      }
+    }
+
+    return calls;
+  }
+
+  async function callServices(deviceName, payload) {
+    const calls = serviceCalls(deviceName, payload);
+    if (calls.length === 0) {
+      throw new Error(`No Home Assistant service for ${deviceName}: ${JSON.stringify(payload)}`);
+    }
+    for (const call of calls) {
+      await command({
+        type: 'call_service',
+        domain: call.domain,
+        service: call.service,
+        service_data: call.data,
+        target: { entity_id: call.entityId }
+      });
+    }
+  }
+
+  // ----- dashboard/* topics -----
+
+  /**
+   * Retained messages are saved to the frontend user data (an empty message
+   * clears the topic, as on a broker); others are fired as events. Either
+   * way subscribers get the message back like a broker echo.
+   */
+  async function publishDashboard(topic, payload, retain) {
+    if (retain) {
+      const next = new Map(dashboardData);
+      if (payload === null) next.delete(topic);
+      else next.set(topic, payload);
+      await command({ type: 'frontend/set_user_data', key: USER_DATA_KEY, value: Object.fromEntries(next) });
+      dashboardData.clear();
+      next.forEach((value, key) => dashboardData.set(key, value));
+      if (payload === null) retained.delete(topic);
+      else retained.set(topic, payload);
+    } else {
+      await command({ type: 'fire_event', event_type: dashboardEventType(topic), event_data: payload || {} });
+    }
+
+    emit('message', topic, payload === null ? '' : JSON.stringify(payload), { retain: false });
+  }
+
+  // ----- mqtt.js client interface -----
+
+  const client = {
+    on(event, fn) {
+      if (!listeners.has(event)) listeners.set(event, []);
+      listeners.get(event).push(fn);
+      return client;
+    },
+
+    subscribe(pattern) {
+      noteSubscription(pattern);
+      return client;
+    },
+
+    unsubscribe() {
+      return client;
+    },
+
+    publish(topic, message, options, callback) {
+      const done = typeof options === 'function' ? options : (callback || (() => {}));
+      const retain = typeof options === 'object' && !!options?.retain;
+      const match = topic.match(new RegExp(`^${baseTopic.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}/(.+)/set$`));
+      const dashboard = topic.startsWith(DASHBOARD_PREFIX);
+
+      if (!(match || dashboard) || !connected) {
+        const error = new Error(connected
+          ? `No Home Assistant equivalent for ${topic}`
+          : 'Home Assistant not connected');
+        if (!warnedTopics.has(topic)) {
+          warnedTopics.add(topic);
+          console.warn(`[home-assistant] ${error.message}`);
+        }
+        done(error);
+        return client;
+      }
+
+      let payload;
+      try {
+        payload = message === '' && dashboard ? null : JSON.parse(message);
+      } catch (e) {
+        done(e);
+        return client;
+      }
+      const published = dashboard ? publishDashboard(topic, payload, retain) : callServices(match[1], payload);
+      published.then(() => done(), (err) => {
+        console.warn(`[home-assistant] Publish to ${topic} failed:`, err.message);
+        done(err);
+      });
+      return client;
+    },
+
+    end() {
+      ended = true;
+      clearTimeout(reconnectTimer);
+      socket?.close();
+      return client;
+    }
+  };
+
+  connect();
+  return client;
+}
+
+// ========================================
+// HISTORY (REST API)
+// ========================================
+
+async function fetchJson(path, signal) {
+  const response = await fetch(CONFIG.haUrl.replace(/\/$/, '') + path, {
+    headers: { Authorization: `Bearer ${CONFIG.haToken}` },
+    signal
+  });
+  if (!response.ok) {
+    throw new Error(`Home Assistant HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+  }
+  return response.json();
+}
+
+/**
+ * State changes of the given entities in [start, end)
+ * @returns {Promise<Array<Array<{ entity_id?: string, state: string, last_changed: string }>>>}
+ *   One list per entity, oldest first; the first entry is the state at `start`
+ */
+async function fetchHistory(entityIds, start, end, signal) {
+  if (entityIds.length === 0) return [];
+  const params = new URLSearchParams({
+    filter_entity_id: entityIds.join(','),
+    end_time: new Date(end).toISOString()
+  });
+  const history = await fetchJson(
+    `/api/history/period/${new Date(start).toISOString()}?${params}&minimal_response&no_attributes`, signal);
+  // Minimal responses only carry entity_id on the first entry of each list
+  history.forEach(list => list.forEach(item => { item.entity_id = list[0]?.entity_id; }));
+  return history;
+}
+
+/**
+ * Mean/min/max per time bucket, aligned to the epoch like InfluxDB GROUP BY time()
+ */
+function downsample(points, bucketMs) {
+  const buckets = new Map();
+  points.forEach(p => {
+    const time = Math.floor(p.time / bucketMs) * bucketMs;
+    const bucket = buckets.get(time) || { time, sum: 0, count: 0, min: p.value, max: p.value };
+    bucket.sum += p.value;
+    bucket.count++;
+    bucket.min = Math.min(bucket.min, p.value);
+    bucket.max = Math.max(bucket.max, p.value);
+    buckets.set(time, bucket);
+  });
+  return [...buckets.values()].map(b => ({ time: b.time, value: b.sum / b.count, min: b.min, max: b.max }));
+}
+
+/**
+ * querySeries() backend - entity ids come from the spec, or from current
+ * states matching the pattern / unit (measurement) when none is given
+ * @param {Object} spec - { measurement, entityId, entityIdPattern, start, end, bucketMs, signal }
+ */
+export async function queryHomeAssistantSeries({ measurement, entityId, entityIdPattern, start, end, bucketMs, signal }) {
+  let entityIds = entityId ? [entityId] : [];
+  if (!entityId) {
+    const states = await fetchJson('/api/states', signal);
+    entityIds = states
+      .filter(s => entityIdPattern
+        ? entityIdPattern.test(s.entity_id)
+        : s.attributes?.unit_of_measurement === measurement || s.attributes?.device_class === measurement)
+      .map(s => s.entity_id);
+  }
+
+  const history = await fetchHistory(entityIds, start, end, signal);
+  const points = history.flat()
+    .map(item => ({ time: Date.parse(item.last_changed), value: Number(item.state) }))
+    .filter(p => Number.isFinite(p.value) && Number.isFinite(p.time) && p.time < end)
+    .map(p => ({ ...p, time: Math.max(p.time, start) }))
+    .sort((a, b) => a.time - b.time);
+
+  return bucketMs ? downsample(points, bucketMs) : points;
+}
+
+/**
+ * queryEvents() backend - motion, contact and vibration changes derived from
+ * binary sensor history, in the zigbee_events row shape. Thermostat events
+ * are written by the MQTT bridge only and are not available here.
+ * @param {Object} spec - { start, end, deviceType, deviceName, limit, signal }
+ */
+export async function queryHomeAssistantEvents({ start, end, deviceType, deviceName, limit, signal }) {
+  if (deviceType && !Object.values(EVENT_PROPERTIES).includes(deviceType)) return [];
+
+  // Device name = friendly name without the property label, e.g. '[Mailbox] Motion Sensor Occupancy'
+  const states = await fetchJson('/api/states', signal);
+  const sources = new Map();  // entity_id → { deviceName, property }
+  states.forEach(s => {
+    const [domain, objectId] = s.entity_id.split('.');
+    const property = Object.keys(EVENT_PROPERTIES).find(p => objectId.endsWith(`_${p}`));
+    if (domain !== 'binary_sensor' || !property) return;
+    if (deviceType && EVENT_PROPERTIES[property] !== deviceType) return;
+    const name = (s.attributes?.friendly_name || objectId).replace(new RegExp(`\\s+${property}$`, 'i'), '');
+    if (deviceName && name !== deviceName && s.entity_id !== `${haEntityId(deviceName, 'binary_sensor')}_${property}`) return;
+    sources.set(s.entity_id, { deviceName: deviceName || name, property });
+  });
+
+  const history = await fetchHistory([...sources.keys()], start, end, signal);
+  const rows = [];
+  history.forEach(list => {
+    // First entry is the state at the window start, not a change
+    list.slice(1).forEach(item => {
+      const source = sources.get(item.entity_id);
+      const row = source && eventRow(source, item);
+      if (row) rows.push(row);
+    });
+  });
+
+  rows.sort((a, b) => b.time - a.time);
+  return limit ? rows.slice(0, limit) : rows;
+}
+
+function eventRow({ deviceName, property }, item) {
+  if (item.state !== 'on' && item.state !== 'off') return null;
+  const on = item.state === 'on';
+  const prefix = extractRoomPrefix(deviceName);
+  const base = {
+    time: Date.parse(item.last_changed),
+    device_name: deviceName,
+    device_type: EVENT_PROPERTIES[property],
+    room: prefix ? prefix.toLowerCase() : 'unknown'
+  };
+
+  switch (property) {
+    case 'occupancy':
+      return { ...base, event_type: on ? 'motion_detected' : 'motion_cleared', value: on ? 1 : 0, state: String(on) };
+    case 'contact':
+      // 'on' = open; state mirrors the Zigbee2MQTT contact value
+      return { ...base, event_type: on ? 'door_opened' : 'door_closed', value: on ? 1 : 0, state: String(!on) };
+    case 'vibration':
+      return on ? { ...base, event_type: 'vibration_detected', value: 1, state: 'true' } : null;
+    default:
+      return null;
+  }
+}
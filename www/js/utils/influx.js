@@ -0,0 +1,507 @@
+/**
+ * InfluxDB Query Client
+ * Single entry point for history queries, for InfluxDB 1.x and 2.x
+ *
+ * CONFIG.influxVersion selects the backend:
+ * - 1: InfluxQL against `${influxUrl}/query?db=${influxDb}`
+ * - 2: Flux against `${influxUrl}/api/v2/query` with influxOrg / influxBucket /
+ *      influxToken
+ * With CONFIG.historySource = 'homeassistant' both queries go to the Home
+ * Assistant history API instead (utils/home-assistant.js).
+ *
+ * Callers describe what they want (querySeries / queryEvents) and get the same
+ * shapes from either backend:
+ * - Series: [{ time, value }] sorted by time, times as epoch milliseconds.
+ *   Downsampled series (`every` / `points`) add { min, max } per bucket, with
+ *   value the bucket mean
+ * - Events: [{ time, device_name, event_type, ... }] newest first
+ *
+ * Values are escaped for the active query language - device names like
+ * `[Mailbox] Motion Sensor` contain characters that would otherwise break
+ * (or change) the query. Failed requests throw; a cancelled request throws an
+ * AbortError that callers can skip with isAbortError().
+ */
+
+import { CONFIG } from '../config.js';
+import { queryHomeAssistantSeries, queryHomeAssistantEvents } from './home-assistant.js';
+
+// Active request per caller key, aborted when the same key asks again
+const controllers = new Map();
+
+const DURATION_UNITS_MS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+
+// Bucket sizes for downsampled history, smallest first
+const BUCKETS = ['1m', '2m', '5m', '10m', '15m', '30m', '1h', '2h', '3h', '6h', '12h', '1d'];
+
+// ========================================
+// ESCAPING
+// ========================================
+
+/**
+ * Quote an InfluxQL string literal, e.g. entity_id = ${quoteString(id)}
+ */
+export function quoteString(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Quote an InfluxQL measurement, field or tag name, e.g. FROM ${quoteIdentifier('°C')}
+ */
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Quote a Flux string literal (Flux interpolates `${...}` inside strings)
+ */
+export function fluxString(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\$\{/g, '\\${')}"`;
+}
+
+/**
+ * Regex literal for InfluxQL and Flux, e.g. entity_id =~ ${regexLiteral(/co2/)}
+ * RegExp#source leaves `/` inside character classes unescaped, which would
+ * end the literal early.
+ * @param {RegExp|string} pattern
+ */
+export function regexLiteral(pattern) {
+  const source = pattern instanceof RegExp ? pattern.source : String(pattern);
+  let escaped = '';
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\\') {
+      escaped += source.slice(i, i + 2);
+      i++;
+    } else {
+      escaped += source[i] === '/' ? '\\/' : source[i];
+    }
+  }
+  return `/${escaped}/`;
+}
+
+/**
+ * Validate a duration literal such as '6h' or '7d'
+ * Time ranges come from UI state, so never interpolate them unchecked.
+ * The same literal is valid in InfluxQL and Flux.
+ */
+export function duration(value) {
+  const text = String(value);
+  if (!/^\d+(ms|[smhdw])$/.test(text)) {
+    throw new Error(`Invalid InfluxDB duration "${text}"`);
+  }
+  return text;
+}
+
+/**
+ * Duration literal in milliseconds, e.g. '15m' → 900000
+ */
+export function durationMs(value) {
+  const [, amount, unit] = duration(value).match(/^(\d+)(ms|[smhdw])$/);
+  return Number(amount) * DURATION_UNITS_MS[unit];
+}
+
+/**
+ * GROUP BY bucket so a range comes back as roughly `points` rows
+ * Sensors report about once a minute, so ranges that fit raw are not
+ * bucketed at all.
+ * @param {string|number} range - Duration such as '7d', or a span in ms
+ * @param {number} points - Usually the chart width in pixels
+ * @returns {string|null} e.g. '15m', or null for raw points
+ */
+export function bucketFor(range, points) {
+  const span = typeof range === 'number' ? range : durationMs(range);
+  const target = span / Math.max(points, 1);
+  if (target < DURATION_UNITS_MS.m) return null;
+  return BUCKETS.find(b => durationMs(b) >= target) || BUCKETS[BUCKETS.length - 1];
+}
+
+// ========================================
+// CANCELLATION
+// ========================================
+
+/**
+ * Abort signal for a caller's next batch of queries
+ * Aborts whatever the same key started before, so a view that changes range
+ * quickly only ever applies the newest result.
+ * @param {string} key - e.g. 'room-detail', 'co2-view'
+ */
+export function querySignal(key) {
+  controllers.get(key)?.abort();
+  const controller = new AbortController();
+  controllers.set(key, controller);
+  return controller.signal;
+}
+
+/**
+ * Abort any in-flight queries for a key (e.g. when a modal closes)
+ */
+export function cancelQueries(key) {
+  controllers.get(key)?.abort();
+  controllers.delete(key);
+}
+
+export function isAbortError(err) {
+  return err?.name === 'AbortError';
+}
+
+// ========================================
+// QUERIES
+// ========================================
+
+/**
+ * @typedef {Object} SeriesSpec
+ * @property {string} measurement - e.g. 'temperature', '°C', 'ppm'
+ * @property {string} [entityId] - Exact entity_id tag
+ * @property {RegExp} [entityIdPattern] - entity_id tag pattern, e.g. /co2.*temperature/
+ * @property {string} [range] - Look-back duration, e.g. '6h'
+ * @property {number} [start] - Only points from this time on (epoch ms), e.g.
+ *   for topping up a cached series; range still picks the bucket size
+ * @property {number} [end] - With start: absolute window [start, end) instead of range
+ * @property {string} [every] - Downsample into buckets of this duration, e.g. '5m'
+ * @property {number} [points] - Pick `every` from the range for about this many points
+ * @property {AbortSignal} [signal] - From querySignal()
+ */
+
+/**
+ * @typedef {Object} EventsSpec
+ * @property {string} range - Look-back duration, e.g. '24h'
+ * @property {string} [deviceType] - Only this device_type
+ * @property {string} [deviceName] - Only this device_name
+ * @property {number} [limit] - Newest N rows
+ * @property {AbortSignal} [signal]
+ */
+
+/**
+ * Load one sensor series (Home Assistant schema: measurement per unit,
+ * entity_id tag, `value` field)
+ * @param {SeriesSpec} spec
+ * @returns {Promise<Array<{ time: number, value: number, min?: number, max?: number }>>}
+ */
+export async function querySeries(spec) {
+  const options = { signal: spec.signal };
+  const span = spec.end !== undefined ? spec.end - spec.start : spec.range;
+  const every = spec.every || (spec.points ? bucketFor(span, spec.points) : null);
+  const request = { ...spec, every };
+
+  if (isHomeAssistant()) {
+    const end = spec.end ?? Date.now();
+    const start = spec.start ?? end - durationMs(spec.range);
+    return queryHomeAssistantSeries({ ...request, start, end, bucketMs: every ? durationMs(every) : null });
+  }
+
+  let rows;
+  if (isFlux()) {
+    const tables = await runFlux(buildSeriesFlux(request), options);
+    rows = tables.flat()
+      .map(r => ({ time: r._time, value: every ? r.value : r._value, min: r.min, max: r.max }))
+      .sort((a, b) => a.time - b.time);
+  } else {
+    const [series] = await runInfluxQL(buildSeriesInfluxQL(request), options);
+    if (!series) return [];
+    const col = (name) => series.columns.indexOf(name);
+    const [timeIdx, valueIdx, minIdx, maxIdx] = [col('time'), col('value'), col('min'), col('max')];
+    rows = series.values.map(v => ({ time: v[timeIdx], value: v[valueIdx], min: v[minIdx], max: v[maxIdx] }));
+  }
+
+  // Empty buckets come back as null
+  return rows
+    .filter(r => r.value !== null && r.value !== undefined)
+    .map(r => every ? r : { time: r.time, value: r.value });
+}
+
+/**
+ * Load rows from the zigbee_events measurement
+ * @param {EventsSpec} spec
+ * @returns {Promise<Array<Object>>} Rows keyed by column, `time` in epoch ms
+ */
+export async function queryEvents(spec) {
+  const options = { signal: spec.signal };
+
+  if (isHomeAssistant()) {
+    const end = Date.now();
+    return queryHomeAssistantEvents({ ...spec, start: end - durationMs(spec.range), end });
+  }
+
+  if (isFlux()) {
+    const tables = await runFlux(buildEventsFlux(spec), options);
+    return tables.flat().map(({ _time, _start, _stop, _measurement, result, table, ...row }) => ({
+      time: _time,
+      ...row
+    }));
+  }
+
+  const [series] = await runInfluxQL(buildEventsInfluxQL(spec), options);
+  if (!series) return [];
+  return series.values.map(values => {
+    const row = {};
+    series.columns.forEach((col, i) => { row[col] = values[i]; });
+    return row;
+  });
+}
+
+function isFlux() {
+  return Number(CONFIG.influxVersion) === 2;
+}
+
+function isHomeAssistant() {
+  return CONFIG.historySource === 'homeassistant';
+}
+
+// ========================================
+// INFLUXQL (1.x)
+// ========================================
+
+/** @param {SeriesSpec} spec */
+function buildSeriesInfluxQL({ measurement, entityId, entityIdPattern, range, start, end, every }) {
+  const conditions = [];
+  if (entityId) conditions.push(`entity_id = ${quoteString(entityId)}`);
+  if (entityIdPattern) conditions.push(`entity_id =~ ${regexLiteral(entityIdPattern)}`);
+  conditions.push(start !== undefined
+    ? `time >= ${epochMs(start)}ms`
+    : `time > now() - ${duration(range)}`);
+  if (end !== undefined) conditions.push(`time < ${epochMs(end)}ms`);
+
+  const select = every ? 'mean("value") AS value, min("value") AS min, max("value") AS max' : 'value';
+  const groupBy = every ? ` GROUP BY time(${duration(every)}) fill(none)` : '';
+  return `SELECT ${select} FROM ${quoteIdentifier(measurement)} WHERE ${conditions.join(' AND ')}${groupBy} ORDER BY time ASC`;
+}
+
+/** @param {EventsSpec} spec */
+function buildEventsInfluxQL({ range, deviceType, deviceName, limit }) {
+  const conditions = [];
+  if (deviceType) conditions.push(`device_type = ${quoteString(deviceType)}`);
+  if (deviceName) conditions.push(`device_name = ${quoteString(deviceName)}`);
+  conditions.push(`time > now() - ${duration(range)}`);
+
+  const limitClause = limit ? ` LIMIT ${Math.floor(limit)}` : '';
+  return `SELECT * FROM zigbee_events WHERE ${conditions.join(' AND ')} ORDER BY time DESC${limitClause}`;
+}
+
+/**
+ * @param {string} q - InfluxQL
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Array<{ name: string, tags: Object, columns: string[], values: Array[] }>>}
+ *   Series of the first statement, [] when nothing matched
+ */
+async function runInfluxQL(q, { signal } = {}) {
+  const url = `${CONFIG.influxUrl}/query?db=${encodeURIComponent(CONFIG.influxDb)}&epoch=ms&q=${encodeURIComponent(q)}`;
+  const response = await fetch(url, { signal });
+  const data = await readJson(response);
+
+  const error = data?.error || data?.results?.[0]?.error;
+  if (!response.ok || error) {
+    throw new Error(`InfluxDB query failed: ${error || `HTTP ${response.status}`}`);
+  }
+
+  return (data?.results?.[0]?.series || []).map(series => ({
+    name: series.name,
+    tags: series.tags || {},
+    columns: series.columns,
+    values: series.values || []
+  }));
+}
+
+// ========================================
+// FLUX (2.x)
+// ========================================
+
+function fluxFrom(range, start, end) {
+  const from = start !== undefined ? new Date(epochMs(start)).toISOString() : `-${duration(range)}`;
+  const stop = end !== undefined ? `, stop: ${new Date(epochMs(end)).toISOString()}` : '';
+  return `from(bucket: ${fluxString(CONFIG.influxBucket)})\n  |> range(start: ${from}${stop})`;
+}
+
+/** @param {SeriesSpec} spec */
+function buildSeriesFlux({ measurement, entityId, entityIdPattern, range, start, end, every }) {
+  const lines = [
+    fluxFrom(range, start, end),
+    `  |> filter(fn: (r) => r._measurement == ${fluxString(measurement)} and r._field == "value")`
+  ];
+  if (entityId) lines.push(`  |> filter(fn: (r) => r.entity_id == ${fluxString(entityId)})`);
+  if (entityIdPattern) lines.push(`  |> filter(fn: (r) => r.entity_id =~ ${regexLiteral(entityIdPattern)})`);
+  // Several matching entities merge into one series, as in InfluxQL
+  lines.push('  |> group()');
+  if (!every) {
+    lines.push('  |> keep(columns: ["_time", "_value"])');
+    return lines.join('\n');
+  }
+  lines.push('  |> keep(columns: ["_start", "_stop", "_time", "_value"])');
+
+  // One aggregate per stream, then one row per bucket: _time, value, min, max.
+  // Buckets are stamped with their start, as InfluxQL GROUP BY time() does.
+  const bucket = (fn, field) =>
+    `data |> aggregateWindow(every: ${duration(every)}, fn: ${fn}, createEmpty: false, timeSrc: "_start") |> set(key: "_field", value: "${field}")`;
+  return [
+    `data = ${lines.join('\n')}`,
+    'union(tables: [',
+    `  ${bucket('mean', 'value')},`,
+    `  ${bucket('min', 'min')},`,
+    `  ${bucket('max', 'max')}`,
+    '])',
+    '  |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")'
+  ].join('\n');
+}
+
+/** @param {EventsSpec} spec */
+function buildEventsFlux({ range, deviceType, deviceName, limit }) {
+  // Pivot first so the filters work whether a column is stored as a tag or a field
+  const lines = [
+    fluxFrom(range),
+    '  |> filter(fn: (r) => r._measurement == "zigbee_events")',
+    '  |> pivot(rowKey: ["_time"], columnKey: ["_field"], valueColumn: "_value")',
+    '  |> group()'
+  ];
+  if (deviceType) lines.push(`  |> filter(fn: (r) => r.device_type == ${fluxString(deviceType)})`);
+  if (deviceName) lines.push(`  |> filter(fn: (r) => r.device_name == ${fluxString(deviceName)})`);
+  lines.push('  |> sort(columns: ["_time"], desc: true)');
+  if (limit) lines.push(`  |> limit(n: ${Math.floor(limit)})`);
+  return lines.join('\n');
+}
+
+/**
+ * @param {string} flux
+ * @param {{ signal?: AbortSignal }} [options]
+ * @returns {Promise<Array<Array<Object>>>} Tables of rows keyed by column
+ */
+async function runFlux(flux, { signal } = {}) {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Accept': 'application/csv'
+  };
+  if (CONFIG.influxToken) headers.Authorization = `Token ${CONFIG.influxToken}`;
+
+  const response = await fetch(`${CONFIG.influxUrl}/api/v2/query?org=${encodeURIComponent(CONFIG.influxOrg)}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      query: flux,
+      type: 'flux',
+      dialect: { header: true, annotations: ['datatype'], dateTimeFormat: 'RFC3339' }
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const data = await readJson(response);
+    throw new Error(`InfluxDB query failed: ${data?.message || `HTTP ${response.status}`}`);
+  }
+
+  return parseFluxCsv(await response.text());
+}
+
+/**
+ * Parse annotated CSV from /api/v2/query
+ * Each table starts with a #datatype row and a header row; blank lines
+ * separate result sets.
+ */
+function parseFluxCsv(text) {
+  const tables = [];
+  let types = null;
+  let columns = null;
+  let rows = null;
+
+  parseCsvRows(text).forEach(cells => {
+    if (cells.length === 1 && cells[0] === '') {
+      columns = null;
+      return;
+    }
+    if (cells[0] === '#datatype') {
+      types = cells;
+      columns = null;
+      return;
+    }
+    if (cells[0].startsWith('#')) return;
+    if (!columns) {
+      columns = cells;
+      rows = [];
+      tables.push(rows);
+      return;
+    }
+
+    const row = {};
+    // First column is the annotation column - always empty in data rows
+    for (let i = 1; i < columns.length; i++) {
+      row[columns[i]] = convertFluxValue(cells[i], types?.[i]);
+    }
+    rows.push(row);
+  });
+
+  return tables;
+}
+
+function convertFluxValue(text, type) {
+  if (text === undefined || text === '') return null;
+  switch (type) {
+    case 'double':
+    case 'long':
+    case 'unsignedLong':
+      return Number(text);
+    case 'boolean':
+      return text === 'true';
+    case 'dateTime:RFC3339':
+    case 'dateTime:RFC3339Nano':
+      return Date.parse(text);
+    default:
+      return text;
+  }
+}
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// ========================================
+// HELPERS
+// ========================================
+
+function epochMs(value) {
+  const ms = Math.floor(Number(value));
+  if (!Number.isFinite(ms)) throw new Error(`Invalid InfluxDB start time "${value}"`);
+  return ms;
+}
+
+async function readJson(response) {
+  try {
+    return await response.json();
+  } catch (e) {
+    // Proxies return HTML error pages - callers report the HTTP status
+    return null;
+  }
+}
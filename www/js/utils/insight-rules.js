@@ -0,0 +1,163 @@
+/**
+ * Insight Rules
+ * Evaluates user-defined insight rules against the live rooms and sensors
+ *
+ * A rule tests one metric of each room (or each sensor) and becomes an
+ * insight, in the InsightEngine shape, for every one it matches:
+ *   { id, name, enabled, target: 'room' | 'sensor', roomId ('' = all rooms),
+ *     metric, operator: 'above' | 'below' | 'rises' | 'falls', value,
+ *     duration (minutes), window?: { start, end, days? }, severity, icon,
+ *     title, message }
+ * Durations and rises / falls read the history series the rooms store keeps
+ * in memory, so they reach back only as far as the loaded history.
+ */
+
+import { INSIGHT_METRICS, INSIGHT_SEVERITIES, INSIGHT_OPERATORS } from '../config.js';
+import { getRoomCo2, explainRoomComfort, isInTimeWindow } from './comfort-algo.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// History series field per metric (metrics with history: true)
+const HISTORY_FIELDS = { temperature: 'tempHistory', humidity: 'humidHistory', co2: 'co2History' };
+
+export function getInsightMetric(key) {
+  return INSIGHT_METRICS.find(m => m.key === key) || null;
+}
+
+function roomValue(room, metric, comfort) {
+  if (metric === 'co2') return getRoomCo2(room);
+  if (metric === 'comfortScore') return explainRoomComfort(room, comfort)?.score ?? null;
+  return room[metric] ?? null;
+}
+
+// Rooms keep temperature / humidity history; CO2 history is on the CO2 sensor
+function roomHistory(room, metric) {
+  if (metric === 'co2') return (room.sensors || []).find(s => s.type === 'co2')?.co2History || [];
+  return room[HISTORY_FIELDS[metric]] || [];
+}
+
+/**
+ * What a rule is tested against: each room in scope, or each of their sensors
+ * @returns {Array<{ room: Object, sensor: Object|null, value: number|null, history: Array }>}
+ */
+function ruleSubjects(rule, rooms, comfort) {
+  const scoped = rule.roomId ? rooms.filter(r => r.id === rule.roomId) : rooms;
+
+  if (rule.target === 'sensor') {
+    return scoped.flatMap(room => (room.sensors || []).map(sensor => ({
+      room,
+      sensor,
+      value: sensor[rule.metric] ?? null,
+      history: sensor[HISTORY_FIELDS[rule.metric]] || []
+    })));
+  }
+  return scoped.map(room => ({
+    room,
+    sensor: null,
+    value: roomValue(room, rule.metric, comfort),
+    history: roomHistory(room, rule.metric)
+  }));
+}
+
+/**
+ * Test a rule against one room or sensor
+ * @returns {{ value: number, change: number|null }|null} null when it doesn't match
+ */
+function matchRule(rule, { value, history }, now) {
+  if (value === null || value === undefined) return null;
+  const since = now - (rule.duration || 0) * MINUTE_MS;
+
+  if (rule.operator === 'rises' || rule.operator === 'falls') {
+    const recent = history.filter(p => p.time >= since);
+    if (rule.duration <= 0 || recent.length === 0) return null;
+    const change = value - recent[0].value;
+    const matches = rule.operator === 'rises' ? change >= rule.value : -change >= rule.value;
+    return matches ? { value, change } : null;
+  }
+
+  const holds = (v) => rule.operator === 'above' ? v > rule.value : v < rule.value;
+  if (!holds(value)) return null;
+
+  if (rule.duration > 0 && getInsightMetric(rule.metric)?.history) {
+    // History must reach back to the start of the duration and match all the
+    // way - downsampled points by their bucket min / max
+    const covered = history.length > 0 && history[0].time <= since;
+    const extreme = (p) => rule.operator === 'above' ? p.min ?? p.value : p.max ?? p.value;
+    if (!covered || !history.filter(p => p.time >= since).every(p => holds(extreme(p)))) return null;
+  }
+  return { value, change: null };
+}
+
+/**
+ * Replace {placeholders} in a rule title / message; unknown ones stay as typed
+ */
+export function fillTemplate(template, fields) {
+  return String(template || '').replace(/\{(\w+)\}/g, (match, key) => fields[key] ?? match);
+}
+
+/**
+ * Insights from the enabled rules
+ * @param {Array} rules - homeConfig.insightRules
+ * @param {Array} rooms - Room objects ($store.rooms.list)
+ * @param {Object} [comfort] - Comfort settings, for the comfortScore metric
+ * @param {number} [now]
+ * @returns {Array<{ type: string, icon: string, title: string, message: string, priority: number, relatedRooms: string[], ruleId: string }>}
+ */
+export function evaluateInsightRules(rules, rooms, comfort = {}, now = Date.now()) {
+  const insights = [];
+
+  (rules || []).filter(rule => rule.enabled !== false).forEach(rule => {
+    const metric = getInsightMetric(rule.metric);
+    if (!metric) return;
+    if (rule.window && !isInTimeWindow(rule.window, now)) return;
+    const severity = INSIGHT_SEVERITIES.find(s => s.id === rule.severity) || INSIGHT_SEVERITIES.find(s => s.id === 'info');
+    const format = (v) => v.toFixed(metric.decimals);
+
+    ruleSubjects(rule, rooms, comfort).forEach(subject => {
+      const match = matchRule(rule, subject, now);
+      if (!match) return;
+
+      const fields = {
+        room: subject.room.name,
+        sensor: subject.sensor ? subject.sensor.label || subject.sensor.name : subject.room.name,
+        value: format(match.value),
+        threshold: format(rule.value),
+        change: match.change !== null ? (match.change >= 0 ? '+' : '') + format(match.change) : '',
+        unit: metric.unit,
+        duration: String(rule.duration || 0)
+      };
+      insights.push({
+        type: severity.id,
+        icon: rule.icon || '💡',
+        title: fillTemplate(rule.title, fields),
+        message: fillTemplate(rule.message, fields),
+        priority: severity.priority,
+        relatedRooms: [subject.room.name],
+        ruleId: rule.id
+      });
+    });
+  });
+
+  return insights;
+}
+
+/**
+ * One-line summary of a rule, e.g.
+ * 'Humidity of each room is above 70% for 30 min (22:00–07:00)'
+ */
+export function describeRule(rule, rooms = []) {
+  const metric = getInsightMetric(rule.metric);
+  if (!metric) return rule.metric;
+
+  const room = rooms.find(r => r.id === rule.roomId);
+  const subject = rule.target === 'sensor'
+    ? (room ? `each ${room.name} sensor` : 'each sensor')
+    : (room ? room.name : 'each room');
+  const operator = INSIGHT_OPERATORS.find(o => o.id === rule.operator)?.label || rule.operator;
+  const change = rule.operator === 'rises' || rule.operator === 'falls';
+
+  let text = `${metric.label} of ${subject} ${operator} ${rule.value}${metric.unit}`;
+  if (rule.duration > 0) text += change ? ` within ${rule.duration} min` : ` for ${rule.duration} min`;
+  if (rule.window) text += ` (${rule.window.start}–${rule.window.end})`;
+  return text;
+}
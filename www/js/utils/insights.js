@@ -1,9 +1,22 @@
 /**
  * Insight Generation Engine
  * Auto-generates human-readable insights from room data
+ *
+ * InsightEngine's built-in insights each have an id (config/insights.js)
+ * and are skipped when listed in homeConfig.disabledInsights. User-defined
+ * rules (homeConfig.insightRules) are evaluated next to them - see
+ * utils/insight-rules.js.
  */
 
-import { calculateRoomComfort } from './comfort-algo.js';
+import { getComfortProfile, getReadingTime, isInComfortZone } from './comfort-algo.js';
+import { evaluateInsightRules } from './insight-rules.js';
+
+// Outdoor air must hold this much less water (g/m³) to be worth letting in
+const DRYING_MARGIN = 1.0;
+
+// Inner glass surface of double glazing sits this share of the indoor/outdoor
+// difference below room temperature (U ≈ 2.8 W/m²K, inside film 7.7 W/m²K)
+const GLAZING_DROP = 0.36;
 
 /**
  * Generate smart suggestions based on current conditions
@@ -80,25 +93,50 @@ export function generateSuggestions(rooms, outdoor = null) {
  * Insight Engine - Analyzes data and generates insights
  */
 export class InsightEngine {
-  constructor(rooms, history = []) {
+  /**
+   * @param {Array} rooms - Room data with temp/humidity
+   * @param {Array} [history]
+   * @param {Object} [comfort] - Settings ($store.homeConfig): comfort profiles
+   *   and schedule, insightRules, disabledInsights
+   */
+  constructor(rooms, history = [], comfort = {}) {
     this.rooms = rooms;
     this.history = history;
+    this.comfort = comfort;
   }
 
   /**
    * Generate all insights
+   * Built-ins and rule insights are ordered by priority (built-ins first
+   * within a priority).
    * @returns {Array} Array of insight objects (max 4)
    */
   generateAll() {
     const validRooms = this.rooms.filter(r => r.temperature !== null && r.humidity !== null);
     if (validRooms.length === 0) return [];
 
+    const disabled = this.comfort.disabledInsights || [];
+    const builtins = [
+      { id: 'temperature-gap', generate: () => this.temperatureGapInsights(validRooms) },
+      { id: 'humidity-alert', generate: () => this.humidityAlertInsights(validRooms) },
+      { id: 'ventilation', generate: () => this.ventilationInsights(validRooms) },
+      { id: 'comfort-zone', generate: () => this.comfortZoneInsights(validRooms) },
+      { id: 'rapid-change', generate: () => this.trendInsights(validRooms) }
+    ];
+
     return [
-      ...this.temperatureGapInsights(validRooms),
-      ...this.humidityAlertInsights(validRooms),
-      ...this.comfortZoneInsights(validRooms),
-      ...this.trendInsights(validRooms)
-    ].slice(0, 4); // Max 4 insights
+      ...builtins.filter(b => !disabled.includes(b.id)).flatMap(b => b.generate()),
+      ...this.ruleInsights()
+    ]
+      .sort((a, b) => b.priority - a.priority)
+      .slice(0, 4); // Max 4 insights
+  }
+
+  /**
+   * Insights from the user-defined rules
+   */
+  ruleInsights() {
+    return evaluateInsightRules(this.comfort.insightRules, this.rooms, this.comfort);
   }
 
   temperatureGapInsights(rooms) {
@@ -148,10 +186,62 @@ export class InsightEngine {
     return alerts;
   }
 
+  /**
+   * Drying and condensation advice from absolute humidity and dew point
+   * Compares indoor rooms with the outdoor one (isOutdoor) - relative
+   * humidity alone can't say whether outside air is drier.
+   */
+  ventilationInsights(rooms) {
+    const outdoor = rooms.find(r => r.isOutdoor && r.absoluteHumidity !== null);
+    if (!outdoor) return [];
+
+    const insights = [];
+    rooms.filter(r => !r.isOutdoor && r.absoluteHumidity !== null).forEach(room => {
+      const profile = getComfortProfile(this.comfort, room.id, getReadingTime(room));
+      const difference = room.absoluteHumidity - outdoor.absoluteHumidity;
+
+      if (room.humidity > profile.humidity.max) {
+        if (difference >= DRYING_MARGIN) {
+          insights.push({
+            type: 'info',
+            icon: '🌬️',
+            title: 'VENTILATE TO DRY',
+            message: `Opening the ${outdoor.name} door will dry ${room.name} — outdoor air holds ${difference.toFixed(1)} g/m³ less water`,
+            priority: 3,
+            relatedRooms: [room.name, outdoor.name]
+          });
+        } else if (difference < 0) {
+          insights.push({
+            type: 'warning',
+            icon: '🚪',
+            title: 'KEEP CLOSED',
+            message: `Outdoor air is more humid than ${room.name} (${outdoor.absoluteHumidity.toFixed(1)} vs ${room.absoluteHumidity.toFixed(1)} g/m³) — ventilating won't dry it`,
+            priority: 2,
+            relatedRooms: [room.name, outdoor.name]
+          });
+        }
+      }
+
+      if (outdoor.temperature === null) return;
+      const glass = room.temperature - GLAZING_DROP * (room.temperature - outdoor.temperature);
+      if (glass < room.dewPoint) {
+        insights.push({
+          type: 'warning',
+          icon: '💦',
+          title: 'CONDENSATION RISK',
+          message: `${room.name} windows (~${glass.toFixed(0)}°) are below its ${room.dewPoint.toFixed(1)}° dew point — expect condensation`,
+          priority: 2,
+          relatedRooms: [room.name]
+        });
+      }
+    });
+
+    return insights;
+  }
+
   comfortZoneInsights(rooms) {
     const comfortableRooms = rooms.filter(room =>
-      room.temperature >= 22 && room.temperature <= 26 &&
-      room.humidity >= 40 && room.humidity <= 60
+      isInComfortZone(room.temperature, room.humidity, getComfortProfile(this.comfort, room.id, getReadingTime(room)))
     );
 
     if (comfortableRooms.length === rooms.length) {
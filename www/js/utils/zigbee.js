@@ -0,0 +1,147 @@
+/**
+ * Zigbee2MQTT Device Helpers
+ * Device classification from exposes and the `[Room] Description` naming
+ * convention used for every device in the home
+ */
+
+// Sensor types we care about (exclude lights, remotes, plugs)
+const SENSOR_FEATURES = ['temperature', 'humidity', 'co2', 'occupancy', 'contact', 'illuminance'];
+
+function getFeatureNames(device) {
+  const exposes = device.definition?.exposes || [];
+  return exposes.flatMap(e => e.features || [e]).map(f => f.name);
+}
+
+/**
+ * Determine sensor type from Zigbee2MQTT device definition
+ * @returns {'co2'|'motion'|'contact'|'climate'|null}
+ */
+export function getSensorType(device) {
+  const featureNames = getFeatureNames(device);
+
+  // Priority order: most specific first
+  if (featureNames.includes('co2')) return 'co2';
+  if (featureNames.includes('occupancy')) return 'motion';
+  if (featureNames.includes('contact')) return 'contact';
+  if (featureNames.includes('temperature') || featureNames.includes('humidity')) return 'climate';
+
+  return null; // Not a sensor we handle
+}
+
+/**
+ * Check if device is a sensor we should display
+ */
+export function isSensor(device) {
+  if (!device.definition) return false;
+  const featureNames = getFeatureNames(device);
+  return SENSOR_FEATURES.some(f => featureNames.includes(f));
+}
+
+/**
+ * Room prefix of a device name, e.g. '[Living] CO2' → 'Living'
+ * @returns {string|null}
+ */
+export function extractRoomPrefix(deviceName) {
+  const match = (deviceName || '').match(/^\[([^\]]+)\]/);
+  return match ? match[1].trim() : null;
+}
+
+/**
+ * Home Assistant entity id for a device name, slugified the way Home
+ * Assistant does it, e.g. '[Living] Temperature & Humidity 6' →
+ * 'sensor.living_temperature_humidity_6'
+ */
+export function haEntityId(deviceName, domain = 'sensor') {
+  const slug = (deviceName || '')
+    .toLowerCase()
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  return `${domain}.${slug}`;
+}
+
+/**
+ * Home Assistant entity id of a room sensor entry (explicit entityId wins)
+ * @param {{ name: string, entityId?: string }} sensor
+ */
+export function sensorEntityId(sensor) {
+  return sensor.entityId || haEntityId(sensor.name);
+}
+
+/**
+ * Build a lookup from lowercase name prefix to room id
+ * Prefixes come from the room id and name and from the names of sensors
+ * already linked to the room (so '[Bed] ...' maps to 'bedroom').
+ * @param {Array} rooms - Room configs ({ id, name, sensor })
+ * @param {Object} roomSensors - Sensors by room id and role
+ * @returns {Function} (prefix) => roomId, or null when no single room fits
+ */
+export function createRoomMatcher(rooms, roomSensors = {}) {
+  const prefixes = new Map();
+  const add = (prefix, roomId) => {
+    if (prefix && !prefixes.has(prefix.toLowerCase())) prefixes.set(prefix.toLowerCase(), roomId);
+  };
+
+  rooms.forEach(room => {
+    add(extractRoomPrefix(room.sensor), room.id);
+    Object.values(roomSensors[room.id] || {}).forEach(sensors => {
+      (sensors || []).forEach(s => add(extractRoomPrefix(s.name), room.id));
+    });
+  });
+  rooms.forEach(room => {
+    add(room.id, room.id);
+    add(room.name, room.id);
+  });
+
+  return (prefix) => {
+    if (!prefix) return null;
+    const key = prefix.toLowerCase();
+    if (prefixes.has(key)) return prefixes.get(key);
+    // Abbreviated prefixes, e.g. 'Bath' → 'bathroom', only when a single
+    // room fits ('Bed' with 'bedroom' and 'bedroom_2' stays unassigned)
+    const candidates = rooms.filter(r => r.id.toLowerCase().startsWith(key) || r.name.toLowerCase().startsWith(key));
+    return candidates.length === 1 ? candidates[0].id : null;
+  };
+}
+
+/**
+ * Combine manual sensor links with sensors discovered from device names
+ * Manually linked and excluded devices are never auto-assigned. Rooms
+ * without a primary sensor get their first discovered climate sensor.
+ * @param {Object} config - { rooms, roomSensors, excludedSensors }
+ * @param {Array} devices - Zigbee2MQTT bridge/devices list
+ * @returns {Object} Sensors by room id and role
+ */
+export function deriveRoomSensors(config, devices) {
+  const roomSensors = JSON.parse(JSON.stringify(config.roomSensors));
+  const claimed = new Set(config.excludedSensors || []);
+  config.rooms.forEach(r => { if (r.sensor) claimed.add(r.sensor); });
+  Object.values(roomSensors).forEach(roles => {
+    Object.values(roles).forEach(sensors => sensors.forEach(s => claimed.add(s.name)));
+  });
+
+  const matchRoom = createRoomMatcher(config.rooms, config.roomSensors);
+  devices.forEach(device => {
+    const name = device.friendly_name;
+    if (!name || claimed.has(name) || !isSensor(device)) return;
+
+    const type = getSensorType(device);
+    const roomId = matchRoom(extractRoomPrefix(name));
+    if (!type || !roomId) return;
+
+    if (!roomSensors[roomId]) roomSensors[roomId] = {};
+    if (!roomSensors[roomId][type]) roomSensors[roomId][type] = [];
+    const label = name.replace(/^\[[^\]]+\]\s*/, '') || name;
+    roomSensors[roomId][type].push({ name, label, auto: true });
+    claimed.add(name);
+  });
+
+  config.rooms.forEach(room => {
+    const climate = roomSensors[room.id]?.climate || [];
+    if (!room.sensor && climate.length > 0 && !climate.some(s => s.isPrimary)) {
+      climate[0].isPrimary = true;
+    }
+  });
+
+  return roomSensors;
+}
@@ -3,6 +3,9 @@
  * Side-by-side room comparison with temperature and humidity bars
  */
 
+import { getComfortProfile, getReadingTime } from '../utils/comfort-algo.js';
+import { InsightEngine } from '../utils/insights.js';
+
 export function barCompareView() {
   return {
     sortBy: 'temperature',
@@ -20,6 +23,11 @@ export function barCompareView() {
       if (savedView) this.viewMode = savedView;
       this.updateInsights();
       this.$watch('$store.rooms.list', () => this.updateInsights());
+      this.$watch('$store.homeConfig.comfortProfiles', () => this.updateInsights());
+      this.$watch('$store.homeConfig.comfortSchedule', () => this.updateInsights());
+      this.$watch('$store.homeConfig.comfortModel', () => this.updateInsights());
+      this.$watch('$store.homeConfig.insightRules', () => this.updateInsights());
+      this.$watch('$store.homeConfig.disabledInsights', () => this.updateInsights());
     },
 
     get rooms() { return this.$store.rooms.list.filter(r => r.temperature !== null); },
@@ -35,34 +43,7 @@ export function barCompareView() {
     },
 
     updateInsights() {
-      const rooms = this.rooms;
-      if (rooms.length === 0) { this.insights = []; return; }
-
-      const insights = [];
-      const temps = rooms.map(r => r.temperature);
-      const spread = Math.max(...temps) - Math.min(...temps);
-
-      if (spread >= 2) {
-        const hottest = rooms.find(r => r.temperature === Math.max(...temps));
-        const coldest = rooms.find(r => r.temperature === Math.min(...temps));
-        insights.push({ type: spread > 4 ? 'warning' : 'info', icon: '🔺', title: 'TEMPERATURE GAP',
-          message: `${hottest.name} is ${spread.toFixed(1)}° warmer than ${coldest.name}` });
-      }
-
-      rooms.forEach(r => {
-        if (r.humidity > 70) {
-          insights.push({ type: 'alert', icon: '💧', title: 'HIGH HUMIDITY',
-            message: `${r.name} at ${r.humidity}% — risk of mold` });
-        }
-      });
-
-      const comfortable = rooms.filter(r => r.temperature >= 22 && r.temperature <= 26 && r.humidity >= 40 && r.humidity <= 60);
-      if (comfortable.length > 0) {
-        insights.push({ type: 'success', icon: '✓', title: 'COMFORT ZONES',
-          message: `${comfortable.map(r => r.name).join(', ')} ${comfortable.length === 1 ? 'is' : 'are'} comfortable` });
-      }
-
-      this.insights = insights.slice(0, 4);
+      this.insights = new InsightEngine(this.rooms, [], this.$store.homeConfig).generateAll();
     },
 
     setViewMode(mode) { this.viewMode = mode; localStorage.setItem('bar-view', mode); },
@@ -72,8 +53,16 @@ export function barCompareView() {
       return Math.max(0, Math.min(100, ((value - scale.min) / (scale.max - scale.min)) * 100));
     },
 
-    getBarColor(value, type) {
-      const zone = type === 'temperature' ? this.comfortZone.temp : this.comfortZone.humidity;
+    // Targets in force when the room was read
+    getProfile(room) {
+      return getComfortProfile(this.$store.homeConfig, room.id, getReadingTime(room));
+    },
+
+    // Pass the room to colour against its own comfort profile
+    getBarColor(value, type, room = null) {
+      const zone = room
+        ? (type === 'temperature' ? this.getProfile(room).temp : this.getProfile(room).humidity)
+        : (type === 'temperature' ? this.comfortZone.temp : this.comfortZone.humidity);
       if (type === 'temperature') {
         if (value < zone.min) return 'var(--color-cold)';
         if (value > zone.max) return 'var(--color-hot)';
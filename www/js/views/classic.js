@@ -3,9 +3,13 @@
  * Multi-sensor room cards with individual sensor readings
  */
 
+import { DEFAULT_COMFORT_PROFILE } from '../config.js';
+import { getComfortProfile, getReadingTime, formatMetric, PSYCHROMETRIC_METRICS } from '../utils/comfort-algo.js';
+
 export function classicView() {
   return {
     sparklineUpdateInterval: null,
+    metrics: PSYCHROMETRIC_METRICS,   // Derived values shown on room and sensor cards
 
     get rooms() {
       return this.$store.rooms.list;
@@ -120,15 +124,24 @@ export function classicView() {
       return Date.now() - room.lastSeen > 5 * 60 * 1000;
     },
 
-    getComfortClass(temp) {
+    // Pass the room to classify against its comfort targets at read time
+    getComfortClass(temp, room = null) {
       if (temp === null || temp === undefined) return '';
-      if (temp < 20) return 'cold';
-      if (temp < 23) return 'cool';
-      if (temp <= 26) return 'good';
-      if (temp <= 28) return 'warm';
+      const { min, perfect, max } = room
+        ? getComfortProfile(this.$store.homeConfig, room.id, getReadingTime(room)).temp
+        : DEFAULT_COMFORT_PROFILE.temp;
+      if (temp < min) return 'cold';
+      if (temp < perfect) return 'cool';
+      if (temp <= max) return 'good';
+      if (temp <= max + 2) return 'warm';
       return 'hot';
     },
 
+    // Derived metric of a room or sensor, e.g. formatMetric(room, 'dewPoint') → '11.8°C'
+    formatMetric(source, key) {
+      return formatMetric(source, key);
+    },
+
     formatUpdate(lastSeen) {
       if (!lastSeen) return 'No data';
       const seconds = Math.floor((Date.now() - lastSeen) / 1000);
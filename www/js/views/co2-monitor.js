@@ -4,19 +4,20 @@
  * Features: Giant gauge, air quality dashboard, history chart, ambient mode
  */
 
+import { extractRoomPrefix } from '../utils/zigbee.js';
+import { querySeries, querySignal, cancelQueries, isAbortError } from '../utils/influx.js';
+import { seriesRows, exportRows } from '../utils/export.js';
+import { CO2_THRESHOLDS } from '../config.js';
+import { getAirQualityLevel } from '../utils/comfort-algo.js';
+
 export function co2View() {
   return {
     // ========================================
     // STATE
     // ========================================
 
-    // CO2 Thresholds (ppm)
-    thresholds: {
-      excellent: 600,
-      good: 1000,
-      moderate: 1500,
-      poor: 2000
-    },
+    // CO2 Thresholds (ppm) - shared with the comfort score
+    thresholds: CO2_THRESHOLDS,
 
     // Chart state
     timeRange: '6h',
@@ -71,6 +72,7 @@ export function co2View() {
       if (this._keydownHandler) {
         document.removeEventListener('keydown', this._keydownHandler);
       }
+      cancelQueries('co2-view');
     },
 
     // ========================================
@@ -131,13 +133,7 @@ export function co2View() {
      * Air quality level based on thresholds
      */
     get airQualityLevel() {
-      const co2 = this.co2Value;
-      if (co2 === null) return 'unknown';
-      if (co2 < this.thresholds.excellent) return 'excellent';
-      if (co2 < this.thresholds.good) return 'good';
-      if (co2 < this.thresholds.moderate) return 'moderate';
-      if (co2 < this.thresholds.poor) return 'poor';
-      return 'bad';
+      return getAirQualityLevel(this.co2Value);
     },
 
     /**
@@ -245,10 +241,9 @@ export function co2View() {
      */
     get sensorRoom() {
       if (!this.co2Sensor) return 'Unknown';
-      const name = this.co2Sensor.friendly_name || '';
       // Extract room from name like "[Living] CO2" -> "Living Room"
-      const match = name.match(/\[([^\]]+)\]/);
-      return match ? match[1] + ' Room' : 'Room';
+      const prefix = extractRoomPrefix(this.co2Sensor.friendly_name);
+      return prefix ? prefix + ' Room' : 'Room';
     },
 
     // ========================================
@@ -262,31 +257,27 @@ export function co2View() {
       this.loading = true;
 
       try {
-        const config = this.$store?.config || {};
-        const influxUrl = config.influxUrl || `http://${window.location.hostname}:8086`;
-        const influxDb = config.influxDb || 'homeassistant';
+        const range = this.timeRange;
+        const signal = querySignal('co2-view');
+        const points = document.getElementById('co2-history-chart')?.clientWidth || 700;
 
         // CO2 entity ID pattern (based on Zigbee2MQTT naming)
         // Could be: sensor.living_co2_co2, sensor.0x..._co2, etc.
         // We'll try multiple patterns
 
         // Load CO2 history
-        const co2Query = `SELECT value FROM "ppm" WHERE time > now() - ${this.timeRange} ORDER BY time ASC`;
-        this.co2History = await this.queryInflux(influxUrl, influxDb, co2Query);
+        this.co2History = await querySeries({ measurement: 'ppm', range, points, signal });
 
         // If no ppm measurement, try "co2" measurement
         if (this.co2History.length === 0) {
-          const co2Query2 = `SELECT value FROM "co2" WHERE time > now() - ${this.timeRange} ORDER BY time ASC`;
-          this.co2History = await this.queryInflux(influxUrl, influxDb, co2Query2);
+          this.co2History = await querySeries({ measurement: 'co2', range, points, signal });
         }
 
         // Load temperature history (from CO2 sensor)
-        const tempQuery = `SELECT value FROM "°C" WHERE entity_id =~ /co2.*temperature/ AND time > now() - ${this.timeRange} ORDER BY time ASC`;
-        this.tempHistory = await this.queryInflux(influxUrl, influxDb, tempQuery);
+        this.tempHistory = await querySeries({ measurement: '°C', entityIdPattern: /co2.*temperature/, range, points, signal });
 
         // Load humidity history (from CO2 sensor)
-        const humidQuery = `SELECT value FROM "%" WHERE entity_id =~ /co2.*humidity/ AND time > now() - ${this.timeRange} ORDER BY time ASC`;
-        this.humidHistory = await this.queryInflux(influxUrl, influxDb, humidQuery);
+        this.humidHistory = await querySeries({ measurement: '%', entityIdPattern: /co2.*humidity/, range, points, signal });
 
         console.log(`[co2-view] Loaded ${this.co2History.length} CO2, ${this.tempHistory.length} temp, ${this.humidHistory.length} humid points`);
 
@@ -294,6 +285,8 @@ export function co2View() {
         this.calculateTrend();
 
       } catch (e) {
+        // A newer time range took over
+        if (isAbortError(e)) return;
         console.error('[co2-view] Failed to load historical data:', e);
       }
 
@@ -302,27 +295,6 @@ export function co2View() {
       this.drawChart();
     },
 
-    /**
-     * Query InfluxDB and parse results
-     */
-    async queryInflux(url, db, query) {
-      try {
-        const fullUrl = `${url}/query?db=${db}&q=${encodeURIComponent(query)}`;
-        const response = await fetch(fullUrl);
-        const data = await response.json();
-
-        if (data.results?.[0]?.series?.[0]?.values) {
-          return data.results[0].series[0].values.map(v => ({
-            time: new Date(v[0]).getTime(),
-            value: v[1]
-          }));
-        }
-      } catch (e) {
-        console.warn('[co2-view] InfluxDB query failed:', e);
-      }
-      return [];
-    },
-
     /**
      * Change time range and reload data
      */
@@ -404,9 +376,21 @@ export function co2View() {
           return `${x},${y}`;
         }).join(' ');
 
-        // Area fill
-        const areaPoints = `${padding.left},${height - padding.bottom} ${points} ${width - padding.right},${height - padding.bottom}`;
-        svgContent += `<polygon fill="#ff6b6b" opacity="0.15" points="${areaPoints}"/>`;
+        if (data.some(d => d.min !== undefined)) {
+          // Downsampled: min–max band per bucket, so short peaks stay visible
+          const toPoint = (time, value) => {
+            const x = padding.left + ((time - minTime) / timeRange) * chartWidth;
+            const y = padding.top + ((maxVal - Math.min(Math.max(value, minVal), maxVal)) / valueRange) * chartHeight;
+            return `${x},${y}`;
+          };
+          const upper = data.map(d => toPoint(d.time, d.max ?? d.value));
+          const lower = data.map(d => toPoint(d.time, d.min ?? d.value)).reverse();
+          svgContent += `<polygon class="chart-band" fill="#ff6b6b" opacity="0.2" points="${upper.concat(lower).join(' ')}"/>`;
+        } else {
+          // Area fill
+          const areaPoints = `${padding.left},${height - padding.bottom} ${points} ${width - padding.right},${height - padding.bottom}`;
+          svgContent += `<polygon fill="#ff6b6b" opacity="0.15" points="${areaPoints}"/>`;
+        }
 
         // Line
         svgContent += `<polyline fill="none" stroke="#ff6b6b" stroke-width="2.5" points="${points}"/>`;
@@ -577,6 +561,25 @@ export function co2View() {
       return Math.min(100, Math.max(0, this.humidity || 0));
     },
 
+    // ========================================
+    // METHODS - Export
+    // ========================================
+
+    /**
+     * Download the loaded CO2, temperature and humidity history
+     * @param {'csv'|'json'} format
+     */
+    exportHistory(format) {
+      const device = this.co2Sensor?.friendly_name ?? null;
+      const meta = { room: this.sensorRoom, device, ieeeAddress: this.co2Sensor?.ieee_address ?? null };
+      const rows = [
+        ...seriesRows(this.co2History, { ...meta, measurement: 'co2', unit: 'ppm' }),
+        ...seriesRows(this.tempHistory, { ...meta, measurement: 'temperature', unit: '°C' }),
+        ...seriesRows(this.humidHistory, { ...meta, measurement: 'humidity', unit: '%' })
+      ];
+      exportRows('co2-history', format, rows, { range: this.timeRange, device });
+    },
+
     // ========================================
     // METHODS - Ambient Mode
     // ========================================
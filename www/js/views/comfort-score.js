@@ -1,8 +1,42 @@
 /**
  * Vision 1: Comfort Score Dashboard
  * "One number to rule them all" - Single comfort score with room breakdown
+ * Scores use each room's comfort profile for the period in force when the
+ * room was read (see utils/comfort-algo.js). Rooms with a CO2 sensor get an
+ * air quality component. The room breakdown lists each component's points,
+ * the penalty and the target it was held to (with the PMV model: one thermal
+ * component with the sensation and % dissatisfied).
+ * Below the live score: the score over a chosen day from InfluxDB, that
+ * day's report (hours per comfort band, worst hour, best room) and a daily
+ * trend over the last weeks (see utils/comfort-history.js).
  */
 
+import {
+  explainRoomComfort,
+  calculateHomeComfort,
+  getComfortLabel,
+  getComfortColor,
+  COMFORT_BANDS
+} from '../utils/comfort-algo.js';
+import { loadComfortHistory, buildComfortReport, dailyAverages } from '../utils/comfort-history.js';
+import { querySignal, cancelQueries, isAbortError } from '../utils/influx.js';
+import { exportRows } from '../utils/export.js';
+
+// Value for <input type="date"> in local time, e.g. '2024-06-03'
+function toDateValue(time) {
+  const d = new Date(time);
+  d.setMinutes(d.getMinutes() - d.getTimezoneOffset());
+  return d.toISOString().slice(0, 10);
+}
+
+function formatClock(time) {
+  return new Date(time).toLocaleTimeString('en-AU', { hour: 'numeric', minute: '2-digit' });
+}
+
+function meanOf(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
 export function comfortScoreView() {
   return {
     homeScore: 0,
@@ -10,55 +44,57 @@ export function comfortScoreView() {
     suggestions: [],
     showBreakdown: false,
 
+    // Day history
+    historyDate: toDateValue(Date.now()),   // YYYY-MM-DD
+    historyLoading: false,
+    history: null,        // { rooms, home } score series for historyDate
+    report: null,         // buildComfortReport() of history
+    chartRoom: '',        // Room id drawn next to the home line ('' = none)
+
+    // Daily home averages over the last weeks, loaded when first shown
+    showTrend: false,
+    trendDays: 28,
+    trendLoading: false,
+    trend: [],
+
     init() {
       this.updateScores();
+      this.loadHistory();
       this.$watch('$store.rooms.list', () => this.updateScores());
+      this.$watch('$store.homeConfig.comfortProfiles', () => this.rescore());
+      this.$watch('$store.homeConfig.comfortSchedule', () => this.rescore());
+      this.$watch('$store.homeConfig.comfortModel', () => this.rescore());
+    },
+
+    destroy() {
+      cancelQueries('comfort-history');
+      cancelQueries('comfort-trend');
+    },
+
+    // Targets changed - past scores change with them
+    rescore() {
+      this.updateScores();
+      this.loadHistory();
+      this.trend = [];
+      if (this.showTrend) this.loadTrend();
     },
 
     updateScores() {
       const rooms = this.$store.rooms.list;
+      const comfort = this.$store.homeConfig;
 
       this.roomScores = rooms
         .filter(r => r.temperature !== null && r.humidity !== null)
-        .map(room => ({
-          ...room,
-          score: this.calculateComfort(room.temperature, room.humidity)
-        }))
+        .map(room => {
+          const explained = explainRoomComfort(room, comfort);
+          return { ...room, comfort: explained, score: explained.score, components: explained.components };
+        })
         .sort((a, b) => b.score - a.score);
 
-      this.homeScore = this.calculateHomeScore(rooms);
+      this.homeScore = calculateHomeComfort(rooms, comfort);
       this.suggestions = this.generateSuggestions(rooms).slice(0, 2);
     },
 
-    calculateComfort(temp, humidity) {
-      if (temp === null || humidity === null) return 0;
-      let tempScore = 70;
-      if (temp < 20) tempScore = Math.max(0, 70 - (20 - temp) * 10);
-      else if (temp > 26) tempScore = Math.max(0, 70 - (temp - 26) * 10);
-      else tempScore = 70 - Math.abs(temp - 23) * 2;
-
-      let humidScore = 30;
-      if (humidity < 40) humidScore = Math.max(0, 30 - (40 - humidity));
-      else if (humidity > 60) humidScore = Math.max(0, 30 - (humidity - 60) * 1.5);
-      else humidScore = 30 - Math.abs(humidity - 50) * 0.3;
-
-      return Math.round(Math.max(0, Math.min(100, tempScore + humidScore)));
-    },
-
-    calculateHomeScore(rooms) {
-      const weights = { 'Living Room': 1.5, 'Bedroom': 1.3, 'Study': 1.0, 'Kitchen': 0.8, 'Bathroom': 0.5 };
-      const valid = rooms.filter(r => r.temperature !== null);
-      if (valid.length === 0) return 0;
-
-      let sum = 0, total = 0;
-      valid.forEach(r => {
-        const w = weights[r.name] || 1;
-        sum += this.calculateComfort(r.temperature, r.humidity) * w;
-        total += w;
-      });
-      return Math.round(sum / total);
-    },
-
     generateSuggestions(rooms) {
       const valid = rooms.filter(r => r.temperature !== null && r.humidity !== null);
       if (valid.length === 0) return [];
@@ -80,19 +116,31 @@ export function comfortScoreView() {
     },
 
     getLabel() {
-      if (this.homeScore >= 90) return 'Perfect';
-      if (this.homeScore >= 75) return 'Comfortable';
-      if (this.homeScore >= 60) return 'Okay';
-      if (this.homeScore >= 40) return 'Uncomfortable';
-      return 'Poor';
+      return getComfortLabel(this.homeScore);
     },
 
     getColor() {
-      if (this.homeScore >= 90) return '#34C759';
-      if (this.homeScore >= 75) return '#30D158';
-      if (this.homeScore >= 60) return '#FFD60A';
-      if (this.homeScore >= 40) return '#FF9500';
-      return '#FF3B30';
+      return getComfortColor(this.homeScore);
+    },
+
+    /**
+     * Breakdown rows for a scored room, e.g. { label: 'Temperature',
+     * text: '62 / 70', penaltyText: '-8', detail: '1.5°C above the 20–26°C range' }
+     */
+    getBreakdown(room) {
+      return room.components.map(c => ({
+        ...c,
+        text: `${Math.round(c.points)} / ${Math.round(c.max)}`,
+        penaltyText: Math.round(c.penalty) > 0 ? `-${Math.round(c.penalty)}` : '',
+        percent: c.max > 0 ? (c.points / c.max) * 100 : 0,
+        detail: c.reason
+      }));
+    },
+
+    // Component costing the room the most points, e.g. to headline a low score
+    getMainPenalty(room) {
+      const worst = room.components.reduce((a, b) => (!a || b.penalty > a.penalty ? b : a), null);
+      return worst && Math.round(worst.penalty) > 0 ? worst : null;
     },
 
     getRoomColor(score) {
@@ -107,6 +155,229 @@ export function comfortScoreView() {
       return `${percent * circumference} ${circumference}`;
     },
 
-    openRoom(room) { this.$store.roomDetail.open(room); }
+    openRoom(room) { this.$store.roomDetail.open(room); },
+
+    // History - score over a day
+
+    get isToday() {
+      return this.historyDate === toDateValue(Date.now());
+    },
+
+    // Local midnight of historyDate to the next one (or now, for today)
+    getDayBounds() {
+      const start = new Date(`${this.historyDate}T00:00`).getTime();
+      const next = new Date(start);
+      next.setDate(next.getDate() + 1);
+      return { start, end: Math.min(next.getTime(), Date.now()), dayEnd: next.getTime() };
+    },
+
+    async setHistoryDate(value) {
+      if (!value || value > toDateValue(Date.now())) return;
+      this.historyDate = value;
+      await this.loadHistory();
+    },
+
+    async shiftHistoryDate(days) {
+      const date = new Date(`${this.historyDate}T00:00`);
+      date.setDate(date.getDate() + days);
+      await this.setHistoryDate(toDateValue(date.getTime()));
+    },
+
+    async loadHistory() {
+      this.historyLoading = true;
+
+      try {
+        const { start, end } = this.getDayBounds();
+        const points = document.getElementById('comfort-history-chart')?.clientWidth || 700;
+        this.history = await loadComfortHistory({
+          rooms: this.$store.rooms.list,
+          comfort: this.$store.homeConfig,
+          start,
+          end,
+          points,
+          signal: querySignal('comfort-history')
+        });
+        this.report = buildComfortReport(this.history);
+      } catch (e) {
+        // A newer day took over
+        if (isAbortError(e)) return;
+        console.error('[comfort] Failed to load comfort history:', e);
+        this.history = null;
+        this.report = null;
+      }
+
+      this.historyLoading = false;
+      await this.$nextTick();
+      this.drawHistoryChart();
+    },
+
+    async setChartRoom(roomId) {
+      this.chartRoom = roomId;
+      await this.$nextTick();
+      this.drawHistoryChart();
+    },
+
+    /**
+     * Draw the day's home score (and the chosen room) over the comfort bands
+     */
+    drawHistoryChart() {
+      const svg = document.getElementById('comfort-history-chart');
+      if (!svg) return;
+
+      const home = this.history?.home || [];
+      if (home.length === 0) {
+        svg.innerHTML = '';
+        return;
+      }
+
+      const width = svg.clientWidth || 700;
+      const height = svg.clientHeight || 220;
+      const padding = { top: 15, right: 20, bottom: 30, left: 40 };
+      const chartWidth = width - padding.left - padding.right;
+      const chartHeight = height - padding.top - padding.bottom;
+
+      // Whole day on the x axis, so today fills up as it goes
+      const { start, dayEnd } = this.getDayBounds();
+      const x = (time) => padding.left + ((time - start) / (dayEnd - start)) * chartWidth;
+      const y = (score) => padding.top + ((100 - score) / 100) * chartHeight;
+
+      let svgContent = '';
+
+      // Comfort band backgrounds
+      COMFORT_BANDS.forEach((band, i) => {
+        const top = i === 0 ? 100 : COMFORT_BANDS[i - 1].min;
+        svgContent += `<rect x="${padding.left}" y="${y(top)}" width="${chartWidth}" height="${y(band.min) - y(top)}" fill="${band.color}" opacity="0.08"/>`;
+        svgContent += `<text x="${padding.left - 6}" y="${y(band.min) + 4}" text-anchor="end" fill="var(--color-text-tertiary)" font-size="10">${band.min}</text>`;
+      });
+
+      // Worst hour
+      const worst = this.report?.worstPeriod;
+      if (worst) {
+        const x1 = x(worst.start);
+        const x2 = Math.min(x(worst.end), width - padding.right);
+        svgContent += `<rect x="${x1}" y="${padding.top}" width="${x2 - x1}" height="${chartHeight}" fill="#FF3B30" opacity="0.1"/>`;
+      }
+
+      // Time labels every 3 hours
+      for (let hour = 0; hour <= 24; hour += 3) {
+        const time = new Date(start);
+        time.setHours(hour);
+        const lineX = x(time.getTime());
+        const label = hour === 24 ? '' : time.toLocaleTimeString('en-AU', { hour: 'numeric', hour12: true });
+        svgContent += `<line x1="${lineX}" y1="${padding.top}" x2="${lineX}" y2="${height - padding.bottom}" stroke="#e0e0e0" stroke-dasharray="3,3"/>`;
+        svgContent += `<text x="${lineX}" y="${height - 10}" text-anchor="middle" fill="var(--color-text-tertiary)" font-size="10">${label}</text>`;
+      }
+
+      const line = (points) => points.map(p => `${x(p.time)},${y(p.value)}`).join(' ');
+
+      const room = this.history.rooms.find(r => r.id === this.chartRoom);
+      if (room && room.series.length >= 2) {
+        svgContent += `<polyline fill="none" stroke="#8E8E93" stroke-width="1.5" stroke-dasharray="4,3" points="${line(room.series)}"/>`;
+      }
+
+      if (home.length >= 2) {
+        svgContent += `<polyline fill="none" stroke="var(--color-primary)" stroke-width="2.5" points="${line(home)}"/>`;
+      }
+      const last = home[home.length - 1];
+      svgContent += `<circle cx="${x(last.time)}" cy="${y(last.value)}" r="4" fill="var(--color-primary)"/>`;
+
+      svg.innerHTML = svgContent;
+    },
+
+    // History - daily report
+
+    formatScore(score) {
+      return score !== null && score !== undefined ? String(Math.round(score)) : '--';
+    },
+
+    formatHours(hours) {
+      return hours >= 0.05 ? `${hours.toFixed(1)} h` : '–';
+    },
+
+    // e.g. '3:15 pm – 4:15 pm'
+    formatPeriod(period) {
+      return period ? `${formatClock(period.start)} – ${formatClock(period.end)}` : '--';
+    },
+
+    // Width of a band in a room's stacked bar (% of the room's recorded hours)
+    getBandPercent(room, band) {
+      const total = room.bands.reduce((sum, b) => sum + b.hours, 0);
+      return total > 0 ? (band.hours / total) * 100 : 0;
+    },
+
+    /**
+     * Download the day's report, one row per room
+     * @param {'csv'|'json'} format
+     */
+    exportReport(format) {
+      if (!this.report) return;
+      const timestamp = new Date(this.getDayBounds().start).toISOString();
+      const rows = this.report.rooms.map(room => ({
+        timestamp,
+        room: room.name,
+        averageScore: Math.round(room.average),
+        ...Object.fromEntries(room.bands.map(band => [`${band.label.toLowerCase()}Hours`, Number(band.hours.toFixed(2))]))
+      }));
+      exportRows('comfort-report', format, rows, {
+        date: this.historyDate,
+        averageScore: this.report.average !== null ? Math.round(this.report.average) : null,
+        worstPeriod: this.report.worstPeriod,
+        bestRoom: this.report.bestRoom?.name ?? null
+      });
+    },
+
+    // History - trend over weeks
+
+    async toggleTrend() {
+      this.showTrend = !this.showTrend;
+      if (this.showTrend && this.trend.length === 0) await this.loadTrend();
+    },
+
+    async loadTrend() {
+      this.trendLoading = true;
+
+      try {
+        const end = Date.now();
+        const first = new Date(end);
+        first.setHours(0, 0, 0, 0);
+        first.setDate(first.getDate() - (this.trendDays - 1));
+        const history = await loadComfortHistory({
+          rooms: this.$store.rooms.list,
+          comfort: this.$store.homeConfig,
+          start: first.getTime(),
+          end,
+          points: this.trendDays * 24,   // Hourly
+          signal: querySignal('comfort-trend')
+        });
+        this.trend = dailyAverages(history.home);
+      } catch (e) {
+        if (isAbortError(e)) return;
+        console.error('[comfort] Failed to load comfort trend:', e);
+        this.trend = [];
+      }
+
+      this.trendLoading = false;
+    },
+
+    // Last 7 days against the 7 before: { thisWeek, lastWeek, delta }
+    get trendSummary() {
+      const averages = this.trend.map(d => d.average);
+      const thisWeek = meanOf(averages.slice(-7));
+      const lastWeek = meanOf(averages.slice(-14, -7));
+      return {
+        thisWeek,
+        lastWeek,
+        delta: thisWeek !== null && lastWeek !== null ? thisWeek - lastWeek : null
+      };
+    },
+
+    formatTrendDate(date) {
+      return new Date(date).toLocaleDateString('en-AU', { weekday: 'short', day: 'numeric', month: 'short' });
+    },
+
+    // Clicking a trend day opens it in the day history
+    async openTrendDay(day) {
+      await this.setHistoryDate(toDateValue(day.date));
+    }
   };
 }
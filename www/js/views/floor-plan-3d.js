@@ -3,7 +3,8 @@
  * Interactive Three.js visualization of apartment with temperature heat map
  */
 
-import { interpolateColor, getRoomColor } from '../three/color-utils.js';
+import { interpolateColor, getRoomColor, getMetricLegendItems } from '../three/color-utils.js';
+import { getComfortProfile, getReadingTime, formatMetric, PSYCHROMETRIC_METRICS } from '../utils/comfort-algo.js';
 import { applyDarkTheme, setWallsVisibility } from '../three/theme-utils.js';
 import { createScene, createRenderer, createOrbitCamera, addLighting, cleanupThreeState } from '../three/scene-init.js';
 import { createRoom as buildRoom } from '../three/room-builder.js';
@@ -36,7 +37,12 @@ export function threeDView(FLOOR_PLAN_CONFIG, TEMP_COLORS, HUMIDITY_COLORS, Orbi
 
   return {
     // Reactive state for UI
-    viewMode: 'temperature',
+    viewMode: 'temperature',     // 'temperature' | 'humidity' | a PSYCHROMETRIC_METRICS key
+    heatMapModes: [
+      { id: 'temperature', label: 'Temperature' },
+      { id: 'humidity', label: 'Humidity' },
+      ...PSYCHROMETRIC_METRICS.map(m => ({ id: m.key, label: m.label }))
+    ],
     viewMode3D: 'top',
     wallsVisible: true,
     autoRotate: false,
@@ -289,13 +295,20 @@ export function threeDView(FLOOR_PLAN_CONFIG, TEMP_COLORS, HUMIDITY_COLORS, Orbi
               secondaryEl.textContent = roomData.humidity !== null
                 ? `${roomData.humidity.toFixed(0)}%` : '';
             }
-          } else {
+          } else if (viewMode === 'humidity') {
             valueEl.textContent = roomData.humidity !== null
               ? `${roomData.humidity.toFixed(0)}%` : '--';
             if (secondaryEl) {
               secondaryEl.textContent = roomData.temperature !== null
                 ? `${roomData.temperature.toFixed(1)}°` : '';
             }
+          } else {
+            // Derived metric mode (dew point, absolute humidity...)
+            valueEl.textContent = formatMetric(roomData, viewMode);
+            if (secondaryEl) {
+              secondaryEl.textContent = roomData.temperature !== null
+                ? `${roomData.temperature.toFixed(1)}°` : '';
+            }
           }
         }
 
@@ -349,7 +362,11 @@ export function threeDView(FLOOR_PLAN_CONFIG, TEMP_COLORS, HUMIDITY_COLORS, Orbi
     },
 
     getRoomColor(room, viewMode) {
-      return getRoomColor(room, viewMode, TEMP_COLORS, HUMIDITY_COLORS);
+      // Indoor rooms are coloured against their comfort targets at read time
+      const profile = room && !room.isOutdoor
+        ? getComfortProfile(Alpine.store('homeConfig'), room.id, getReadingTime(room))
+        : null;
+      return getRoomColor(room, viewMode, TEMP_COLORS, HUMIDITY_COLORS, profile);
     },
 
     interpolateColor(value, scale) {
@@ -456,7 +473,7 @@ export function threeDView(FLOOR_PLAN_CONFIG, TEMP_COLORS, HUMIDITY_COLORS, Orbi
           { label: '24-28°', color: '#FFE082' },
           { label: '> 28°', color: '#EF5350' }
         ];
-      } else {
+      } else if (this.viewMode === 'humidity') {
         return [
           { label: '< 40%', color: '#FFCC80' },
           { label: '40-60%', color: '#81C784' },
@@ -464,6 +481,7 @@ export function threeDView(FLOOR_PLAN_CONFIG, TEMP_COLORS, HUMIDITY_COLORS, Orbi
           { label: '> 70%', color: '#5C6BC0' }
         ];
       }
+      return getMetricLegendItems(this.viewMode);
     }
   };
 }
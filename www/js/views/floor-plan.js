@@ -3,6 +3,8 @@
  * Spatial heat map visualization of your apartment
  */
 
+import { getComfortProfile, getProfileColorScale, getReadingTime } from '../utils/comfort-algo.js';
+
 export function floorPlanView() {
   return {
     viewType: 'temperature',
@@ -44,7 +46,9 @@ export function floorPlanView() {
       if (!room || room.temperature === null) return '#E0E0E0';
       const value = this.viewType === 'temperature' ? room.temperature : room.humidity;
       const scale = this.viewType === 'temperature' ? this.tempColors : this.humidityColors;
-      return this.interpolateColor(value, scale);
+      // Follow the room's comfort targets at read time (sleep, away...)
+      const profile = getComfortProfile(this.$store.homeConfig, room.id, getReadingTime(room));
+      return this.interpolateColor(value, getProfileColorScale(scale, this.viewType, profile));
     },
 
     interpolateColor(value, scale) {
@@ -0,0 +1,875 @@
+/**
+ * Home Configuration View
+ * Add/remove rooms, link sensors to rooms and thermostats to rooms
+ * Saved as a retained MQTT message so every dashboard picks it up
+ *
+ * Sensors discovered from `[Room] Description` names are listed per room
+ * and can be pinned (turned into a manual link) or excluded.
+ *
+ * Each room can have its own comfort profile (ideal ranges and home-score
+ * weight, with separate sleep / away targets); rooms without one are scored
+ * with the default profile. The comfort tab picks the comfort model and sets
+ * when each period applies; the PMV model's clothing / activity / air speed /
+ * radiant inputs are edited with the room's targets.
+ *
+ * The insights tab switches built-in insights off and edits user-defined
+ * insight rules (see utils/insight-rules.js), previewing what each rule
+ * would show against the live rooms.
+ *
+ * The draft is validated as it is edited (see utils/config-validator.js).
+ * The status bar also clears the history cached in this browser.
+ */
+
+import { SENSOR_ROLES } from '../stores/home-config-store.js';
+import { DEFAULT_COMFORT_PROFILE, COMFORT_PERIODS, COMFORT_MODELS, DEFAULT_COMFORT_MODEL } from '../config.js';
+import {
+  BUILTIN_INSIGHTS, INSIGHT_METRICS, INSIGHT_OPERATORS, INSIGHT_SEVERITIES, INSIGHT_PLACEHOLDERS, NEW_INSIGHT_RULE
+} from '../config.js';
+import { evaluateInsightRules, describeRule } from '../utils/insight-rules.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Inputs of the PMV comfort model, in form order
+const PMV_FIELDS = [
+  { key: 'clothing', label: 'Clothing (clo)', step: 0.1, title: '0.5 summer clothes, 1.0 winter indoor clothes, 2.5+ in bed' },
+  { key: 'metabolicRate', label: 'Activity (met)', step: 0.1, title: '0.8 asleep, 1.0 seated, 1.2 relaxed standing, 1.6 cooking' },
+  { key: 'airSpeed', label: 'Air speed (m/s)', step: 0.05, title: 'Still air about 0.1, ceiling fan 0.5+' },
+  { key: 'radiantOffset', label: 'Radiant ±°C', step: 0.5, title: 'Mean radiant minus air temperature, e.g. -1 for large cold windows' }
+];
+
+const ROLE_LABELS = {
+  climate: 'Climate',
+  co2: 'CO2',
+  motion: 'Motion',
+  contact: 'Contact'
+};
+
+/**
+ * Lowercase id from a display name, e.g. 'Guest Room' → 'guest_room'
+ */
+function slugify(name) {
+  return name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+export function homeConfigView() {
+  return {
+    // ========================================
+    // STATE
+    // ========================================
+
+    draft: { rooms: [], thermostats: [], roomSensors: {}, excludedSensors: [], comfortProfiles: {}, comfortSchedule: [], comfortModel: DEFAULT_COMFORT_MODEL,
+             insightRules: [], disabledInsights: [] },
+    loadedFrom: null,            // updatedAt of the configuration the draft was made from
+
+    // UI state
+    activeTab: 'rooms',          // 'rooms' | 'thermostats' | 'comfort' | 'insights' | 'problems'
+    selectedRoomId: null,
+    newRoomName: '',
+    newSensorNames: {},          // { [role]: name } inputs for the selected room
+    comfortPeriod: 'day',        // Period whose targets the room editor shows
+    message: null,               // { type: 'success'|'error', text }
+
+    roles: SENSOR_ROLES,
+    roleLabels: ROLE_LABELS,
+    defaultComfort: DEFAULT_COMFORT_PROFILE,
+    periods: COMFORT_PERIODS,
+    comfortModels: COMFORT_MODELS,
+    pmvFields: PMV_FIELDS,
+    weekdays: WEEKDAYS,
+    builtinInsights: BUILTIN_INSIGHTS,
+    insightOperators: INSIGHT_OPERATORS,
+    insightSeverities: INSIGHT_SEVERITIES,
+    insightPlaceholders: INSIGHT_PLACEHOLDERS.join(' '),
+
+    // ========================================
+    // LIFECYCLE
+    // ========================================
+
+    init() {
+      this.revert();
+    },
+
+    // ========================================
+    // DRAFT STATE
+    // ========================================
+
+    get store() {
+      return this.$store.homeConfig;
+    },
+
+    get dirty() {
+      return JSON.stringify(this.draft) !== JSON.stringify(this.store.getDraft());
+    },
+
+    // Another dashboard saved while this draft was open
+    get hasRemoteUpdate() {
+      return this.store.updatedAt !== this.loadedFrom;
+    },
+
+    get sourceLabel() {
+      const labels = {
+        mqtt: 'Saved configuration',
+        cache: 'Cached configuration (waiting for MQTT)',
+        default: 'Code defaults'
+      };
+      return labels[this.store.source] || this.store.source;
+    },
+
+    // Validation problems of the draft (includes unknown device names once
+    // Zigbee2MQTT has published its device list)
+    get issues() {
+      return this.$store.configValidation.check(this.draft);
+    },
+
+    get errorCount() {
+      return this.issues.filter(i => i.severity === 'error').length;
+    },
+
+    revert() {
+      this.draft = this.store.getDraft();
+      this.loadedFrom = this.store.updatedAt;
+      this.newSensorNames = {};
+      if (!this.draft.rooms.some(r => r.id === this.selectedRoomId)) {
+        this.selectedRoomId = this.draft.rooms[0]?.id || null;
+      }
+    },
+
+    save() {
+      // Thermostats follow their room's primary sensor
+      this.draft.thermostats.forEach(t => {
+        const room = this.draft.rooms.find(r => r.id === t.roomId);
+        t.roomSensor = room?.sensor || '';
+      });
+
+      if (this.errorCount > 0 &&
+          !confirm(`The configuration has ${this.errorCount} problems. Save anyway?`)) return;
+
+      if (this.store.save(this.draft)) {
+        this.loadedFrom = this.store.updatedAt;
+        this.showMessage('success', 'Configuration saved');
+      } else {
+        this.showMessage('error', this.store.error);
+      }
+    },
+
+    resetToDefaults() {
+      if (!confirm('Discard the saved configuration and use the built-in defaults on every dashboard?')) return;
+      if (this.store.resetToDefaults()) {
+        this.revert();
+        this.showMessage('success', 'Reset to defaults');
+      } else {
+        this.showMessage('error', this.store.error);
+      }
+    },
+
+    async clearHistory() {
+      await this.$store.rooms.clearHistoryCache();
+      this.showMessage('success', 'Cached history cleared and reloaded');
+    },
+
+    showMessage(type, text) {
+      this.message = { type, text };
+      setTimeout(() => { this.message = null; }, 4000);
+    },
+
+    // ========================================
+    // ROOMS
+    // ========================================
+
+    get selectedRoom() {
+      return this.draft.rooms.find(r => r.id === this.selectedRoomId) || null;
+    },
+
+    selectRoom(roomId) {
+      this.selectedRoomId = roomId;
+      this.newSensorNames = {};
+    },
+
+    addRoom() {
+      const name = this.newRoomName.trim();
+      if (!name) return;
+
+      // Unique id derived from the name
+      const base = slugify(name) || 'room';
+      let id = base;
+      for (let i = 2; this.draft.rooms.some(r => r.id === id); i++) id = `${base}_${i}`;
+
+      this.draft.rooms.push({ id, name, icon: '🏠', sensor: '', entityId: '', isOutdoor: false });
+      this.draft.roomSensors[id] = { climate: [] };
+      this.newRoomName = '';
+      this.selectRoom(id);
+    },
+
+    removeRoom(roomId) {
+      const room = this.draft.rooms.find(r => r.id === roomId);
+      if (!room || !confirm(`Remove ${room.name}?`)) return;
+
+      this.draft.rooms = this.draft.rooms.filter(r => r.id !== roomId);
+      delete this.draft.roomSensors[roomId];
+      delete this.draft.comfortProfiles[roomId];
+      // Unlink thermostats rather than deleting them
+      this.draft.thermostats.forEach(t => {
+        if (t.roomId === roomId) t.roomId = '';
+      });
+      if (this.selectedRoomId === roomId) {
+        this.selectedRoomId = this.draft.rooms[0]?.id || null;
+      }
+    },
+
+    // ========================================
+    // ROOM SENSORS
+    // ========================================
+
+    getRoomSensors(roomId, role) {
+      return this.draft.roomSensors[roomId]?.[role] || [];
+    },
+
+    /**
+     * Discovered Zigbee2MQTT devices of a role, for the name picker
+     */
+    getDeviceOptions(role) {
+      return this.$store.sensors.devices
+        .filter(d => d.sensorType === role)
+        .map(d => d.friendly_name);
+    },
+
+    addSensor(roomId, role) {
+      const name = (this.newSensorNames[role] || '').trim();
+      if (!name) return;
+
+      if (!this.draft.roomSensors[roomId]) this.draft.roomSensors[roomId] = {};
+      const sensors = this.draft.roomSensors[roomId][role] || [];
+      if (sensors.some(s => s.name === name)) return;
+
+      const sensor = { name, label: `Sensor ${sensors.length + 1}` };
+      // First climate sensor becomes the room's primary
+      if (role === 'climate' && sensors.length === 0) {
+        sensor.isPrimary = true;
+        sensor.label = 'Primary';
+        const room = this.draft.rooms.find(r => r.id === roomId);
+        if (room) room.sensor = name;
+      }
+      if (role !== 'climate') sensor.label = ROLE_LABELS[role];
+
+      this.draft.roomSensors[roomId][role] = [...sensors, sensor];
+      this.newSensorNames[role] = '';
+    },
+
+    /**
+     * Sensors the rooms store added from device names (not manually linked)
+     */
+    getDiscoveredSensors(roomId, role) {
+      const room = this.$store.rooms.list.find(r => r.id === roomId);
+      if (!room) return [];
+      const linked = this.getRoomSensors(roomId, role).map(s => s.name);
+      return room.sensors.filter(s =>
+        s.auto && s.type === role && !linked.includes(s.name) && !this.draft.excludedSensors.includes(s.name)
+      );
+    },
+
+    pinSensor(roomId, role, name) {
+      this.newSensorNames[role] = name;
+      this.addSensor(roomId, role);
+    },
+
+    excludeSensor(name) {
+      if (!this.draft.excludedSensors.includes(name)) {
+        this.draft.excludedSensors.push(name);
+      }
+    },
+
+    includeSensor(name) {
+      this.draft.excludedSensors = this.draft.excludedSensors.filter(n => n !== name);
+    },
+
+    removeSensor(roomId, role, name) {
+      const sensors = this.getRoomSensors(roomId, role).filter(s => s.name !== name);
+      this.draft.roomSensors[roomId][role] = sensors;
+
+      // Promote the next climate sensor when the primary is removed
+      const room = this.draft.rooms.find(r => r.id === roomId);
+      if (role === 'climate' && room?.sensor === name) {
+        if (sensors.length > 0) {
+          this.setPrimarySensor(roomId, sensors[0].name);
+        } else {
+          room.sensor = '';
+        }
+      }
+    },
+
+    setPrimarySensor(roomId, name) {
+      const room = this.draft.rooms.find(r => r.id === roomId);
+      if (!room) return;
+      room.sensor = name;
+      this.getRoomSensors(roomId, 'climate').forEach(s => {
+        if (s.name === name) {
+          s.isPrimary = true;
+        } else {
+          delete s.isPrimary;
+        }
+      });
+    },
+
+    // ========================================
+    // COMFORT PROFILES
+    // ========================================
+
+    getComfortProfile(roomId) {
+      return this.draft.comfortProfiles[roomId] || null;
+    },
+
+    // Start a room profile from the default one
+    customizeComfort(roomId) {
+      this.draft.comfortProfiles[roomId] = JSON.parse(JSON.stringify(DEFAULT_COMFORT_PROFILE));
+    },
+
+    useDefaultComfort(roomId) {
+      delete this.draft.comfortProfiles[roomId];
+    },
+
+    /**
+     * Targets a room's profile sets for a period (day = the profile itself)
+     * @returns {Object|null} { temp, humidity }, null when the period uses the day targets
+     */
+    getPeriodTargets(roomId, period) {
+      const profile = this.getComfortProfile(roomId);
+      if (!profile) return null;
+      return period === 'day' ? profile : profile.periods?.[period] || null;
+    },
+
+    // Give a period its own targets, starting from the day ones
+    customizePeriod(roomId, period) {
+      const profile = this.getComfortProfile(roomId);
+      if (!profile) return;
+      if (!profile.periods) profile.periods = {};
+      profile.periods[period] = JSON.parse(JSON.stringify({ temp: profile.temp, humidity: profile.humidity, pmv: {} }));
+    },
+
+    usePeriodDefault(roomId, period) {
+      delete this.getComfortProfile(roomId)?.periods?.[period];
+    },
+
+    getPeriodLabel(period) {
+      return COMFORT_PERIODS.find(p => p.id === period)?.label || period;
+    },
+
+    // PMV inputs a period sets itself ('' = inherited)
+    getPmvInput(roomId, period, key) {
+      return this.getPeriodTargets(roomId, period)?.pmv?.[key] ?? '';
+    },
+
+    // Value an empty PMV input falls back to: the room's day input, then the default
+    getInheritedPmvInput(roomId, period, key) {
+      const own = period === 'day' ? undefined : this.getComfortProfile(roomId)?.pmv?.[key];
+      return own ?? DEFAULT_COMFORT_PROFILE.pmv[key];
+    },
+
+    setPmvInput(roomId, period, key, value) {
+      const targets = this.getPeriodTargets(roomId, period);
+      if (!targets) return;
+      if (!targets.pmv) targets.pmv = {};
+      if (value === '' || !Number.isFinite(Number(value))) {
+        delete targets.pmv[key];
+      } else {
+        targets.pmv[key] = Number(value);
+      }
+    },
+
+    // ========================================
+    // COMFORT SCHEDULE
+    // ========================================
+
+    addScheduleEntry() {
+      this.draft.comfortSchedule.push({ period: 'sleep', start: '22:00', end: '07:00' });
+    },
+
+    removeScheduleEntry(index) {
+      this.draft.comfortSchedule.splice(index, 1);
+    },
+
+    hasDay(entry, day) {
+      return !entry.days || entry.days.includes(day);
+    },
+
+    // Days are stored only when the entry is limited to some of them
+    toggleDay(entry, day) {
+      const days = entry.days ? [...entry.days] : [0, 1, 2, 3, 4, 5, 6];
+      const next = days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort();
+      if (next.length === 7) {
+        delete entry.days;
+      } else {
+        entry.days = next;
+      }
+    },
+
+    // ========================================
+    // INSIGHTS
+    // ========================================
+
+    isBuiltinEnabled(id) {
+      return !this.draft.disabledInsights.includes(id);
+    },
+
+    toggleBuiltin(id) {
+      this.draft.disabledInsights = this.isBuiltinEnabled(id)
+        ? [...this.draft.disabledInsights, id]
+        : this.draft.disabledInsights.filter(d => d !== id);
+    },
+
+    addInsightRule() {
+      const base = 'rule';
+      let id = base;
+      for (let i = 2; this.draft.insightRules.some(r => r.id === id); i++) id = `${base}_${i}`;
+
+      this.draft.insightRules.push({ id, ...JSON.parse(JSON.stringify(NEW_INSIGHT_RULE)) });
+    },
+
+    removeInsightRule(index) {
+      const rule = this.draft.insightRules[index];
+      if (!rule || !confirm(`Remove ${rule.name || 'this rule'}?`)) return;
+      this.draft.insightRules.splice(index, 1);
+    },
+
+    // Metrics that can be read from the rule's target (room or sensor)
+    getRuleMetrics(rule) {
+      return INSIGHT_METRICS.filter(m => m.targets.includes(rule.target));
+    },
+
+    getRuleUnit(rule) {
+      return INSIGHT_METRICS.find(m => m.key === rule.metric)?.unit || '';
+    },
+
+    // Switching target keeps the metric when the new target has it
+    setRuleTarget(rule, target) {
+      rule.target = target;
+      if (!INSIGHT_METRICS.find(m => m.key === rule.metric)?.targets.includes(target)) {
+        rule.metric = this.getRuleMetrics(rule)[0].key;
+      }
+    },
+
+    setRuleWindow(rule) {
+      rule.window = { start: '22:00', end: '07:00' };
+    },
+
+    clearRuleWindow(rule) {
+      delete rule.window;
+    },
+
+    describeRule(rule) {
+      return describeRule(rule, this.draft.rooms);
+    },
+
+    /**
+     * Insights the rule would show right now, even while it is switched off
+     */
+    previewRule(rule) {
+      return evaluateInsightRules([{ ...rule, enabled: true }], this.$store.rooms.list, this.$store.homeConfig);
+    },
+
+    // ========================================
+    // THERMOSTATS
+    // ========================================
+
+    addThermostat() {
+      const base = 'thermostat';
+      let id = base;
+      for (let i = 2; this.draft.thermostats.some(t => t.id === id); i++) id = `${base}_${i}`;
+
+      this.draft.thermostats.push({
+        id,
+        name: 'New Thermostat',
+        icon: '🔥',
+        sensor: '',
+        entityId: '',
+        roomId: this.draft.rooms[0]?.id || '',
+        roomSensor: ''
+      });
+    },
+
+    removeThermostat(thermostatId) {
+      const thermostat = this.draft.thermostats.find(t => t.id === thermostatId);
+      if (!thermostat || !confirm(`Remove ${thermostat.name}?`)) return;
+      this.draft.thermostats = this.draft.thermostats.filter(t => t.id !== thermostatId);
+    },
+
+    getRoomName(roomId) {
+      return this.draft.rooms.find(r => r.id === roomId)?.name || 'No room';
+    }
+  };
+}
+
+/**
+ * Home configuration view HTML template
+ */
+export function getHomeConfigHTML() {
+  return `
+    <div class="home-config-view" x-data="homeConfigView()">
+      <!-- Status bar -->
+      <div class="home-config-status">
+        <div>
+          <div class="home-config-source" x-text="sourceLabel"></div>
+          <div class="home-config-meta" x-show="store.updatedAt"
+               x-text="'Last saved ' + new Date(store.updatedAt).toLocaleString('en-AU') + ' by ' + store.updatedBy"></div>
+        </div>
+        <div class="home-config-actions">
+          <button class="btn btn-secondary" @click="clearHistory()" :disabled="$store.rooms.loading"
+                  title="Forget history stored in this browser and reload it">Clear cached history</button>
+          <button class="btn btn-secondary" @click="resetToDefaults()">Reset to defaults</button>
+          <button class="btn btn-secondary" @click="revert()" :disabled="!dirty">Revert</button>
+          <button class="btn btn-primary" @click="save()" :disabled="!dirty || !$store.mqtt.connected">Save</button>
+        </div>
+      </div>
+      <div class="home-config-notice" x-show="hasRemoteUpdate && dirty">
+        Configuration was changed on another dashboard.
+        <button class="btn btn-secondary" @click="revert()">Load latest</button>
+      </div>
+      <div class="home-config-message" x-show="message" :class="message?.type" x-text="message?.text"></div>
+      <div class="home-config-message error" x-show="store.error && !message" x-text="store.error"></div>
+
+      <!-- Tabs -->
+      <div class="home-config-tabs">
+        <button class="btn btn-secondary" :class="{ active: activeTab === 'rooms' }" @click="activeTab = 'rooms'"
+                x-text="'Rooms (' + draft.rooms.length + ')'"></button>
+        <button class="btn btn-secondary" :class="{ active: activeTab === 'thermostats' }" @click="activeTab = 'thermostats'"
+                x-text="'Thermostats (' + draft.thermostats.length + ')'"></button>
+        <button class="btn btn-secondary" :class="{ active: activeTab === 'comfort' }" @click="activeTab = 'comfort'">Comfort</button>
+        <button class="btn btn-secondary" :class="{ active: activeTab === 'insights' }" @click="activeTab = 'insights'"
+                x-text="'Insights (' + draft.insightRules.length + ')'"></button>
+        <button class="btn btn-secondary" :class="{ active: activeTab === 'problems' }" @click="activeTab = 'problems'">
+          <span x-text="'Problems (' + issues.length + ')'"></span>
+          <span class="home-config-error-dot" x-show="errorCount > 0"></span>
+        </button>
+      </div>
+
+      <!-- Rooms -->
+      <div class="home-config-rooms" x-show="activeTab === 'rooms'">
+        <div class="home-config-room-list">
+          <template x-for="room in draft.rooms" :key="room.id">
+            <button class="home-config-room-item" :class="{ active: selectedRoomId === room.id }" @click="selectRoom(room.id)">
+              <span x-text="room.icon"></span>
+              <span x-text="room.name"></span>
+              <span class="home-config-meta" x-text="getRoomSensors(room.id, 'climate').length + ' sensors'"></span>
+            </button>
+          </template>
+          <form class="home-config-add" @submit.prevent="addRoom()">
+            <input type="text" placeholder="New room name" x-model="newRoomName">
+            <button type="submit" class="btn btn-secondary" :disabled="!newRoomName.trim()">Add</button>
+          </form>
+
+          <div class="home-config-excluded" x-show="draft.excludedSensors.length > 0">
+            <div class="home-config-role-title">Not auto-assigned</div>
+            <template x-for="name in draft.excludedSensors" :key="name">
+              <div class="home-config-sensor">
+                <span class="home-config-sensor-name" x-text="name"></span>
+                <button class="modal-close" @click="includeSensor(name)" title="Allow auto-assignment">&times;</button>
+              </div>
+            </template>
+          </div>
+        </div>
+
+        <template x-if="selectedRoom">
+          <div class="home-config-room-editor">
+            <div class="home-config-fields">
+              <label><span>Name</span><input type="text" x-model="selectedRoom.name"></label>
+              <label class="narrow"><span>Icon</span><input type="text" x-model="selectedRoom.icon"></label>
+              <label><span>History entity</span><input type="text" x-model="selectedRoom.entityId" placeholder="sensor.room_temperature_humidity"></label>
+              <label class="checkbox"><input type="checkbox" x-model="selectedRoom.isOutdoor"><span>Outdoor (excluded from home averages)</span></label>
+            </div>
+            <div class="home-config-meta" x-text="'Room id: ' + selectedRoom.id"></div>
+
+            <template x-for="role in roles" :key="role">
+              <div class="home-config-role">
+                <div class="home-config-role-title" x-text="roleLabels[role]"></div>
+                <template x-for="sensor in getRoomSensors(selectedRoom.id, role)" :key="sensor.name">
+                  <div class="home-config-sensor">
+                    <template x-if="role === 'climate'">
+                      <input type="radio" :name="'primary-' + selectedRoom.id" :checked="selectedRoom.sensor === sensor.name"
+                             @change="setPrimarySensor(selectedRoom.id, sensor.name)" title="Primary sensor">
+                    </template>
+                    <span class="home-config-sensor-name" x-text="sensor.name"></span>
+                    <input type="text" class="home-config-sensor-label" x-model="sensor.label">
+                    <button class="modal-close" @click="removeSensor(selectedRoom.id, role, sensor.name)" title="Unlink">&times;</button>
+                  </div>
+                </template>
+                <template x-for="sensor in getDiscoveredSensors(selectedRoom.id, role)" :key="sensor.name">
+                  <div class="home-config-sensor discovered">
+                    <span class="home-config-badge" title="Matched by device name">auto</span>
+                    <span class="home-config-sensor-name" x-text="sensor.name"></span>
+                    <button class="btn btn-secondary" @click="pinSensor(selectedRoom.id, role, sensor.name)">Pin</button>
+                    <button class="btn btn-secondary" @click="excludeSensor(sensor.name)">Exclude</button>
+                  </div>
+                </template>
+                <form class="home-config-add" @submit.prevent="addSensor(selectedRoom.id, role)">
+                  <input type="text" :list="'devices-' + role" placeholder="Zigbee2MQTT device name" x-model="newSensorNames[role]">
+                  <datalist :id="'devices-' + role">
+                    <template x-for="name in getDeviceOptions(role)" :key="name">
+                      <option :value="name"></option>
+                    </template>
+                  </datalist>
+                  <button type="submit" class="btn btn-secondary">Link</button>
+                </form>
+              </div>
+            </template>
+
+            <div class="home-config-role">
+              <div class="home-config-role-title">Comfort profile</div>
+              <template x-if="getComfortProfile(selectedRoom.id)">
+                <div>
+                  <div class="home-config-tabs">
+                    <template x-for="period in periods" :key="period.id">
+                      <button class="btn btn-secondary" :class="{ active: comfortPeriod === period.id }"
+                              @click="comfortPeriod = period.id" x-text="period.icon + ' ' + period.label"></button>
+                    </template>
+                  </div>
+                  <template x-if="getPeriodTargets(selectedRoom.id, comfortPeriod)">
+                    <div>
+                      <div class="home-config-fields">
+                        <label class="narrow"><span>Min °C</span><input type="number" step="0.5" x-model.number="getPeriodTargets(selectedRoom.id, comfortPeriod).temp.min"></label>
+                        <label class="narrow"><span>Ideal °C</span><input type="number" step="0.5" x-model.number="getPeriodTargets(selectedRoom.id, comfortPeriod).temp.perfect"></label>
+                        <label class="narrow"><span>Max °C</span><input type="number" step="0.5" x-model.number="getPeriodTargets(selectedRoom.id, comfortPeriod).temp.max"></label>
+                      </div>
+                      <div class="home-config-fields">
+                        <label class="narrow"><span>Min %</span><input type="number" step="1" x-model.number="getPeriodTargets(selectedRoom.id, comfortPeriod).humidity.min"></label>
+                        <label class="narrow"><span>Ideal %</span><input type="number" step="1" x-model.number="getPeriodTargets(selectedRoom.id, comfortPeriod).humidity.perfect"></label>
+                        <label class="narrow"><span>Max %</span><input type="number" step="1" x-model.number="getPeriodTargets(selectedRoom.id, comfortPeriod).humidity.max"></label>
+                      </div>
+                      <div class="home-config-fields" x-show="draft.comfortModel === 'pmv'">
+                        <template x-for="field in pmvFields" :key="field.key">
+                          <label class="narrow" :title="field.title">
+                            <span x-text="field.label"></span>
+                            <input type="number" :step="field.step"
+                                   :value="getPmvInput(selectedRoom.id, comfortPeriod, field.key)"
+                                   :placeholder="getInheritedPmvInput(selectedRoom.id, comfortPeriod, field.key)"
+                                   @input="setPmvInput(selectedRoom.id, comfortPeriod, field.key, $event.target.value)">
+                          </label>
+                        </template>
+                      </div>
+                      <button class="btn btn-secondary" x-show="comfortPeriod !== 'day'"
+                              @click="usePeriodDefault(selectedRoom.id, comfortPeriod)">Same as day</button>
+                    </div>
+                  </template>
+                  <template x-if="!getPeriodTargets(selectedRoom.id, comfortPeriod)">
+                    <div class="home-config-sensor">
+                      <span class="home-config-meta" x-text="getPeriodLabel(comfortPeriod) + ' uses the day targets'"></span>
+                      <button class="btn btn-secondary" @click="customizePeriod(selectedRoom.id, comfortPeriod)">Customize</button>
+                    </div>
+                  </template>
+                  <div class="home-config-fields">
+                    <label class="narrow" title="Share of the home comfort score (0 leaves the room out)">
+                      <span>Weight</span><input type="number" step="0.1" min="0" x-model.number="getComfortProfile(selectedRoom.id).weight">
+                    </label>
+                    <label class="narrow" title="Share of the room score taken by air quality when the room has a CO2 sensor">
+                      <span>Air quality</span>
+                      <input type="number" step="0.05" min="0" max="1" x-model.number="getComfortProfile(selectedRoom.id).airQualityWeight"
+                             :placeholder="defaultComfort.airQualityWeight">
+                    </label>
+                  </div>
+                  <button class="btn btn-secondary" @click="useDefaultComfort(selectedRoom.id)">Use default profile</button>
+                </div>
+              </template>
+              <template x-if="!getComfortProfile(selectedRoom.id)">
+                <div class="home-config-sensor">
+                  <span class="home-config-meta"
+                        x-text="'Default: ' + defaultComfort.temp.min + '–' + defaultComfort.temp.max + '°C, ' + defaultComfort.humidity.min + '–' + defaultComfort.humidity.max + '%'"></span>
+                  <button class="btn btn-secondary" @click="customizeComfort(selectedRoom.id)">Customize</button>
+                </div>
+              </template>
+            </div>
+
+            <button class="btn btn-secondary home-config-remove" @click="removeRoom(selectedRoom.id)">Remove room</button>
+          </div>
+        </template>
+      </div>
+
+      <!-- Thermostats -->
+      <div class="home-config-thermostats" x-show="activeTab === 'thermostats'">
+        <template x-for="thermostat in draft.thermostats" :key="thermostat.id">
+          <div class="home-config-thermostat">
+            <div class="home-config-fields">
+              <label><span>Name</span><input type="text" x-model="thermostat.name"></label>
+              <label class="narrow"><span>Icon</span><input type="text" x-model="thermostat.icon"></label>
+              <label><span>Device</span><input type="text" x-model="thermostat.sensor" placeholder="[Room] Thermostat"></label>
+              <label><span>Entity</span><input type="text" x-model="thermostat.entityId" placeholder="climate.room_thermostat"></label>
+              <label>
+                <span>Room</span>
+                <select x-model="thermostat.roomId">
+                  <option value="">No room</option>
+                  <template x-for="room in draft.rooms" :key="room.id">
+                    <option :value="room.id" x-text="room.name" :selected="thermostat.roomId === room.id"></option>
+                  </template>
+                </select>
+              </label>
+            </div>
+            <button class="modal-close" @click="removeThermostat(thermostat.id)" title="Remove">&times;</button>
+          </div>
+        </template>
+        <button class="btn btn-secondary" @click="addThermostat()">Add thermostat</button>
+      </div>
+
+      <!-- Comfort model and schedule -->
+      <div class="home-config-schedule" x-show="activeTab === 'comfort'">
+        <div class="home-config-fields">
+          <label>
+            <span>Comfort model</span>
+            <select x-model="draft.comfortModel">
+              <template x-for="model in comfortModels" :key="model.id">
+                <option :value="model.id" x-text="model.label" :selected="draft.comfortModel === model.id"></option>
+              </template>
+            </select>
+          </label>
+        </div>
+        <div class="home-config-meta" x-show="draft.comfortModel === 'pmv'">
+          Rooms are scored by predicted percentage dissatisfied, from each room profile's clothing, activity, air speed and radiant temperature.
+        </div>
+        <div class="home-config-meta">
+          When each room's sleep and away targets apply (first match wins). Other times use the day targets.
+        </div>
+        <template x-for="(entry, index) in draft.comfortSchedule" :key="index">
+          <div class="home-config-thermostat">
+            <div class="home-config-fields">
+              <label>
+                <span>Period</span>
+                <select x-model="entry.period">
+                  <template x-for="period in periods" :key="period.id">
+                    <option :value="period.id" x-text="period.label" :selected="entry.period === period.id"></option>
+                  </template>
+                </select>
+              </label>
+              <label class="narrow"><span>From</span><input type="time" x-model="entry.start"></label>
+              <label class="narrow"><span>To</span><input type="time" x-model="entry.end"></label>
+              <div class="home-config-days">
+                <template x-for="(day, dayIndex) in weekdays" :key="day">
+                  <label class="checkbox">
+                    <input type="checkbox" :checked="hasDay(entry, dayIndex)" @change="toggleDay(entry, dayIndex)"><span x-text="day"></span>
+                  </label>
+                </template>
+              </div>
+            </div>
+            <button class="modal-close" @click="removeScheduleEntry(index)" title="Remove">&times;</button>
+          </div>
+        </template>
+        <button class="btn btn-secondary" @click="addScheduleEntry()">Add period</button>
+      </div>
+
+      <!-- Insights -->
+      <div class="home-config-insights" x-show="activeTab === 'insights'">
+        <div class="home-config-role">
+          <div class="home-config-role-title">Built-in insights</div>
+          <template x-for="insight in builtinInsights" :key="insight.id">
+            <label class="checkbox home-config-builtin">
+              <input type="checkbox" :checked="isBuiltinEnabled(insight.id)" @change="toggleBuiltin(insight.id)">
+              <span x-text="insight.label"></span>
+              <span class="home-config-meta" x-text="insight.description"></span>
+            </label>
+          </template>
+        </div>
+
+        <div class="home-config-role">
+          <div class="home-config-role-title">Custom rules</div>
+          <div class="home-config-meta" x-text="'Title and message can use ' + insightPlaceholders"></div>
+          <template x-for="(rule, index) in draft.insightRules" :key="rule.id">
+            <div class="home-config-thermostat">
+              <div class="home-config-rule">
+                <div class="home-config-fields">
+                  <label class="checkbox"><input type="checkbox" x-model="rule.enabled"><span>On</span></label>
+                  <label><span>Name</span><input type="text" x-model="rule.name"></label>
+                  <label>
+                    <span>Severity</span>
+                    <select x-model="rule.severity">
+                      <template x-for="severity in insightSeverities" :key="severity.id">
+                        <option :value="severity.id" x-text="severity.label" :selected="rule.severity === severity.id"></option>
+                      </template>
+                    </select>
+                  </label>
+                </div>
+                <div class="home-config-fields">
+                  <label class="narrow">
+                    <span>Check</span>
+                    <select :value="rule.target" @change="setRuleTarget(rule, $event.target.value)">
+                      <option value="room" :selected="rule.target === 'room'">Rooms</option>
+                      <option value="sensor" :selected="rule.target === 'sensor'">Sensors</option>
+                    </select>
+                  </label>
+                  <label>
+                    <span>Room</span>
+                    <select x-model="rule.roomId">
+                      <option value="">All rooms</option>
+                      <template x-for="room in draft.rooms" :key="room.id">
+                        <option :value="room.id" x-text="room.name" :selected="rule.roomId === room.id"></option>
+                      </template>
+                    </select>
+                  </label>
+                  <label>
+                    <span>Metric</span>
+                    <select x-model="rule.metric">
+                      <template x-for="metric in getRuleMetrics(rule)" :key="metric.key">
+                        <option :value="metric.key" x-text="metric.label" :selected="rule.metric === metric.key"></option>
+                      </template>
+                    </select>
+                  </label>
+                  <label>
+                    <span>Condition</span>
+                    <select x-model="rule.operator">
+                      <template x-for="operator in insightOperators" :key="operator.id">
+                        <option :value="operator.id" x-text="operator.label" :selected="rule.operator === operator.id"></option>
+                      </template>
+                    </select>
+                  </label>
+                  <label class="narrow"><span x-text="'Value ' + getRuleUnit(rule)"></span><input type="number" step="any" x-model.number="rule.value"></label>
+                  <label class="narrow" title="Minutes the condition must hold - or the change is measured over, for rises / falls">
+                    <span>Minutes</span><input type="number" step="5" min="0" x-model.number="rule.duration">
+                  </label>
+                </div>
+                <template x-if="rule.window">
+                  <div class="home-config-fields">
+                    <label class="narrow"><span>From</span><input type="time" x-model="rule.window.start"></label>
+                    <label class="narrow"><span>To</span><input type="time" x-model="rule.window.end"></label>
+                    <div class="home-config-days">
+                      <template x-for="(day, dayIndex) in weekdays" :key="day">
+                        <label class="checkbox">
+                          <input type="checkbox" :checked="hasDay(rule.window, dayIndex)" @change="toggleDay(rule.window, dayIndex)"><span x-text="day"></span>
+                        </label>
+                      </template>
+                    </div>
+                    <button class="btn btn-secondary" @click="clearRuleWindow(rule)">Any time</button>
+                  </div>
+                </template>
+                <button class="btn btn-secondary" x-show="!rule.window" @click="setRuleWindow(rule)">Only at certain times</button>
+                <div class="home-config-fields">
+                  <label class="narrow"><span>Icon</span><input type="text" x-model="rule.icon"></label>
+                  <label><span>Title</span><input type="text" x-model="rule.title"></label>
+                  <label><span>Message</span><input type="text" x-model="rule.message"></label>
+                </div>
+                <div class="home-config-meta" x-text="describeRule(rule)"></div>
+                <template x-for="insight in previewRule(rule)" :key="insight.relatedRooms.join() + insight.message">
+                  <div class="home-config-sensor discovered">
+                    <span class="home-config-badge">now</span>
+                    <span x-text="insight.icon + ' ' + insight.title + ' - ' + insight.message"></span>
+                  </div>
+                </template>
+              </div>
+              <button class="modal-close" @click="removeInsightRule(index)" title="Remove">&times;</button>
+            </div>
+          </template>
+          <button class="btn btn-secondary" @click="addInsightRule()">Add rule</button>
+        </div>
+      </div>
+
+      <!-- Problems -->
+      <div class="home-config-problems" x-show="activeTab === 'problems'">
+        <div class="home-config-meta" x-show="!$store.configValidation.bridgeChecked">
+          Device names are checked once Zigbee2MQTT publishes its device list.
+        </div>
+        <template x-if="issues.length === 0">
+          <div class="no-data-message">No problems found</div>
+        </template>
+        <template x-for="issue in issues" :key="issue.area + issue.message">
+          <div class="home-config-issue" :class="issue.severity">
+            <span class="home-config-badge" x-text="issue.area"></span>
+            <span x-text="issue.message"></span>
+          </div>
+        </template>
+      </div>
+    </div>
+  `;
+}
@@ -5,6 +5,7 @@
  */
 
 import { interpolateColor, getRoomColor } from '../three/color-utils.js';
+import { getComfortProfile, getReadingTime, formatMetric, PSYCHROMETRIC_METRICS } from '../utils/comfort-algo.js';
 import { applyDarkTheme, setWallsVisibility } from '../three/theme-utils.js';
 import { createScene, createRenderer, createOrthographicCamera, addLighting, cleanupThreeState } from '../three/scene-init.js';
 import { createRoom as buildRoom } from '../three/room-builder.js';
@@ -39,7 +40,12 @@ export function isometricView(FLOOR_PLAN_CONFIG, TEMP_COLORS, HUMIDITY_COLORS) {
 
   return {
     // Reactive state for UI
-    viewMode: 'temperature',
+    viewMode: 'temperature',     // 'temperature' | 'humidity' | a PSYCHROMETRIC_METRICS key
+    heatMapModes: [
+      { id: 'temperature', label: 'Temperature' },
+      { id: 'humidity', label: 'Humidity' },
+      ...PSYCHROMETRIC_METRICS.map(m => ({ id: m.key, label: m.label }))
+    ],
     zoomLevel: 1.0,
     wallsVisible: true,
     darkTheme: false,
@@ -373,13 +379,20 @@ export function isometricView(FLOOR_PLAN_CONFIG, TEMP_COLORS, HUMIDITY_COLORS) {
               secondaryEl.textContent = roomData.humidity !== null
                 ? `${roomData.humidity.toFixed(0)}%` : '';
             }
-          } else {
+          } else if (viewMode === 'humidity') {
             valueEl.textContent = roomData.humidity !== null
               ? `${roomData.humidity.toFixed(0)}%` : '--';
             if (secondaryEl) {
               secondaryEl.textContent = roomData.temperature !== null
                 ? `${roomData.temperature.toFixed(1)}°` : '';
             }
+          } else {
+            // Derived metric mode (dew point, absolute humidity...)
+            valueEl.textContent = formatMetric(roomData, viewMode);
+            if (secondaryEl) {
+              secondaryEl.textContent = roomData.temperature !== null
+                ? `${roomData.temperature.toFixed(1)}°` : '';
+            }
           }
         }
 
@@ -431,7 +444,11 @@ export function isometricView(FLOOR_PLAN_CONFIG, TEMP_COLORS, HUMIDITY_COLORS) {
     },
 
     getRoomColor(room, viewMode) {
-      return getRoomColor(room, viewMode, TEMP_COLORS, HUMIDITY_COLORS);
+      // Indoor rooms are coloured against their comfort targets at read time
+      const profile = room && !room.isOutdoor
+        ? getComfortProfile(Alpine.store('homeConfig'), room.id, getReadingTime(room))
+        : null;
+      return getRoomColor(room, viewMode, TEMP_COLORS, HUMIDITY_COLORS, profile);
     },
 
     interpolateColor(value, scale) {
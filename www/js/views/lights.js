@@ -13,6 +13,14 @@ export function lightsView() {
       return 'Warm';
     },
 
+    // Status line for a light card - queued commands wait for the broker
+    getLightStatus(light) {
+      if (!light.available) return 'Offline';
+      if (this.$store.lights.isPending(light)) return 'Queued';
+      if (light.syncing) return 'Syncing...';
+      return light.state === 'ON' ? 'On' : 'Off';
+    },
+
     // Helper function for last update formatting
     formatLastUpdate(timestamp) {
       if (!timestamp) return 'No data';
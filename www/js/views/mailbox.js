@@ -5,6 +5,8 @@
  */
 
 import { CONFIG } from '../config.js';
+import { queryEvents } from '../utils/influx.js';
+import { eventRows, exportRows } from '../utils/export.js';
 
 export function mailboxView() {
   return {
@@ -27,8 +29,8 @@ export function mailboxView() {
     // Loading state
     loading: false,
 
-    // Real-time event tracking
-    _mqttSetup: false,
+    // Real-time event tracking (MQTT subscription id)
+    _mqttSubscription: null,
 
     // ========================================
     // LIFECYCLE
@@ -53,6 +55,10 @@ export function mailboxView() {
       if (this._refreshInterval) {
         clearInterval(this._refreshInterval);
       }
+      if (this._mqttSubscription) {
+        Alpine.store('mqtt').unsubscribe(this._mqttSubscription);
+        this._mqttSubscription = null;
+      }
     },
 
     // ========================================
@@ -60,61 +66,42 @@ export function mailboxView() {
     // ========================================
 
     setupMqttListener() {
-      if (this._mqttSetup) return;
-
-      const checkMqtt = () => {
-        const mqtt = Alpine.store('mqtt');
-        if (!mqtt?.client || !mqtt.connected) {
-          setTimeout(checkMqtt, 2000);
-          return;
+      if (this._mqttSubscription) return;
+
+      const topic = `${CONFIG.baseTopic}/${this.deviceName}`;
+      console.log('[mailbox-view] Subscribing to:', topic);
+
+      this._mqttSubscription = Alpine.store('mqtt').subscribe(topic, (payload) => {
+        if (typeof payload !== 'object' || payload === null) return;
+        const now = Date.now();
+
+        // Handle motion event
+        if (payload.occupancy === true) {
+          this.addLiveEvent({
+            time: now,
+            eventType: 'motion_detected',
+            deviceName: this.deviceName,
+            value: 1
+          });
+        } else if (payload.occupancy === false) {
+          this.addLiveEvent({
+            time: now,
+            eventType: 'motion_cleared',
+            deviceName: this.deviceName,
+            value: 0
+          });
         }
 
-        this._mqttSetup = true;
-        const topic = `${CONFIG.baseTopic}/${this.deviceName}`;
-
-        console.log('[mailbox-view] Subscribing to:', topic);
-        mqtt.client.subscribe(topic, { qos: 0 });
-
-        mqtt.client.on('message', (msgTopic, message) => {
-          if (msgTopic !== topic) return;
-
-          try {
-            const payload = JSON.parse(message.toString());
-            const now = Date.now();
-
-            // Handle motion event
-            if (payload.occupancy === true) {
-              this.addLiveEvent({
-                time: now,
-                eventType: 'motion_detected',
-                deviceName: this.deviceName,
-                value: 1
-              });
-            } else if (payload.occupancy === false) {
-              this.addLiveEvent({
-                time: now,
-                eventType: 'motion_cleared',
-                deviceName: this.deviceName,
-                value: 0
-              });
-            }
-
-            // Handle availability
-            if (payload.availability !== undefined) {
-              this.addLiveEvent({
-                time: now,
-                eventType: payload.availability === 'online' ? 'device_online' : 'device_offline',
-                deviceName: this.deviceName,
-                value: payload.availability === 'online' ? 1 : 0
-              });
-            }
-          } catch (e) {
-            // Parse error - ignore
-          }
-        });
-      };
-
-      checkMqtt();
+        // Handle availability
+        if (payload.availability !== undefined) {
+          this.addLiveEvent({
+            time: now,
+            eventType: payload.availability === 'online' ? 'device_online' : 'device_offline',
+            deviceName: this.deviceName,
+            value: payload.availability === 'online' ? 1 : 0
+          });
+        }
+      });
     },
 
     addLiveEvent(event) {
@@ -142,37 +129,15 @@ export function mailboxView() {
       this.loading = true;
 
       try {
-        const influxUrl = CONFIG.influxUrl || `http://${window.location.hostname}:8086`;
-        const influxDb = CONFIG.influxDb || 'homeassistant';
-
         // Query mailbox-specific events (motion + availability)
-        const query = `
-          SELECT * FROM zigbee_events
-          WHERE device_name = '${this.deviceName}'
-            AND time > now() - 7d
-          ORDER BY time DESC
-          LIMIT 500
-        `;
-
-        const url = `${influxUrl}/query?db=${influxDb}&q=${encodeURIComponent(query)}`;
-        const res = await fetch(url);
-        const data = await res.json();
-
-        if (data.results?.[0]?.series?.[0]) {
-          const series = data.results[0].series[0];
-          const columns = series.columns;
-          const values = series.values;
-
-          const timeIdx = columns.indexOf('time');
-          const eventTypeIdx = columns.indexOf('event_type');
-          const deviceNameIdx = columns.indexOf('device_name');
-          const valueIdx = columns.indexOf('value');
-
-          this.mailboxEvents = values.map(row => ({
-            time: new Date(row[timeIdx]).getTime(),
-            eventType: row[eventTypeIdx],
-            deviceName: row[deviceNameIdx],
-            value: row[valueIdx]
+        const rows = await queryEvents({ range: '7d', deviceName: this.deviceName, limit: 500 });
+
+        if (rows.length > 0) {
+          this.mailboxEvents = rows.map(row => ({
+            time: row.time,
+            eventType: row.event_type,
+            deviceName: row.device_name,
+            value: row.value
           }));
 
           console.log(`[mailbox-view] Loaded ${this.mailboxEvents.length} events`);
@@ -479,6 +444,14 @@ export function mailboxView() {
 
     refresh() {
       this.loadMailboxEvents();
+    },
+
+    // Download the events of the selected date range
+    exportEvents(format) {
+      exportRows('mailbox-events', format, eventRows(this.filteredEvents), {
+        device: this.deviceName,
+        dateRange: this.dateRange
+      });
     }
   };
 }
@@ -0,0 +1,429 @@
+/**
+ * MQTT Diagnostics View
+ * Broker link health, per-topic message stats and parse/handler errors
+ * Answers "is this sensor silent or is the broker connection flaky?"
+ * Also records and replays MQTT sessions (JSONL)
+ */
+
+import { CONFIG } from '../config.js';
+
+export function mqttDiagnosticsView() {
+  return {
+    // ========================================
+    // STATE
+    // ========================================
+
+    // Snapshots refreshed from the mqtt store (topic stats are not reactive)
+    topics: [],
+    subscriptions: [],
+    totalMessages: 0,
+    now: Date.now(),
+
+    // UI state
+    activeTab: 'topics',        // 'topics' | 'subscriptions' | 'connection' | 'errors' | 'session'
+    searchQuery: '',
+    sortBy: 'lastSeen',         // 'lastSeen' | 'count' | 'rate' | 'topic'
+    selectedTopic: null,
+    replaySpeeds: [0.5, 1, 2, 5, 10, 60],
+
+    _refreshInterval: null,
+
+    // ========================================
+    // LIFECYCLE
+    // ========================================
+
+    init() {
+      this.refresh();
+      this._refreshInterval = setInterval(() => this.refresh(), 1000);
+    },
+
+    destroy() {
+      if (this._refreshInterval) {
+        clearInterval(this._refreshInterval);
+      }
+    },
+
+    refresh() {
+      const mqttStore = this.$store.mqtt;
+      this.now = Date.now();
+      this.topics = mqttStore.getTopicStats();
+      this.subscriptions = mqttStore.getSubscriptions();
+      this.totalMessages = mqttStore.totalMessages;
+    },
+
+    // ========================================
+    // CONNECTION
+    // ========================================
+
+    get connectionStatus() {
+      const mqttStore = this.$store.mqtt;
+      if (mqttStore.replaying) return { label: 'Replaying', status: 'warning' };
+      if (mqttStore.connected) return { label: 'Connected', status: 'healthy' };
+      if (mqttStore.connecting) return { label: 'Reconnecting', status: 'warning' };
+      return { label: 'Disconnected', status: 'critical' };
+    },
+
+    get uptime() {
+      const since = this.$store.mqtt.connectedSince;
+      if (!since) return '--';
+      return this.formatDuration(this.now - since);
+    },
+
+    // Reconnects in the last hour - more than a couple means a flaky link
+    get recentReconnects() {
+      const hourAgo = this.now - 3600000;
+      return this.$store.mqtt.connectionLog
+        .filter(e => e.type === 'reconnecting' && e.time >= hourAgo).length;
+    },
+
+    get linkHealth() {
+      if (this.$store.mqtt.replaying) return 'warning';
+      if (!this.$store.mqtt.connected) return 'critical';
+      if (this.recentReconnects > 2) return 'warning';
+      return 'healthy';
+    },
+
+    get brokerUrl() {
+      const mqttStore = this.$store.mqtt;
+      return mqttStore.replaying ? mqttStore.replaySource : CONFIG.mqttUrl;
+    },
+
+    // ========================================
+    // RECORD / REPLAY
+    // ========================================
+
+    get recordingDuration() {
+      const started = this.$store.mqtt.recordingStartedAt;
+      if (!started) return '--';
+      return this.formatDuration(this.now - started);
+    },
+
+    toggleRecording() {
+      const mqttStore = this.$store.mqtt;
+      if (mqttStore.recording) {
+        mqttStore.stopRecording();
+      } else {
+        mqttStore.startRecording();
+      }
+    },
+
+    async loadReplayFile(event) {
+      const file = event.target.files?.[0];
+      if (!file) return;
+      this.$store.mqtt.startReplay(await file.text(), file.name);
+      event.target.value = '';
+    },
+
+    toggleReplayPause() {
+      const mqttStore = this.$store.mqtt;
+      if (mqttStore.replayPaused) {
+        mqttStore.resumeReplay();
+      } else {
+        mqttStore.pauseReplay();
+      }
+    },
+
+    get replayProgressPercent() {
+      return Math.round(this.$store.mqtt.replayProgress * 100);
+    },
+
+    // ========================================
+    // TOPICS
+    // ========================================
+
+    get filteredTopics() {
+      const query = this.searchQuery.toLowerCase();
+      const topics = query
+        ? this.topics.filter(t => t.topic.toLowerCase().includes(query))
+        : [...this.topics];
+
+      const sorters = {
+        lastSeen: (a, b) => b.lastSeen - a.lastSeen,
+        count: (a, b) => b.count - a.count,
+        rate: (a, b) => b.ratePerMinute - a.ratePerMinute,
+        topic: (a, b) => a.topic.localeCompare(b.topic)
+      };
+      return topics.sort(sorters[this.sortBy] || sorters.lastSeen);
+    },
+
+    get messagesPerMinute() {
+      return this.topics.reduce((sum, t) => sum + t.ratePerMinute, 0);
+    },
+
+    get silentSubscriptions() {
+      return this.subscriptions.filter(s => this.isSilent(s.lastSeen));
+    },
+
+    isSilent(lastSeen) {
+      if (!lastSeen) return true;
+      return this.now - lastSeen > CONFIG.staleThreshold;
+    },
+
+    selectTopic(topic) {
+      this.selectedTopic = this.selectedTopic === topic ? null : topic;
+    },
+
+    get selectedPayload() {
+      const stats = this.topics.find(t => t.topic === this.selectedTopic);
+      if (!stats) return '';
+      return this.formatPayload(stats.lastPayload);
+    },
+
+    // ========================================
+    // ACTIONS
+    // ========================================
+
+    setTab(tab) {
+      this.activeTab = tab;
+    },
+
+    setSort(sortBy) {
+      this.sortBy = sortBy;
+    },
+
+    clear() {
+      this.$store.mqtt.clearDiagnostics();
+      this.selectedTopic = null;
+      this.refresh();
+    },
+
+    // ========================================
+    // FORMATTING HELPERS
+    // ========================================
+
+    formatPayload(text) {
+      if (!text) return '';
+      try {
+        return JSON.stringify(JSON.parse(text), null, 2);
+      } catch (e) {
+        return text;
+      }
+    },
+
+    formatRate(rate) {
+      if (rate >= 10) return `${Math.round(rate)}/min`;
+      return `${rate.toFixed(1)}/min`;
+    },
+
+    formatRelativeTime(timestamp) {
+      if (!timestamp) return 'Never';
+      const seconds = Math.floor((this.now - timestamp) / 1000);
+      if (seconds < 5) return 'Just now';
+      if (seconds < 60) return `${seconds}s ago`;
+      if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+      return `${Math.floor(seconds / 3600)}h ago`;
+    },
+
+    formatTime(timestamp) {
+      return new Date(timestamp).toLocaleTimeString('en-AU', {
+        hour: 'numeric', minute: '2-digit', second: '2-digit'
+      });
+    },
+
+    formatDuration(ms) {
+      const seconds = Math.floor(ms / 1000);
+      if (seconds < 60) return `${seconds}s`;
+      const minutes = Math.floor(seconds / 60);
+      if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+      const hours = Math.floor(minutes / 60);
+      if (hours < 24) return `${hours}h ${minutes % 60}m`;
+      return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+    },
+
+    getConnectionEventIcon(type) {
+      const icons = {
+        connecting: '⏳',
+        connected: '✅',
+        disconnected: '🔌',
+        reconnecting: '🔄',
+        replay: '📼',
+        error: '⚠️'
+      };
+      return icons[type] || '📍';
+    }
+  };
+}
+
+/**
+ * MQTT diagnostics view HTML template
+ */
+export function getMqttDiagnosticsHTML() {
+  return `
+    <div class="diagnostics-view" x-data="mqttDiagnosticsView()">
+      <!-- Link summary -->
+      <div class="diagnostics-summary">
+        <div class="diagnostics-card" :class="'status-' + linkHealth">
+          <div class="diagnostics-label">Broker</div>
+          <div class="diagnostics-value" x-text="connectionStatus.label"></div>
+          <div class="diagnostics-sub" x-text="brokerUrl"></div>
+        </div>
+        <div class="diagnostics-card">
+          <div class="diagnostics-label">Connected for</div>
+          <div class="diagnostics-value" x-text="uptime"></div>
+          <div class="diagnostics-sub" x-text="recentReconnects + ' reconnects in the last hour'"></div>
+        </div>
+        <div class="diagnostics-card">
+          <div class="diagnostics-label">Messages</div>
+          <div class="diagnostics-value" x-text="totalMessages"></div>
+          <div class="diagnostics-sub" x-text="formatRate(messagesPerMinute) + ' across ' + topics.length + ' topics'"></div>
+        </div>
+        <div class="diagnostics-card" :class="silentSubscriptions.length > 0 ? 'status-warning' : 'status-healthy'">
+          <div class="diagnostics-label">Silent subscriptions</div>
+          <div class="diagnostics-value" x-text="silentSubscriptions.length"></div>
+          <div class="diagnostics-sub" x-text="$store.mqtt.errors.length + ' errors'"></div>
+        </div>
+      </div>
+
+      <!-- Zigbee2MQTT bridge (filled by app.js) -->
+      <div data-mount="bridge-status"></div>
+
+      <!-- Tabs -->
+      <div class="diagnostics-tabs">
+        <button class="btn btn-secondary" :class="{ active: activeTab === 'topics' }" @click="setTab('topics')">Topics</button>
+        <button class="btn btn-secondary" :class="{ active: activeTab === 'subscriptions' }" @click="setTab('subscriptions')">Subscriptions</button>
+        <button class="btn btn-secondary" :class="{ active: activeTab === 'connection' }" @click="setTab('connection')">Connection</button>
+        <button class="btn btn-secondary" :class="{ active: activeTab === 'errors' }" @click="setTab('errors')"
+                x-text="'Errors (' + $store.mqtt.errors.length + ')'"></button>
+        <button class="btn btn-secondary" :class="{ active: activeTab === 'session' }" @click="setTab('session')">
+          <span x-text="$store.mqtt.recording ? '🔴 Record / Replay' : 'Record / Replay'"></span>
+        </button>
+        <button class="btn btn-secondary diagnostics-clear" @click="clear()">Clear</button>
+      </div>
+
+      <!-- Topics -->
+      <div x-show="activeTab === 'topics'">
+        <div class="diagnostics-toolbar">
+          <input type="text" class="diagnostics-search" placeholder="Filter topics..." x-model="searchQuery">
+          <select x-model="sortBy">
+            <option value="lastSeen">Last seen</option>
+            <option value="count">Count</option>
+            <option value="rate">Rate</option>
+            <option value="topic">Topic</option>
+          </select>
+        </div>
+        <table class="diagnostics-table">
+          <thead>
+            <tr><th>Topic</th><th>Count</th><th>Rate</th><th>Last seen</th></tr>
+          </thead>
+          <tbody>
+            <template x-for="t in filteredTopics" :key="t.topic">
+              <tr @click="selectTopic(t.topic)" :class="{ selected: selectedTopic === t.topic, silent: isSilent(t.lastSeen) }">
+                <td class="diagnostics-topic">
+                  <span x-text="t.topic"></span>
+                  <span class="diagnostics-badge" x-show="t.retained">retained</span>
+                </td>
+                <td x-text="t.count"></td>
+                <td x-text="formatRate(t.ratePerMinute)"></td>
+                <td x-text="formatRelativeTime(t.lastSeen)"></td>
+              </tr>
+            </template>
+          </tbody>
+        </table>
+        <pre class="diagnostics-payload" x-show="selectedTopic" x-text="selectedPayload"></pre>
+      </div>
+
+      <!-- Subscriptions -->
+      <div x-show="activeTab === 'subscriptions'">
+        <table class="diagnostics-table">
+          <thead>
+            <tr><th>Pattern</th><th>QoS</th><th>Handlers</th><th>Messages</th><th>Last message</th></tr>
+          </thead>
+          <tbody>
+            <template x-for="s in subscriptions" :key="s.pattern">
+              <tr :class="{ silent: isSilent(s.lastSeen) }">
+                <td class="diagnostics-topic" x-text="s.pattern"></td>
+                <td x-text="s.qos"></td>
+                <td x-text="s.handlers"></td>
+                <td x-text="s.count"></td>
+                <td x-text="formatRelativeTime(s.lastSeen)"></td>
+              </tr>
+            </template>
+          </tbody>
+        </table>
+      </div>
+
+      <!-- Connection history -->
+      <div x-show="activeTab === 'connection'" class="diagnostics-log">
+        <template x-for="entry in $store.mqtt.connectionLog" :key="entry.time + entry.type">
+          <div class="diagnostics-log-item">
+            <span x-text="getConnectionEventIcon(entry.type)"></span>
+            <span class="diagnostics-log-time" x-text="formatTime(entry.time)"></span>
+            <span class="diagnostics-log-type" x-text="entry.type"></span>
+            <span class="diagnostics-sub" x-text="entry.detail"></span>
+          </div>
+        </template>
+      </div>
+
+      <!-- Errors -->
+      <div x-show="activeTab === 'errors'" class="diagnostics-log">
+        <template x-if="$store.mqtt.errors.length === 0">
+          <div class="no-data-message">No parse or handler errors</div>
+        </template>
+        <template x-for="err in $store.mqtt.errors" :key="err.time + err.topic">
+          <div class="diagnostics-error">
+            <div>
+              <span class="diagnostics-badge" x-text="err.type"></span>
+              <span class="diagnostics-topic" x-text="err.topic"></span>
+              <span class="diagnostics-log-time" x-text="formatTime(err.time)"></span>
+            </div>
+            <div class="diagnostics-error-message" x-text="err.message"></div>
+            <pre class="diagnostics-payload" x-text="err.payload"></pre>
+          </div>
+        </template>
+      </div>
+
+      <!-- Record / replay -->
+      <div x-show="activeTab === 'session'" class="diagnostics-session">
+        <div class="diagnostics-card">
+          <div class="diagnostics-label">Record</div>
+          <div class="diagnostics-value" x-text="$store.mqtt.recordedCount + ' messages'"></div>
+          <div class="diagnostics-sub" x-text="$store.mqtt.recording ? 'Recording for ' + recordingDuration : 'Not recording'"></div>
+          <div class="diagnostics-session-actions">
+            <button class="btn btn-secondary" :class="{ active: $store.mqtt.recording }" @click="toggleRecording()"
+                    :disabled="$store.mqtt.replaying"
+                    x-text="$store.mqtt.recording ? 'Stop' : 'Start recording'"></button>
+            <button class="btn btn-secondary" @click="$store.mqtt.downloadRecording()"
+                    :disabled="$store.mqtt.recordedCount === 0">Download JSONL</button>
+            <button class="btn btn-secondary" @click="$store.mqtt.clearRecording()"
+                    :disabled="$store.mqtt.recordedCount === 0">Discard</button>
+          </div>
+        </div>
+
+        <div class="diagnostics-card" :class="{ 'status-warning': $store.mqtt.replaying }">
+          <div class="diagnostics-label">Replay</div>
+          <template x-if="!$store.mqtt.replaying">
+            <div>
+              <div class="diagnostics-sub">Load a recorded .jsonl session - the broker is disconnected while replaying</div>
+              <div class="diagnostics-session-actions">
+                <input type="file" accept=".jsonl,.ndjson,application/x-ndjson" @change="loadReplayFile($event)">
+              </div>
+            </div>
+          </template>
+          <template x-if="$store.mqtt.replaying">
+            <div>
+              <div class="diagnostics-value" x-text="$store.mqtt.replayPosition + ' / ' + $store.mqtt.replayTotal"></div>
+              <div class="diagnostics-sub"
+                   x-text="$store.mqtt.replaySource + ($store.mqtt.replayTime ? ' · ' + formatTime($store.mqtt.replayTime) : '')"></div>
+              <div class="diagnostics-progress">
+                <div class="diagnostics-progress-bar" :style="'width: ' + replayProgressPercent + '%'"></div>
+              </div>
+              <div class="diagnostics-session-actions">
+                <button class="btn btn-secondary" @click="toggleReplayPause()"
+                        x-text="$store.mqtt.replayPaused ? 'Resume' : 'Pause'"></button>
+                <select :value="$store.mqtt.replaySpeed" @change="$store.mqtt.setReplaySpeed(Number($event.target.value))">
+                  <template x-for="speed in replaySpeeds" :key="speed">
+                    <option :value="speed" x-text="speed + '×'" :selected="speed === $store.mqtt.replaySpeed"></option>
+                  </template>
+                </select>
+                <label class="diagnostics-sub">
+                  <input type="checkbox" x-model="$store.mqtt.replayLoop"> Loop
+                </label>
+                <button class="btn btn-secondary" @click="$store.mqtt.stopReplay()">Stop &amp; reconnect</button>
+              </div>
+            </div>
+          </template>
+        </div>
+      </div>
+    </div>
+  `;
+}
@@ -3,6 +3,9 @@
  * Heater monitoring and control dashboard with event timeline
  */
 
+import { querySeries, querySignal, cancelQueries, isAbortError } from '../utils/influx.js';
+import { seriesRows, eventRows, exportRows } from '../utils/export.js';
+
 // Event type definitions for thermostat timeline
 const THERMOSTAT_EVENT_TYPES = {
   // IMPORTANT (full cards)
@@ -27,9 +30,6 @@ const THERMOSTAT_EVENT_TYPES = {
   initial_state: { icon: '📍', color: '#6366f1', label: 'Initial State', priority: 'activity', category: 'system' }
 };
 
-// Use global CONFIG defined in index.html
-const CONFIG = window.CONFIG;
-
 export function thermostatView() {
   return {
     // ============================================
@@ -52,9 +52,6 @@ export function thermostatView() {
     // ============================================
 
     init() {
-      // Set up MQTT listeners for thermostats
-      this.setupMqttListener();
-
       // Load historical data when trends tab is selected
       this.$watch('activeTab', (tab) => {
         if (tab === 'trends') {
@@ -74,42 +71,7 @@ export function thermostatView() {
       if (this.chartUpdateInterval) {
         clearInterval(this.chartUpdateInterval);
       }
-    },
-
-    setupMqttListener() {
-      const mqtt = this.$store.mqtt;
-      if (!mqtt?.client) {
-        setTimeout(() => this.setupMqttListener(), 2000);
-        return;
-      }
-
-      // Subscribe to thermostat topics
-      CONFIG.thermostats.forEach(t => {
-        mqtt.client.subscribe(`zigbee2mqtt/${t.sensor}`, { qos: 0 });
-        mqtt.client.subscribe(`zigbee2mqtt/${t.sensor}/availability`, { qos: 0 });
-      });
-
-      // Handle messages
-      mqtt.client.on('message', (topic, message) => {
-        if (!topic.startsWith('zigbee2mqtt/')) return;
-
-        try {
-          const data = JSON.parse(message.toString());
-          const deviceName = topic.replace('zigbee2mqtt/', '').replace('/availability', '');
-
-          // Check if this is a thermostat
-          const thermostat = CONFIG.thermostats.find(t => t.sensor === deviceName);
-          if (!thermostat) return;
-
-          if (topic.endsWith('/availability')) {
-            this.$store.thermostats.updateAvailability(deviceName, data);
-          } else {
-            this.$store.thermostats.updateThermostat(deviceName, data);
-          }
-        } catch (e) {
-          // Ignore parse errors
-        }
-      });
+      cancelQueries('thermostat-view');
     },
 
     // ============================================
@@ -213,6 +175,7 @@ export function thermostatView() {
 
     getStatusText(thermostat) {
       if (!thermostat.available) return 'Offline';
+      if (this.$store.thermostats.isPending(thermostat)) return 'Queued';
       if (thermostat.systemMode === 'off') return 'Off';
       if (thermostat.runningState === 'heat') return 'Heating';
       return 'Idle';
@@ -220,6 +183,7 @@ export function thermostatView() {
 
     getStatusIcon(thermostat) {
       if (!thermostat.available) return '📡';
+      if (this.$store.thermostats.isPending(thermostat)) return '⏳';
       if (thermostat.systemMode === 'off') return '⏹️';
       if (thermostat.runningState === 'heat') return '🔥';
       return '❄️';
@@ -346,10 +310,13 @@ export function thermostatView() {
       this.loading = true;
 
       try {
+        const signal = querySignal('thermostat-view');
         for (const thermostat of this.thermostats) {
-          await this.loadThermostatHistory(thermostat);
+          await this.loadThermostatHistory(thermostat, signal);
         }
       } catch (e) {
+        // A newer time range took over
+        if (isAbortError(e)) return;
         console.error('[thermostat-view] Failed to load historical data:', e);
       }
 
@@ -358,44 +325,58 @@ export function thermostatView() {
       this.drawCharts();
     },
 
-    async loadThermostatHistory(thermostat) {
+    async loadThermostatHistory(thermostat, signal) {
       try {
-        const timeRangeMap = {
-          '15m': '15m', '30m': '30m', '1h': '1h', '3h': '3h',
-          '6h': '6h', '12h': '12h', '24h': '24h', '3d': '3d', '7d': '7d'
-        };
-        const range = timeRangeMap[this.timeRange] || '24h';
-
         // Query temperature from linked room sensor
-        const room = CONFIG.rooms.find(r => r.id === thermostat.roomId);
+        const room = this.$store.rooms.list.find(r => r.id === thermostat.roomId);
         if (!room) return;
 
-        const query = `
-          SELECT mean("value") AS temp
-          FROM "°C"
-          WHERE entity_id = '${room.entityId}_temperature'
-            AND time > now() - ${range}
-          GROUP BY time(5m)
-          ORDER BY time ASC
-        `;
-
-        const url = `${CONFIG.influxUrl}/query?db=${CONFIG.influxDb}&q=${encodeURIComponent(query)}`;
-        const res = await fetch(url);
-        const data = await res.json();
-
-        if (data.results?.[0]?.series?.[0]?.values) {
-          this.tempHistory[thermostat.id] = data.results[0].series[0].values
-            .filter(v => v[1] !== null)
-            .map(v => ({
-              time: new Date(v[0]).getTime(),
-              value: v[1]
-            }));
-        }
+        this.tempHistory[thermostat.id] = await querySeries({
+          measurement: '°C',
+          entityId: `${room.entityId}_temperature`,
+          range: this.timeRange,
+          points: document.getElementById(`chart-${thermostat.id}`)?.clientWidth || 400,
+          signal
+        });
       } catch (e) {
+        if (isAbortError(e)) throw e;
         console.error(`[thermostat-view] Failed to load history for ${thermostat.id}:`, e);
       }
     },
 
+    // ============================================
+    // EXPORT
+    // ============================================
+
+    /**
+     * Download the loaded room temperature history of every thermostat
+     * @param {'csv'|'json'} format
+     */
+    exportHistory(format) {
+      const rows = this.thermostats.flatMap(thermostat => {
+        const room = this.$store.rooms.list.find(r => r.id === thermostat.roomId);
+        return seriesRows(this.tempHistory[thermostat.id] || [], {
+          thermostat: thermostat.name,
+          room: room?.name ?? thermostat.roomId,
+          entityId: room ? `${room.entityId}_temperature` : null,
+          measurement: 'temperature',
+          unit: '°C'
+        });
+      });
+      exportRows('thermostat-history', format, rows, { range: this.timeRange });
+    },
+
+    /**
+     * Download the timeline events matching the current filters
+     * @param {'csv'|'json'} format
+     */
+    exportEvents(format) {
+      exportRows('thermostat-events', format, eventRows(this.events), {
+        filters: { room: this.filterRoom || null, eventType: this.filterEventType || null },
+        units: { currentTemp: '°C', targetTemp: '°C', battery: '%' }
+      });
+    },
+
     // ============================================
     // CHART DRAWING (SVG)
     // ============================================
@@ -421,7 +402,7 @@ export function thermostatView() {
       const padding = { top: 10, right: 40, bottom: 20, left: 10 };
 
       // Calculate ranges
-      const temps = data.map(d => d.value);
+      const temps = data.flatMap(d => [d.min ?? d.value, d.max ?? d.value]);
       const minTemp = Math.floor(Math.min(...temps) - 1);
       const maxTemp = Math.ceil(Math.max(...temps) + 1);
       const minTime = data[0].time;
@@ -438,6 +419,13 @@ export function thermostatView() {
         return `${i === 0 ? 'M' : 'L'} ${x} ${y}`;
       }).join(' ');
 
+      // Min–max band when the history was downsampled
+      const bandPoints = data.some(d => d.min !== undefined)
+        ? data.map(d => `${xScale(d.time)},${yScale(d.max ?? d.value)}`)
+            .concat(data.map(d => `${xScale(d.time)},${yScale(d.min ?? d.value)}`).reverse())
+            .join(' ')
+        : null;
+
       // Get target temp for reference line
       const thermostat = this.$store.thermostats.getThermostat(thermostatId);
       const targetY = thermostat?.targetTemp ? yScale(thermostat.targetTemp) : null;
@@ -461,6 +449,9 @@ export function thermostatView() {
                   fill="var(--color-warning)" font-size="9" font-weight="500">Target</text>
           ` : ''}
 
+          <!-- Min–max band -->
+          ${bandPoints ? `<polygon class="chart-band" points="${bandPoints}" fill="var(--color-primary)" opacity="0.15"/>` : ''}
+
           <!-- Temperature line -->
           <path d="${pathPoints}" fill="none" stroke="var(--color-primary)" stroke-width="2"/>
 
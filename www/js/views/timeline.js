@@ -3,6 +3,9 @@
  * Displays all Zigbee events in a filterable timeline
  */
 
+import { extractRoomPrefix } from '../utils/zigbee.js';
+import { eventRows, exportRows } from '../utils/export.js';
+
 export function timelineView() {
   return {
     showFilters: false,
@@ -12,36 +15,37 @@ export function timelineView() {
     selectedDeviceType: '',
     selectedDevice: '',
 
+    _mqttSubscription: null,
+
     init() {
       // Events are loaded by app.js on init
-      // Set up real-time MQTT listener for live events
+      // Set up real-time MQTT route for live events
       this.setupMqttListener();
     },
 
-    // Set up MQTT listener for real-time events
-    setupMqttListener() {
-      const mqtt = this.$store.mqtt;
-      if (!mqtt?.client) {
-        // Retry after MQTT connects
-        setTimeout(() => this.setupMqttListener(), 2000);
-        return;
+    destroy() {
+      if (this._mqttSubscription) {
+        this.$store.mqtt.unsubscribe(this._mqttSubscription);
+        this._mqttSubscription = null;
       }
+    },
+
+    // Route zigbee device messages into the events store
+    setupMqttListener() {
+      if (this._mqttSubscription) return;
 
-      // Listen for zigbee device messages
-      mqtt.client.on('message', (topic, message) => {
-        if (!topic.startsWith('zigbee2mqtt/') || topic.includes('/bridge/')) return;
+      this._mqttSubscription = this.$store.mqtt.subscribe('zigbee2mqtt/+', (payload, topic, packet) => {
+        // Retained state is not a live event
+        if (packet?.retain) return;
+        if (typeof payload !== 'object' || payload === null) return;
 
-        try {
-          const payload = JSON.parse(message.toString());
-          const deviceName = topic.replace('zigbee2mqtt/', '');
+        const deviceName = topic.replace('zigbee2mqtt/', '');
+        if (deviceName === 'bridge') return;
 
-          // Process relevant events
-          const event = this.processLiveEvent(deviceName, payload);
-          if (event) {
-            this.$store.events.addRealTimeEvent(event);
-          }
-        } catch (e) {
-          // Ignore parse errors
+        // Process relevant events
+        const event = this.processLiveEvent(deviceName, payload);
+        if (event) {
+          this.$store.events.addRealTimeEvent(event);
         }
       });
     },
@@ -111,8 +115,8 @@ export function timelineView() {
 
     // Extract room from device name
     extractRoom(deviceName) {
-      const match = deviceName.match(/^\[([^\]]+)\]/);
-      return match ? match[1].toLowerCase() : 'unknown';
+      const prefix = extractRoomPrefix(deviceName);
+      return prefix ? prefix.toLowerCase() : 'unknown';
     },
 
     // Get filtered events from store
@@ -509,6 +513,14 @@ export function timelineView() {
     // Reload events
     refresh() {
       this.$store.events.loadHistorical(24);
+    },
+
+    // Download the events matching the current filters
+    exportEvents(format) {
+      const { eventTypes, rooms, dateRange, deviceType, device } = this.$store.events.filters;
+      exportRows('timeline-events', format, eventRows(this.events), {
+        filters: { eventTypes, rooms, dateRange, deviceType, device }
+      });
     }
   };
 }
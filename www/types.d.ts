@@ -29,6 +29,12 @@ interface Window {
   networkView: any;
   mailboxView: any;
   thermostatView: any;
+  mqttDiagnosticsView: any;
+  homeConfigView: any;
+  commandQueue: any;
+  mqttLogin: any;
+  bridgeStatus: any;
+  configBanner: any;
   _configThreeState: any;
 }
 